@@ -16,7 +16,8 @@ let currentData = {
     certificates: [],
     partners: [],
     donations: [],
-    ads: []
+    ads: [],
+    wallets: []
 };
 
 // Initialize the application
@@ -131,6 +132,7 @@ function loadPageData() {
             break;
         case 'ads.html':
             loadAdsTable();
+            loadWalletsTable();
             break;
     }
 }
@@ -675,6 +677,93 @@ function renderAdsTable(ads) {
     `).join('');
 }
 
+// Advertiser wallets (loaded from the ads API)
+const ADS_API_URL = '/api/v1/ads';
+
+async function fetchAdsApi(path) {
+    const token = localStorage.getItem('auth_token') || sessionStorage.getItem('auth_token');
+    const response = await fetch(`${ADS_API_URL}${path}`, {
+        headers: token ? { 'Authorization': `Bearer ${token}` } : {}
+    });
+    const result = await response.json();
+    
+    if (!response.ok) {
+        throw new Error(result.message || 'Request failed');
+    }
+    return result.data;
+}
+
+async function loadWalletsTable() {
+    const tableBody = document.getElementById('walletsTableBody');
+    if (!tableBody) return;
+    
+    try {
+        const { wallets } = await fetchAdsApi('/wallets?limit=100');
+        currentData.wallets = wallets;
+        renderWalletsTable(wallets);
+    } catch (error) {
+        tableBody.innerHTML = `<tr><td colspan="7">Could not load wallets: ${error.message}</td></tr>`;
+    }
+}
+
+function renderWalletsTable(wallets) {
+    const tableBody = document.getElementById('walletsTableBody');
+    if (!tableBody) return;
+    
+    if (wallets.length === 0) {
+        tableBody.innerHTML = '<tr><td colspan="7">No prepaid wallets yet</td></tr>';
+        return;
+    }
+    
+    tableBody.innerHTML = wallets.map(wallet => `
+        <tr>
+            <td><strong>${wallet.client?.name || '-'}</strong></td>
+            <td>${wallet.client?.company || '-'}</td>
+            <td><span class="badge badge-${wallet.balance > 0 ? 'success' : 'danger'}">${formatETB(wallet.balance)}</span></td>
+            <td>${formatETB(wallet.totalFunded)}</td>
+            <td>${formatETB(wallet.totalSpent)}</td>
+            <td>${wallet.lastTopupAt ? wallet.lastTopupAt.split('T')[0] : '-'}</td>
+            <td>
+                <button class="btn btn-info btn-sm" onclick="viewWalletTransactions('${wallet.client?._id}')"><i class="fas fa-list"></i></button>
+            </td>
+        </tr>
+    `).join('');
+}
+
+async function viewWalletTransactions(clientId) {
+    const wallet = currentData.wallets.find(item => item.client?._id === clientId);
+    const tableBody = document.getElementById('walletTransactionsBody');
+    
+    document.getElementById('walletModalTitle').textContent = `Wallet Transactions - ${wallet?.client?.company || ''}`;
+    tableBody.innerHTML = '<tr><td colspan="5">Loading...</td></tr>';
+    document.getElementById('walletModal').style.display = 'flex';
+    
+    try {
+        const data = await fetchAdsApi(`/clients/${clientId}/wallet?limit=50`);
+        
+        document.getElementById('walletBalance').textContent = formatETB(data.wallet.balance);
+        document.getElementById('walletAvailable').textContent = formatETB(data.available);
+        
+        tableBody.innerHTML = data.transactions.length === 0
+            ? '<tr><td colspan="5">No transactions yet</td></tr>'
+            : data.transactions.map(transaction => `
+                <tr>
+                    <td>${transaction.createdAt.split('T')[0]}</td>
+                    <td><span class="badge badge-secondary">${transaction.type}</span></td>
+                    <td>${transaction.description || ''}</td>
+                    <td style="color: ${transaction.amount < 0 ? 'var(--danger-color)' : 'var(--secondary-color)'};">${formatETB(transaction.amount)}</td>
+                    <td>${formatETB(transaction.balanceAfter)}</td>
+                </tr>
+            `).join('');
+    } catch (error) {
+        tableBody.innerHTML = `<tr><td colspan="5">Could not load transactions: ${error.message}</td></tr>`;
+    }
+}
+
+function formatETB(amount) {
+    return `ETB ${Number(amount || 0).toLocaleString('en-US', {minimumFractionDigits: 2, maximumFractionDigits: 2})}`;
+}
+
 // Filter functions
 function filterJobs() {
     const searchTerm = document.getElementById('jobSearch')?.value.toLowerCase() || '';
@@ -1130,3 +1219,4 @@ window.downloadReceipt = downloadReceipt;
 window.confirmReceipt = confirmReceipt;
 window.viewAnalytics = viewAnalytics;
 window.exportPayments = exportPayments;
+window.viewWalletTransactions = viewWalletTransactions;
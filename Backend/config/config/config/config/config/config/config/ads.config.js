@@ -62,6 +62,20 @@ const adsConfig = {
       formats: ['jpg', 'png'],
       maxSize: 100,
       animationLimit: 0,
+      // Structured assets, rendered by the frontend in the job card layout
+      assets: {
+        headline: { required: true, maxLength: 60 },
+        body: { required: true, maxLength: 150 },
+        callToAction: { required: true, maxLength: 20 },
+        sponsorName: { required: true, maxLength: 50 },
+        logo: {
+          required: true,
+          dimensions: [{ width: 150, height: 150 }],
+          formats: ['jpg', 'png'],
+          maxSize: 100, // KB
+        },
+      },
+      sponsorLabel: 'Sponsored',
     },
     
     VIDEO: {
@@ -77,6 +91,14 @@ const adsConfig = {
       maxSize: 5000, // 5MB
       durationLimit: 30, // seconds
       skipableAfter: 5, // seconds
+      // Served to video players as VAST; quartile, skip and completion events are tracked
+      vast: {
+        versions: ['3.0', '4.0'],
+        defaultVersion: '4.0',
+        adSystem: 'Zewed Jobs Ads',
+        idRegistry: 'zewedjobs.com',
+        trackingEvents: ['start', 'firstQuartile', 'midpoint', 'thirdQuartile', 'complete', 'skip'],
+      },
     },
   },
   
@@ -88,7 +110,11 @@ const adsConfig = {
       description: 'Top banner on homepage',
       adTypes: ['banner'],
       priceMultiplier: 1.5,
+      reservePrice: 4, // Minimum eCPM (ETB) to win this position
       priority: 10,
+      rotation: 'auction', // Ad rotation strategy, see rotation below
+      // Preferred image rendition sizes by device; tablets use the desktop sizes
+      sizes: { desktop: ['728x90'], mobile: ['320x50'] },
     },
     
     HOME_SIDEBAR: {
@@ -97,16 +123,23 @@ const adsConfig = {
       description: 'Sidebar on homepage',
       adTypes: ['sidebar', 'native'],
       priceMultiplier: 1.0,
+      reservePrice: 2.5,
       priority: 8,
+      // Lower-value slots favor engaging creatives over price
+      rotation: 'thompson_sampling',
+      sizes: { desktop: ['300x600', '300x250'], mobile: ['300x250'] },
     },
     
     JOB_LISTING_TOP: {
       id: 'job_listing_top',
       name: 'Job Listing Top',
       description: 'Top of job listing pages',
-      adTypes: ['banner'],
+      adTypes: ['banner', 'sponsored_job'],
       priceMultiplier: 1.2,
+      reservePrice: 3,
       priority: 9,
+      rotation: 'auction',
+      sizes: { desktop: ['728x90'], mobile: ['320x50'] },
     },
     
     JOB_DETAIL_SIDEBAR: {
@@ -115,16 +148,21 @@ const adsConfig = {
       description: 'Sidebar on job detail pages',
       adTypes: ['sidebar', 'native'],
       priceMultiplier: 1.0,
+      reservePrice: 2.5,
       priority: 7,
+      rotation: 'epsilon_greedy',
+      sizes: { desktop: ['300x250', '300x600'], mobile: ['300x250'] },
     },
     
     SEARCH_RESULTS: {
       id: 'search_results',
       name: 'Search Results',
       description: 'Ads in search results',
-      adTypes: ['native'],
+      adTypes: ['native', 'sponsored_job'],
       priceMultiplier: 1.3,
+      reservePrice: 3.5,
       priority: 8,
+      rotation: 'thompson_sampling',
     },
     
     PROFILE_INTERSTITIAL: {
@@ -133,7 +171,10 @@ const adsConfig = {
       description: 'Full-screen ad on profile view',
       adTypes: ['interstitial'],
       priceMultiplier: 2.0,
+      reservePrice: 5,
       priority: 6,
+      rotation: 'auction',
+      sizes: { desktop: ['1200x628'], mobile: ['720x1280'] },
       frequencyCap: 2,
     },
     
@@ -143,7 +184,21 @@ const adsConfig = {
       description: 'Ads in mobile application',
       adTypes: ['banner', 'interstitial', 'video'],
       priceMultiplier: 1.4,
+      reservePrice: 3.5,
       priority: 9,
+      rotation: 'auction',
+      sizes: { desktop: ['320x50', '720x1280'], mobile: ['320x50', '720x1280'] },
+    },
+    
+    COURSE_PREROLL: {
+      id: 'course_preroll',
+      name: 'Course Video Pre-roll',
+      description: 'Video ads played before course videos',
+      adTypes: ['video'],
+      priceMultiplier: 1.6,
+      reservePrice: 6,
+      priority: 8,
+      rotation: 'auction',
     },
     
     EMAIL_NEWSLETTER: {
@@ -152,7 +207,11 @@ const adsConfig = {
       description: 'Ads in email newsletters',
       adTypes: ['banner', 'native'],
       priceMultiplier: 1.1,
+      reservePrice: 2.5,
       priority: 5,
+      // Each send reaches every subscriber once, so advertisers take turns
+      rotation: 'round_robin',
+      sizes: { desktop: ['728x90', '300x250'], mobile: ['300x250', '320x50'] },
     },
   },
   
@@ -305,7 +364,16 @@ const adsConfig = {
       large: { min: 10000, max: 100000 },
       enterprise: { min: 100000, max: 1000000 },
     },
-    
+
+    // Budget increases that move a campaign up into one of these tiers wait for
+    // approval, unless made by someone with billing rights on the client
+    budgetApproval: {
+      tiers: ['large', 'enterprise'],
+    },
+
+    // Percent of the total budget spent at which the client is notified
+    spendAlerts: [50, 80, 100],
+
     // Performance metrics
     metrics: {
       impressions: { target: 10000, weight: 0.3 },
@@ -325,6 +393,35 @@ const adsConfig = {
       adQualityScore: 0.7, // Minimum quality score
     },
     
+    // Frequency capping per viewer; quality.maxFrequency applies when a campaign sets no caps
+    frequencyCap: {
+      scopes: ['campaign', 'creative'],
+      periods: ['hour', 'day', 'lifetime'],
+      maxCaps: 6,
+      historyTtl: 90 * 24 * 60 * 60, // seconds a viewer's impression history is kept
+    },
+    
+    // Daily budget pacing
+    pacing: {
+      modes: ['even', 'accelerated'],
+      defaultMode: 'even',
+      timeZone: 'Africa/Addis_Ababa',
+      tolerance: 0.1, // Allowed overspend vs. time-of-day target before throttling fully
+      underpacingThreshold: 0.8, // Below 80% of target is underpacing
+      // Relative platform traffic per local hour (0-23), used to shape spend targets
+      hourlyTrafficWeights: [
+        1, 1, 1, 1, 1, 2, 3, 5, 6, 7, 7, 6,
+        6, 6, 6, 6, 6, 5, 5, 5, 4, 3, 2, 1,
+      ],
+    },
+
+    // Delivery windows by local hour and weekday, in the campaign's or advertiser's time zone
+    dayparting: {
+      defaultTimeZone: 'Africa/Addis_Ababa',
+      maxSlots: 28,
+      bidModifier: { min: 0.1, max: 5 }, // Multiplier of the campaign bid within a slot
+    },
+
     // Automatic optimization
     optimization: {
       enabled: true,
@@ -334,6 +431,17 @@ const adsConfig = {
         poorPerformance: 0.3, // 30% below target
         excellentPerformance: 1.3, // 30% above target
       },
+      // auto applies changes, suggest only proposes them, off skips the campaign
+      modes: ['off', 'suggest', 'auto'],
+      defaultMode: 'suggest',
+      lookbackDays: 7, // Performance window evaluated against the metric targets
+      minImpressions: 1000, // Before judging CTR of a campaign or creative
+      minClicks: 100, // Before judging conversion rate of CPA campaigns
+      bidStep: 0.1, // Relative bid change per adjustment
+      bidLimits: { min: 0.5, max: 3 }, // Bid range as multiples of the pricing model's base rate
+      budgetStep: 0.2, // Relative budget increase for top performers
+      budgetUtilization: 0.8, // Share of the budget spent before it is increased
+      cooldown: 24 * 60 * 60, // seconds before the same change is made again
     },
   },
   
@@ -342,13 +450,216 @@ const adsConfig = {
     interval: envConfig.AD_REFRESH_INTERVAL || 30000, // milliseconds
     strategy: 'rotational', // rotational, sequential, random
     maxImpressions: envConfig.AD_MAX_IMPRESSIONS || 100000,
+  },
+  
+  // Ad rotation: how the eligible bids for a position are ordered into slots.
+  // Each position picks its strategy with its `rotation` key; strategies
+  // other than the auction do not order by price, so their winners pay the
+  // position's reserve price.
+  rotation: {
+    defaultStrategy: 'auction',
+    strategies: [
+      'auction', // Second-price auction ranked by eCPM times quality score
+      'round_robin', // Campaigns take turns at the top slot
+      'weighted_random', // Random order weighted by remaining budget
+      'performance_based', // Campaign performance score against the metric targets
+      'thompson_sampling', // Bandit sampling each creative's CTR from its posterior
+      'epsilon_greedy', // Best observed CTR, random order for a share of requests
+    ],
+    epsilon: 0.1, // Share of epsilon-greedy requests that explore
+    priorImpressions: 100, // Weight of the target CTR prior for creatives with little data
+    roundRobinTtl: 24 * 60 * 60, // seconds a position's round-robin turn is kept
+  },
+  
+  // Impression and spend accounting
+  accounting: {
+    batchImpressions: true, // Buffer impressions in memory and write them in bulk
+    flushInterval: 5000, // milliseconds
+    maxBufferSize: 500, // Flush early once this many impressions are buffered
+  },
+  
+  // Pre-aggregated statistics rollups
+  statistics: {
+    timeZone: 'Africa/Addis_Ababa', // Daily rollups cover local calendar days
+    rollupInterval: 300, // seconds between rollup runs
+    lookbackHours: 2, // Recent hours recomputed on every run to pick up late events
+    retention: {
+      raw: 90, // days impressions and clicks are kept; covers billing periods and attribution windows
+      hourly: 180, // days hourly rollups are kept; daily rollups are kept indefinitely
+    },
+  },
+  
+  // Saved and scheduled performance reports
+  reports: {
+    formats: ['csv', 'xlsx', 'pdf'],
+    metrics: [
+      'impressions',
+      'clicks',
+      'ctr',
+      'conversions',
+      'conversionRate',
+      'conversionValue',
+      'spend',
+      'cpc',
+      'cpm',
+      'averageViewability',
+    ],
+    breakdowns: ['day', 'campaign', 'creative', 'position', 'device'],
+    dateRanges: ['last_7_days', 'last_30_days', 'last_week', 'last_month', 'month_to_date', 'custom'],
+    frequencies: ['weekly', 'monthly'],
+    timeZone: 'Africa/Addis_Ababa',
+    sendHour: 7, // Local hour scheduled reports are emailed
+    weeklyDay: 1, // Monday
+    maxRecipients: 10,
+    maxRows: 5000,
+  },
+  
+  // Advertiser invoicing
+  billing: {
+    currencies: ['ETB', 'USD'],
+    baseCurrency: 'ETB', // Currency campaign costs are recorded in
+    exchangeRates: {
+      USD: envConfig.AD_USD_EXCHANGE_RATE, // ETB per USD
+    },
+    vatRate: envConfig.AD_VAT_RATE,
+    invoicePrefix: 'INV',
+    timeZone: 'Africa/Addis_Ababa', // Billing periods are calendar months in this time zone
+    
+    // Days from issue to due date
+    paymentTermDays: {
+      net15: 15,
+      net30: 30,
+      net60: 60,
+      prepaid: 0,
+    },
     
-    // Rotation algorithms
-    algorithms: {
-      ROUND_ROBIN: 'round_robin',
-      WEIGHTED_RANDOM: 'weighted_random',
-      PERFORMANCE_BASED: 'performance_based',
+    reminderDays: [1, 7, 14], // days past due
+    suspendAfterDays: 15, // days past due before the client's campaigns are paused
+  },
+  
+  // Prepaid advertiser wallets
+  wallet: {
+    currency: 'ETB',
+    gateways: ['chapa', 'telebirr', 'cbe'],
+    minTopup: 100,
+    referencePrefix: 'ADW',
+  },
+  
+  // Advertiser organizations and their team roles
+  accounts: {
+    organizationTypes: ['advertiser', 'agency'],
+    // What each role may do on the clients a member covers
+    roles: {
+      owner: ['view', 'manage', 'billing', 'team'],
+      manager: ['view', 'manage'],
+      billing: ['view', 'billing'],
+      viewer: ['view'],
+    },
+    invitationTtl: 7 * 24 * 60 * 60, // seconds
+    maxMembers: 50,
+  },
+  
+  // Sponsored job listings; tiers, durations and boosts come from the job_promotions feature
+  sponsoredJobs: {
+    label: 'Sponsored',
+    pricingModel: 'cpc', // Boosted base CPC, billed through the ads pipeline
+    minBudget: 100, // ETB
+    // Sponsored slots per results page
+    slots: {
+      job_listing_top: 1,
+      search_results: 2,
+    },
+    organicPerSponsored: 5, // Organic results required per sponsored result in search results
+  },
+  
+  // Image creative renditions, rendered for every size of the creative's ad type
+  renditions: {
+    // Served as <picture> sources, best first, ahead of a fallback every browser can show
+    formats: ['avif', 'webp'],
+    quality: {
+      avif: 50,
+      webp: 75,
+      jpeg: 82,
+      png: 80,
+      gif: 80,
+    },
+    folder: 'ad_creatives',
+  },
+  
+  // Conversion attribution
+  attribution: {
+    models: ['last_click', 'first_click', 'linear', 'time_decay'],
+    defaultModel: 'last_click',
+    lookbackWindows: {
+      click: 30, // days
+      impression: 1, // days; view-through, used only when there are no clicks
     },
+    timeDecayHalfLife: 7, // days
+    maxTouchpoints: 50,
+  },
+  
+  // Signed tracking tokens for served ads
+  tracking: {
+    secret: envConfig.AD_TRACKING_SECRET || envConfig.JWT_SECRET,
+    tokenTtl: 1800, // seconds a served ad can be tracked
+  },
+  
+  // What tracked events keep about the viewer, by the consent they gave
+  privacy: {
+    // full: everything; pseudonymous: hashed user and truncated IP; aggregate: no identifiers
+    consentModes: ['full', 'pseudonymous', 'aggregate'],
+    defaultMode: 'aggregate', // viewers who have not chosen yet
+    pseudonymSecret: envConfig.AD_PSEUDONYM_SECRET || envConfig.JWT_SECRET,
+    truncateIp: {
+      ipv4: 24, // prefix bits kept
+      ipv6: 48,
+    },
+    exportLimit: 5000, // events of each kind in a data export
+  },
+  
+  // Invalid traffic detection
+  invalidTraffic: {
+    enabled: true,
+    threshold: 50, // Events scoring at or above this are invalid
+    
+    // Per-rule scores, summed per event
+    weights: {
+      bot_user_agent: 100,
+      missing_user_agent: 30,
+      ip_velocity: 60,
+      user_velocity: 60,
+      click_without_impression: 50,
+      fast_click: 70,
+      duplicate_click: 100,
+    },
+    
+    // Maximum events per window before velocity rules trigger
+    velocity: {
+      window: 3600, // seconds
+      ip: { impression: 300, click: 20 },
+      user: { impression: 200, click: 5 },
+    },
+    
+    minTimeToClick: 1000, // milliseconds between impression and click
+    clickWindow: 3600, // seconds an impression stays clickable
+    
+    botSignatures: [
+      'bot',
+      'crawler',
+      'spider',
+      'slurp',
+      'headless',
+      'phantomjs',
+      'selenium',
+      'puppeteer',
+      'playwright',
+      'curl',
+      'wget',
+      'python-requests',
+      'go-http-client',
+      'java/',
+      'scrapy',
+    ],
   },
   
   // Ad content policies
@@ -379,6 +690,49 @@ const adsConfig = {
     },
   },
   
+  // Creative moderation
+  moderation: {
+    // Keywords flagging each prohibited content category, matched as whole words
+    keywords: {
+      illegal_products: ['counterfeit', 'replica', 'fake id', 'khat delivery', 'firearms', 'narcotics'],
+      tobacco_alcohol: ['cigarette', 'cigarettes', 'tobacco', 'vape', 'shisha', 'beer', 'whisky', 'vodka', 'tej', 'areke'],
+      gambling: ['casino', 'betting', 'bet now', 'jackpot', 'lottery', 'sportsbook', 'poker'],
+      adult_content: ['xxx', 'escort', 'adult dating', 'nude'],
+      hate_speech: ['inferior race', 'ethnic cleansing'],
+      misinformation: ['guaranteed income', 'get rich quick', 'miracle cure', '100% guaranteed', 'risk-free returns'],
+      malware: ['free download crack', 'keygen', 'activation crack'],
+      unfair_competition: ['better than', 'unlike competitors', '#1 in ethiopia'],
+    },
+    
+    // Query parameters that mark an affiliate link, which must be disclosed
+    affiliateParams: ['ref', 'aff', 'affiliate', 'affid', 'partner_id'],
+    disclosureTerms: ['affiliate', 'sponsored', 'partner', 'paid'],
+    
+    landingPage: {
+      timeout: 5000, // milliseconds
+      maxRedirects: 5,
+      // Set to a local stub to check landing pages without leaving the network
+      checkerUrl: envConfig.AD_LANDING_CHECK_URL,
+    },
+    
+    rejectionReasons: [
+      'illegal_products',
+      'tobacco_alcohol',
+      'gambling',
+      'adult_content',
+      'hate_speech',
+      'misinformation',
+      'malware',
+      'unfair_competition',
+      'missing_required_element',
+      'missing_disclosure',
+      'invalid_file',
+      'landing_page_unreachable',
+      'text_too_long',
+      'other',
+    ],
+  },
+  
   // Configuration methods
   getAdTypeConfig: (type) => {
     return adsConfig.adTypes[type.toUpperCase()] || null;
@@ -498,6 +852,11 @@ const adsConfig = {
       errors.push(`File size exceeds limit of ${typeConfig.maxSize}KB`);
     }
     
+    // Check video duration
+    if (creative.duration && creative.duration > typeConfig.durationLimit) {
+      errors.push(`Video exceeds limit of ${typeConfig.durationLimit} seconds`);
+    }
+    
     // Check animation duration
     if (creative.animationDuration && creative.animationDuration > typeConfig.animationLimit) {
       errors.push(`Animation exceeds limit of ${typeConfig.animationLimit} seconds`);
@@ -510,6 +869,99 @@ const adsConfig = {
     };
   },
   
+  // Validate the structured assets of a native ad against the per-asset rules
+  validateNativeAssets: (assets) => {
+    const rules = adsConfig.adTypes.NATIVE.assets;
+    const errors = [];
+    
+    Object.entries(rules).forEach(([name, rule]) => {
+      const value = assets[name];
+      
+      if (value === undefined || value === null || value === '') {
+        if (rule.required) {
+          errors.push(`Native ads require a ${name}`);
+        }
+        return;
+      }
+      
+      if (rule.maxLength && String(value).length > rule.maxLength) {
+        errors.push(`Native ${name} must be at most ${rule.maxLength} characters`);
+      }
+      
+      if (rule.dimensions && !rule.dimensions.some(dim => dim.width === value.width && dim.height === value.height)) {
+        errors.push(`Native ${name} must be ${rule.dimensions.map(d => `${d.width}x${d.height}`).join(' or ')}`);
+      }
+      
+      if (rule.formats && !rule.formats.includes(String(value.format).toLowerCase())) {
+        errors.push(`Native ${name} format must be one of: ${rule.formats.join(', ')}`);
+      }
+      
+      if (rule.maxSize && value.size > rule.maxSize * 1024) {
+        errors.push(`Native ${name} exceeds limit of ${rule.maxSize}KB`);
+      }
+    });
+    
+    return {
+      valid: errors.length === 0,
+      errors,
+    };
+  },
+  
+  // Validate campaign targeting against the targeting taxonomy
+  validateTargeting: (targeting = {}) => {
+    const errors = [];
+
+    // Maps targeting attributes to the taxonomy lists above
+    const taxonomy = {
+      demographics: {
+        age: adsConfig.targeting.demographics.age.ranges,
+        gender: adsConfig.targeting.demographics.gender.options,
+        education: adsConfig.targeting.demographics.education.levels,
+        income: adsConfig.targeting.demographics.income.ranges,
+      },
+      geographic: adsConfig.targeting.geographic,
+      interests: adsConfig.targeting.interests,
+      behavioral: adsConfig.targeting.behavioral,
+      device: adsConfig.targeting.device,
+    };
+
+    const checkBlock = (block, path) => {
+      if (!block) return;
+
+      Object.entries(taxonomy).forEach(([category, attributes]) => {
+        if (!block[category]) return;
+
+        Object.entries(block[category]).forEach(([attribute, values]) => {
+          const allowed = attributes[attribute];
+
+          if (!allowed) {
+            errors.push(`Unknown targeting attribute: ${path}${category}.${attribute}`);
+            return;
+          }
+
+          const invalid = [].concat(values || []).filter(value => !allowed.includes(value));
+          if (invalid.length > 0) {
+            errors.push(`Invalid values for ${path}${category}.${attribute}: ${invalid.join(', ')}`);
+          }
+        });
+      });
+
+      if (block.operator && !['and', 'or'].includes(block.operator)) {
+        errors.push(`Invalid targeting operator at ${path || 'root'}: ${block.operator}`);
+      }
+
+      checkBlock(block.exclude, `${path}exclude.`);
+      (block.groups || []).forEach((group, index) => checkBlock(group, `${path}groups[${index}].`));
+    };
+
+    checkBlock(targeting, '');
+
+    return {
+      valid: errors.length === 0,
+      errors,
+    };
+  },
+
   // Get available positions for ad type
   getAvailablePositions: (adType) => {
     return Object.values(adsConfig.positions)
@@ -544,74 +996,6 @@ const adsConfig = {
     return Math.min(Math.max(score, 0), 100);
   },
   
-  // Get ad rotation algorithm
-  getRotationAlgorithm: (campaigns, currentAlgorithm = 'performance_based') => {
-    switch (currentAlgorithm) {
-      case 'round_robin':
-        return this.roundRobinRotation(campaigns);
-        
-      case 'weighted_random':
-        return this.weightedRandomRotation(campaigns);
-        
-      case 'performance_based':
-        return this.performanceBasedRotation(campaigns);
-        
-      default:
-        return this.performanceBasedRotation(campaigns);
-    }
-  },
-  
-  // Rotation algorithms
-  roundRobinRotation: (campaigns) => {
-    // Simple round-robin rotation
-    const activeCampaigns = campaigns.filter(c => c.status === 'active');
-    if (activeCampaigns.length === 0) return null;
-    
-    // Get campaign with oldest last shown time
-    return activeCampaigns.reduce((oldest, campaign) => {
-      return (!oldest.lastShown || campaign.lastShown < oldest.lastShown) 
-        ? campaign 
-        : oldest;
-    });
-  },
-  
-  weightedRandomRotation: (campaigns) => {
-    const activeCampaigns = campaigns.filter(c => c.status === 'active');
-    if (activeCampaigns.length === 0) return null;
-    
-    // Weight by budget remaining
-    const totalBudget = activeCampaigns.reduce((sum, c) => sum + c.budgetRemaining, 0);
-    const weights = activeCampaigns.map(c => c.budgetRemaining / totalBudget);
-    
-    // Select based on weights
-    let random = Math.random();
-    for (let i = 0; i < activeCampaigns.length; i++) {
-      random -= weights[i];
-      if (random <= 0) {
-        return activeCampaigns[i];
-      }
-    }
-    
-    return activeCampaigns[0];
-  },
-  
-  performanceBasedRotation: (campaigns) => {
-    const activeCampaigns = campaigns.filter(c => c.status === 'active');
-    if (activeCampaigns.length === 0) return null;
-    
-    // Calculate performance scores
-    const scoredCampaigns = activeCampaigns.map(campaign => {
-      const score = this.calculatePerformanceScore(campaign.metrics || {});
-      return { ...campaign, performanceScore: score };
-    });
-    
-    // Sort by performance score (descending)
-    scoredCampaigns.sort((a, b) => b.performanceScore - a.performanceScore);
-    
-    // Return top performing campaign
-    return scoredCampaigns[0];
-  },
-  
   // Get reporting metrics
   getReportingMetrics: (timeframe = 'daily') => {
     const baseMetrics = [
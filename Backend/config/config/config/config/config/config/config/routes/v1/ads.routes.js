@@ -48,6 +48,14 @@ const upload = require('../../middleware/upload');
  *               budget:
  *                 type: number
  *                 example: 10000
+ *               dailyBudget:
+ *                 type: number
+ *                 description: Optional daily spend cap
+ *                 example: 500
+ *               pacing:
+ *                 type: string
+ *                 enum: [even, accelerated]
+ *                 default: "even"
  *               currency:
  *                 type: string
  *                 default: "ETB"
@@ -68,6 +76,73 @@ const upload = require('../../middleware/upload');
  *                     type: object
  *                   interests:
  *                     type: object
+ *               bidding:
+ *                 type: object
+ *                 properties:
+ *                   model:
+ *                     type: string
+ *                     enum: [cpm, cpc, cpa]
+ *                     default: "cpm"
+ *                   amount:
+ *                     type: number
+ *                     description: Bid in ETB per unit of the pricing model
+ *               attribution:
+ *                 type: object
+ *                 properties:
+ *                   model:
+ *                     type: string
+ *                     enum: [last_click, first_click, linear, time_decay]
+ *                     default: "last_click"
+ *                     description: How this campaign's conversions are credited across the touchpoints leading to them
+ *               frequencyCaps:
+ *                 type: array
+ *                 description: Maximum impressions per viewer (defaults to the platform daily limit)
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     scope:
+ *                       type: string
+ *                       enum: [campaign, creative]
+ *                       default: "campaign"
+ *                     period:
+ *                       type: string
+ *                       enum: [hour, day, lifetime]
+ *                     limit:
+ *                       type: integer
+ *                       minimum: 1
+ *               dayparting:
+ *                 type: object
+ *                 description: Hours and weekdays the campaign serves; no slots serves around the clock
+ *                 properties:
+ *                   timeZone:
+ *                     type: string
+ *                     example: "Africa/Addis_Ababa"
+ *                     description: Defaults to the client's time zone
+ *                   slots:
+ *                     type: array
+ *                     items:
+ *                       type: object
+ *                       properties:
+ *                         days:
+ *                           type: array
+ *                           items:
+ *                             type: integer
+ *                             minimum: 0
+ *                             maximum: 6
+ *                           description: Weekdays, 0 is Sunday; empty covers every day
+ *                         startHour:
+ *                           type: integer
+ *                           minimum: 0
+ *                           maximum: 23
+ *                         endHour:
+ *                           type: integer
+ *                           maximum: 24
+ *                           description: Exclusive; split overnight windows at midnight
+ *                         bidModifier:
+ *                           type: number
+ *                           minimum: 0.1
+ *                           maximum: 5
+ *                           default: 1
  *               status:
  *                 type: string
  *                 enum: [draft, pending, active, paused, completed, cancelled]
@@ -238,6 +313,12 @@ router.get(
  *                 format: date
  *               targeting:
  *                 type: object
+ *               attribution:
+ *                 type: object
+ *                 properties:
+ *                   model:
+ *                     type: string
+ *                     enum: [last_click, first_click, linear, time_decay]
  *               status:
  *                 type: string
  *     responses:
@@ -359,21 +440,36 @@ router.patch(
  *         application/json:
  *           schema:
  *             type: object
- *             required:
- *               - budget
  *             properties:
  *               budget:
  *                 type: number
  *                 minimum: 1
+ *               dailyBudget:
+ *                 type: number
+ *                 nullable: true
+ *                 description: Daily spend cap (null removes it)
+ *               pacing:
+ *                 type: string
+ *                 enum: [even, accelerated]
+ *               reason:
+ *                 type: string
+ *                 maxLength: 500
+ *                 description: Why the budget is changed, kept in the revision log
  *     responses:
  *       200:
  *         description: Budget updated
+ *       202:
+ *         description: Increase into an approval tier submitted for approval by a billing member
  *       404:
  *         description: Campaign not found
  *       400:
  *         description: Invalid budget
  *       401:
  *         description: Unauthorized
+ *       402:
+ *         description: Insufficient wallet balance for a budget increase
+ *       409:
+ *         description: A budget change is already awaiting approval
  */
 router.patch(
   '/campaigns/:id/budget',
@@ -383,6 +479,132 @@ router.patch(
   adsController.updateCampaignBudget
 );
 
+/**
+ * @swagger
+ * /api/v1/ads/budget-revisions:
+ *   get:
+ *     summary: Get the budget revision log
+ *     tags: [Ads]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: campaignId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: clientId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [applied, pending, approved, rejected]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Budget changes with old and new values, newest first
+ */
+router.get(
+  '/budget-revisions',
+  authenticate,
+  authorize(['admin', 'advertiser']),
+  validate(adValidation.getBudgetRevisions),
+  adsController.getBudgetRevisions
+);
+
+/**
+ * @swagger
+ * /api/v1/ads/budget-revisions/{id}/approve:
+ *   post:
+ *     summary: Approve a pending budget change
+ *     tags: [Ads]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Budget revision ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *                 maxLength: 500
+ *     responses:
+ *       200:
+ *         description: Change approved and applied to the campaign
+ *       402:
+ *         description: Insufficient wallet balance for the increase
+ *       403:
+ *         description: Billing rights on the client are required
+ *       409:
+ *         description: Change already reviewed, or the budget changed since it was requested
+ */
+router.post(
+  '/budget-revisions/:id/approve',
+  authenticate,
+  authorize(['admin', 'advertiser']),
+  validate(adValidation.reviewBudgetRevision),
+  adsController.approveBudgetRevision
+);
+
+/**
+ * @swagger
+ * /api/v1/ads/budget-revisions/{id}/reject:
+ *   post:
+ *     summary: Reject a pending budget change
+ *     tags: [Ads]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Budget revision ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *                 maxLength: 500
+ *     responses:
+ *       200:
+ *         description: Change rejected
+ *       403:
+ *         description: Billing rights on the client are required
+ *       409:
+ *         description: Change already reviewed
+ */
+router.post(
+  '/budget-revisions/:id/reject',
+  authenticate,
+  authorize(['admin', 'advertiser']),
+  validate(adValidation.reviewBudgetRevision),
+  adsController.rejectBudgetRevision
+);
+
 /**
  * @swagger
  * /api/v1/ads/campaigns/{id}/statistics:
@@ -419,7 +641,7 @@ router.patch(
  *         description: Time interval for statistics
  *     responses:
  *       200:
- *         description: Campaign statistics
+ *         description: Campaign statistics with pacing health
  *       404:
  *         description: Campaign not found
  *       401:
@@ -450,7 +672,7 @@ router.get(
  *         description: Campaign ID
  *     responses:
  *       200:
- *         description: Campaign analytics
+ *         description: Campaign analytics, including creative experiment results
  *       404:
  *         description: Campaign not found
  *       401:
@@ -466,64 +688,115 @@ router.get(
 
 /**
  * @swagger
- * /api/v1/ads/creative/upload:
+ * /api/v1/ads/campaigns/{id}/experiments:
  *   post:
- *     summary: Upload ad creative
+ *     summary: Create a creative A/B experiment
  *     tags: [Ads]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Campaign ID
  *     requestBody:
  *       required: true
  *       content:
- *         multipart/form-data:
+ *         application/json:
  *           schema:
  *             type: object
  *             required:
- *               - campaignId
- *               - file
+ *               - name
+ *               - controlCreativeId
+ *               - variants
  *             properties:
- *               campaignId:
- *                 type: string
- *               file:
- *                 type: string
- *                 format: binary
- *               title:
- *                 type: string
- *               description:
- *                 type: string
- *               altText:
+ *               name:
  *                 type: string
- *               callToAction:
+ *               controlCreativeId:
  *                 type: string
- *               destinationUrl:
+ *                 description: Creative the other variants are compared against; must be one of the variants
+ *               variants:
+ *                 type: array
+ *                 description: Creatives under test with their traffic split (weights add up to 100)
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     creativeId:
+ *                       type: string
+ *                     weight:
+ *                       type: integer
+ *               metric:
  *                 type: string
- *               isPrimary:
+ *                 enum: [ctr, conversion_rate]
+ *                 default: "ctr"
+ *               confidenceLevel:
+ *                 type: number
+ *                 default: 0.95
+ *               minSampleSize:
+ *                 type: integer
+ *                 default: 1000
+ *                 description: Trials per variant (impressions for CTR, clicks for conversion rate) before a winner can be declared
+ *               minDurationDays:
+ *                 type: integer
+ *                 default: 7
+ *                 description: Days the experiment runs before a winner can be declared
+ *               autoPromote:
  *                 type: boolean
  *                 default: false
+ *                 description: Promote the significant winner automatically
+ *               start:
+ *                 type: boolean
+ *                 default: true
  *     responses:
- *       200:
- *         description: Creative uploaded successfully
+ *       201:
+ *         description: Experiment created
  *       400:
- *         description: Invalid file or data
- *       401:
- *         description: Unauthorized
+ *         description: Invalid variants
  *       403:
  *         description: Forbidden
+ *       409:
+ *         description: Campaign already has a running experiment
+ *   get:
+ *     summary: Get campaign experiments with significance results
+ *     tags: [Ads]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Campaign ID
+ *     responses:
+ *       200:
+ *         description: Experiments with per-variant CTR, conversion rate, lift and p-values
+ *       404:
+ *         description: Campaign not found
  */
 router.post(
-  '/creative/upload',
+  '/campaigns/:id/experiments',
   authenticate,
   authorize(['admin', 'advertiser']),
-  upload.single('file'),
-  validate(adValidation.uploadCreative),
-  adsController.uploadCreative
+  validate(adValidation.createExperiment),
+  adsController.createExperiment
+);
+
+router.get(
+  '/campaigns/:id/experiments',
+  authenticate,
+  authorize(['admin', 'advertiser', 'analyst']),
+  validate(adValidation.getExperiments),
+  adsController.getExperiments
 );
 
 /**
  * @swagger
- * /api/v1/ads/creative/{id}:
- *   delete:
- *     summary: Delete ad creative
+ * /api/v1/ads/experiments/{id}/status:
+ *   patch:
+ *     summary: Start or stop an experiment
  *     tags: [Ads]
  *     security:
  *       - bearerAuth: []
@@ -533,164 +806,1854 @@ router.post(
  *         required: true
  *         schema:
  *           type: string
- *         description: Creative ID
+ *         description: Experiment ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [running, stopped]
  *     responses:
  *       200:
- *         description: Creative deleted
+ *         description: Experiment status updated
+ *       400:
+ *         description: Invalid status change
  *       404:
- *         description: Creative not found
- *       401:
- *         description: Unauthorized
+ *         description: Experiment not found
  */
-router.delete(
-  '/creative/:id',
+router.patch(
+  '/experiments/:id/status',
   authenticate,
   authorize(['admin', 'advertiser']),
-  validate(adValidation.deleteCreative),
-  adsController.deleteCreative
+  validate(adValidation.updateExperimentStatus),
+  adsController.updateExperimentStatus
 );
 
 /**
  * @swagger
- * /api/v1/ads/active:
+ * /api/v1/ads/experiments/{id}/promote:
+ *   post:
+ *     summary: Promote an experiment variant to primary creative
+ *     tags: [Ads]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Experiment ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               creativeId:
+ *                 type: string
+ *                 description: Creative to promote (defaults to the significant winner)
+ *     responses:
+ *       200:
+ *         description: Winner promoted; other variants paused
+ *       400:
+ *         description: No significant winner yet
+ *       404:
+ *         description: Experiment not found
+ */
+router.post(
+  '/experiments/:id/promote',
+  authenticate,
+  authorize(['admin', 'advertiser']),
+  validate(adValidation.promoteExperimentWinner),
+  adsController.promoteExperimentWinner
+);
+
+/**
+ * @swagger
+ * /api/v1/ads/campaigns/{id}/optimizations:
  *   get:
- *     summary: Get active ads for display
+ *     summary: Get campaign optimization settings and change log
  *     tags: [Ads]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
- *       - in: query
- *         name: position
+ *       - in: path
+ *         name: id
+ *         required: true
  *         schema:
  *           type: string
- *         description: Ad position on page
+ *         description: Campaign ID
  *       - in: query
- *         name: type
+ *         name: status
  *         schema:
  *           type: string
- *           enum: [banner, sidebar, interstitial, native, video]
- *         description: Ad type
+ *           enum: [proposed, applied, dismissed, expired, rolled_back]
  *       - in: query
- *         name: limit
+ *         name: page
  *         schema:
  *           type: integer
  *           default: 1
- *         description: Number of ads to return
- *       - in: query
- *         name: userId
- *         schema:
- *           type: string
- *         description: User ID for targeting
  *       - in: query
- *         name: category
+ *         name: limit
  *         schema:
- *           type: string
- *         description: Content category for targeting
+ *           type: integer
+ *           default: 20
  *     responses:
  *       200:
- *         description: List of active ads
+ *         description: Optimization mode, allowed actions and changes, newest first
  *       404:
- *         description: No active ads found
+ *         description: Campaign not found
  */
 router.get(
-  '/active',
-  adsController.getActiveAds
+  '/campaigns/:id/optimizations',
+  authenticate,
+  authorize(['admin', 'advertiser']),
+  validate(adValidation.getCampaignOptimizations),
+  adsController.getCampaignOptimizations
 );
 
 /**
  * @swagger
- * /api/v1/ads/impression:
- *   post:
+ * /api/v1/ads/campaigns/{id}/optimization:
+ *   patch:
+ *     summary: Update campaign optimization mode and allowed actions
+ *     tags: [Ads]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Campaign ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               mode:
+ *                 type: string
+ *                 enum: [off, suggest, auto]
+ *                 description: auto applies changes, suggest only proposes them
+ *               actions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [adjust_bid, pause_poor_performing, increase_budget_top_performing]
+ *                 description: Actions the optimizer may take; empty allows all
+ *     responses:
+ *       200:
+ *         description: Optimization settings updated
+ *       404:
+ *         description: Campaign not found
+ */
+router.patch(
+  '/campaigns/:id/optimization',
+  authenticate,
+  authorize(['admin', 'advertiser']),
+  validate(adValidation.updateCampaignOptimization),
+  adsController.updateCampaignOptimization
+);
+
+/**
+ * @swagger
+ * /api/v1/ads/optimizations/{id}/apply:
+ *   post:
+ *     summary: Apply a proposed optimization
+ *     tags: [Ads]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Optimization ID
+ *     responses:
+ *       200:
+ *         description: Change applied
+ *       400:
+ *         description: Optimization is not proposed
+ *       402:
+ *         description: Insufficient wallet balance for a budget increase
+ *       409:
+ *         description: The campaign or creative changed since the proposal
+ */
+router.post(
+  '/optimizations/:id/apply',
+  authenticate,
+  authorize(['admin', 'advertiser']),
+  validate(adValidation.optimizationAction),
+  adsController.applyOptimization
+);
+
+/**
+ * @swagger
+ * /api/v1/ads/optimizations/{id}/dismiss:
+ *   post:
+ *     summary: Dismiss a proposed optimization
+ *     tags: [Ads]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Optimization ID
+ *     responses:
+ *       200:
+ *         description: Proposal dismissed; it is not proposed again within the cooldown
+ *       400:
+ *         description: Optimization is not proposed
+ */
+router.post(
+  '/optimizations/:id/dismiss',
+  authenticate,
+  authorize(['admin', 'advertiser']),
+  validate(adValidation.optimizationAction),
+  adsController.dismissOptimization
+);
+
+/**
+ * @swagger
+ * /api/v1/ads/optimizations/{id}/rollback:
+ *   post:
+ *     summary: Roll back an applied optimization
+ *     tags: [Ads]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Optimization ID
+ *     responses:
+ *       200:
+ *         description: Previous value restored
+ *       400:
+ *         description: Optimization is not applied
+ *       409:
+ *         description: The value changed since the optimization was applied
+ */
+router.post(
+  '/optimizations/:id/rollback',
+  authenticate,
+  authorize(['admin', 'advertiser']),
+  validate(adValidation.optimizationAction),
+  adsController.rollbackOptimization
+);
+
+/**
+ * @swagger
+ * /api/v1/ads/creative/upload:
+ *   post:
+ *     summary: Upload ad creative
+ *     tags: [Ads]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - campaignId
+ *               - file
+ *             properties:
+ *               campaignId:
+ *                 type: string
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *               title:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               altText:
+ *                 type: string
+ *               callToAction:
+ *                 type: string
+ *               sponsorName:
+ *                 type: string
+ *                 description: Advertiser name on native ads; defaults to the client's company
+ *               duration:
+ *                 type: number
+ *                 description: Video length in seconds (required for video ads)
+ *               destinationUrl:
+ *                 type: string
+ *               isPrimary:
+ *                 type: boolean
+ *                 default: false
+ *     responses:
+ *       200:
+ *         description: Creative uploaded and rendered in every size of its ad type as AVIF, WebP and a fallback format
+ *       400:
+ *         description: Invalid file or data (GIFs over the size limit are converted to WebP where the ad type allows it, otherwise rejected)
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       409:
+ *         description: The same file was already uploaded to the campaign
+ */
+router.post(
+  '/creative/upload',
+  authenticate,
+  authorize(['admin', 'advertiser']),
+  upload.single('file'),
+  validate(adValidation.uploadCreative),
+  adsController.uploadCreative
+);
+
+/**
+ * @swagger
+ * /api/v1/ads/creative/{id}:
+ *   delete:
+ *     summary: Delete ad creative
+ *     tags: [Ads]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Creative ID
+ *     responses:
+ *       200:
+ *         description: Creative deleted
+ *       404:
+ *         description: Creative not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.delete(
+  '/creative/:id',
+  authenticate,
+  authorize(['admin', 'advertiser']),
+  validate(adValidation.deleteCreative),
+  adsController.deleteCreative
+);
+
+/**
+ * @swagger
+ * /api/v1/ads/moderation/creatives:
+ *   get:
+ *     summary: Get the creative moderation queue, oldest first
+ *     tags: [Ads]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, approved, rejected]
+ *           default: pending
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Creatives with their automated check results
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ */
+router.get(
+  '/moderation/creatives',
+  authenticate,
+  authorize(['admin']),
+  validate(adValidation.getModerationQueue),
+  adsController.getModerationQueue
+);
+
+/**
+ * @swagger
+ * /api/v1/ads/creative/{id}/review:
+ *   post:
+ *     summary: Approve or reject a pending creative
+ *     tags: [Ads]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Creative ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - decision
+ *             properties:
+ *               decision:
+ *                 type: string
+ *                 enum: [approve, reject]
+ *               reasons:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Required when rejecting; one of the configured rejection reasons
+ *               note:
+ *                 type: string
+ *               override:
+ *                 type: boolean
+ *                 description: Approve despite failed automated checks
+ *     responses:
+ *       200:
+ *         description: Creative reviewed and the advertiser notified
+ *       400:
+ *         description: Creative not pending, or failed checks without override
+ *       404:
+ *         description: Creative not found
+ *       409:
+ *         description: Creative already reviewed
+ */
+router.post(
+  '/creative/:id/review',
+  authenticate,
+  authorize(['admin']),
+  validate(adValidation.reviewCreative),
+  adsController.reviewCreative
+);
+
+/**
+ * @swagger
+ * /api/v1/ads/creative/{id}/moderation:
+ *   get:
+ *     summary: Get a creative's moderation status and audit history
+ *     tags: [Ads]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Creative ID
+ *     responses:
+ *       200:
+ *         description: Moderation status, check results and history
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Creative not found
+ */
+router.get(
+  '/creative/:id/moderation',
+  authenticate,
+  authorize(['admin', 'advertiser']),
+  validate(adValidation.getCreativeModeration),
+  adsController.getCreativeModeration
+);
+
+/**
+ * @swagger
+ * /api/v1/ads/active:
+ *   get:
+ *     summary: Get active ads for display
+ *     tags: [Ads]
+ *     parameters:
+ *       - in: query
+ *         name: position
+ *         schema:
+ *           type: string
+ *         description: Ad position on page
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [banner, sidebar, interstitial, native, video]
+ *         description: Ad type
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Number of ads to return
+ *       - in: query
+ *         name: userId
+ *         schema:
+ *           type: string
+ *         description: User ID for targeting
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *         description: Content category for targeting
+ *       - in: query
+ *         name: region
+ *         schema:
+ *           type: string
+ *         description: Viewer region for targeting
+ *       - in: query
+ *         name: city
+ *         schema:
+ *           type: string
+ *         description: Viewer city for targeting
+ *       - in: query
+ *         name: deviceType
+ *         schema:
+ *           type: string
+ *           enum: [desktop, mobile, tablet]
+ *         description: Viewer device type (detected from User-Agent if omitted)
+ *       - in: query
+ *         name: consent
+ *         schema:
+ *           type: string
+ *           enum: [full, pseudonymous, aggregate]
+ *           default: aggregate
+ *         description: Viewer's ad consent, signed into the tracking token; decides what the ad's events store about the viewer
+ *     responses:
+ *       200:
+ *         description: List of active ads, each with a signed single-use tracking token and click URL; image ads carry the rendition sized for the position and device (a fallback URL plus AVIF/WebP sources), and native ads also carry job-card-shaped assets (headline, body, company name and logo, call to action, sponsor label)
+ *       404:
+ *         description: No active ads found
+ */
+router.get(
+  '/active',
+  adsController.getActiveAds
+);
+
+/**
+ * @swagger
+ * /api/v1/ads/sponsored-jobs:
+ *   get:
+ *     summary: Get sponsored jobs for a page of job search results
+ *     tags: [Ads]
+ *     parameters:
+ *       - in: query
+ *         name: query
+ *         schema:
+ *           type: string
+ *         description: Search text; sponsored jobs must match at least one term
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *         description: Job category for targeting
+ *       - in: query
+ *         name: region
+ *         schema:
+ *           type: string
+ *         description: Viewer region for targeting
+ *       - in: query
+ *         name: city
+ *         schema:
+ *           type: string
+ *         description: Viewer city for targeting
+ *       - in: query
+ *         name: deviceType
+ *         schema:
+ *           type: string
+ *           enum: [desktop, mobile, tablet]
+ *         description: Viewer device type (detected from User-Agent if omitted)
+ *       - in: query
+ *         name: userId
+ *         schema:
+ *           type: string
+ *         description: User ID for targeting
+ *       - in: query
+ *         name: organicCount
+ *         schema:
+ *           type: integer
+ *           default: 12
+ *         description: Organic results on the page, which caps how many sponsored jobs it gets
+ *       - in: query
+ *         name: consent
+ *         schema:
+ *           type: string
+ *           enum: [full, pseudonymous, aggregate]
+ *           default: aggregate
+ *         description: Viewer's ad consent, signed into the tracking token; decides what the ad's events store about the viewer
+ *     responses:
+ *       200:
+ *         description: Sponsored jobs labelled for display, each with its index in the results, a signed tracking token and click URL
+ */
+router.get(
+  '/sponsored-jobs',
+  validate(adValidation.getSponsoredJobs),
+  adsController.getSponsoredJobs
+);
+
+/**
+ * @swagger
+ * /api/v1/ads/vast:
+ *   get:
+ *     summary: Get a video ad as a VAST document
+ *     tags: [Ads]
+ *     parameters:
+ *       - in: query
+ *         name: position
+ *         schema:
+ *           type: string
+ *           enum: [course_preroll, mobile_app]
+ *           default: course_preroll
+ *         description: Video ad position
+ *       - in: query
+ *         name: version
+ *         schema:
+ *           type: string
+ *           enum: ["3.0", "4.0"]
+ *           default: "4.0"
+ *         description: VAST version
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *         description: Content category for targeting
+ *       - in: query
+ *         name: region
+ *         schema:
+ *           type: string
+ *         description: Viewer region for targeting
+ *       - in: query
+ *         name: city
+ *         schema:
+ *           type: string
+ *         description: Viewer city for targeting
+ *       - in: query
+ *         name: deviceType
+ *         schema:
+ *           type: string
+ *           enum: [desktop, mobile, tablet]
+ *         description: Viewer device type (detected from User-Agent if omitted)
+ *       - in: query
+ *         name: userId
+ *         schema:
+ *           type: string
+ *         description: User ID for targeting
+ *       - in: query
+ *         name: consent
+ *         schema:
+ *           type: string
+ *           enum: [full, pseudonymous, aggregate]
+ *           default: aggregate
+ *         description: Viewer's ad consent, signed into the tracking token; decides what the ad's events store about the viewer
+ *     responses:
+ *       200:
+ *         description: VAST document with one linear video ad and its impression, quartile, skip and completion tracking URLs, or an empty VAST document when no ad is available
+ *         content:
+ *           application/xml:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Unsupported VAST version
+ */
+router.get(
+  '/vast',
+  validate(adValidation.getVastAd),
+  adsController.getVastAd
+);
+
+/**
+ * @swagger
+ * /api/v1/ads/job-promotions/options:
+ *   get:
+ *     summary: Get job promotion tiers, durations and per-click bids
+ *     tags: [Ads]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Promotion options
+ */
+router.get(
+  '/job-promotions/options',
+  authenticate,
+  authorize(['admin', 'advertiser']),
+  adsController.getJobPromotionOptions
+);
+
+/**
+ * @swagger
+ * /api/v1/ads/job-promotions:
+ *   post:
+ *     summary: Purchase a sponsored placement for a job in job search
+ *     tags: [Ads]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - clientId
+ *               - jobId
+ *               - tier
+ *               - durationDays
+ *               - budget
+ *             properties:
+ *               clientId:
+ *                 type: string
+ *               jobId:
+ *                 type: string
+ *                 description: Active job posted by the client's owner; the listing is taken from it
+ *               tier:
+ *                 type: string
+ *                 enum: [standard, featured, urgent]
+ *                 description: Higher tiers bid a larger multiple of the base CPC
+ *               durationDays:
+ *                 type: integer
+ *                 enum: [7, 14, 30]
+ *               budget:
+ *                 type: number
+ *                 description: Spent per click through the ads pipeline (ETB)
+ *               startDate:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Defaults to now
+ *     responses:
+ *       201:
+ *         description: Promotion created and its listing submitted for review
+ *       400:
+ *         description: Invalid tier, duration or budget, or the job is not active
+ *       402:
+ *         description: Insufficient wallet balance for the budget
+ *       403:
+ *         description: Job promotions are disabled, the client is suspended or the job or client is not accessible
+ *       404:
+ *         description: Job not found
+ *       409:
+ *         description: The job already has a running promotion
+ */
+router.post(
+  '/job-promotions',
+  authenticate,
+  authorize(['admin', 'advertiser']),
+  validate(adValidation.createJobPromotion),
+  adsController.createJobPromotion
+);
+
+/**
+ * @swagger
+ * /api/v1/ads/impression:
+ *   post:
  *     summary: Record ad impression
  *     tags: [Ads]
  *     requestBody:
- *       required: true
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - pageUrl
+ *             properties:
+ *               token:
+ *                 type: string
+ *                 description: Signed tracking token from the served ad's tracking data
+ *               userId:
+ *                 type: string
+ *               pageUrl:
+ *                 type: string
+ *               device:
+ *                 type: object
+ *               viewability:
+ *                 type: number
+ *                 minimum: 0
+ *                 maximum: 100
+ *               consent:
+ *                 type: string
+ *                 enum: [full, pseudonymous, aggregate]
+ *                 description: Viewer's current ad consent; the stricter of this and the consent the ad was served under applies
+ *     responses:
+ *       200:
+ *         description: Impression recorded (invalid impressions are acknowledged but not billed)
+ *       400:
+ *         description: Invalid or expired tracking token
+ *       403:
+ *         description: Tracking token was issued to a different viewer
+ *       404:
+ *         description: Ad not found
+ *       409:
+ *         description: Tracking token already used
+ */
+router.post(
+  '/impression',
+  validate(adValidation.recordImpression),
+  adsController.recordImpression
+);
+
+/**
+ * @swagger
+ * /api/v1/ads/click:
+ *   post:
+ *     summary: Record ad click
+ *     tags: [Ads]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - pageUrl
+ *             properties:
+ *               token:
+ *                 type: string
+ *                 description: Signed tracking token from the served ad's tracking data
+ *               userId:
+ *                 type: string
+ *               pageUrl:
+ *                 type: string
+ *               device:
+ *                 type: object
+ *               clickId:
+ *                 type: string
+ *                 description: Client-generated unique click ID, used to reject duplicate clicks
+ *               consent:
+ *                 type: string
+ *                 enum: [full, pseudonymous, aggregate]
+ *                 description: Viewer's current ad consent; the stricter of this and the consent the ad was served under applies
+ *     responses:
+ *       200:
+ *         description: Click recorded (invalid clicks are acknowledged but not billed)
+ *       400:
+ *         description: Invalid or expired tracking token
+ *       403:
+ *         description: Tracking token was issued to a different viewer
+ *       404:
+ *         description: Ad not found
+ *       409:
+ *         description: Tracking token already used
+ */
+router.post(
+  '/click',
+  validate(adValidation.recordClick),
+  adsController.recordClick
+);
+
+/**
+ * @swagger
+ * /api/v1/ads/click/{token}:
+ *   get:
+ *     summary: Record ad click and redirect to the ad destination
+ *     tags: [Ads]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Signed tracking token from the served ad's click URL
+ *     responses:
+ *       302:
+ *         description: Redirect to the ad destination URL (clicks with expired or reused tokens are not billed)
+ *       400:
+ *         description: Invalid tracking token
+ *       404:
+ *         description: Ad not found
+ */
+router.get(
+  '/click/:token',
+  validate(adValidation.redirectClick),
+  adsController.redirectClick
+);
+
+/**
+ * @swagger
+ * /api/v1/ads/vast/events/{event}/{token}:
+ *   get:
+ *     summary: Record a VAST tracking event from a video player
+ *     tags: [Ads]
+ *     parameters:
+ *       - in: path
+ *         name: event
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [impression, start, firstQuartile, midpoint, thirdQuartile, complete, skip]
+ *         description: Impression or playback event
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Signed tracking token from the VAST document
+ *     responses:
+ *       204:
+ *         description: Event received (impressions are billed; each event counts once per served ad)
+ *       400:
+ *         description: Unknown event
+ */
+router.get(
+  '/vast/events/:event/:token',
+  validate(adValidation.trackVideoEvent),
+  adsController.trackVideoEvent
+);
+
+/**
+ * @swagger
+ * /api/v1/ads/conversion:
+ *   post:
+ *     summary: Record ad conversion
+ *     tags: [Ads]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - conversionType
+ *             properties:
+ *               userId:
+ *                 type: string
+ *                 description: Converting user, whose clicks and impressions are credited; defaults to the authenticated user, and only admins may report for others
+ *               conversionType:
+ *                 type: string
+ *                 enum: [signup, purchase, download, lead, other]
+ *               value:
+ *                 type: number
+ *               metadata:
+ *                 type: object
+ *               auctionId:
+ *                 type: string
+ *                 description: Auction ID from the served ad's tracking data
+ *               consent:
+ *                 type: string
+ *                 enum: [full, pseudonymous, aggregate]
+ *                 default: aggregate
+ *                 description: Converting user's ad consent; decides what the conversion stores about them
+ *     responses:
+ *       200:
+ *         description: Conversion recorded, with the credit given to each campaign by the attribution model of the last touched campaign
+ *       403:
+ *         description: Reporting a conversion for another user requires the admin role
+ *       404:
+ *         description: No ad interaction found for the conversion
+ *       400:
+ *         description: Invalid data
+ *       401:
+ *         description: Unauthorized
+ */
+router.post(
+  '/conversion',
+  authenticate,
+  validate(adValidation.recordConversion),
+  adsController.recordConversion
+);
+
+/**
+ * @swagger
+ * /api/v1/ads/privacy/data:
+ *   get:
+ *     summary: Export a user's ad interaction history
+ *     description: Impressions, clicks, conversions and invalid traffic records stored with the user or their pseudonym.
+ *     tags: [Ads]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: userId
+ *         schema:
+ *           type: string
+ *         description: User to export (admins only; defaults to the signed-in user)
+ *     responses:
+ *       200:
+ *         description: The user's ad interaction history
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not allowed to access another user's data
+ *   delete:
+ *     summary: Erase a user's ad interaction history
+ *     description: Removes the user, their pseudonym, IP address and user agent from every stored ad event. The events themselves remain as anonymous counts, so campaign statistics and invoices are unchanged.
+ *     tags: [Ads]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: userId
+ *         schema:
+ *           type: string
+ *         description: User to erase (admins only; defaults to the signed-in user)
+ *     responses:
+ *       200:
+ *         description: Number of impressions, clicks, conversions and invalid traffic records erased
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not allowed to erase another user's data
+ */
+router.get(
+  '/privacy/data',
+  authenticate,
+  validate(adValidation.adDataRequest),
+  adsController.exportAdData
+);
+
+router.delete(
+  '/privacy/data',
+  authenticate,
+  validate(adValidation.adDataRequest),
+  adsController.eraseAdData
+);
+
+/**
+ * @swagger
+ * /api/v1/ads/report:
+ *   get:
+ *     summary: Generate ad performance report
+ *     tags: [Ads]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: startDate
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Report start date
+ *       - in: query
+ *         name: endDate
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Report end date
+ *       - in: query
+ *         name: campaignId
+ *         schema:
+ *           type: string
+ *         description: Filter by campaign
+ *       - in: query
+ *         name: clientId
+ *         schema:
+ *           type: string
+ *         description: Filter by client
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, csv, pdf]
+ *           default: "json"
+ *         description: Report format
+ *     responses:
+ *       200:
+ *         description: Performance report, with per-campaign invalid traffic excluded from the counts
+ *       400:
+ *         description: Invalid date range
+ *       401:
+ *         description: Unauthorized
+ */
+router.get(
+  '/report',
+  authenticate,
+  authorize(['admin', 'advertiser', 'analyst']),
+  adsController.generateReport
+);
+
+/**
+ * @swagger
+ * /api/v1/ads/reports:
+ *   get:
+ *     summary: Get saved reports
+ *     tags: [Ads]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: clientId
+ *         schema:
+ *           type: string
+ *         description: Filter by client
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: List of saved reports, newest first
+ *   post:
+ *     summary: Save a report definition, optionally emailed on a schedule
+ *     tags: [Ads]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - clientId
+ *               - name
+ *               - metrics
+ *             properties:
+ *               clientId:
+ *                 type: string
+ *               name:
+ *                 type: string
+ *               campaigns:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Campaign IDs; empty covers all of the client's campaigns
+ *               metrics:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [impressions, clicks, ctr, conversions, conversionRate, conversionValue, spend, cpc, cpm, averageViewability]
+ *               breakdowns:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [day, campaign, creative, position, device]
+ *               dateRange:
+ *                 type: object
+ *                 properties:
+ *                   preset:
+ *                     type: string
+ *                     enum: [last_7_days, last_30_days, last_week, last_month, month_to_date, custom]
+ *                   start:
+ *                     type: string
+ *                     format: date-time
+ *                     description: Required for custom ranges
+ *                   end:
+ *                     type: string
+ *                     format: date-time
+ *                     description: Required for custom ranges
+ *               format:
+ *                 type: string
+ *                 enum: [csv, xlsx, pdf]
+ *                 default: csv
+ *               schedule:
+ *                 type: object
+ *                 properties:
+ *                   enabled:
+ *                     type: boolean
+ *                   frequency:
+ *                     type: string
+ *                     enum: [weekly, monthly]
+ *                   recipients:
+ *                     type: array
+ *                     items:
+ *                       type: string
+ *                       format: email
+ *     responses:
+ *       201:
+ *         description: Report created
+ *       400:
+ *         description: Invalid report or campaigns of another client
+ *       404:
+ *         description: Client not found
+ */
+router.get(
+  '/reports',
+  authenticate,
+  authorize(['admin', 'advertiser']),
+  validate(adValidation.getReports),
+  adsController.getReports
+);
+
+router.post(
+  '/reports',
+  authenticate,
+  authorize(['admin', 'advertiser']),
+  validate(adValidation.createReport),
+  adsController.createReport
+);
+
+/**
+ * @swagger
+ * /api/v1/ads/reports/{id}:
+ *   get:
+ *     summary: Get a saved report
+ *     tags: [Ads]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Report ID
+ *     responses:
+ *       200:
+ *         description: Report details
+ *       404:
+ *         description: Report not found
+ *   patch:
+ *     summary: Update a saved report or its schedule
+ *     tags: [Ads]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Report ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               campaigns:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Campaign IDs; empty covers all of the client's campaigns
+ *               metrics:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [impressions, clicks, ctr, conversions, conversionRate, conversionValue, spend, cpc, cpm, averageViewability]
+ *               breakdowns:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [day, campaign, creative, position, device]
+ *               dateRange:
+ *                 type: object
+ *                 properties:
+ *                   preset:
+ *                     type: string
+ *                     enum: [last_7_days, last_30_days, last_week, last_month, month_to_date, custom]
+ *                   start:
+ *                     type: string
+ *                     format: date-time
+ *                     description: Required for custom ranges
+ *                   end:
+ *                     type: string
+ *                     format: date-time
+ *                     description: Required for custom ranges
+ *               format:
+ *                 type: string
+ *                 enum: [csv, xlsx, pdf]
+ *                 default: csv
+ *               schedule:
+ *                 type: object
+ *                 properties:
+ *                   enabled:
+ *                     type: boolean
+ *                   frequency:
+ *                     type: string
+ *                     enum: [weekly, monthly]
+ *                   recipients:
+ *                     type: array
+ *                     items:
+ *                       type: string
+ *                       format: email
+ *     responses:
+ *       200:
+ *         description: Report updated
+ *       404:
+ *         description: Report not found
+ *   delete:
+ *     summary: Delete a saved report
+ *     tags: [Ads]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Report ID
+ *     responses:
+ *       200:
+ *         description: Report deleted
+ *       404:
+ *         description: Report not found
+ */
+router.get(
+  '/reports/:id',
+  authenticate,
+  authorize(['admin', 'advertiser']),
+  validate(adValidation.getReport),
+  adsController.getReport
+);
+
+router.patch(
+  '/reports/:id',
+  authenticate,
+  authorize(['admin', 'advertiser']),
+  validate(adValidation.updateReport),
+  adsController.updateReport
+);
+
+router.delete(
+  '/reports/:id',
+  authenticate,
+  authorize(['admin', 'advertiser']),
+  validate(adValidation.deleteReport),
+  adsController.deleteReport
+);
+
+/**
+ * @swagger
+ * /api/v1/ads/reports/{id}/download:
+ *   get:
+ *     summary: Run a saved report and download it
+ *     tags: [Ads]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Report ID
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, xlsx, pdf]
+ *         description: Defaults to the report format
+ *     responses:
+ *       200:
+ *         description: Report file
+ *       404:
+ *         description: Report not found
+ */
+router.get(
+  '/reports/:id/download',
+  authenticate,
+  authorize(['admin', 'advertiser']),
+  validate(adValidation.downloadReport),
+  adsController.downloadReport
+);
+
+/**
+ * @swagger
+ * /api/v1/ads/organizations:
+ *   post:
+ *     summary: Create an advertiser or agency organization
+ *     description: The creator becomes the organization's owner.
+ *     tags: [Ads]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *               type:
+ *                 type: string
+ *                 enum: [advertiser, agency]
+ *                 default: advertiser
+ *     responses:
+ *       201:
+ *         description: Organization created
+ *       401:
+ *         description: Unauthorized
+ *   get:
+ *     summary: Get the organizations the user belongs to
+ *     tags: [Ads]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Organizations with their members, pending invitations and clients
+ *       401:
+ *         description: Unauthorized
+ */
+router.post(
+  '/organizations',
+  authenticate,
+  authorize(['admin', 'advertiser']),
+  validate(adValidation.createOrganization),
+  adsController.createOrganization
+);
+
+router.get(
+  '/organizations',
+  authenticate,
+  authorize(['admin', 'advertiser']),
+  adsController.getOrganizations
+);
+
+/**
+ * @swagger
+ * /api/v1/ads/organizations/invitations/accept:
+ *   post:
+ *     summary: Accept a team invitation
+ *     description: Open to any signed-in user whose email the invitation was sent to. Accepting grants the advertiser role.
+ *     tags: [Ads]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *                 description: Token from the invitation email
+ *     responses:
+ *       200:
+ *         description: Invitation accepted
+ *       400:
+ *         description: Invitation is invalid or has expired
+ *       403:
+ *         description: Invitation was sent to a different email address
+ */
+router.post(
+  '/organizations/invitations/accept',
+  authenticate,
+  validate(adValidation.acceptOrganizationInvitation),
+  adsController.acceptOrganizationInvitation
+);
+
+/**
+ * @swagger
+ * /api/v1/ads/organizations/{id}/clients:
+ *   post:
+ *     summary: Move a client into an organization
+ *     description: Requires the team permission in the organization and the manage permission on the client.
+ *     tags: [Ads]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Organization ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - clientId
+ *             properties:
+ *               clientId:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Client added
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Organization or client not found
+ *       409:
+ *         description: Client already belongs to another organization
+ */
+router.post(
+  '/organizations/:id/clients',
+  authenticate,
+  authorize(['admin', 'advertiser']),
+  validate(adValidation.addOrganizationClient),
+  adsController.addOrganizationClient
+);
+
+/**
+ * @swagger
+ * /api/v1/ads/organizations/{id}/invitations:
+ *   post:
+ *     summary: Invite a team member by email
+ *     description: |
+ *       Roles: owner (everything), manager (campaigns and creatives), billing (invoices and wallet), viewer (read only).
+ *       Agencies can limit a member to some of their clients, e.g. to invite a client's own staff.
+ *     tags: [Ads]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Organization ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *               - role
+ *             properties:
+ *               email:
+ *                 type: string
+ *               role:
+ *                 type: string
+ *                 enum: [owner, manager, billing, viewer]
+ *               clientIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Clients the member covers; empty for all of the organization's clients
+ *     responses:
+ *       201:
+ *         description: Invitation sent
+ *       400:
+ *         description: Member limit reached or clients outside the organization
+ *       403:
+ *         description: Forbidden
+ *       409:
+ *         description: Already a member
+ */
+router.post(
+  '/organizations/:id/invitations',
+  authenticate,
+  authorize(['admin', 'advertiser']),
+  validate(adValidation.inviteOrganizationMember),
+  adsController.inviteOrganizationMember
+);
+
+/**
+ * @swagger
+ * /api/v1/ads/organizations/{id}/members/{userId}:
+ *   patch:
+ *     summary: Change a team member's role or clients
+ *     tags: [Ads]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Organization ID
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [owner, manager, billing, viewer]
+ *               clientIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Member updated
+ *       400:
+ *         description: Would leave the organization without an owner
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Member not found
+ *   delete:
+ *     summary: Remove a team member, or leave an organization
+ *     tags: [Ads]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Organization ID
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Member removed
+ *       400:
+ *         description: Would leave the organization without an owner
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Member not found
+ */
+router.patch(
+  '/organizations/:id/members/:userId',
+  authenticate,
+  authorize(['admin', 'advertiser']),
+  validate(adValidation.updateOrganizationMember),
+  adsController.updateOrganizationMember
+);
+
+router.delete(
+  '/organizations/:id/members/:userId',
+  authenticate,
+  authorize(['admin', 'advertiser']),
+  validate(adValidation.removeOrganizationMember),
+  adsController.removeOrganizationMember
+);
+
+/**
+ * @swagger
+ * /api/v1/ads/clients:
+ *   get:
+ *     summary: Get all advertising clients
+ *     description: Advertisers see the clients their organizations' team roles cover.
+ *     tags: [Ads]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [active, inactive]
+ *     responses:
+ *       200:
+ *         description: List of clients
+ *       401:
+ *         description: Unauthorized
+ */
+router.get(
+  '/clients',
+  authenticate,
+  authorize(['admin', 'advertiser']),
+  adsController.getClients
+);
+
+/**
+ * @swagger
+ * /api/v1/ads/clients/{id}:
+ *   get:
+ *     summary: Get client by ID
+ *     tags: [Ads]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Client ID
+ *     responses:
+ *       200:
+ *         description: Client details
+ *       404:
+ *         description: Client not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.get(
+  '/clients/:id',
+  authenticate,
+  authorize(['admin', 'advertiser']),
+  validate(adValidation.getClient),
+  adsController.getClient
+);
+
+/**
+ * @swagger
+ * /api/v1/ads/clients/{id}/invoices:
+ *   get:
+ *     summary: Get client invoices
+ *     tags: [Ads]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Client ID
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [issued, paid, overdue]
+ *     responses:
+ *       200:
+ *         description: List of invoices, newest period first
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Client not found
+ *   post:
+ *     summary: Close a client's spend for a billing period and issue the invoice
+ *     tags: [Ads]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Client ID
+ *     requestBody:
  *       content:
  *         application/json:
  *           schema:
  *             type: object
- *             required:
- *               - adId
- *               - campaignId
  *             properties:
- *               adId:
- *                 type: string
- *               campaignId:
- *                 type: string
- *               userId:
- *                 type: string
- *               pageUrl:
+ *               periodStart:
  *                 type: string
- *               position:
+ *                 format: date-time
+ *                 description: Defaults to the start of last month
+ *               periodEnd:
  *                 type: string
- *               device:
- *                 type: object
- *               viewability:
- *                 type: number
- *                 minimum: 0
- *                 maximum: 100
+ *                 format: date-time
+ *                 description: Exclusive; defaults to the start of this month
  *     responses:
- *       200:
- *         description: Impression recorded
+ *       201:
+ *         description: Invoice issued, or the existing invoice for the period
  *       400:
- *         description: Invalid data
+ *         description: Period has not ended or client has no spend
  *       404:
- *         description: Ad not found
+ *         description: Client not found
  */
+router.get(
+  '/clients/:id/invoices',
+  authenticate,
+  authorize(['admin', 'advertiser']),
+  validate(adValidation.getInvoices),
+  adsController.getInvoices
+);
+
 router.post(
-  '/impression',
-  validate(adValidation.recordImpression),
-  adsController.recordImpression
+  '/clients/:id/invoices',
+  authenticate,
+  authorize(['admin']),
+  validate(adValidation.closeInvoicePeriod),
+  adsController.closeInvoicePeriod
 );
 
 /**
  * @swagger
- * /api/v1/ads/click:
- *   post:
- *     summary: Record ad click
+ * /api/v1/ads/invoices/{id}:
+ *   get:
+ *     summary: Get invoice by ID
  *     tags: [Ads]
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required:
- *               - adId
- *               - campaignId
- *             properties:
- *               adId:
- *                 type: string
- *               campaignId:
- *                 type: string
- *               userId:
- *                 type: string
- *               pageUrl:
- *                 type: string
- *               position:
- *                 type: string
- *               device:
- *                 type: object
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Invoice ID
  *     responses:
  *       200:
- *         description: Click recorded
- *       400:
- *         description: Invalid data
+ *         description: Invoice with campaign lines, VAT and payments
+ *       403:
+ *         description: Forbidden
  *       404:
- *         description: Ad not found
+ *         description: Invoice not found
  */
-router.post(
-  '/click',
-  validate(adValidation.recordClick),
-  adsController.recordClick
+router.get(
+  '/invoices/:id',
+  authenticate,
+  authorize(['admin', 'advertiser']),
+  validate(adValidation.getInvoice),
+  adsController.getInvoice
 );
 
 /**
  * @swagger
- * /api/v1/ads/conversion:
+ * /api/v1/ads/invoices/{id}/payments:
  *   post:
- *     summary: Record ad conversion
+ *     summary: Record a payment against an invoice
  *     tags: [Ads]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Invoice ID
  *     requestBody:
  *       required: true
  *       content:
@@ -698,102 +2661,84 @@ router.post(
  *           schema:
  *             type: object
  *             required:
- *               - adId
- *               - campaignId
- *               - conversionType
+ *               - amount
+ *               - method
  *             properties:
- *               adId:
- *                 type: string
- *               campaignId:
+ *               amount:
+ *                 type: number
+ *                 description: In the invoice currency
+ *               method:
  *                 type: string
- *               userId:
+ *                 enum: [chapa, telebirr, cbe, bank_transfer, cash, other]
+ *               reference:
  *                 type: string
- *               conversionType:
+ *               paidAt:
  *                 type: string
- *                 enum: [signup, purchase, download, lead, other]
- *               value:
- *                 type: number
- *               metadata:
- *                 type: object
+ *                 format: date-time
  *     responses:
  *       200:
- *         description: Conversion recorded
+ *         description: Payment recorded; a fully paid invoice reinstates a client suspended for non-payment
  *       400:
- *         description: Invalid data
- *       401:
- *         description: Unauthorized
+ *         description: Invoice already paid or payment exceeds the balance
+ *       404:
+ *         description: Invoice not found
  */
 router.post(
-  '/conversion',
+  '/invoices/:id/payments',
   authenticate,
-  validate(adValidation.recordConversion),
-  adsController.recordConversion
+  authorize(['admin']),
+  validate(adValidation.recordInvoicePayment),
+  adsController.recordInvoicePayment
 );
 
 /**
  * @swagger
- * /api/v1/ads/report:
+ * /api/v1/ads/wallets:
  *   get:
- *     summary: Generate ad performance report
+ *     summary: Get all prepaid advertiser wallets, lowest balance first
  *     tags: [Ads]
  *     security:
  *       - bearerAuth: []
  *     parameters:
  *       - in: query
- *         name: startDate
- *         required: true
- *         schema:
- *           type: string
- *           format: date
- *         description: Report start date
- *       - in: query
- *         name: endDate
- *         required: true
- *         schema:
- *           type: string
- *           format: date
- *         description: Report end date
- *       - in: query
- *         name: campaignId
- *         schema:
- *           type: string
- *         description: Filter by campaign
- *       - in: query
- *         name: clientId
+ *         name: page
  *         schema:
- *           type: string
- *         description: Filter by client
+ *           type: integer
+ *           default: 1
  *       - in: query
- *         name: format
+ *         name: limit
  *         schema:
- *           type: string
- *           enum: [json, csv, pdf]
- *           default: "json"
- *         description: Report format
+ *           type: integer
+ *           default: 10
  *     responses:
  *       200:
- *         description: Performance report
- *       400:
- *         description: Invalid date range
+ *         description: List of wallets with their clients
  *       401:
  *         description: Unauthorized
  */
 router.get(
-  '/report',
+  '/wallets',
   authenticate,
-  authorize(['admin', 'advertiser', 'analyst']),
-  adsController.generateReport
+  authorize(['admin']),
+  validate(adValidation.getWallets),
+  adsController.getWallets
 );
 
 /**
  * @swagger
- * /api/v1/ads/clients:
+ * /api/v1/ads/clients/{id}/wallet:
  *   get:
- *     summary: Get all advertising clients
+ *     summary: Get client wallet balance and transaction history
  *     tags: [Ads]
  *     security:
  *       - bearerAuth: []
  *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Client ID
  *       - in: query
  *         name: page
  *         schema:
@@ -803,34 +2748,28 @@ router.get(
  *         name: limit
  *         schema:
  *           type: integer
- *           default: 10
- *       - in: query
- *         name: search
- *         schema:
- *           type: string
- *       - in: query
- *         name: status
- *         schema:
- *           type: string
- *           enum: [active, inactive]
+ *           default: 20
  *     responses:
  *       200:
- *         description: List of clients
- *       401:
- *         description: Unauthorized
+ *         description: Wallet, funds available for new budgets, pending top-ups and ledger entries
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Client not found
  */
 router.get(
-  '/clients',
+  '/clients/:id/wallet',
   authenticate,
   authorize(['admin', 'advertiser']),
-  adsController.getClients
+  validate(adValidation.getWallet),
+  adsController.getWallet
 );
 
 /**
  * @swagger
- * /api/v1/ads/clients/{id}:
- *   get:
- *     summary: Get client by ID
+ * /api/v1/ads/clients/{id}/wallet/topups:
+ *   post:
+ *     summary: Start a wallet top-up through Chapa, Telebirr or CBE Birr
  *     tags: [Ads]
  *     security:
  *       - bearerAuth: []
@@ -841,20 +2780,68 @@ router.get(
  *         schema:
  *           type: string
  *         description: Client ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - amount
+ *               - gateway
+ *             properties:
+ *               amount:
+ *                 type: number
+ *                 description: Amount in ETB
+ *               gateway:
+ *                 type: string
+ *                 enum: [chapa, telebirr, cbe]
+ *     responses:
+ *       201:
+ *         description: Top-up started; redirect the payer to the checkout URL
+ *       400:
+ *         description: Client is not prepaid, invalid amount or gateway unavailable
+ *       502:
+ *         description: Payment gateway error
+ */
+router.post(
+  '/clients/:id/wallet/topups',
+  authenticate,
+  authorize(['admin', 'advertiser']),
+  validate(adValidation.createWalletTopup),
+  adsController.createWalletTopup
+);
+
+/**
+ * @swagger
+ * /api/v1/ads/wallet/callback/{gateway}:
+ *   post:
+ *     summary: Payment gateway callback for wallet top-ups
+ *     description: The payment status is always confirmed with the gateway before the wallet is credited.
+ *     tags: [Ads]
+ *     parameters:
+ *       - in: path
+ *         name: gateway
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [chapa, telebirr, cbe]
  *     responses:
  *       200:
- *         description: Client details
+ *         description: Top-up status after verification
  *       404:
- *         description: Client not found
- *       401:
- *         description: Unauthorized
+ *         description: Top-up not found
  */
 router.get(
-  '/clients/:id',
-  authenticate,
-  authorize(['admin', 'advertiser']),
-  validate(adValidation.getClient),
-  adsController.getClient
+  '/wallet/callback/:gateway',
+  validate(adValidation.walletTopupCallback),
+  adsController.walletTopupCallback
+);
+
+router.post(
+  '/wallet/callback/:gateway',
+  validate(adValidation.walletTopupCallback),
+  adsController.walletTopupCallback
 );
 
 /**
@@ -878,4 +2865,59 @@ router.get(
   adsController.getTargetingOptions
 );
 
+/**
+ * @swagger
+ * /api/v1/ads/targeting/reach:
+ *   post:
+ *     summary: Estimate audience reach for targeting
+ *     tags: [Ads]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - targeting
+ *             properties:
+ *               targeting:
+ *                 type: object
+ *                 properties:
+ *                   demographics:
+ *                     type: object
+ *                   geographic:
+ *                     type: object
+ *                   interests:
+ *                     type: object
+ *                   behavioral:
+ *                     type: object
+ *                   device:
+ *                     type: object
+ *                   exclude:
+ *                     type: object
+ *                   operator:
+ *                     type: string
+ *                     enum: [and, or]
+ *                   groups:
+ *                     type: array
+ *                     items:
+ *                       type: object
+ *     responses:
+ *       200:
+ *         description: Reach estimate
+ *       400:
+ *         description: Invalid targeting
+ *       401:
+ *         description: Unauthorized
+ */
+router.post(
+  '/targeting/reach',
+  authenticate,
+  authorize(['admin', 'advertiser']),
+  validate(adValidation.previewReach),
+  adsController.previewReach
+);
+
 module.exports = router;
@@ -5,6 +5,14 @@ const AdImpression = require('../models/AdImpression');
 const AdClick = require('../models/AdClick');
 const AdConversion = require('../models/AdConversion');
 const AdClient = require('../models/AdClient');
+const AdExperiment = require('../models/AdExperiment');
+const AdInvoice = require('../models/AdInvoice');
+const AdWallet = require('../models/AdWallet');
+const AdWalletTopup = require('../models/AdWalletTopup');
+const AdOptimization = require('../models/AdOptimization');
+const AdReport = require('../models/AdReport');
+const AdOrganization = require('../models/AdOrganization');
+const AdBudgetRevision = require('../models/AdBudgetRevision');
 const User = require('../models/User');
 const Company = require('../models/Company');
 const adsConfig = require('../config/ads.config');
@@ -16,6 +24,29 @@ const { cache } = require('../utils/cache');
 const { sendEmail } = require('../utils/email');
 const { uploadToCloudinary } = require('../utils/upload');
 const { generateReport } = require('../utils/report');
+const targetingService = require('../services/ads/targeting.service');
+const auctionService = require('../services/ads/auction.service');
+const pacingService = require('../services/ads/pacing.service');
+const daypartingService = require('../services/ads/dayparting.service');
+const sponsoredJobService = require('../services/ads/sponsoredJob.service');
+const accountingService = require('../services/ads/accounting.service');
+const invalidTrafficService = require('../services/ads/invalidTraffic.service');
+const trackingService = require('../services/ads/tracking.service');
+const frequencyService = require('../services/ads/frequency.service');
+const experimentService = require('../services/ads/experiment.service');
+const attributionService = require('../services/ads/attribution.service');
+const billingService = require('../services/ads/billing.service');
+const walletService = require('../services/ads/wallet.service');
+const moderationService = require('../services/ads/moderation.service');
+const optimizerService = require('../services/ads/optimizer.service');
+const statisticsService = require('../services/ads/statistics.service');
+const reportService = require('../services/ads/report.service');
+const vastService = require('../services/ads/vast.service');
+const renditionService = require('../services/ads/rendition.service');
+const accountService = require('../services/ads/account.service');
+const privacyService = require('../services/ads/privacy.service');
+const budgetService = require('../services/ads/budget.service');
+const campaignScheduler = require('../jobs/campaignScheduler');
 
 /**
  * Ad Campaign Controller
@@ -32,23 +63,24 @@ class AdsController {
         type,
         clientId,
         budget,
+        dailyBudget,
+        pacing = adsConfig.campaign.pacing.defaultMode,
         currency = 'ETB',
         startDate,
         endDate,
         targeting = {},
+        bidding = {},
+        attribution = {},
+        frequencyCaps = [],
+        dayparting,
         status = 'draft',
         notes,
       } = req.body;
 
       const userId = req.user.id;
 
-      // Check if user has permission to create campaign for this client
-      if (!req.user.roles.includes('admin')) {
-        const client = await AdClient.findById(clientId);
-        if (!client || client.createdBy.toString() !== userId) {
-          throw new ApiError(403, 'You do not have permission to create campaigns for this client');
-        }
-      }
+      // Check if user's team role lets them create campaigns for this client
+      await this.getClientWithAccess(req.user, clientId, 'manage');
 
       // Validate dates
       const start = new Date(startDate);
@@ -68,6 +100,21 @@ class AdsController {
         throw new ApiError(400, `Minimum budget is ${minBudget} ${currency}`);
       }
 
+      if (dailyBudget && dailyBudget > budget) {
+        throw new ApiError(400, 'Daily budget cannot exceed the total budget');
+      }
+
+      // Validate targeting against the taxonomy
+      const targetingValidation = adsConfig.validateTargeting(targeting);
+      if (!targetingValidation.valid) {
+        throw new ApiError(400, `Invalid targeting: ${targetingValidation.errors.join(', ')}`);
+      }
+
+      // Campaigns only start for clients that are not suspended and can fund the budget
+      if (status === 'active' || status === 'pending') {
+        await this.assertClientCanRun(clientId, budget);
+      }
+
       // Create campaign
       const campaign = await AdCampaign.create({
         name,
@@ -78,6 +125,8 @@ class AdsController {
           spent: 0,
           remaining: budget,
           currency,
+          daily: dailyBudget,
+          pacing,
         },
         dates: {
           start: start,
@@ -85,6 +134,10 @@ class AdsController {
           duration: Math.ceil((end - start) / (1000 * 60 * 60 * 24)), // days
         },
         targeting,
+        bidding,
+        attribution,
+        frequencyCaps,
+        dayparting,
         status,
         notes,
         createdBy: userId,
@@ -99,8 +152,8 @@ class AdsController {
         },
       });
 
-      // If status is active, schedule the campaign
-      if (status === 'active') {
+      // If status is active or pending, schedule the campaign
+      if (status === 'active' || status === 'pending') {
         await this.scheduleCampaign(campaign._id);
       }
 
@@ -170,9 +223,9 @@ class AdsController {
       // Apply user restrictions if not admin
       if (!req.user.roles.includes('admin')) {
         if (req.user.roles.includes('advertiser')) {
-          // Advertisers can only see their clients' campaigns
-          const clients = await AdClient.find({ createdBy: req.user.id });
-          query.client = { $in: clients.map(c => c._id) };
+          // Advertisers can only see campaigns of clients their teams cover
+          const clientIds = await accountService.getClientIds(req.user);
+          query.client = { $in: clientIds };
         } else {
           // Others can only see active campaigns
           query.status = 'active';
@@ -234,16 +287,16 @@ class AdsController {
       }
 
       // Check permissions
-      if (!this.hasCampaignAccess(req.user, campaign)) {
+      if (!await this.hasCampaignAccess(req.user, campaign, 'view')) {
         throw new ApiError(403, 'You do not have access to this campaign');
       }
 
       // Get additional data
-      const [impressions, clicks, conversions] = await Promise.all([
-        AdImpression.countDocuments({ campaign: id }),
-        AdClick.countDocuments({ campaign: id }),
-        AdConversion.countDocuments({ campaign: id }),
-      ]);
+      const { impressions, clicks, conversions } = await statisticsService.getTotals(
+        { campaign: id },
+        new Date(0),
+        new Date()
+      );
 
       // Calculate performance metrics
       const performance = {
@@ -289,7 +342,7 @@ class AdsController {
       }
 
       // Check permissions
-      if (!this.hasCampaignAccess(req.user, campaign)) {
+      if (!await this.hasCampaignAccess(req.user, campaign, 'manage')) {
         throw new ApiError(403, 'You do not have permission to update this campaign');
       }
 
@@ -298,6 +351,10 @@ class AdsController {
         if (!this.isValidStatusTransition(campaign.status, updates.status)) {
           throw new ApiError(400, `Invalid status transition from ${campaign.status} to ${updates.status}`);
         }
+
+        if (['active', 'pending'].includes(updates.status)) {
+          await this.assertClientCanRun(campaign.client, campaign.budget.remaining, { excludeCampaign: campaign._id });
+        }
       }
 
       // Validate dates if being updated
@@ -318,6 +375,14 @@ class AdsController {
         updates['dates.duration'] = Math.ceil((end - start) / (1000 * 60 * 60 * 24));
       }
 
+      // Validate targeting if being updated
+      if (updates.targeting) {
+        const targetingValidation = adsConfig.validateTargeting(updates.targeting);
+        if (!targetingValidation.valid) {
+          throw new ApiError(400, `Invalid targeting: ${targetingValidation.errors.join(', ')}`);
+        }
+      }
+
       // Update campaign
       Object.keys(updates).forEach(key => {
         if (key === 'startDate' || key === 'endDate') return;
@@ -331,6 +396,9 @@ class AdsController {
         await this.scheduleCampaign(campaign._id);
       } else if (updates.status === 'paused' && campaign.status === 'active') {
         await this.pauseCampaign(campaign._id);
+      } else if (updates.startDate || updates.endDate) {
+        // Reschedule lifecycle transitions for the new dates
+        await campaignScheduler.scheduleCampaign(campaign);
       }
 
       // Clear cache
@@ -373,6 +441,7 @@ class AdsController {
         AdImpression.deleteMany({ campaign: id }),
         AdClick.deleteMany({ campaign: id }),
         AdConversion.deleteMany({ campaign: id }),
+        statisticsService.removeCampaign(id),
       ]);
 
       // Delete campaign
@@ -405,7 +474,7 @@ class AdsController {
       }
 
       // Check permissions
-      if (!this.hasCampaignAccess(req.user, campaign)) {
+      if (!await this.hasCampaignAccess(req.user, campaign, 'manage')) {
         throw new ApiError(403, 'You do not have permission to update this campaign');
       }
 
@@ -414,6 +483,10 @@ class AdsController {
         throw new ApiError(400, `Invalid status transition from ${campaign.status} to ${status}`);
       }
 
+      if (['active', 'pending'].includes(status)) {
+        await this.assertClientCanRun(campaign.client, campaign.budget.remaining, { excludeCampaign: campaign._id });
+      }
+
       // Update status
       campaign.status = status;
       await campaign.save();
@@ -421,6 +494,7 @@ class AdsController {
       // Handle status-specific actions
       switch (status) {
         case 'active':
+        case 'pending':
           await this.scheduleCampaign(campaign._id);
           break;
         case 'paused':
@@ -449,7 +523,7 @@ class AdsController {
   async updateCampaignBudget(req, res, next) {
     try {
       const { id } = req.params;
-      const { budget } = req.body;
+      const { budget, dailyBudget, pacing, reason } = req.body;
 
       const campaign = await AdCampaign.findById(id);
       
@@ -458,23 +532,77 @@ class AdsController {
       }
 
       // Check permissions
-      if (!this.hasCampaignAccess(req.user, campaign)) {
+      if (!await this.hasCampaignAccess(req.user, campaign, 'manage')) {
         throw new ApiError(403, 'You do not have permission to update this campaign');
       }
 
-      // Validate budget
-      if (budget <= campaign.budget.spent) {
-        throw new ApiError(400, `Budget must be greater than spent amount (${campaign.budget.spent})`);
-      }
+      const changes = Object.fromEntries(
+        Object.entries({ total: budget, daily: dailyBudget, pacing }).filter(([, value]) => value !== undefined)
+      );
 
-      // Update budget
-      campaign.budget.total = budget;
-      campaign.budget.remaining = budget - campaign.budget.spent;
-      await campaign.save();
+      // Large increases may wait for approval by someone with billing rights
+      const revision = await budgetService.requestChange(campaign, changes, req.user, reason);
+
+      if (revision.status === 'pending') {
+        return res.status(202).json(
+          new ApiResponse(202, 'Budget change submitted for approval', { revision })
+        );
+      }
 
       res.status(200).json(
         new ApiResponse(200, 'Campaign budget updated successfully', {
           budget: campaign.budget,
+          revision,
+        })
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get budget revisions
+   */
+  async getBudgetRevisions(req, res, next) {
+    try {
+      const { campaignId, clientId, status, page = 1, limit = 20 } = req.query;
+
+      const clientIds = await accountService.getClientIds(req.user, 'view');
+      const { revisions, total } = await budgetService.getRevisions(
+        { campaignId, clientId, clientIds, status },
+        { page: parseInt(page), limit: parseInt(limit) }
+      );
+
+      const pagination = {
+        total,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        pages: Math.ceil(total / limit),
+      };
+
+      res.status(200).json(
+        new ApiResponse(200, 'Budget revisions retrieved successfully', {
+          revisions,
+          pagination,
+        })
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Approve a pending budget change
+   */
+  async approveBudgetRevision(req, res, next) {
+    try {
+      const revision = await this.getBudgetRevisionForReview(req.user, req.params.id);
+      const { campaign } = await budgetService.approve(revision, req.user, req.body.note);
+
+      res.status(200).json(
+        new ApiResponse(200, 'Budget change approved', {
+          revision,
+          budget: campaign.budget,
         })
       );
     } catch (error) {
@@ -482,6 +610,22 @@ class AdsController {
     }
   }
 
+  /**
+   * Reject a pending budget change
+   */
+  async rejectBudgetRevision(req, res, next) {
+    try {
+      const revision = await this.getBudgetRevisionForReview(req.user, req.params.id);
+      await budgetService.reject(revision, req.user, req.body.note);
+
+      res.status(200).json(
+        new ApiResponse(200, 'Budget change rejected', { revision })
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+
   /**
    * Get campaign statistics
    */
@@ -497,7 +641,7 @@ class AdsController {
       }
 
       // Check permissions
-      if (!this.hasCampaignAccess(req.user, campaign)) {
+      if (!await this.hasCampaignAccess(req.user, campaign, 'view')) {
         throw new ApiError(403, 'You do not have access to this campaign');
       }
 
@@ -514,6 +658,7 @@ class AdsController {
           period: { start, end },
           interval,
           statistics,
+          pacing: pacingService.getPacingHealth(campaign),
         })
       );
     } catch (error) {
@@ -537,7 +682,7 @@ class AdsController {
       }
 
       // Check permissions
-      if (!this.hasCampaignAccess(req.user, campaign)) {
+      if (!await this.hasCampaignAccess(req.user, campaign, 'view')) {
         throw new ApiError(403, 'You do not have access to this campaign');
       }
 
@@ -556,81 +701,31 @@ class AdsController {
   }
 
   /**
-   * Upload ad creative
+   * Create creative experiment
    */
-  async uploadCreative(req, res, next) {
+  async createExperiment(req, res, next) {
     try {
-      const {
-        campaignId,
-        title,
-        description,
-        altText,
-        callToAction,
-        destinationUrl,
-        isPrimary = false,
-      } = req.body;
-
-      const file = req.file;
+      const { id } = req.params;
 
-      if (!file) {
-        throw new ApiError(400, 'No file uploaded');
-      }
+      const campaign = await AdCampaign.findById(id);
 
-      const campaign = await AdCampaign.findById(campaignId);
-      
       if (!campaign) {
         throw new ApiError(404, 'Campaign not found');
       }
 
       // Check permissions
-      if (!this.hasCampaignAccess(req.user, campaign)) {
-        throw new ApiError(403, 'You do not have permission to upload creatives for this campaign');
-      }
-
-      // Validate file
-      const validation = adsConfig.validateCreative(campaign.type, {
-        dimensions: { width: file.width, height: file.height },
-        format: file.mimetype.split('/')[1],
-        size: file.size,
-      });
-
-      if (!validation.valid) {
-        throw new ApiError(400, `Invalid creative: ${validation.errors.join(', ')}`);
+      if (!await this.hasCampaignAccess(req.user, campaign, 'manage')) {
+        throw new ApiError(403, 'You do not have permission to run experiments for this campaign');
       }
 
-      // Upload to Cloudinary
-      const uploadResult = await uploadToCloudinary(file, 'ad_creatives');
-
-      // Create creative
-      const creative = await AdCreative.create({
-        campaign: campaignId,
-        title,
-        description,
-        altText,
-        callToAction,
-        destinationUrl,
-        file: {
-          url: uploadResult.secure_url,
-          publicId: uploadResult.public_id,
-          format: uploadResult.format,
-          width: uploadResult.width,
-          height: uploadResult.height,
-          size: uploadResult.bytes,
-        },
-        isPrimary,
-        status: 'active',
-        createdBy: req.user.id,
-      });
+      const experiment = await experimentService.create(campaign, req.body, req.user.id);
 
-      // Update campaign with creative
-      campaign.creatives.push(creative._id);
-      if (isPrimary) {
-        campaign.primaryCreative = creative._id;
-      }
-      await campaign.save();
+      // Clear cache
+      await cache.del(`campaign_${id}`);
+      await cache.del('active_ads');
 
-      res.status(200).json(
-        new ApiResponse(200, 'Creative uploaded successfully', { creative })
+      res.status(201).json(
+        new ApiResponse(201, 'Experiment created successfully', { experiment })
       );
     } catch (error) {
       next(error);
@@ -638,42 +733,27 @@ class AdsController {
   }
 
   /**
-   * Delete ad creative
+   * Get campaign experiments with results
    */
-  async deleteCreative(req, res, next) {
+  async getExperiments(req, res, next) {
     try {
       const { id } = req.params;
 
-      const creative = await AdCreative.findById(id).populate('campaign');
-      
-      if (!creative) {
-        throw new ApiError(404, 'Creative not found');
-      }
+      const campaign = await AdCampaign.findById(id).lean();
 
-      // Check permissions
-      if (!this.hasCampaignAccess(req.user, creative.campaign)) {
-        throw new ApiError(403, 'You do not have permission to delete this creative');
+      if (!campaign) {
+        throw new ApiError(404, 'Campaign not found');
       }
 
-      // Check if it's the primary creative
-      if (creative.isPrimary) {
-        throw new ApiError(400, 'Cannot delete primary creative. Set another creative as primary first.');
+      // Check permissions
+      if (!await this.hasCampaignAccess(req.user, campaign, 'view')) {
+        throw new ApiError(403, 'You do not have access to this campaign');
       }
 
-      // Delete from Cloudinary
-      await uploadToCloudinary.delete(creative.file.publicId);
-
-      // Delete from database
-      await creative.remove();
-
-      // Remove from campaign
-      await AdCampaign.findByIdAndUpdate(
-        creative.campaign._id,
-        { $pull: { creatives: creative._id } }
-      );
+      const experiments = await experimentService.getCampaignResults(id);
 
       res.status(200).json(
-        new ApiResponse(200, 'Creative deleted successfully')
+        new ApiResponse(200, 'Experiments retrieved successfully', { experiments })
       );
     } catch (error) {
       next(error);
@@ -681,168 +761,52 @@ class AdsController {
   }
 
   /**
-   * Get active ads for display
+   * Start or stop an experiment
    */
-  async getActiveAds(req, res, next) {
+  async updateExperimentStatus(req, res, next) {
     try {
-      const {
-        position,
-        type,
-        limit = 1,
-        userId,
-        category,
-      } = req.query;
-
-      // Try cache first
-      const cacheKey = `active_ads_${position}_${type}_${limit}_${userId}_${category}`;
-      const cached = await cache.get(cacheKey);
-      
-      if (cached) {
-        return res.status(200).json(
-          new ApiResponse(200, 'Active ads retrieved from cache', cached)
-        );
-      }
-
-      // Build query for active campaigns
-      const now = new Date();
-      const campaignQuery = {
-        status: 'active',
-        'dates.start': { $lte: now },
-        'dates.end': { $gte: now },
-        'budget.remaining': { $gt: 0 },
-      };
-
-      // Add filters
-      if (type) {
-        campaignQuery.type = type;
-      }
-
-      // Get eligible campaigns
-      const campaigns = await AdCampaign.find(campaignQuery)
-        .populate('creatives')
-        .populate('client')
-        .lean();
-
-      if (campaigns.length === 0) {
-        throw new ApiError(404, 'No active campaigns found');
-      }
-
-      // Filter campaigns by targeting
-      const targetedCampaigns = campaigns.filter(campaign => 
-        this.matchesTargeting(campaign.targeting, { userId, category })
-      );
+      const { experiment, campaign } = await this.getExperimentWithAccess(req, 'manage');
+      const { status } = req.body;
 
-      if (targetedCampaigns.length === 0) {
-        throw new ApiError(404, 'No targeted campaigns found');
+      if (status === 'running') {
+        await experimentService.start(experiment);
+      } else {
+        await experimentService.stop(experiment);
       }
 
-      // Select ads using rotation algorithm
-      const selectedAds = this.selectAdsForDisplay(targetedCampaigns, parseInt(limit), position);
-
-      // Format response
-      const ads = selectedAds.map(ad => ({
-        id: ad.creative._id,
-        campaignId: ad.campaign._id,
-        type: ad.campaign.type,
-        title: ad.creative.title,
-        description: ad.creative.description,
-        imageUrl: ad.creative.file.url,
-        altText: ad.creative.altText,
-        callToAction: ad.creative.callToAction,
-        destinationUrl: ad.creative.destinationUrl,
-        tracking: {
-          impressionUrl: `${process.env.SERVER_URL}/api/v1/ads/impression`,
-          clickUrl: `${process.env.SERVER_URL}/api/v1/ads/click`,
-          adId: ad.creative._id,
-          campaignId: ad.campaign._id,
-        },
-      }));
-
-      // Cache the result
-      await cache.set(cacheKey, { ads }, 300); // 5 minutes cache
+      await cache.del('active_ads');
 
       res.status(200).json(
-        new ApiResponse(200, 'Active ads retrieved successfully', { ads })
+        new ApiResponse(200, `Experiment ${status === 'running' ? 'started' : 'stopped'} successfully`, {
+          experiment,
+          campaign: campaign._id,
+        })
       );
     } catch (error) {
-      // If no ads found, return empty array instead of error
-      if (error.statusCode === 404) {
-        return res.status(200).json(
-          new ApiResponse(200, 'No active ads found', { ads: [] })
-        );
-      }
       next(error);
     }
   }
 
   /**
-   * Record ad impression
+   * Promote an experiment variant to primary creative
    */
-  async recordImpression(req, res, next) {
+  async promoteExperimentWinner(req, res, next) {
     try {
-      const {
-        adId,
-        campaignId,
-        userId,
-        pageUrl,
-        position,
-        device = {},
-        viewability = 100,
-      } = req.body;
-
-      // Validate ad and campaign
-      const [creative, campaign] = await Promise.all([
-        AdCreative.findById(adId),
-        AdCampaign.findById(campaignId),
-      ]);
-
-      if (!creative || !campaign) {
-        throw new ApiError(404, 'Ad or campaign not found');
-      }
+      const { experiment } = await this.getExperimentWithAccess(req, 'manage');
 
-      // Check if campaign is active
-      if (campaign.status !== 'active') {
-        throw new ApiError(400, 'Campaign is not active');
-      }
+      // Default to the statistically significant winner
+      const creativeId = req.body.creativeId || experimentService.analyze(experiment).winner;
 
-      // Check budget
-      if (campaign.budget.remaining <= 0) {
-        throw new ApiError(400, 'Campaign budget exhausted');
+      if (!creativeId) {
+        throw new ApiError(400, 'No significant winner yet; choose a creative to promote');
       }
 
-      // Record impression
-      const impression = await AdImpression.create({
-        creative: adId,
-        campaign: campaignId,
-        user: userId,
-        pageUrl,
-        position,
-        device,
-        viewability,
-        ipAddress: req.ip,
-        userAgent: req.get('User-Agent'),
-        timestamp: new Date(),
-      });
-
-      // Update campaign metrics
-      await this.updateCampaignMetrics(campaignId, 'impression');
-
-      // Check viewability for billing
-      if (viewability >= 50) { // Only bill for viewable impressions
-        const cost = this.calculateImpressionCost(campaign);
-        
-        // Update campaign budget
-        campaign.budget.spent += cost;
-        campaign.budget.remaining -= cost;
-        await campaign.save();
-      }
+      await experimentService.promote(experiment, creativeId);
 
-      // Update creative stats
-      creative.impressions += 1;
-      await creative.save();
+      await cache.del('active_ads');
 
       res.status(200).json(
-        new ApiResponse(200, 'Impression recorded successfully')
+        new ApiResponse(200, 'Experiment winner promoted successfully', { experiment })
       );
     } catch (error) {
       next(error);
@@ -850,69 +814,91 @@ class AdsController {
   }
 
   /**
-   * Record ad click
+   * Get campaign optimization settings and change log
    */
-  async recordClick(req, res, next) {
+  async getCampaignOptimizations(req, res, next) {
     try {
-      const {
-        adId,
-        campaignId,
-        userId,
-        pageUrl,
-        position,
-        device = {},
-      } = req.body;
+      const { id } = req.params;
+      const { status, page = 1, limit = 20 } = req.query;
 
-      // Validate ad and campaign
-      const [creative, campaign] = await Promise.all([
-        AdCreative.findById(adId),
-        AdCampaign.findById(campaignId),
-      ]);
+      const campaign = await AdCampaign.findById(id).select('optimization client').lean();
 
-      if (!creative || !campaign) {
-        throw new ApiError(404, 'Ad or campaign not found');
+      if (!campaign) {
+        throw new ApiError(404, 'Campaign not found');
       }
 
-      // Check if campaign is active
-      if (campaign.status !== 'active') {
-        throw new ApiError(400, 'Campaign is not active');
+      // Check permissions
+      if (!await this.hasCampaignAccess(req.user, campaign, 'view')) {
+        throw new ApiError(403, 'You do not have access to this campaign');
       }
 
-      // Check for click fraud prevention
-      const recentClicks = await AdClick.countDocuments({
-        user: userId,
-        creative: adId,
-        timestamp: { $gte: new Date(Date.now() - 3600000) }, // Last hour
-      });
+      const { changes, total } = await optimizerService.getChanges(id, { status, page, limit });
+
+      const pagination = {
+        total,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        pages: Math.ceil(total / limit),
+      };
+
+      res.status(200).json(
+        new ApiResponse(200, 'Campaign optimizations retrieved successfully', {
+          optimization: {
+            mode: optimizerService.getMode(campaign),
+            actions: campaign.optimization?.actions?.length
+              ? campaign.optimization.actions
+              : adsConfig.campaign.optimization.actions,
+          },
+          changes,
+          pagination,
+        })
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Update campaign optimization mode and allowed actions
+   */
+  async updateCampaignOptimization(req, res, next) {
+    try {
+      const { id } = req.params;
+      const { mode, actions } = req.body;
+
+      const campaign = await AdCampaign.findById(id);
+
+      if (!campaign) {
+        throw new ApiError(404, 'Campaign not found');
+      }
 
-      if (recentClicks > 5) {
-        // Too many clicks from same user, possible fraud
-        console.warn(`Possible click fraud detected for user ${userId} on ad ${adId}`);
+      // Check permissions
+      if (!await this.hasCampaignAccess(req.user, campaign, 'manage')) {
+        throw new ApiError(403, 'You do not have permission to update this campaign');
       }
 
-      // Record click
-      const click = await AdClick.create({
-        creative: adId,
-        campaign: campaignId,
-        user: userId,
-        pageUrl,
-        position,
-        device,
-        ipAddress: req.ip,
-        userAgent: req.get('User-Agent'),
-        timestamp: new Date(),
-      });
+      if (mode) {
+        campaign.optimization.mode = mode;
+      }
+
+      if (actions) {
+        campaign.optimization.actions = actions;
+      }
 
-      // Update campaign metrics
-      await this.updateCampaignMetrics(campaignId, 'click');
+      await campaign.save();
 
-      // Update creative stats
-      creative.clicks += 1;
-      creative.ctr = creative.impressions > 0 ? (creative.clicks / creative.impressions) * 100 : 0;
-      await creative.save();
+      // Pending proposals no longer apply once the optimizer is switched off
+      if (mode === 'off') {
+        await AdOptimization.updateMany(
+          { campaign: campaign._id, status: 'proposed' },
+          { $set: { status: 'expired' } }
+        );
+      }
 
       res.status(200).json(
-        new ApiResponse(200, 'Click recorded successfully')
+        new ApiResponse(200, 'Campaign optimization updated successfully', {
+          optimization: campaign.optimization,
+        })
       );
     } catch (error) {
       next(error);
@@ -920,55 +906,1364 @@ class AdsController {
   }
 
   /**
-   * Record ad conversion
+   * Apply a proposed optimization
    */
-  async recordConversion(req, res, next) {
+  async applyOptimization(req, res, next) {
+    try {
+      const entry = await this.getOptimizationWithAccess(req, 'manage');
+
+      await optimizerService.apply(entry, req.user);
+
+      res.status(200).json(
+        new ApiResponse(200, 'Optimization applied successfully', { change: entry })
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Dismiss a proposed optimization
+   */
+  async dismissOptimization(req, res, next) {
+    try {
+      const entry = await this.getOptimizationWithAccess(req, 'manage');
+
+      await optimizerService.dismiss(entry, req.user);
+
+      res.status(200).json(
+        new ApiResponse(200, 'Optimization dismissed successfully', { change: entry })
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Roll back an applied optimization
+   */
+  async rollbackOptimization(req, res, next) {
+    try {
+      const entry = await this.getOptimizationWithAccess(req, 'manage');
+
+      await optimizerService.rollback(entry, req.user);
+
+      res.status(200).json(
+        new ApiResponse(200, 'Optimization rolled back successfully', { change: entry })
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Upload ad creative
+   */
+  async uploadCreative(req, res, next) {
     try {
       const {
-        adId,
         campaignId,
-        userId,
-        conversionType,
-        value = 0,
-        metadata = {},
+        title,
+        description,
+        altText,
+        callToAction,
+        sponsorName,
+        duration,
+        destinationUrl,
+        isPrimary = false,
       } = req.body;
 
-      // Validate ad and campaign
-      const [creative, campaign] = await Promise.all([
-        AdCreative.findById(adId),
-        AdCampaign.findById(campaignId),
-      ]);
+      const file = req.file;
+
+      if (!file) {
+        throw new ApiError(400, 'No file uploaded');
+      }
+
+      const campaign = await AdCampaign.findById(campaignId);
+      
+      if (!campaign) {
+        throw new ApiError(404, 'Campaign not found');
+      }
+
+      // Check permissions
+      if (!await this.hasCampaignAccess(req.user, campaign, 'manage')) {
+        throw new ApiError(403, 'You do not have permission to upload creatives for this campaign');
+      }
+
+      if (campaign.type === 'sponsored_job') {
+        throw new ApiError(400, 'Sponsored job campaigns use the promoted job as their creative');
+      }
+
+      // VAST responses declare the video's length, so it must be known up front
+      if (campaign.type === 'video' && !duration) {
+        throw new ApiError(400, 'Video duration is required');
+      }
+
+      const hash = await renditionService.hashFile(file.path);
+
+      if (await AdCreative.exists({ campaign: campaign._id, 'file.hash': hash })) {
+        throw new ApiError(409, 'This file has already been uploaded to the campaign');
+      }
+
+      // Images are checked by their content rather than the declared type
+      let image = file.mimetype.startsWith('image/') ? await renditionService.inspect(file.path) : null;
+      if (image) {
+        image = await renditionService.fitGif(file, image, campaign.type);
+      }
+
+      // Validate file
+      const validation = adsConfig.validateCreative(campaign.type, {
+        dimensions: image && { width: image.width, height: image.height },
+        format: image ? image.format : file.mimetype.split('/')[1],
+        size: file.size,
+        duration,
+        animationDuration: image?.animationDuration,
+      });
+
+      if (!validation.valid) {
+        throw new ApiError(400, `Invalid creative: ${validation.errors.join(', ')}`);
+      }
 
-      if (!creative || !campaign) {
-        throw new ApiError(404, 'Ad or campaign not found');
+      // Native ads are rendered from structured assets; the sponsor defaults to the client
+      let nativeSponsor;
+      if (campaign.type === 'native') {
+        const client = await AdClient.findById(campaign.client).select('name company').lean();
+        nativeSponsor = sponsorName || client?.company || client?.name;
+
+        const assetValidation = adsConfig.validateNativeAssets({
+          headline: title,
+          body: description,
+          callToAction,
+          sponsorName: nativeSponsor,
+          logo: {
+            width: image?.width,
+            height: image?.height,
+            format: image?.format,
+            size: file.size,
+          },
+        });
+
+        if (!assetValidation.valid) {
+          throw new ApiError(400, `Invalid native ad: ${assetValidation.errors.join(', ')}`);
+        }
       }
 
-      // Record conversion
-      const conversion = await AdConversion.create({
-        creative: adId,
+      // Renditions are rendered from the local file, which the upload removes
+      const renditions = image ? await renditionService.render(file.path, image, campaign.type, hash) : [];
+
+      // Upload to Cloudinary
+      const uploadResult = await uploadToCloudinary(file, 'ad_creatives');
+
+      // Create creative
+      const creative = await AdCreative.create({
         campaign: campaignId,
-        user: userId,
-        conversionType,
-        value,
-        metadata,
-        ipAddress: req.ip,
-        timestamp: new Date(),
+        title,
+        description,
+        altText,
+        callToAction,
+        sponsorName: nativeSponsor,
+        destinationUrl,
+        file: {
+          url: uploadResult.secure_url,
+          publicId: uploadResult.public_id,
+          format: uploadResult.format,
+          width: uploadResult.width,
+          height: uploadResult.height,
+          size: uploadResult.bytes,
+          duration: campaign.type === 'video' ? uploadResult.duration || duration : undefined,
+          hash,
+        },
+        renditions,
+        isPrimary,
+        status: 'pending',
+        moderation: { status: 'pending' },
+        createdBy: req.user.id,
       });
 
-      // Update campaign metrics
-      await this.updateCampaignMetrics(campaignId, 'conversion', value);
+      // Update campaign with creative; it becomes primary once approved
+      campaign.creatives.push(creative._id);
+      await campaign.save();
 
-      // Update creative stats
-      creative.conversions += 1;
-      await creative.save();
+      await moderationService.submit(creative, campaign, req.user);
 
-      // If this is a purchase conversion, notify campaign owner
-      if (conversionType === 'purchase' && value > 0) {
-        await this.notifyConversion(campaign, conversion);
+      res.status(200).json(
+        new ApiResponse(200, 'Creative uploaded and submitted for review', { creative })
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Delete ad creative
+   */
+  async deleteCreative(req, res, next) {
+    try {
+      const { id } = req.params;
+
+      const creative = await AdCreative.findById(id).populate('campaign');
+      
+      if (!creative) {
+        throw new ApiError(404, 'Creative not found');
+      }
+
+      // Check permissions
+      if (!await this.hasCampaignAccess(req.user, creative.campaign, 'manage')) {
+        throw new ApiError(403, 'You do not have permission to delete this creative');
+      }
+
+      // Check if it's the primary creative
+      if (creative.isPrimary) {
+        throw new ApiError(400, 'Cannot delete primary creative. Set another creative as primary first.');
+      }
+
+      // Delete from Cloudinary
+      await uploadToCloudinary.delete(creative.file.publicId);
+
+      // Renditions are shared by every creative uploaded with the same content
+      const shared = creative.file.hash && await AdCreative.exists({
+        _id: { $ne: creative._id },
+        'file.hash': creative.file.hash,
+      });
+
+      if (!shared) {
+        await Promise.all(creative.renditions.map(rendition => uploadToCloudinary.delete(rendition.publicId)));
+      }
+
+      // Delete from database
+      await creative.remove();
+
+      // Remove from campaign
+      await AdCampaign.findByIdAndUpdate(
+        creative.campaign._id,
+        { $pull: { creatives: creative._id } }
+      );
+
+      res.status(200).json(
+        new ApiResponse(200, 'Creative deleted successfully')
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get creatives awaiting or past moderation review
+   */
+  async getModerationQueue(req, res, next) {
+    try {
+      const { status = 'pending', page = 1, limit = 20 } = req.query;
+
+      const query = { 'moderation.status': status };
+
+      const [creatives, total] = await Promise.all([
+        AdCreative.find(query)
+          .populate({
+            path: 'campaign',
+            select: 'name type client',
+            populate: { path: 'client', select: 'name company' },
+          })
+          .populate('createdBy', 'firstName lastName email')
+          .sort({ createdAt: status === 'pending' ? 1 : -1 })
+          .skip((page - 1) * limit)
+          .limit(limit)
+          .lean(),
+        AdCreative.countDocuments(query),
+      ]);
+
+      const pagination = {
+        total,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        pages: Math.ceil(total / limit),
+      };
+
+      res.status(200).json(
+        new ApiResponse(200, 'Moderation queue retrieved successfully', {
+          creatives,
+          pagination,
+        })
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Approve or reject a pending creative
+   */
+  async reviewCreative(req, res, next) {
+    try {
+      const { id } = req.params;
+
+      const creative = await AdCreative.findById(id);
+
+      if (!creative) {
+        throw new ApiError(404, 'Creative not found');
       }
 
+      const reviewed = await moderationService.review(creative, req.body, req.user);
+
+      res.status(200).json(
+        new ApiResponse(200, `Creative ${reviewed.moderation.status} successfully`, { creative: reviewed })
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get a creative's moderation status and history
+   */
+  async getCreativeModeration(req, res, next) {
+    try {
+      const { id } = req.params;
+
+      const creative = await AdCreative.findById(id)
+        .select('campaign title status moderation')
+        .populate('campaign', 'name client')
+        .populate('moderation.reviewedBy', 'firstName lastName');
+
+      if (!creative) {
+        throw new ApiError(404, 'Creative not found');
+      }
+
+      if (!await this.hasCampaignAccess(req.user, creative.campaign, 'view')) {
+        throw new ApiError(403, 'You do not have permission to view this creative');
+      }
+
+      const history = await moderationService.getHistory(creative._id);
+
+      res.status(200).json(
+        new ApiResponse(200, 'Creative moderation retrieved successfully', {
+          creative,
+          history,
+        })
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get active ads for display
+   */
+  async getActiveAds(req, res, next) {
+    try {
+      const {
+        position,
+        type,
+        limit = 1,
+        userId,
+        category,
+        region,
+        city,
+        deviceType,
+        consent,
+      } = req.query;
+
+      // Image renditions are picked per device, so the device is part of the cache key
+      const device = deviceType || targetingService.detectDevice(req.get('User-Agent')).type;
+
+      // Try cache first
+      const cacheKey = `active_ads_${position}_${type}_${limit}_${userId}_${category}_${region}_${city}_${device}`;
+      const cached = await cache.get(cacheKey);
+      
+      // Tracking tokens are issued per response, never cached
+      const viewerContext = {
+        position,
+        userId,
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent'),
+        consent: privacyService.resolveMode(consent),
+      };
+
+      // Frequency caps are checked against the viewer's history on every request
+      const now = new Date();
+      const viewerKey = trackingService.getViewerKey(viewerContext);
+      const history = await frequencyService.getHistory(viewerKey);
+
+      if (cached) {
+        const servableAds = cached.ads.filter(ad => {
+          const { frequencyCaps, experiment, dayparting } = cached.campaigns?.[ad.campaignId] || {};
+
+          // The cache can outlive the delivery window the ad was selected in
+          if (!daypartingService.isOpen(dayparting, now)) {
+            return false;
+          }
+
+          // Experiment variants are assigned per viewer, so a cached variant may not be theirs
+          if (experiment && experimentService.assignVariant(experiment, viewerKey) !== String(ad.id)) {
+            return false;
+          }
+
+          return !frequencyService.isCapped({ _id: ad.campaignId, frequencyCaps }, ad.id, history, now);
+        });
+
+        // Fall through to a fresh auction when no cached ad can be shown to this viewer,
+        // or a cached campaign is past its pacing limits
+        if (servableAds.length > 0 && await this.isWithinPacing(servableAds)) {
+          return res.status(200).json(
+            new ApiResponse(200, 'Active ads retrieved from cache', {
+              ads: this.signServedAds(servableAds, viewerContext),
+            })
+          );
+        }
+      }
+
+      // Build query for active campaigns
+      const campaignQuery = {
+        status: 'active',
+        'dates.start': { $lte: now },
+        'dates.end': { $gte: now },
+        'budget.remaining': { $gt: 0 },
+      };
+
+      // Add filters; sponsored jobs are only served inside job search results
+      campaignQuery.type = type ? { $eq: type, $ne: 'sponsored_job' } : { $ne: 'sponsored_job' };
+
+      // Get eligible campaigns
+      const campaigns = await AdCampaign.find(campaignQuery)
+        .populate('creatives')
+        .populate('client')
+        .populate('experiment')
+        .lean();
+
+      if (campaigns.length === 0) {
+        throw new ApiError(404, 'No active campaigns found');
+      }
+
+      const uncappedCampaigns = await this.filterServableCampaigns(campaigns, {
+        viewer: {
+          userId,
+          category,
+          region,
+          city,
+          device: { type: deviceType },
+          userAgent: req.get('User-Agent'),
+        },
+        viewerKey,
+        history,
+        now,
+      });
+
+      // Select ads by auction
+      const { auctionId, selectedAds } = await this.selectAdsForDisplay(uncappedCampaigns, parseInt(limit), position);
+
+      // Format response
+      const ads = selectedAds.map(ad => {
+        const image = renditionService.selectImage(ad.creative, { position, deviceType: device });
+
+        return {
+          id: ad.creative._id,
+          campaignId: ad.campaign._id,
+          type: ad.campaign.type,
+          title: ad.creative.title,
+          description: ad.creative.description,
+          imageUrl: image ? image.url : ad.creative.file.url,
+          image: image || undefined,
+          altText: ad.creative.altText,
+          callToAction: ad.creative.callToAction,
+          destinationUrl: ad.creative.destinationUrl,
+          native: ad.campaign.type === 'native' ? this.formatNativeAd(ad.creative, ad.campaign.client) : undefined,
+          tracking: {
+            impressionUrl: `${process.env.SERVER_URL}/api/v1/ads/impression`,
+            clickTrackingUrl: `${process.env.SERVER_URL}/api/v1/ads/click`,
+            adId: ad.creative._id,
+            campaignId: ad.campaign._id,
+            auctionId,
+          },
+        };
+      });
+
+      // Caps, experiments and delivery windows are cached with the ads so cached responses can still be filtered
+      const campaignRules = {};
+      selectedAds.forEach(ad => {
+        const experiment = ad.campaign.experiment?.status === 'running' ? ad.campaign.experiment : null;
+        campaignRules[ad.campaign._id] = {
+          frequencyCaps: frequencyService.getCaps(ad.campaign),
+          experiment: experiment && { _id: experiment._id, variants: experiment.variants },
+          dayparting: daypartingService.getSchedule(ad.campaign),
+        };
+      });
+
+      // Cache the result
+      await cache.set(cacheKey, { ads, campaigns: campaignRules }, 300); // 5 minutes cache
+
+      res.status(200).json(
+        new ApiResponse(200, 'Active ads retrieved successfully', {
+          ads: this.signServedAds(ads, viewerContext),
+        })
+      );
+    } catch (error) {
+      // If no ads found, return empty array instead of error
+      if (error.statusCode === 404) {
+        return res.status(200).json(
+          new ApiResponse(200, 'No active ads found', { ads: [] })
+        );
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * Get sponsored jobs for a page of job search results
+   */
+  async getSponsoredJobs(req, res, next) {
+    try {
+      const {
+        query,
+        category,
+        region,
+        city,
+        deviceType,
+        userId,
+        organicCount = 12,
+        consent,
+      } = req.query;
+
+      // Sponsored density is capped by the number of organic results on the page
+      const pageSlots = sponsoredJobService.getPageSlots(parseInt(organicCount));
+
+      if (pageSlots.length === 0) {
+        throw new ApiError(404, 'No sponsored slots on this page');
+      }
+
+      const viewerContext = {
+        userId,
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent'),
+        consent: privacyService.resolveMode(consent),
+      };
+
+      const now = new Date();
+      const viewerKey = trackingService.getViewerKey(viewerContext);
+      const history = await frequencyService.getHistory(viewerKey);
+
+      const campaigns = await AdCampaign.find({
+        type: 'sponsored_job',
+        status: 'active',
+        'dates.start': { $lte: now },
+        'dates.end': { $gte: now },
+        'budget.remaining': { $gt: 0 },
+      })
+        .populate('creatives')
+        .populate('client')
+        .populate('experiment')
+        .lean();
+
+      const relevantCampaigns = campaigns.filter(campaign => sponsoredJobService.matchesSearch(campaign, query));
+
+      if (relevantCampaigns.length === 0) {
+        throw new ApiError(404, 'No sponsored jobs match the search');
+      }
+
+      let candidates = await this.filterServableCampaigns(relevantCampaigns, {
+        viewer: {
+          userId,
+          category,
+          region,
+          city,
+          device: { type: deviceType },
+          userAgent: req.get('User-Agent'),
+        },
+        viewerKey,
+        history,
+        now,
+      });
+
+      // Fill the top slots first; a job is only sponsored once per page
+      const jobs = [];
+      for (const { position, slots } of pageSlots) {
+        if (candidates.length === 0) break;
+
+        const { auctionId, selectedAds } = await this.selectAdsForDisplay(candidates, slots, position);
+        const results = selectedAds.map(ad => sponsoredJobService.formatResult(ad.auction, position, auctionId));
+
+        jobs.push(...this.signServedAds(results, { ...viewerContext, position }));
+
+        const won = new Set(selectedAds.map(ad => String(ad.campaign._id)));
+        candidates = candidates.filter(campaign => !won.has(String(campaign._id)));
+      }
+
+      res.status(200).json(
+        new ApiResponse(200, 'Sponsored jobs retrieved successfully', { jobs })
+      );
+    } catch (error) {
+      // If no sponsored jobs can be shown, return an empty array instead of an error
+      if (error.statusCode === 404) {
+        return res.status(200).json(
+          new ApiResponse(200, 'No sponsored jobs found', { jobs: [] })
+        );
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * Get job promotion tiers, durations and prices
+   */
+  async getJobPromotionOptions(req, res, next) {
+    try {
+      res.status(200).json(
+        new ApiResponse(200, 'Job promotion options retrieved successfully', {
+          options: sponsoredJobService.getOptions(),
+        })
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Purchase a job promotion
+   */
+  async createJobPromotion(req, res, next) {
+    try {
+      const { clientId, jobId, tier, durationDays, budget, startDate } = req.body;
+
+      const client = await this.getClientWithAccess(req.user, clientId, 'manage');
+
+      const { campaign, creative } = await sponsoredJobService.purchase(client, {
+        jobId,
+        tier,
+        durationDays,
+        budget,
+        startDate,
+      }, req.user);
+
+      res.status(201).json(
+        new ApiResponse(201, 'Job promotion created and submitted for review', { campaign, creative })
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get a video ad as a VAST document
+   */
+  async getVastAd(req, res, next) {
+    try {
+      const {
+        position = 'course_preroll',
+        version: requestedVersion,
+        userId,
+        category,
+        region,
+        city,
+        deviceType,
+        consent,
+      } = req.query;
+
+      const version = vastService.getVersion(requestedVersion);
+
+      const viewerContext = {
+        position,
+        userId,
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent'),
+        consent: privacyService.resolveMode(consent),
+      };
+
+      const now = new Date();
+      const viewerKey = trackingService.getViewerKey(viewerContext);
+      const history = await frequencyService.getHistory(viewerKey);
+
+      const campaigns = await AdCampaign.find({
+        type: 'video',
+        status: 'active',
+        'dates.start': { $lte: now },
+        'dates.end': { $gte: now },
+        'budget.remaining': { $gt: 0 },
+      })
+        .populate('creatives')
+        .populate('client')
+        .populate('experiment')
+        .lean();
+
+      if (campaigns.length === 0) {
+        throw new ApiError(404, 'No active video campaigns found');
+      }
+
+      const servableCampaigns = await this.filterServableCampaigns(campaigns, {
+        viewer: {
+          userId,
+          category,
+          region,
+          city,
+          device: { type: deviceType },
+          userAgent: req.get('User-Agent'),
+        },
+        viewerKey,
+        history,
+        now,
+      });
+
+      const { auctionId, selectedAds } = await this.selectAdsForDisplay(servableCampaigns, 1, position);
+
+      if (selectedAds.length === 0) {
+        throw new ApiError(404, 'No video ad cleared the reserve price');
+      }
+
+      const [{ campaign, creative }] = selectedAds;
+      const [served] = this.signServedAds([{
+        id: creative._id,
+        campaignId: campaign._id,
+        tracking: { auctionId },
+      }], viewerContext);
+
+      const xml = vastService.buildDocument({
+        creative,
+        campaign,
+        client: campaign.client,
+        tracking: served.tracking,
+      }, version);
+
+      res.status(200).type('application/xml').send(xml);
+    } catch (error) {
+      // Players treat an empty VAST document as "no ad" and go straight to the content
+      if (error.statusCode === 404) {
+        const version = vastService.getVersion(req.query.version);
+        return res.status(200).type('application/xml').send(vastService.buildEmptyDocument(version));
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * Record ad impression
+   */
+  async recordImpression(req, res, next) {
+    try {
+      const {
+        token,
+        userId,
+        pageUrl,
+        device = {},
+        viewability = 100,
+        consent,
+      } = req.body;
+
+      // The signed token identifies the served ad and can only be used once
+      const tracked = await this.verifyTrackingToken(token, 'impression', {
+        userId,
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent'),
+      });
+
+      await this.trackImpression(tracked, { userId, pageUrl, device, viewability, consent }, req);
+
+      res.status(200).json(
+        new ApiResponse(200, 'Impression recorded successfully')
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Record ad click
+   */
+  async recordClick(req, res, next) {
+    try {
+      const {
+        token,
+        userId,
+        pageUrl,
+        device = {},
+        clickId,
+        consent,
+      } = req.body;
+
+      const tracked = await this.verifyTrackingToken(token, 'click', {
+        userId,
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent'),
+      });
+
+      await this.trackClick(tracked, { userId, pageUrl, device, clickId, consent }, req);
+
+      res.status(200).json(
+        new ApiResponse(200, 'Click recorded successfully')
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Record ad click from a tracking link and forward to the ad's destination
+   */
+  async redirectClick(req, res, next) {
+    try {
+      const { token } = req.params;
+
+      // Only the signature is required to forward; billing needs a fully valid token
+      const { creative: adId } = trackingService.decode(token);
+      const creative = await AdCreative.findById(adId).select('destinationUrl').lean();
+
+      if (!creative) {
+        throw new ApiError(404, 'Ad not found');
+      }
+
+      try {
+        const tracked = await this.verifyTrackingToken(token, 'click', {
+          ipAddress: req.ip,
+          userAgent: req.get('User-Agent'),
+          trustSignedUser: true,
+        });
+
+        await this.trackClick(tracked, {
+          userId: tracked.userId,
+          pageUrl: req.get('Referer') || 'unknown',
+        }, req);
+      } catch (error) {
+        // Visitors are always forwarded, even when the click is not billable
+        console.warn(`Ad click on ${adId} not recorded: ${error.message}`);
+      }
+
+      res.redirect(302, creative.destinationUrl);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Record a VAST tracking pixel from a video player
+   *
+   * The impression pixel is billed like any impression; playback events are
+   * counted once per served ad. Players ignore pixel responses, so tracking
+   * failures are logged instead of returned.
+   */
+  async trackVideoEvent(req, res, next) {
+    try {
+      const { event, token } = req.params;
+
+      try {
+        // Pixels are requested by the player without the user, so trust the one bound in the token
+        const tracked = await this.verifyTrackingToken(token, event, {
+          ipAddress: req.ip,
+          userAgent: req.get('User-Agent'),
+          trustSignedUser: true,
+        });
+
+        if (event === 'impression') {
+          await this.trackImpression(tracked, {
+            userId: tracked.userId,
+            pageUrl: req.get('Referer') || 'unknown',
+          }, req);
+        } else {
+          await vastService.recordEvent(event, tracked.campaignId, tracked.adId);
+        }
+      } catch (error) {
+        console.warn(`Video ad ${event} not recorded: ${error.message}`);
+      }
+
+      res.status(204).end();
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Record ad conversion
+   */
+  async recordConversion(req, res, next) {
+    try {
+      const {
+        conversionType,
+        value = 0,
+        metadata = {},
+        auctionId,
+        consent,
+      } = req.body;
+
+      // Conversions credit the reporting user's own ad history; only admins report for others
+      if (req.body.userId && req.body.userId !== req.user.id && !req.user.roles.includes('admin')) {
+        throw new ApiError(403, 'You can only report your own conversions');
+      }
+
+      const userId = req.body.userId || req.user.id;
+      const timestamp = new Date();
+
+      // Credit the user's recorded ad history, never ads named by the client
+      const { model, credits: attributed } = await attributionService.attribute({
+        userId,
+        value,
+        convertedAt: timestamp,
+      });
+
+      const campaigns = await AdCampaign.find({
+        _id: { $in: attributed.map(credit => credit.campaign) },
+      });
+      const campaignsById = new Map(campaigns.map(campaign => [String(campaign._id), campaign]));
+      const credits = attributed.filter(credit => campaignsById.has(String(credit.campaign)));
+
+      if (credits.length === 0) {
+        throw new ApiError(404, 'No ad interaction found for this conversion');
+      }
+
+      // Bill CPA campaigns for their share of the action
+      for (const credit of credits) {
+        const campaign = campaignsById.get(String(credit.campaign));
+        const auction = credit.auction || await auctionService.getResult(auctionId, credit.creative);
+        credit.cost = await this.chargeCampaign(
+          campaign,
+          this.calculateConversionCost(campaign, auction) * credit.credit
+        );
+      }
+
+      // The last touchpoint is the conversion's primary campaign and creative
+      const lastTouch = credits[credits.length - 1];
+
+      // Record conversion with what the user consented to store
+      const conversion = await AdConversion.create(privacyService.applyConsent({
+        creative: lastTouch.creative,
+        campaign: lastTouch.campaign,
+        user: userId,
+        conversionType,
+        value,
+        metadata,
+        attribution: {
+          model,
+          credits: credits.map(({ auction, ...credit }) => credit),
+        },
+        ipAddress: req.ip,
+        timestamp,
+      }, privacyService.resolveMode(consent)));
+
+      // Update campaign and creative metrics with each share of the conversion
+      await Promise.all(credits.flatMap(credit => [
+        this.updateCampaignMetrics(credit.campaign, 'conversion', value, credit.credit),
+        accountingService.incrementCreativeMetrics(credit.creative, { conversions: credit.credit }),
+        experimentService.recordEvent(
+          campaignsById.get(String(credit.campaign)),
+          credit.creative,
+          'conversions',
+          credit.credit
+        ),
+      ]));
+
+      // If this is a purchase conversion, notify campaign owners
+      if (conversionType === 'purchase' && value > 0) {
+        await Promise.all(credits.map(credit => this.notifyConversion(
+          campaignsById.get(String(credit.campaign)),
+          conversion
+        )));
+      }
+
+      res.status(200).json(
+        new ApiResponse(200, 'Conversion recorded successfully', {
+          attribution: {
+            model,
+            credits: credits.map(({ campaign, creative, touchpoint, credit, value: creditedValue }) => ({
+              campaign,
+              creative,
+              touchpoint,
+              credit,
+              value: creditedValue,
+            })),
+          },
+        })
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Export a user's ad interaction history
+   */
+  async exportAdData(req, res, next) {
+    try {
+      const userId = this.getDataSubject(req);
+      const history = await privacyService.exportHistory(userId);
+
+      res.status(200).json(
+        new ApiResponse(200, 'Ad data exported successfully', history)
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Erase a user's ad interaction history
+   */
+  async eraseAdData(req, res, next) {
+    try {
+      const userId = this.getDataSubject(req);
+      const erased = await privacyService.eraseHistory(userId);
+
+      res.status(200).json(
+        new ApiResponse(200, 'Ad data erased successfully', { erased })
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Generate performance report
+   */
+  async generateReport(req, res, next) {
+    try {
+      const {
+        startDate,
+        endDate,
+        campaignId,
+        clientId,
+        format = 'json',
+      } = req.query;
+
+      // Validate dates
+      const start = new Date(startDate);
+      const end = new Date(endDate);
+      
+      if (isNaN(start) || isNaN(end)) {
+        throw new ApiError(400, 'Invalid date format');
+      }
+
+      if (start > end) {
+        throw new ApiError(400, 'Start date must be before end date');
+      }
+
+      // Build query
+      const query = {
+        'dates.start': { $gte: start },
+        'dates.end': { $lte: end },
+      };
+
+      if (campaignId) {
+        query._id = campaignId;
+      }
+
+      if (clientId) {
+        query.client = clientId;
+      }
+
+      // Analysts report across all clients; advertisers only on clients their teams cover
+      if (!req.user.roles.includes('admin') && !req.user.roles.includes('analyst')) {
+        const clientIds = await accountService.getClientIds(req.user);
+
+        if (clientId && !clientIds.includes(String(clientId))) {
+          throw new ApiError(403, 'You do not have access to this client');
+        }
+
+        query.client = clientId || { $in: clientIds };
+      }
+
+      // Get campaigns
+      const campaigns = await AdCampaign.find(query)
+        .populate('client')
+        .populate('creatives')
+        .lean();
+
+      // Invalid traffic excluded from the counts below
+      const invalidTraffic = await invalidTrafficService.summarizeByCampaign(
+        campaigns.map(campaign => campaign._id),
+        start,
+        end
+      );
+
+      // Statistics for every campaign from the rollups
+      const statistics = await statisticsService.getTotals(
+        { campaign: campaigns.map(campaign => campaign._id) },
+        start,
+        end,
+        'campaign'
+      );
+
+      const reportData = campaigns.map(campaign => {
+        const stats = statistics.find(row => String(row._id) === String(campaign._id)) || {};
+        const { impressions = 0, clicks = 0, conversions = 0, conversionValue = 0 } = stats;
+        const invalid = invalidTraffic.get(String(campaign._id)) || { impressions: 0, clicks: 0, reasons: {} };
+
+        return {
+          campaign: campaign.name,
+          client: campaign.client?.name,
+          type: campaign.type,
+          budget: campaign.budget,
+          dates: campaign.dates,
+          impressions,
+          clicks,
+          conversions,
+          conversionValue,
+          ctr: impressions > 0 ? (clicks / impressions) * 100 : 0,
+          cpc: clicks > 0 ? campaign.budget.spent / clicks : 0,
+          cpm: impressions > 0 ? (campaign.budget.spent / impressions) * 1000 : 0,
+          roas: campaign.budget.spent > 0 ? (conversionValue / campaign.budget.spent) * 100 : 0,
+          invalidTraffic: {
+            ...invalid,
+            impressionRate: impressions + invalid.impressions > 0
+              ? (invalid.impressions / (impressions + invalid.impressions)) * 100
+              : 0,
+            clickRate: clicks + invalid.clicks > 0
+              ? (invalid.clicks / (clicks + invalid.clicks)) * 100
+              : 0,
+          },
+        };
+      });
+
+      // Calculate totals
+      const totals = reportData.reduce((acc, data) => ({
+        impressions: acc.impressions + data.impressions,
+        clicks: acc.clicks + data.clicks,
+        conversions: acc.conversions + data.conversions,
+        conversionValue: acc.conversionValue + data.conversionValue,
+        spent: acc.spent + data.budget.spent,
+        invalidImpressions: acc.invalidImpressions + data.invalidTraffic.impressions,
+        invalidClicks: acc.invalidClicks + data.invalidTraffic.clicks,
+      }), { impressions: 0, clicks: 0, conversions: 0, conversionValue: 0, spent: 0, invalidImpressions: 0, invalidClicks: 0 });
+
+      totals.ctr = totals.impressions > 0 ? (totals.clicks / totals.impressions) * 100 : 0;
+      totals.cpc = totals.clicks > 0 ? totals.spent / totals.clicks : 0;
+      totals.cpm = totals.impressions > 0 ? (totals.spent / totals.impressions) * 1000 : 0;
+      totals.roas = totals.spent > 0 ? (totals.conversionValue / totals.spent) * 100 : 0;
+
+      // Generate report in requested format
+      const report = await generateReport({
+        data: reportData,
+        totals,
+        period: { start, end },
+        format,
+      });
+
+      // Set headers for download
+      if (format !== 'json') {
+        const filename = `ad_report_${start.toISOString().split('T')[0]}_to_${end.toISOString().split('T')[0]}.${format}`;
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+        res.setHeader('Content-Type', format === 'csv' ? 'text/csv' : 'application/pdf');
+        return res.send(report);
+      }
+
+      res.status(200).json(
+        new ApiResponse(200, 'Report generated successfully', {
+          period: { start, end },
+          campaigns: reportData,
+          totals,
+        })
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Create a saved report
+   */
+  async createReport(req, res, next) {
+    try {
+      const {
+        clientId,
+        name,
+        campaigns = [],
+        metrics,
+        breakdowns = [],
+        dateRange,
+        format,
+        schedule,
+      } = req.body;
+
+      const client = await this.getClientWithAccess(req.user, clientId, 'manage');
+      await this.assertClientCampaigns(client._id, campaigns);
+
+      const report = new AdReport({
+        name,
+        client: client._id,
+        campaigns,
+        metrics,
+        breakdowns,
+        dateRange,
+        format,
+        createdBy: req.user.id,
+      });
+
+      if (schedule) {
+        reportService.setSchedule(report, schedule);
+      }
+
+      await report.save();
+
+      res.status(201).json(
+        new ApiResponse(201, 'Report created successfully', { report })
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get saved reports
+   */
+  async getReports(req, res, next) {
+    try {
+      const { clientId, page = 1, limit = 20 } = req.query;
+
+      const query = {};
+
+      if (clientId) {
+        query.client = clientId;
+      }
+
+      // Advertisers see reports of clients their teams cover
+      const clientIds = await accountService.getClientIds(req.user);
+      if (clientIds) {
+        if (clientId && !clientIds.includes(String(clientId))) {
+          throw new ApiError(403, 'You do not have access to this client');
+        }
+
+        query.client = clientId || { $in: clientIds };
+      }
+
+      const [reports, total] = await Promise.all([
+        AdReport.find(query)
+          .populate('client', 'name company')
+          .sort({ createdAt: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit)
+          .lean(),
+        AdReport.countDocuments(query),
+      ]);
+
+      const pagination = {
+        total,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        pages: Math.ceil(total / limit),
+      };
+
+      res.status(200).json(
+        new ApiResponse(200, 'Reports retrieved successfully', {
+          reports,
+          pagination,
+        })
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get a saved report
+   */
+  async getReport(req, res, next) {
+    try {
+      const report = await this.getReportWithAccess(req);
+
+      res.status(200).json(
+        new ApiResponse(200, 'Report retrieved successfully', { report })
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Update a saved report
+   */
+  async updateReport(req, res, next) {
+    try {
+      const report = await this.getReportWithAccess(req, 'manage');
+      const { schedule, ...updates } = req.body;
+
+      if (updates.campaigns) {
+        await this.assertClientCampaigns(report.client, updates.campaigns);
+      }
+
+      report.set(updates);
+
+      if (schedule) {
+        reportService.setSchedule(report, schedule);
+      }
+
+      await report.save();
+
+      res.status(200).json(
+        new ApiResponse(200, 'Report updated successfully', { report })
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Delete a saved report
+   */
+  async deleteReport(req, res, next) {
+    try {
+      const report = await this.getReportWithAccess(req, 'manage');
+
+      await report.deleteOne();
+
+      res.status(200).json(
+        new ApiResponse(200, 'Report deleted successfully')
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Run a saved report and download it
+   */
+  async downloadReport(req, res, next) {
+    try {
+      const report = await this.getReportWithAccess(req);
+      const format = req.query.format || report.format;
+
+      const result = await reportService.run(report);
+      const file = await reportService.render(result, format);
+
+      res.setHeader('Content-Disposition', `attachment; filename="${file.filename}"`);
+      res.setHeader('Content-Type', file.contentType);
+      res.send(file.content);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Create an advertiser or agency organization
+   */
+  async createOrganization(req, res, next) {
+    try {
+      const organization = await accountService.createOrganization(req.body, req.user);
+
+      res.status(201).json(
+        new ApiResponse(201, 'Organization created successfully', { organization })
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get the organizations the user belongs to
+   */
+  async getOrganizations(req, res, next) {
+    try {
+      const query = req.user.roles.includes('admin') ? {} : { 'members.user': req.user.id };
+
+      const organizations = await AdOrganization.find(query)
+        .select('-invitations.tokenHash')
+        .populate('members.user', 'firstName lastName email')
+        .sort({ name: 1 })
+        .lean();
+
+      // Clients of each organization, for the portal's client switcher
+      const clients = await AdClient.find({ organization: { $in: organizations.map(org => org._id) } })
+        .select('name company organization status')
+        .lean();
+
       res.status(200).json(
-        new ApiResponse(200, 'Conversion recorded successfully')
+        new ApiResponse(200, 'Organizations retrieved successfully', {
+          organizations: organizations.map(organization => ({
+            ...organization,
+            clients: clients.filter(client => String(client.organization) === String(organization._id)),
+          })),
+        })
       );
     } catch (error) {
       next(error);
@@ -976,124 +2271,87 @@ class AdsController {
   }
 
   /**
-   * Generate performance report
+   * Move a client into an organization
    */
-  async generateReport(req, res, next) {
+  async addOrganizationClient(req, res, next) {
     try {
-      const {
-        startDate,
-        endDate,
-        campaignId,
-        clientId,
-        format = 'json',
-      } = req.query;
-
-      // Validate dates
-      const start = new Date(startDate);
-      const end = new Date(endDate);
-      
-      if (isNaN(start) || isNaN(end)) {
-        throw new ApiError(400, 'Invalid date format');
-      }
-
-      if (start > end) {
-        throw new ApiError(400, 'Start date must be before end date');
-      }
-
-      // Build query
-      const query = {
-        'dates.start': { $gte: start },
-        'dates.end': { $lte: end },
-      };
-
-      if (campaignId) {
-        query._id = campaignId;
-      }
+      const organization = await accountService.assertOrganization(req.user, req.params.id, 'team');
+      const client = await accountService.addClient(organization, req.body.clientId, req.user);
 
-      if (clientId) {
-        query.client = clientId;
-      }
+      res.status(200).json(
+        new ApiResponse(200, 'Client added to organization successfully', { client })
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
 
-      // Get campaigns
-      const campaigns = await AdCampaign.find(query)
-        .populate('client')
-        .populate('creatives')
-        .lean();
+  /**
+   * Invite a team member by email
+   */
+  async inviteOrganizationMember(req, res, next) {
+    try {
+      const organization = await accountService.assertOrganization(req.user, req.params.id, 'team');
+      const invitation = await accountService.invite(organization, req.body, req.user);
 
-      // Get detailed statistics for each campaign
-      const reportData = await Promise.all(
-        campaigns.map(async campaign => {
-          const [impressions, clicks, conversions] = await Promise.all([
-            AdImpression.countDocuments({ 
-              campaign: campaign._id,
-              timestamp: { $gte: start, $lte: end }
-            }),
-            AdClick.countDocuments({ 
-              campaign: campaign._id,
-              timestamp: { $gte: start, $lte: end }
-            }),
-            AdConversion.find({ 
-              campaign: campaign._id,
-              timestamp: { $gte: start, $lte: end }
-            }),
-          ]);
+      res.status(201).json(
+        new ApiResponse(201, 'Invitation sent successfully', { invitation })
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
 
-          const conversionValue = conversions.reduce((sum, conv) => sum + conv.value, 0);
+  /**
+   * Accept a team invitation
+   */
+  async acceptOrganizationInvitation(req, res, next) {
+    try {
+      const organization = await accountService.acceptInvitation(req.body.token, req.user);
 
-          return {
-            campaign: campaign.name,
-            client: campaign.client?.name,
-            type: campaign.type,
-            budget: campaign.budget,
-            dates: campaign.dates,
-            impressions,
-            clicks,
-            conversions: conversions.length,
-            conversionValue,
-            ctr: impressions > 0 ? (clicks / impressions) * 100 : 0,
-            cpc: clicks > 0 ? campaign.budget.spent / clicks : 0,
-            cpm: impressions > 0 ? (campaign.budget.spent / impressions) * 1000 : 0,
-            roas: campaign.budget.spent > 0 ? (conversionValue / campaign.budget.spent) * 100 : 0,
-          };
+      res.status(200).json(
+        new ApiResponse(200, 'Invitation accepted successfully', {
+          organization: {
+            _id: organization._id,
+            name: organization.name,
+            type: organization.type,
+          },
         })
       );
+    } catch (error) {
+      next(error);
+    }
+  }
 
-      // Calculate totals
-      const totals = reportData.reduce((acc, data) => ({
-        impressions: acc.impressions + data.impressions,
-        clicks: acc.clicks + data.clicks,
-        conversions: acc.conversions + data.conversions,
-        conversionValue: acc.conversionValue + data.conversionValue,
-        spent: acc.spent + data.budget.spent,
-      }), { impressions: 0, clicks: 0, conversions: 0, conversionValue: 0, spent: 0 });
+  /**
+   * Change a team member's role or clients
+   */
+  async updateOrganizationMember(req, res, next) {
+    try {
+      const organization = await accountService.assertOrganization(req.user, req.params.id, 'team');
+      const member = await accountService.updateMember(organization, req.params.userId, req.body, req.user);
 
-      totals.ctr = totals.impressions > 0 ? (totals.clicks / totals.impressions) * 100 : 0;
-      totals.cpc = totals.clicks > 0 ? totals.spent / totals.clicks : 0;
-      totals.cpm = totals.impressions > 0 ? (totals.spent / totals.impressions) * 1000 : 0;
-      totals.roas = totals.spent > 0 ? (totals.conversionValue / totals.spent) * 100 : 0;
+      res.status(200).json(
+        new ApiResponse(200, 'Member updated successfully', { member })
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
 
-      // Generate report in requested format
-      const report = await generateReport({
-        data: reportData,
-        totals,
-        period: { start, end },
-        format,
-      });
+  /**
+   * Remove a team member, or leave an organization
+   */
+  async removeOrganizationMember(req, res, next) {
+    try {
+      // Members may always leave; removing others takes the team permission
+      const permission = req.params.userId === req.user.id ? 'view' : 'team';
+      const organization = await accountService.assertOrganization(req.user, req.params.id, permission);
 
-      // Set headers for download
-      if (format !== 'json') {
-        const filename = `ad_report_${start.toISOString().split('T')[0]}_to_${end.toISOString().split('T')[0]}.${format}`;
-        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
-        res.setHeader('Content-Type', format === 'csv' ? 'text/csv' : 'application/pdf');
-        return res.send(report);
-      }
+      await accountService.removeMember(organization, req.params.userId, req.user);
 
       res.status(200).json(
-        new ApiResponse(200, 'Report generated successfully', {
-          period: { start, end },
-          campaigns: reportData,
-          totals,
-        })
+        new ApiResponse(200, 'Member removed successfully')
       );
     } catch (error) {
       next(error);
@@ -1127,9 +2385,10 @@ class AdsController {
         ];
       }
 
-      // Apply user restrictions if not admin
-      if (!req.user.roles.includes('admin')) {
-        query.createdBy = req.user.id;
+      // Advertisers see the clients their teams cover
+      const clientIds = await accountService.getClientIds(req.user);
+      if (clientIds) {
+        query._id = { $in: clientIds };
       }
 
       // Get clients
@@ -1201,9 +2460,7 @@ class AdsController {
       }
 
       // Check permissions
-      if (!req.user.roles.includes('admin') && client.createdBy._id.toString() !== req.user.id) {
-        throw new ApiError(403, 'You do not have access to this client');
-      }
+      await this.getClientWithAccess(req.user, id);
 
       // Get client campaigns
       const campaigns = await AdCampaign.find({ client: id })
@@ -1226,6 +2483,245 @@ class AdsController {
     }
   }
 
+  /**
+   * Get client invoices
+   */
+  async getInvoices(req, res, next) {
+    try {
+      const { id } = req.params;
+      const { page = 1, limit = 10, status } = req.query;
+
+      // Check permissions
+      await this.getClientWithAccess(req.user, id, 'billing');
+
+      const query = { client: id };
+      if (status) {
+        query.status = status;
+      }
+
+      const [invoices, total] = await Promise.all([
+        AdInvoice.find(query)
+          .sort({ 'period.start': -1 })
+          .skip((page - 1) * limit)
+          .limit(limit)
+          .lean(),
+        AdInvoice.countDocuments(query),
+      ]);
+
+      const pagination = {
+        total,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        pages: Math.ceil(total / limit),
+      };
+
+      res.status(200).json(
+        new ApiResponse(200, 'Invoices retrieved successfully', {
+          invoices,
+          pagination,
+        })
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get invoice by ID
+   */
+  async getInvoice(req, res, next) {
+    try {
+      const invoice = await this.getInvoiceWithAccess(req);
+
+      await invoice.populate([
+        { path: 'client', select: 'name company email billing' },
+        { path: 'lines.campaign', select: 'name type' },
+      ]);
+
+      res.status(200).json(
+        new ApiResponse(200, 'Invoice retrieved successfully', { invoice })
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Close a client's spend for a period and issue the invoice
+   */
+  async closeInvoicePeriod(req, res, next) {
+    try {
+      const { id } = req.params;
+      const { periodStart, periodEnd } = req.body;
+
+      const period = periodStart
+        ? { start: new Date(periodStart), end: new Date(periodEnd) }
+        : billingService.getPreviousPeriod();
+
+      if (period.end > new Date()) {
+        throw new ApiError(400, 'Billing periods can only be closed once they have ended');
+      }
+
+      const invoice = await billingService.closePeriod(id, period);
+
+      if (!invoice) {
+        throw new ApiError(400, 'Client has no spend in this period');
+      }
+
+      res.status(201).json(
+        new ApiResponse(201, 'Invoice issued successfully', { invoice })
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Record a payment against an invoice
+   */
+  async recordInvoicePayment(req, res, next) {
+    try {
+      const invoice = await this.getInvoiceWithAccess(req);
+
+      await billingService.recordPayment(invoice, req.body, req.user.id);
+
+      res.status(200).json(
+        new ApiResponse(200, 'Payment recorded successfully', { invoice })
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get all advertiser wallets
+   */
+  async getWallets(req, res, next) {
+    try {
+      const { page = 1, limit = 10 } = req.query;
+
+      const [wallets, total] = await Promise.all([
+        AdWallet.find()
+          .populate('client', 'name company email status billing.paymentTerms')
+          .sort({ balance: 1 })
+          .skip((page - 1) * limit)
+          .limit(limit)
+          .lean(),
+        AdWallet.countDocuments(),
+      ]);
+
+      const pagination = {
+        total,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        pages: Math.ceil(total / limit),
+      };
+
+      res.status(200).json(
+        new ApiResponse(200, 'Wallets retrieved successfully', {
+          wallets,
+          pagination,
+        })
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get client wallet balance and transaction history
+   */
+  async getWallet(req, res, next) {
+    try {
+      const { id } = req.params;
+      const { page = 1, limit = 20 } = req.query;
+
+      const client = await this.getClientWithAccess(req.user, id, 'billing');
+
+      const [wallet, funds, history, topups] = await Promise.all([
+        walletService.getWallet(client._id),
+        walletService.checkFunds(client._id, 0),
+        walletService.getTransactions(client._id, { page, limit }),
+        AdWalletTopup.find({ client: client._id, status: 'pending' })
+          .sort({ createdAt: -1 })
+          .limit(5)
+          .lean(),
+      ]);
+
+      const pagination = {
+        total: history.total,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        pages: Math.ceil(history.total / limit),
+      };
+
+      res.status(200).json(
+        new ApiResponse(200, 'Wallet retrieved successfully', {
+          wallet,
+          available: funds.available,
+          pendingTopups: topups,
+          transactions: history.transactions,
+          pagination,
+        })
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Start a wallet top-up through a payment gateway
+   */
+  async createWalletTopup(req, res, next) {
+    try {
+      const client = await this.getClientWithAccess(req.user, req.params.id, 'billing');
+
+      if (client.billing?.paymentTerms !== 'prepaid') {
+        throw new ApiError(400, 'Only prepaid clients have a wallet to top up');
+      }
+
+      const topup = await walletService.initiateTopup(client, req.body, req.user);
+
+      res.status(201).json(
+        new ApiResponse(201, 'Top-up started; complete the payment at the checkout URL', {
+          reference: topup.reference,
+          checkoutUrl: topup.checkoutUrl,
+          amount: topup.amount,
+          currency: topup.currency,
+          gateway: topup.gateway,
+        })
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Handle a payment gateway callback for a wallet top-up
+   */
+  async walletTopupCallback(req, res, next) {
+    try {
+      const params = { ...req.query, ...req.body };
+      const reference = params.tx_ref || params.trx_ref || params.outTradeNo || params.reference;
+
+      if (!reference) {
+        throw new ApiError(400, 'Payment reference is required');
+      }
+
+      // The callback only names the payment; its status comes from the gateway
+      const topup = await walletService.confirmTopup(reference, req.params.gateway);
+
+      res.status(200).json(
+        new ApiResponse(200, 'Top-up processed', {
+          reference: topup.reference,
+          status: topup.status,
+        })
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+
   /**
    * Get targeting options
    */
@@ -1247,22 +2743,40 @@ class AdsController {
     }
   }
 
+  /**
+   * Preview estimated reach for targeting before launch
+   */
+  async previewReach(req, res, next) {
+    try {
+      const { targeting = {} } = req.body;
+
+      const validation = adsConfig.validateTargeting(targeting);
+      if (!validation.valid) {
+        throw new ApiError(400, `Invalid targeting: ${validation.errors.join(', ')}`);
+      }
+
+      const reach = await targetingService.previewReach(targeting);
+
+      res.status(200).json(
+        new ApiResponse(200, 'Reach estimate generated successfully', { reach })
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+
   // Helper Methods
 
   /**
-   * Check if user has access to campaign
+   * Check if user has access to campaign through its client
    */
-  hasCampaignAccess(user, campaign) {
-    if (user.roles.includes('admin')) {
+  async hasCampaignAccess(user, campaign, permission = 'view') {
+    // Analysts read every campaign, as they report across all clients
+    if (permission === 'view' && user.roles.includes('analyst')) {
       return true;
     }
 
-    if (user.roles.includes('advertiser')) {
-      // Advertisers can access campaigns for their clients
-      return campaign.createdBy.toString() === user.id;
-    }
-
-    return false;
+    return accountService.can(user, campaign.client, permission);
   }
 
   /**
@@ -1351,190 +2865,580 @@ class AdsController {
   }
 
   /**
-   * Check if user matches targeting criteria
+   * Check if viewer matches targeting criteria
    */
-  matchesTargeting(targeting, userData) {
-    // If no targeting, match all
-    if (!targeting || Object.keys(targeting).length === 0) {
-      return true;
+  matchesTargeting(targeting, viewer) {
+    return targetingService.matches(targeting, viewer);
+  }
+
+  /**
+   * Check that the campaigns of previously selected ads may still serve
+   */
+  async isWithinPacing(ads) {
+    const campaignIds = [...new Set(ads.map(ad => String(ad.campaignId)))];
+    const campaigns = await AdCampaign.find({ _id: { $in: campaignIds }, status: 'active' })
+      .select('budget dates')
+      .lean();
+
+    return campaigns.length === campaignIds.length
+      && campaigns.every(campaign => pacingService.isEligible(campaign));
+  }
+
+  /**
+   * Narrow active campaigns to those that may serve to a viewer right now
+   *
+   * Applies dayparting, targeting, pacing, experiment splits, creative
+   * approval and frequency caps in turn, failing with a 404 naming the
+   * first step that left no campaigns.
+   */
+  async filterServableCampaigns(campaigns, { viewer: viewerContext, viewerKey, history, now }) {
+    // Drop campaigns outside their dayparting windows
+    const scheduledCampaigns = campaigns.filter(campaign => daypartingService.isEligible(campaign, now));
+
+    if (scheduledCampaigns.length === 0) {
+      throw new ApiError(404, 'No campaigns within delivery windows');
     }
 
-    // In a real implementation, this would check against user profile
-    // For now, we'll implement basic checks
-    
-    let matches = true;
+    // Resolve the viewer profile once and filter campaigns by targeting
+    const viewer = await targetingService.resolveViewerProfile(viewerContext);
+
+    const targetedCampaigns = scheduledCampaigns.filter(campaign => {
+      const { matched, score } = targetingService.evaluate(campaign.targeting, viewer);
+      campaign.targetingScore = score;
+      return matched;
+    });
 
-    // Check demographics
-    if (targeting.demographics) {
-      // Add demographic matching logic
+    if (targetedCampaigns.length === 0) {
+      throw new ApiError(404, 'No targeted campaigns found');
     }
 
-    // Check geographic
-    if (targeting.geographic) {
-      // Add geographic matching logic
+    // Throttle campaigns that are ahead of their daily spend target
+    const pacedCampaigns = targetedCampaigns.filter(campaign => pacingService.isEligible(campaign));
+
+    if (pacedCampaigns.length === 0) {
+      throw new ApiError(404, 'No campaigns within pacing limits');
     }
 
-    // Check interests
-    if (targeting.interests) {
-      // Add interest matching logic
+    // Narrow experiments to the viewer's variant, then drop creatives not
+    // approved to serve and those the viewer has already seen enough
+    const uncappedCampaigns = pacedCampaigns.filter(campaign => {
+      experimentService.applySplit(campaign, viewerKey);
+      campaign.creatives = campaign.creatives.filter(
+        creative => creative.status === 'active' && !frequencyService.isCapped(campaign, creative._id, history, now)
+      );
+      return campaign.creatives.length > 0;
+    });
+
+    if (uncappedCampaigns.length === 0) {
+      throw new ApiError(404, 'No campaigns within frequency caps');
     }
 
-    return matches;
+    return uncappedCampaigns;
   }
 
   /**
-   * Select ads for display using rotation algorithm
+   * Select ads for display by running the position's auction, ordered by its rotation strategy
    */
-  selectAdsForDisplay(campaigns, limit, position) {
-    const eligibleAds = [];
+  async selectAdsForDisplay(campaigns, limit, position) {
+    const candidates = [];
 
     campaigns.forEach(campaign => {
       campaign.creatives.forEach(creative => {
         if (creative.status === 'active') {
-          eligibleAds.push({
-            campaign,
-            creative,
-            weight: this.calculateAdWeight(campaign, creative, position),
-          });
+          candidates.push({ campaign, creative });
         }
       });
     });
 
-    if (eligibleAds.length === 0) {
-      return [];
+    if (candidates.length === 0) {
+      return { auctionId: null, selectedAds: [] };
     }
 
-    // Sort by weight (descending)
-    eligibleAds.sort((a, b) => b.weight - a.weight);
+    const auction = await auctionService.runAuction(candidates, { position, slots: limit });
+
+    if (auction.winners.length > 0) {
+      await auctionService.saveResult(auction);
+    }
+
+    return {
+      auctionId: auction.id,
+      selectedAds: auction.winners.map(winner => ({
+        campaign: winner.campaign,
+        creative: winner.creative,
+        auction: winner,
+      })),
+    };
+  }
 
-    // Select top N ads
-    return eligibleAds.slice(0, limit).map(ad => ({
-      campaign: ad.campaign,
-      creative: ad.creative,
-    }));
+  /**
+   * Update campaign metrics
+   */
+  async updateCampaignMetrics(campaignId, metricType, value = 0, credit = 1) {
+    // Attributed conversions count the campaign's share of the conversion and its value
+    const increments = {
+      impression: { impressions: 1 },
+      click: { clicks: 1 },
+      conversion: { conversions: credit, conversionValue: value * credit },
+    }[metricType];
+
+    if (!increments) return;
+
+    // Counters and derived metrics are updated in a single atomic write
+    await accountingService.incrementCampaignMetrics(campaignId, increments);
   }
 
   /**
-   * Calculate ad weight for rotation
+   * Calculate impression cost
    */
-  calculateAdWeight(campaign, creative, position) {
-    let weight = 1;
+  calculateImpressionCost(campaign, auction) {
+    if (auction) {
+      // CPM campaigns pay the clearing price per mille
+      return auction.pricingModel === 'cpm' ? auction.clearingPrice / 1000 : 0;
+    }
+
+    // Ads served without an auction bill CPM campaigns at the base rate
+    if (auctionService.getPricingModel(campaign) !== 'cpm') return 0;
 
-    // Weight by budget remaining
-    weight *= (campaign.budget.remaining / campaign.budget.total);
+    const config = adsConfig.getPricingModelConfig('cpm');
+    if (!config) return 0;
+
+    return config.baseRate / 1000; // CPM to cost per impression
+  }
 
-    // Weight by performance
-    if (creative.impressions > 0) {
-      weight *= (creative.ctr / 100) * 2; // Double weight for CTR
+  /**
+   * Calculate click cost
+   */
+  calculateClickCost(campaign, auction) {
+    if (auction) {
+      return auction.pricingModel === 'cpc' ? auction.clearingPrice : 0;
     }
 
-    // Weight by position relevance
-    if (position && campaign.targeting?.positions?.includes(position)) {
-      weight *= 1.5;
+    if (auctionService.getPricingModel(campaign) !== 'cpc') return 0;
+
+    return adsConfig.getPricingModelConfig('cpc')?.baseRate || 0;
+  }
+
+  /**
+   * Calculate conversion cost
+   */
+  calculateConversionCost(campaign, auction) {
+    if (auction) {
+      return auction.pricingModel === 'cpa' ? auction.clearingPrice : 0;
     }
 
-    // Weight by recency
-    const daysSinceCreation = Math.floor((new Date() - creative.createdAt) / (1000 * 60 * 60 * 24));
-    weight *= Math.max(0.1, 1 - (daysSinceCreation / 30)); // Decrease weight over 30 days
+    if (auctionService.getPricingModel(campaign) !== 'cpa') return 0;
 
-    return weight;
+    return adsConfig.getPricingModelConfig('cpa')?.baseRate || 0;
   }
 
   /**
-   * Update campaign metrics
+   * Format an auction result for storage on an impression or click
    */
-  async updateCampaignMetrics(campaignId, metricType, value = 0) {
-    const campaign = await AdCampaign.findById(campaignId);
-    
-    if (!campaign) return;
+  formatAuctionRecord(auction) {
+    if (!auction) return undefined;
+
+    return {
+      id: auction.id,
+      slot: auction.slot,
+      pricingModel: auction.pricingModel,
+      bid: auction.bid,
+      qualityScore: auction.qualityScore,
+      clearingPrice: auction.clearingPrice,
+      strategy: auction.strategy,
+      rotationScore: auction.rotationScore,
+    };
+  }
+
+  /**
+   * Verify and consume a tracking token
+   * @returns {Promise<Object>} Served ad details bound in the token
+   */
+  async verifyTrackingToken(token, eventType, context) {
+    const payload = trackingService.verify(token, context);
+    await trackingService.consume(payload, eventType);
+
+    return {
+      adId: payload.creative,
+      campaignId: payload.campaign,
+      position: payload.position,
+      auctionId: payload.auctionId,
+      viewer: payload.viewer,
+      userId: payload.viewer.startsWith('user:') ? payload.viewer.slice(5) : undefined,
+      consent: payload.consent,
+    };
+  }
+
+  /**
+   * Record a verified impression, billing it unless it is invalid traffic
+   *
+   * What is stored about the viewer follows the stricter of the consent the
+   * ad was served under and the consent sent with the impression.
+   */
+  async trackImpression(tracked, { userId, pageUrl, device = {}, viewability = 100, consent }, req) {
+    const { adId, campaignId, position, auctionId, viewer } = tracked;
+    const consentMode = privacyService.resolveMode(tracked.consent, consent);
+
+    // Validate ad and campaign
+    const [creative, campaign] = await Promise.all([
+      AdCreative.findById(adId),
+      AdCampaign.findById(campaignId),
+    ]);
 
-    // Update basic metrics
-    switch (metricType) {
-      case 'impression':
-        campaign.metrics.impressions += 1;
-        break;
-      case 'click':
-        campaign.metrics.clicks += 1;
-        break;
-      case 'conversion':
-        campaign.metrics.conversions += 1;
-        campaign.metrics.conversionValue += value;
-        break;
+    if (!creative || !campaign) {
+      throw new ApiError(404, 'Ad or campaign not found');
     }
 
-    // Calculate derived metrics
-    if (campaign.metrics.impressions > 0) {
-      campaign.metrics.ctr = (campaign.metrics.clicks / campaign.metrics.impressions) * 100;
-      campaign.metrics.cpm = (campaign.budget.spent / campaign.metrics.impressions) * 1000;
+    // Check if campaign is active
+    if (campaign.status !== 'active') {
+      throw new ApiError(400, 'Campaign is not active');
     }
 
-    if (campaign.metrics.clicks > 0) {
-      campaign.metrics.cpc = campaign.budget.spent / campaign.metrics.clicks;
+    // Check budget
+    if (campaign.budget.remaining <= 0) {
+      throw new ApiError(400, 'Campaign budget exhausted');
     }
 
-    if (campaign.budget.spent > 0) {
-      campaign.metrics.roas = (campaign.metrics.conversionValue / campaign.budget.spent) * 100;
+    const event = {
+      type: 'impression',
+      creative: adId,
+      campaign: campaignId,
+      user: userId,
+      auctionId,
+      pageUrl,
+      position,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      timestamp: new Date(),
+    };
+
+    // Invalid traffic is audited instead of billed
+    const verdict = await invalidTrafficService.inspect(event);
+    if (!verdict.valid) {
+      await invalidTrafficService.recordInvalid(privacyService.applyConsent(event, consentMode), verdict);
+      return;
     }
 
-    await campaign.save();
+    // Look up the auction that served this ad
+    const auction = await auctionService.getResult(auctionId, adId);
+
+    // Only bill for viewable impressions
+    const cost = viewability >= 50 ? this.calculateImpressionCost(campaign, auction) : 0;
+    const charged = await this.chargeCampaign(campaign, cost);
+
+    // Record impression; campaign and creative counters are updated with it
+    await accountingService.recordImpression(privacyService.applyConsent({
+      creative: adId,
+      campaign: campaignId,
+      user: userId,
+      pageUrl,
+      position,
+      device,
+      viewability,
+      cost: charged,
+      auction: this.formatAuctionRecord(auction),
+      ipAddress: event.ipAddress,
+      userAgent: event.userAgent,
+      timestamp: event.timestamp,
+    }, consentMode));
+
+    await Promise.all([
+      invalidTrafficService.markImpression(event),
+      frequencyService.recordImpression(viewer, campaignId, adId, event.timestamp),
+      experimentService.recordEvent(campaign, adId, 'impressions'),
+    ]);
   }
 
   /**
-   * Calculate impression cost
+   * Record a verified click, billing it unless it is invalid traffic
    */
-  calculateImpressionCost(campaign) {
-    // This would integrate with the actual pricing model
-    // For now, use a simple calculation
-    
-    const config = adsConfig.getPricingModelConfig('cpm');
-    if (!config) return 0;
+  async trackClick(tracked, { userId, pageUrl, device = {}, clickId, consent }, req) {
+    const { adId, campaignId, position, auctionId } = tracked;
+    const consentMode = privacyService.resolveMode(tracked.consent, consent);
+
+    // Validate ad and campaign
+    const [creative, campaign] = await Promise.all([
+      AdCreative.findById(adId),
+      AdCampaign.findById(campaignId),
+    ]);
 
-    const costPerImpression = config.baseRate / 1000; // CPM to cost per impression
-    
-    // Apply position multiplier if applicable
-    // Add any other adjustments here
+    if (!creative || !campaign) {
+      throw new ApiError(404, 'Ad or campaign not found');
+    }
+
+    // Check if campaign is active
+    if (campaign.status !== 'active') {
+      throw new ApiError(400, 'Campaign is not active');
+    }
+
+    const event = {
+      type: 'click',
+      creative: adId,
+      campaign: campaignId,
+      user: userId,
+      auctionId,
+      clickId,
+      pageUrl,
+      position,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      timestamp: new Date(),
+    };
+
+    // Invalid traffic is audited instead of billed
+    const verdict = await invalidTrafficService.inspect(event);
+    if (!verdict.valid) {
+      await invalidTrafficService.recordInvalid(privacyService.applyConsent(event, consentMode), verdict);
+      return;
+    }
+
+    // Look up the auction that served this ad
+    const auction = await auctionService.getResult(auctionId, adId);
+    const cost = this.calculateClickCost(campaign, auction);
+
+    const charged = await this.chargeCampaign(campaign, cost);
+
+    // Record click
+    await AdClick.create(privacyService.applyConsent({
+      creative: adId,
+      campaign: campaignId,
+      user: userId,
+      pageUrl,
+      position,
+      device,
+      cost: charged,
+      auction: this.formatAuctionRecord(auction),
+      ipAddress: event.ipAddress,
+      userAgent: event.userAgent,
+      timestamp: event.timestamp,
+    }, consentMode));
+
+    // Update campaign and creative metrics
+    await Promise.all([
+      this.updateCampaignMetrics(campaignId, 'click'),
+      accountingService.incrementCreativeMetrics(adId, { clicks: 1 }),
+      experimentService.recordEvent(campaign, adId, 'clicks'),
+    ]);
+  }
+
+  /**
+   * Attach fresh tracking tokens to served ads
+   */
+  signServedAds(ads, { position, userId, ipAddress, userAgent, consent }) {
+    const viewer = trackingService.getViewerKey({ userId, ipAddress, userAgent });
+
+    return ads.map(ad => {
+      const token = trackingService.sign({
+        creative: ad.id,
+        campaign: ad.campaignId,
+        position,
+        auctionId: ad.tracking.auctionId,
+        viewer,
+        consent,
+      });
 
-    return costPerImpression;
+      return {
+        ...ad,
+        tracking: {
+          ...ad.tracking,
+          token,
+          clickUrl: `${process.env.SERVER_URL}/api/v1/ads/click/${token}`,
+        },
+      };
+    });
   }
 
   /**
-   * Schedule campaign for display
+   * Shape a native creative's assets like a job card
    */
-  async scheduleCampaign(campaignId) {
-    // This would integrate with a job scheduler (like Bull, Agenda, etc.)
-    // For now, just update the status
-    
-    const campaign = await AdCampaign.findById(campaignId);
-    if (!campaign) return;
+  formatNativeAd(creative, client) {
+    return {
+      headline: creative.title,
+      body: creative.description,
+      company: {
+        name: creative.sponsorName || client?.company || client?.name,
+        logo: creative.file.url,
+      },
+      callToAction: creative.callToAction,
+      sponsorLabel: adsConfig.adTypes.NATIVE.sponsorLabel,
+    };
+  }
 
-    campaign.status = 'active';
-    campaign.activatedAt = new Date();
-    await campaign.save();
+  /**
+   * Load an experiment and check access to its campaign
+   */
+  async getExperimentWithAccess(req, permission = 'view') {
+    const experiment = await AdExperiment.findById(req.params.id);
 
-    // Schedule end date check
-    this.scheduleCampaignEnd(campaignId, campaign.dates.end);
+    if (!experiment) {
+      throw new ApiError(404, 'Experiment not found');
+    }
+
+    const campaign = await AdCampaign.findById(experiment.campaign).lean();
+
+    if (!campaign || !await this.hasCampaignAccess(req.user, campaign, permission)) {
+      throw new ApiError(403, 'You do not have access to this experiment');
+    }
+
+    return { experiment, campaign };
   }
 
   /**
-   * Schedule campaign end
+   * Load an optimization log entry and check access to its campaign
    */
-  scheduleCampaignEnd(campaignId, endDate) {
-    // Schedule a job to end the campaign at the specified date
-    const endTime = new Date(endDate).getTime() - Date.now();
-    
-    if (endTime > 0) {
-      setTimeout(async () => {
-        const campaign = await AdCampaign.findById(campaignId);
-        if (campaign && campaign.status === 'active') {
-          campaign.status = 'completed';
-          campaign.completedAt = new Date();
-          await campaign.save();
-          
-          // Notify campaign owner
-          await this.notifyCampaignComplete(campaign);
-        }
-      }, endTime);
+  async getOptimizationWithAccess(req, permission = 'view') {
+    const entry = await AdOptimization.findById(req.params.id);
+
+    if (!entry) {
+      throw new ApiError(404, 'Optimization not found');
     }
+
+    const campaign = await AdCampaign.findById(entry.campaign).select('client').lean();
+
+    if (!campaign || !await this.hasCampaignAccess(req.user, campaign, permission)) {
+      throw new ApiError(403, 'You do not have access to this optimization');
+    }
+
+    return entry;
+  }
+
+  /**
+   * Load a saved report and check the user can access its client
+   */
+  async getReportWithAccess(req, permission = 'view') {
+    const report = await AdReport.findById(req.params.id);
+
+    if (!report) {
+      throw new ApiError(404, 'Report not found');
+    }
+
+    if (!await accountService.can(req.user, report.client, permission)) {
+      throw new ApiError(403, 'You do not have access to this report');
+    }
+
+    return report;
+  }
+
+  /**
+   * Check that campaigns all belong to a client
+   */
+  async assertClientCampaigns(clientId, campaignIds) {
+    if (campaignIds.length === 0) return;
+
+    const count = await AdCampaign.countDocuments({ _id: { $in: campaignIds }, client: clientId });
+
+    if (count !== new Set(campaignIds.map(String)).size) {
+      throw new ApiError(400, 'Reports can only include campaigns of the report client');
+    }
+  }
+
+  /**
+   * Check a client may run a campaign before it is set active or pending
+   * @param {string} clientId - Client ID
+   * @param {number} budget - Budget the campaign can still spend
+   * @param {Object} options - Wallet options, e.g. excludeCampaign for an existing campaign
+   */
+  async assertClientCanRun(clientId, budget, options = {}) {
+    await walletService.assertCanRun(clientId, budget, options);
+  }
+
+  /**
+   * Load a client and check the user's team role allows an action on it
+   */
+  async getClientWithAccess(user, clientId, permission = 'view') {
+    return accountService.assertClient(user, clientId, permission);
+  }
+
+  /**
+   * Resolve the user a data subject request is for; only admins can act for others
+   */
+  getDataSubject(req) {
+    const { userId } = req.query;
+
+    if (userId && userId !== req.user.id && !req.user.roles.includes('admin')) {
+      throw new ApiError(403, 'You can only access your own ad data');
+    }
+
+    return userId || req.user.id;
+  }
+
+  /**
+   * Load an invoice from the request and check the user can access its client
+   */
+  async getInvoiceWithAccess(req) {
+    const invoice = await AdInvoice.findById(req.params.id);
+
+    if (!invoice) {
+      throw new ApiError(404, 'Invoice not found');
+    }
+
+    if (!await accountService.can(req.user, invoice.client, 'billing')) {
+      throw new ApiError(403, 'You do not have access to this invoice');
+    }
+
+    return invoice;
+  }
+
+  /**
+   * Charge a cost against the campaign budget
+   * @returns {Promise<number>} Amount actually charged, capped at the remaining total and daily budgets
+   */
+  async chargeCampaign(campaign, cost) {
+    if (!(cost > 0)) return 0;
+
+    const { charged, remaining, spent, total } = await accountingService.chargeCampaign(campaign._id, cost);
+
+    // Spend alerts must never fail the tracking request
+    try {
+      await budgetService.checkSpendAlerts(campaign, { charged, spent, total });
+    } catch (error) {
+      console.error('Spend alert check failed:', error);
+    }
+
+    // Let the scheduler pause the campaign once its budget runs out
+    if (remaining <= 0) {
+      await campaignScheduler.checkBudget(campaign._id);
+    }
+
+    return charged;
+  }
+
+  /**
+   * Load a budget revision the user may review
+   * @returns {Promise<Object>} Revision document
+   */
+  async getBudgetRevisionForReview(user, id) {
+    const revision = await AdBudgetRevision.findById(id);
+
+    if (!revision) {
+      throw new ApiError(404, 'Budget revision not found');
+    }
+
+    if (!await accountService.can(user, revision.client, 'billing')) {
+      throw new ApiError(403, 'You do not have permission to review this budget change');
+    }
+
+    return revision;
+  }
+
+  /**
+   * Schedule campaign for display
+   */
+  async scheduleCampaign(campaignId) {
+    const campaign = await AdCampaign.findById(campaignId);
+    if (!campaign) return;
+
+    // Campaigns that start in the future wait as pending until the scheduler activates them
+    if (new Date(campaign.dates.start) > new Date()) {
+      campaign.status = 'pending';
+    } else {
+      campaign.status = 'active';
+      campaign.activatedAt = new Date();
+    }
+    campaign.pauseReason = undefined;
+    await campaign.save();
+
+    // Queue activation and completion jobs
+    await campaignScheduler.scheduleCampaign(campaign);
   }
 
   /**
@@ -1546,6 +3450,7 @@ class AdsController {
 
     campaign.status = 'paused';
     campaign.pausedAt = new Date();
+    campaign.pauseReason = 'manual';
     await campaign.save();
   }
 
@@ -1565,157 +3470,107 @@ class AdsController {
   }
 
   /**
-   * Get statistics by time interval
+   * Get statistics by time interval from the statistics rollups
    */
   async getStatisticsByInterval(campaignId, start, end, interval) {
-    const intervals = [];
-    let current = new Date(start);
-    const endDate = new Date(end);
-
-    while (current <= endDate) {
-      let nextDate;
-      
-      switch (interval) {
-        case 'hourly':
-          nextDate = new Date(current.getTime() + 60 * 60 * 1000);
-          break;
-        case 'daily':
-          nextDate = new Date(current.getTime() + 24 * 60 * 60 * 1000);
-          break;
-        case 'weekly':
-          nextDate = new Date(current.getTime() + 7 * 24 * 60 * 60 * 1000);
-          break;
-        case 'monthly':
-          nextDate = new Date(current.getFullYear(), current.getMonth() + 1, 1);
-          break;
-        default:
-          nextDate = new Date(current.getTime() + 24 * 60 * 60 * 1000);
-      }
-
-      intervals.push({
-        start: new Date(current),
-        end: new Date(nextDate - 1),
-      });
-
-      current = nextDate;
-    }
-
-    // Get data for each interval
-    const statistics = await Promise.all(
-      intervals.map(async interval => {
-        const [impressions, clicks, conversions] = await Promise.all([
-          AdImpression.countDocuments({
-            campaign: campaignId,
-            timestamp: { $gte: interval.start, $lte: interval.end },
-          }),
-          AdClick.countDocuments({
-            campaign: campaignId,
-            timestamp: { $gte: interval.start, $lte: interval.end },
-          }),
-          AdConversion.aggregate([
-            {
-              $match: {
-                campaign: campaignId,
-                timestamp: { $gte: interval.start, $lte: interval.end },
-              },
-            },
-            {
-              $group: {
-                _id: null,
-                count: { $sum: 1 },
-                value: { $sum: '$value' },
-              },
-            },
-          ]),
-        ]);
-
-        const conversionData = conversions[0] || { count: 0, value: 0 };
-
-        return {
-          date: interval.start,
-          impressions,
-          clicks,
-          conversions: conversionData.count,
-          conversionValue: conversionData.value,
-          ctr: impressions > 0 ? (clicks / impressions) * 100 : 0,
-        };
-      })
-    );
-
-    return statistics;
+    return statisticsService.getSeries({ campaign: campaignId }, start, end, interval);
   }
 
   /**
    * Generate campaign analytics
    */
   async generateCampaignAnalytics(campaignId) {
+    const filter = { campaign: campaignId };
+    const lifetime = [new Date(0), new Date()];
+
+    // Delivery by hour is shown in the time zone the campaign is dayparted in
+    const campaign = await AdCampaign.findById(campaignId)
+      .select('dayparting client')
+      .populate('client', 'timeZone')
+      .lean();
+    const schedule = daypartingService.getSchedule(campaign);
+    const timeZone = daypartingService.getTimeZone(campaign);
+
     const [
-      impressions,
-      clicks,
-      conversions,
-      topCreatives,
+      summary,
+      creativeBreakdown,
       deviceBreakdown,
+      positionBreakdown,
       timeBreakdown,
+      experiments,
     ] = await Promise.all([
       // Total metrics
-      AdImpression.countDocuments({ campaign: campaignId }),
-      AdClick.countDocuments({ campaign: campaignId }),
-      AdConversion.aggregate([
-        { $match: { campaign: campaignId } },
-        { $group: { _id: null, count: { $sum: 1 }, value: { $sum: '$value' } } },
-      ]),
+      statisticsService.getTotals(filter, ...lifetime),
 
-      // Top performing creatives
-      AdCreative.find({ campaign: campaignId })
-        .sort({ ctr: -1 })
-        .limit(5)
-        .select('title impressions clicks ctr conversions')
-        .lean(),
-
-      // Device breakdown
-      AdImpression.aggregate([
-        { $match: { campaign: campaignId } },
-        { $group: { _id: '$device.type', count: { $sum: 1 } } },
-        { $sort: { count: -1 } },
-      ]),
+      // Per creative, device and position
+      statisticsService.getTotals(filter, ...lifetime, 'creative'),
+      statisticsService.getTotals(filter, ...lifetime, 'device'),
+      statisticsService.getTotals(filter, ...lifetime, 'position'),
 
       // Time of day breakdown
-      AdImpression.aggregate([
-        { $match: { campaign: campaignId } },
-        {
-          $group: {
-            _id: { $hour: '$timestamp' },
-            impressions: { $sum: 1 },
-            clicks: {
-              $sum: {
-                $cond: [{ $in: ['$_id', { $ifNull: ['$clicked', []] }] }, 1, 0],
-              },
-            },
-          },
-        },
-        { $sort: { _id: 1 } },
-      ]),
+      statisticsService.getHourOfDay(filter, timeZone),
+
+      // Creative A/B tests with significance results
+      experimentService.getCampaignResults(campaignId),
     ]);
 
-    const conversionData = conversions[0] || { count: 0, value: 0 };
+    // Top performing creatives
+    const creatives = await AdCreative.find({
+      _id: { $in: creativeBreakdown.map(row => row._id).filter(Boolean) },
+    }).select('title status file.url').lean();
+
+    const topCreatives = creativeBreakdown
+      .filter(row => row.impressions > 0)
+      .sort((a, b) => b.ctr - a.ctr)
+      .slice(0, 5)
+      .map(row => ({
+        ...row,
+        creative: creatives.find(creative => String(creative._id) === String(row._id)),
+      }));
 
-    return {
-      summary: {
+    // Every local hour, with the weekdays and bid modifier it is scheduled with
+    const deliveryByHour = daypartingService.getHourlyWindows(schedule).map(window => {
+      const row = timeBreakdown.find(entry => entry._id === window.hour) || {};
+      const impressions = row.impressions || 0;
+      const clicks = row.clicks || 0;
+
+      return {
+        _id: window.hour,
         impressions,
         clicks,
-        conversions: conversionData.count,
-        conversionValue: conversionData.value,
-        ctr: impressions > 0 ? (clicks / impressions) * 100 : 0,
-        averageViewability: 75, // This would be calculated from actual data
+        spend: Math.round((row.spend || 0) * 100) / 100,
+        ctr: impressions > 0 ? Math.round((clicks / impressions) * 10000) / 100 : 0,
+        scheduledDays: window.days,
+        bidModifier: window.bidModifier,
+      };
+    });
+
+    return {
+      summary: {
+        impressions: summary.impressions,
+        clicks: summary.clicks,
+        conversions: summary.conversions,
+        conversionValue: summary.conversionValue,
+        ctr: summary.ctr,
+        averageViewability: summary.averageViewability,
       },
       topCreatives,
-      deviceBreakdown,
-      timeBreakdown,
+      deviceBreakdown: deviceBreakdown
+        .filter(row => row._id)
+        .map(row => ({ _id: row._id, count: row.impressions }))
+        .sort((a, b) => b.count - a.count),
+      positionBreakdown: positionBreakdown.filter(row => row._id),
+      timeBreakdown: deliveryByHour,
+      dayparting: {
+        timeZone,
+        slots: schedule ? schedule.slots : [],
+      },
+      experiments,
       recommendations: this.generateAnalyticsRecommendations({
-        impressions,
-        clicks,
-        ctr: impressions > 0 ? (clicks / impressions) * 100 : 0,
-        conversionRate: impressions > 0 ? (conversionData.count / impressions) * 100 : 0,
+        impressions: summary.impressions,
+        clicks: summary.clicks,
+        ctr: summary.ctr,
+        conversionRate: summary.impressions > 0 ? (summary.conversions / summary.impressions) * 100 : 0,
       }),
     };
   }
@@ -1806,9 +3661,9 @@ class AdsController {
   }
 
   /**
-   * Notify campaign completion
+   * Notify campaign completion or scheduler status change
    */
-  async notifyCampaignComplete(campaign) {
+  async notifyCampaignComplete(campaign, transition = 'completed') {
     try {
       const client = await AdClient.findById(campaign.client);
       if (!client) return;
@@ -1816,12 +3671,19 @@ class AdsController {
       const user = await User.findById(client.createdBy);
       if (!user) return;
 
+      const subjects = {
+        activated: `Campaign Started: ${campaign.name}`,
+        completed: `Campaign Completed: ${campaign.name}`,
+        budget_exhausted: `Campaign Paused - Budget Exhausted: ${campaign.name}`,
+      };
+
       await sendEmail({
         to: user.email,
-        subject: `Campaign Completed: ${campaign.name}`,
-        template: 'campaign_complete',
+        subject: subjects[transition] || subjects.completed,
+        template: transition === 'completed' ? 'campaign_complete' : `campaign_${transition}`,
         data: {
           campaignName: campaign.name,
+          transition,
           startDate: campaign.dates.start.toLocaleDateString(),
           endDate: campaign.dates.end.toLocaleDateString(),
           spent: campaign.budget.spent,
@@ -1870,4 +3732,11 @@ class AdsController {
   }
 }
 
-module.exports = new AdsController();
+const adsController = new AdsController();
+
+// Notify campaign owners whenever the scheduler moves a campaign
+campaignScheduler.onTransition((transition, campaign) =>
+  adsController.notifyCampaignComplete(campaign, transition)
+);
+
+module.exports = adsController;
@@ -1,5 +1,23 @@
 const Joi = require('joi');
 const { objectId } = require('./custom.validation');
+const { isValidTimeZone } = require('../../utils/timezone');
+
+const timeZone = (value, helpers) => {
+  if (!isValidTimeZone(value)) {
+    return helpers.message('"{{#label}}" must be a valid IANA time zone');
+  }
+  return value;
+};
+
+const dayparting = Joi.object().keys({
+  timeZone: Joi.string().optional().allow(null).custom(timeZone),
+  slots: Joi.array().items(Joi.object().keys({
+    days: Joi.array().unique().items(Joi.number().integer().min(0).max(6)),
+    startHour: Joi.number().required().integer().min(0).max(23),
+    endHour: Joi.number().required().integer().max(24).greater(Joi.ref('startHour')),
+    bidModifier: Joi.number().min(0.1).max(5).default(1),
+  })).max(28),
+});
 
 const createCampaign = {
   body: Joi.object().keys({
@@ -7,10 +25,25 @@ const createCampaign = {
     type: Joi.string().required().valid('banner', 'sidebar', 'interstitial', 'native', 'video'),
     clientId: Joi.string().required().custom(objectId),
     budget: Joi.number().required().min(100).max(1000000),
+    dailyBudget: Joi.number().optional().min(1).max(Joi.ref('budget')),
+    pacing: Joi.string().optional().valid('even', 'accelerated'),
     currency: Joi.string().default('ETB').valid('ETB', 'USD'),
     startDate: Joi.date().required().iso(),
     endDate: Joi.date().required().iso().greater(Joi.ref('startDate')),
     targeting: Joi.object().optional(),
+    bidding: Joi.object().keys({
+      model: Joi.string().valid('cpm', 'cpc', 'cpa').default('cpm'),
+      amount: Joi.number().min(0),
+    }).optional(),
+    attribution: Joi.object().keys({
+      model: Joi.string().valid('last_click', 'first_click', 'linear', 'time_decay'),
+    }).optional(),
+    frequencyCaps: Joi.array().items(Joi.object().keys({
+      scope: Joi.string().valid('campaign', 'creative').default('campaign'),
+      period: Joi.string().required().valid('hour', 'day', 'lifetime'),
+      limit: Joi.number().required().integer().min(1),
+    })).max(6).optional(),
+    dayparting: dayparting.optional(),
     status: Joi.string().default('draft').valid('draft', 'pending', 'active', 'paused', 'completed', 'cancelled'),
     notes: Joi.string().optional().max(1000),
   }),
@@ -33,6 +66,19 @@ const updateCampaign = {
     startDate: Joi.date().optional().iso(),
     endDate: Joi.date().optional().iso(),
     targeting: Joi.object().optional(),
+    bidding: Joi.object().keys({
+      model: Joi.string().valid('cpm', 'cpc', 'cpa').default('cpm'),
+      amount: Joi.number().min(0),
+    }).optional(),
+    attribution: Joi.object().keys({
+      model: Joi.string().valid('last_click', 'first_click', 'linear', 'time_decay'),
+    }).optional(),
+    frequencyCaps: Joi.array().items(Joi.object().keys({
+      scope: Joi.string().valid('campaign', 'creative').default('campaign'),
+      period: Joi.string().required().valid('hour', 'day', 'lifetime'),
+      limit: Joi.number().required().integer().min(1),
+    })).max(6).optional(),
+    dayparting: dayparting.optional(),
     status: Joi.string().optional().valid('draft', 'pending', 'active', 'paused', 'completed', 'cancelled'),
     notes: Joi.string().optional().max(1000),
   }),
@@ -58,7 +104,29 @@ const updateBudget = {
     id: Joi.string().required().custom(objectId),
   }),
   body: Joi.object().keys({
-    budget: Joi.number().required().min(1),
+    budget: Joi.number().optional().min(1),
+    dailyBudget: Joi.number().optional().min(1).allow(null),
+    pacing: Joi.string().optional().valid('even', 'accelerated'),
+    reason: Joi.string().optional().max(500),
+  }).or('budget', 'dailyBudget', 'pacing'),
+};
+
+const getBudgetRevisions = {
+  query: Joi.object().keys({
+    campaignId: Joi.string().optional().custom(objectId),
+    clientId: Joi.string().optional().custom(objectId),
+    status: Joi.string().optional().valid('applied', 'pending', 'approved', 'rejected'),
+    page: Joi.number().optional().integer().min(1),
+    limit: Joi.number().optional().integer().min(1).max(100),
+  }),
+};
+
+const reviewBudgetRevision = {
+  params: Joi.object().keys({
+    id: Joi.string().required().custom(objectId),
+  }),
+  body: Joi.object().keys({
+    note: Joi.string().optional().max(500),
   }),
 };
 
@@ -80,6 +148,8 @@ const uploadCreative = {
     description: Joi.string().optional().max(500),
     altText: Joi.string().optional().max(200),
     callToAction: Joi.string().optional().max(50),
+    sponsorName: Joi.string().optional().max(50),
+    duration: Joi.number().optional().positive(),
     destinationUrl: Joi.string().optional().uri(),
     isPrimary: Joi.boolean().default(false),
   }),
@@ -91,37 +161,361 @@ const deleteCreative = {
   }),
 };
 
+const getModerationQueue = {
+  query: Joi.object().keys({
+    status: Joi.string().optional().valid('pending', 'approved', 'rejected'),
+    page: Joi.number().optional().integer().min(1),
+    limit: Joi.number().optional().integer().min(1).max(100),
+  }),
+};
+
+const reviewCreative = {
+  params: Joi.object().keys({
+    id: Joi.string().required().custom(objectId),
+  }),
+  body: Joi.object().keys({
+    decision: Joi.string().required().valid('approve', 'reject'),
+    reasons: Joi.array().items(Joi.string().valid(
+      'illegal_products',
+      'tobacco_alcohol',
+      'gambling',
+      'adult_content',
+      'hate_speech',
+      'misinformation',
+      'malware',
+      'unfair_competition',
+      'missing_required_element',
+      'missing_disclosure',
+      'invalid_file',
+      'landing_page_unreachable',
+      'text_too_long',
+      'other'
+    )).unique().when('decision', {
+      is: 'reject',
+      then: Joi.array().required().min(1),
+      otherwise: Joi.forbidden(),
+    }),
+    note: Joi.string().optional().max(1000),
+    override: Joi.boolean().optional(),
+  }),
+};
+
+const getCreativeModeration = {
+  params: Joi.object().keys({
+    id: Joi.string().required().custom(objectId),
+  }),
+};
+
 const recordImpression = {
   body: Joi.object().keys({
-    adId: Joi.string().required().custom(objectId),
-    campaignId: Joi.string().required().custom(objectId),
+    token: Joi.string().required(),
     userId: Joi.string().optional().custom(objectId),
     pageUrl: Joi.string().required().uri(),
-    position: Joi.string().optional(),
     device: Joi.object().optional(),
     viewability: Joi.number().optional().min(0).max(100),
+    consent: Joi.string().optional().valid('full', 'pseudonymous', 'aggregate'),
   }),
 };
 
 const recordClick = {
   body: Joi.object().keys({
-    adId: Joi.string().required().custom(objectId),
-    campaignId: Joi.string().required().custom(objectId),
+    token: Joi.string().required(),
     userId: Joi.string().optional().custom(objectId),
     pageUrl: Joi.string().required().uri(),
-    position: Joi.string().optional(),
     device: Joi.object().optional(),
+    clickId: Joi.string().optional().max(64),
+    consent: Joi.string().optional().valid('full', 'pseudonymous', 'aggregate'),
+  }),
+};
+
+const redirectClick = {
+  params: Joi.object().keys({
+    token: Joi.string().required(),
   }),
 };
 
 const recordConversion = {
   body: Joi.object().keys({
-    adId: Joi.string().required().custom(objectId),
-    campaignId: Joi.string().required().custom(objectId),
     userId: Joi.string().optional().custom(objectId),
     conversionType: Joi.string().required().valid('signup', 'purchase', 'download', 'lead', 'other'),
     value: Joi.number().optional().min(0),
     metadata: Joi.object().optional(),
+    auctionId: Joi.string().optional().guid(),
+    consent: Joi.string().optional().valid('full', 'pseudonymous', 'aggregate'),
+  }),
+};
+
+const adDataRequest = {
+  query: Joi.object().keys({
+    userId: Joi.string().optional().custom(objectId),
+  }),
+};
+
+const previewReach = {
+  body: Joi.object().keys({
+    targeting: Joi.object().required(),
+  }),
+};
+
+const createExperiment = {
+  params: Joi.object().keys({
+    id: Joi.string().required().custom(objectId),
+  }),
+  body: Joi.object().keys({
+    name: Joi.string().required().min(3).max(100),
+    controlCreativeId: Joi.string().required().custom(objectId),
+    variants: Joi.array().required().min(2).max(5).items(Joi.object().keys({
+      creativeId: Joi.string().required().custom(objectId),
+      weight: Joi.number().required().integer().min(1).max(99),
+    })),
+    metric: Joi.string().optional().valid('ctr', 'conversion_rate'),
+    confidenceLevel: Joi.number().optional().min(0.8).max(0.999),
+    minSampleSize: Joi.number().optional().integer().min(100),
+    minDurationDays: Joi.number().optional().integer().min(1).max(90),
+    autoPromote: Joi.boolean().optional(),
+    start: Joi.boolean().optional(),
+  }),
+};
+
+const getExperiments = {
+  params: Joi.object().keys({
+    id: Joi.string().required().custom(objectId),
+  }),
+};
+
+const updateExperimentStatus = {
+  params: Joi.object().keys({
+    id: Joi.string().required().custom(objectId),
+  }),
+  body: Joi.object().keys({
+    status: Joi.string().required().valid('running', 'stopped'),
+  }),
+};
+
+const promoteExperimentWinner = {
+  params: Joi.object().keys({
+    id: Joi.string().required().custom(objectId),
+  }),
+  body: Joi.object().keys({
+    creativeId: Joi.string().optional().custom(objectId),
+  }),
+};
+
+const getCampaignOptimizations = {
+  params: Joi.object().keys({
+    id: Joi.string().required().custom(objectId),
+  }),
+  query: Joi.object().keys({
+    status: Joi.string().optional().valid('proposed', 'applied', 'dismissed', 'expired', 'rolled_back'),
+    page: Joi.number().optional().integer().min(1),
+    limit: Joi.number().optional().integer().min(1).max(100),
+  }),
+};
+
+const updateCampaignOptimization = {
+  params: Joi.object().keys({
+    id: Joi.string().required().custom(objectId),
+  }),
+  body: Joi.object().keys({
+    mode: Joi.string().optional().valid('off', 'suggest', 'auto'),
+    actions: Joi.array().optional().unique().items(
+      Joi.string().valid('adjust_bid', 'pause_poor_performing', 'increase_budget_top_performing')
+    ),
+  }).or('mode', 'actions'),
+};
+
+const optimizationAction = {
+  params: Joi.object().keys({
+    id: Joi.string().required().custom(objectId),
+  }),
+};
+
+const reportMetric = Joi.string().valid(
+  'impressions',
+  'clicks',
+  'ctr',
+  'conversions',
+  'conversionRate',
+  'conversionValue',
+  'spend',
+  'cpc',
+  'cpm',
+  'averageViewability'
+);
+
+const reportDateRange = Joi.object().keys({
+  preset: Joi.string().required().valid('last_7_days', 'last_30_days', 'last_week', 'last_month', 'month_to_date', 'custom'),
+  start: Joi.date().when('preset', { is: 'custom', then: Joi.required(), otherwise: Joi.forbidden() }),
+  end: Joi.date().when('preset', { is: 'custom', then: Joi.date().required().greater(Joi.ref('start')), otherwise: Joi.forbidden() }),
+});
+
+const reportSchedule = Joi.object().keys({
+  enabled: Joi.boolean().optional(),
+  frequency: Joi.string().optional().valid('weekly', 'monthly'),
+  recipients: Joi.array().optional().unique().max(10).items(Joi.string().email()),
+});
+
+const createReport = {
+  body: Joi.object().keys({
+    clientId: Joi.string().required().custom(objectId),
+    name: Joi.string().required().max(200),
+    campaigns: Joi.array().optional().unique().items(Joi.string().custom(objectId)),
+    metrics: Joi.array().required().min(1).unique().items(reportMetric),
+    breakdowns: Joi.array().optional().unique().items(
+      Joi.string().valid('day', 'campaign', 'creative', 'position', 'device')
+    ),
+    dateRange: reportDateRange.optional(),
+    format: Joi.string().optional().valid('csv', 'xlsx', 'pdf'),
+    schedule: reportSchedule.optional(),
+  }),
+};
+
+const getReports = {
+  query: Joi.object().keys({
+    clientId: Joi.string().optional().custom(objectId),
+    page: Joi.number().optional().integer().min(1),
+    limit: Joi.number().optional().integer().min(1).max(100),
+  }),
+};
+
+const getReport = {
+  params: Joi.object().keys({
+    id: Joi.string().required().custom(objectId),
+  }),
+};
+
+const updateReport = {
+  params: Joi.object().keys({
+    id: Joi.string().required().custom(objectId),
+  }),
+  body: Joi.object().keys({
+    name: Joi.string().optional().max(200),
+    campaigns: Joi.array().optional().unique().items(Joi.string().custom(objectId)),
+    metrics: Joi.array().optional().min(1).unique().items(reportMetric),
+    breakdowns: Joi.array().optional().unique().items(
+      Joi.string().valid('day', 'campaign', 'creative', 'position', 'device')
+    ),
+    dateRange: reportDateRange.optional(),
+    format: Joi.string().optional().valid('csv', 'xlsx', 'pdf'),
+    schedule: reportSchedule.optional(),
+  }).min(1),
+};
+
+const deleteReport = {
+  params: Joi.object().keys({
+    id: Joi.string().required().custom(objectId),
+  }),
+};
+
+const downloadReport = {
+  params: Joi.object().keys({
+    id: Joi.string().required().custom(objectId),
+  }),
+  query: Joi.object().keys({
+    format: Joi.string().optional().valid('csv', 'xlsx', 'pdf'),
+  }),
+};
+
+const getSponsoredJobs = {
+  query: Joi.object().keys({
+    query: Joi.string().optional().allow('').max(200),
+    category: Joi.string().optional(),
+    region: Joi.string().optional(),
+    city: Joi.string().optional(),
+    deviceType: Joi.string().optional().valid('desktop', 'mobile', 'tablet'),
+    userId: Joi.string().optional(),
+    organicCount: Joi.number().optional().integer().min(0).max(100),
+    consent: Joi.string().optional().valid('full', 'pseudonymous', 'aggregate'),
+  }),
+};
+
+const getVastAd = {
+  query: Joi.object().keys({
+    position: Joi.string().optional().valid('course_preroll', 'mobile_app'),
+    version: Joi.string().optional().valid('3.0', '4.0'),
+    category: Joi.string().optional(),
+    region: Joi.string().optional(),
+    city: Joi.string().optional(),
+    deviceType: Joi.string().optional().valid('desktop', 'mobile', 'tablet'),
+    userId: Joi.string().optional(),
+    consent: Joi.string().optional().valid('full', 'pseudonymous', 'aggregate'),
+  }),
+};
+
+const trackVideoEvent = {
+  params: Joi.object().keys({
+    event: Joi.string().required().valid(
+      'impression',
+      'start',
+      'firstQuartile',
+      'midpoint',
+      'thirdQuartile',
+      'complete',
+      'skip'
+    ),
+    token: Joi.string().required(),
+  }),
+};
+
+const createJobPromotion = {
+  body: Joi.object().keys({
+    clientId: Joi.string().required().custom(objectId),
+    jobId: Joi.string().required().custom(objectId),
+    tier: Joi.string().required().valid('standard', 'featured', 'urgent'),
+    durationDays: Joi.number().required().integer(),
+    budget: Joi.number().required().min(100).max(1000000),
+    startDate: Joi.date().optional().iso(),
+  }),
+};
+
+const createOrganization = {
+  body: Joi.object().keys({
+    name: Joi.string().required().max(100),
+    type: Joi.string().optional().valid('advertiser', 'agency'),
+  }),
+};
+
+const addOrganizationClient = {
+  params: Joi.object().keys({
+    id: Joi.string().required().custom(objectId),
+  }),
+  body: Joi.object().keys({
+    clientId: Joi.string().required().custom(objectId),
+  }),
+};
+
+const inviteOrganizationMember = {
+  params: Joi.object().keys({
+    id: Joi.string().required().custom(objectId),
+  }),
+  body: Joi.object().keys({
+    email: Joi.string().required().email(),
+    role: Joi.string().required().valid('owner', 'manager', 'billing', 'viewer'),
+    clientIds: Joi.array().optional().unique().items(Joi.string().custom(objectId)),
+  }),
+};
+
+const acceptOrganizationInvitation = {
+  body: Joi.object().keys({
+    token: Joi.string().required().max(100),
+  }),
+};
+
+const updateOrganizationMember = {
+  params: Joi.object().keys({
+    id: Joi.string().required().custom(objectId),
+    userId: Joi.string().required().custom(objectId),
+  }),
+  body: Joi.object().keys({
+    role: Joi.string().optional().valid('owner', 'manager', 'billing', 'viewer'),
+    clientIds: Joi.array().optional().unique().items(Joi.string().custom(objectId)),
+  }).or('role', 'clientIds'),
+};
+
+const removeOrganizationMember = {
+  params: Joi.object().keys({
+    id: Joi.string().required().custom(objectId),
+    userId: Joi.string().required().custom(objectId),
   }),
 };
 
@@ -131,6 +525,78 @@ const getClient = {
   }),
 };
 
+const getInvoices = {
+  params: Joi.object().keys({
+    id: Joi.string().required().custom(objectId),
+  }),
+  query: Joi.object().keys({
+    page: Joi.number().optional().integer().min(1),
+    limit: Joi.number().optional().integer().min(1).max(100),
+    status: Joi.string().optional().valid('issued', 'paid', 'overdue'),
+  }),
+};
+
+const getInvoice = {
+  params: Joi.object().keys({
+    id: Joi.string().required().custom(objectId),
+  }),
+};
+
+const closeInvoicePeriod = {
+  params: Joi.object().keys({
+    id: Joi.string().required().custom(objectId),
+  }),
+  body: Joi.object().keys({
+    periodStart: Joi.date().optional().iso(),
+    periodEnd: Joi.date().optional().iso().greater(Joi.ref('periodStart')),
+  }).and('periodStart', 'periodEnd'),
+};
+
+const recordInvoicePayment = {
+  params: Joi.object().keys({
+    id: Joi.string().required().custom(objectId),
+  }),
+  body: Joi.object().keys({
+    amount: Joi.number().required().positive(),
+    method: Joi.string().required().valid('chapa', 'telebirr', 'cbe', 'bank_transfer', 'cash', 'other'),
+    reference: Joi.string().optional().max(100),
+    paidAt: Joi.date().optional().iso(),
+  }),
+};
+
+const getWallets = {
+  query: Joi.object().keys({
+    page: Joi.number().optional().integer().min(1),
+    limit: Joi.number().optional().integer().min(1).max(100),
+  }),
+};
+
+const getWallet = {
+  params: Joi.object().keys({
+    id: Joi.string().required().custom(objectId),
+  }),
+  query: Joi.object().keys({
+    page: Joi.number().optional().integer().min(1),
+    limit: Joi.number().optional().integer().min(1).max(100),
+  }),
+};
+
+const createWalletTopup = {
+  params: Joi.object().keys({
+    id: Joi.string().required().custom(objectId),
+  }),
+  body: Joi.object().keys({
+    amount: Joi.number().required().positive().precision(2),
+    gateway: Joi.string().required().valid('chapa', 'telebirr', 'cbe'),
+  }),
+};
+
+const walletTopupCallback = {
+  params: Joi.object().keys({
+    gateway: Joi.string().required().valid('chapa', 'telebirr', 'cbe'),
+  }),
+};
+
 module.exports = {
   createCampaign,
   getCampaign,
@@ -138,11 +604,50 @@ module.exports = {
   deleteCampaign,
   updateStatus,
   updateBudget,
+  getBudgetRevisions,
+  reviewBudgetRevision,
   getStatistics,
   uploadCreative,
   deleteCreative,
+  getModerationQueue,
+  reviewCreative,
+  getCreativeModeration,
   recordImpression,
   recordClick,
+  redirectClick,
   recordConversion,
+  adDataRequest,
+  previewReach,
+  createExperiment,
+  getExperiments,
+  updateExperimentStatus,
+  promoteExperimentWinner,
+  getCampaignOptimizations,
+  updateCampaignOptimization,
+  optimizationAction,
+  createReport,
+  getReports,
+  getReport,
+  updateReport,
+  deleteReport,
+  downloadReport,
+  getSponsoredJobs,
+  getVastAd,
+  trackVideoEvent,
+  createJobPromotion,
+  createOrganization,
+  addOrganizationClient,
+  inviteOrganizationMember,
+  acceptOrganizationInvitation,
+  updateOrganizationMember,
+  removeOrganizationMember,
   getClient,
+  getInvoices,
+  getInvoice,
+  closeInvoicePeriod,
+  recordInvoicePayment,
+  getWallets,
+  getWallet,
+  createWalletTopup,
+  walletTopupCallback,
 };
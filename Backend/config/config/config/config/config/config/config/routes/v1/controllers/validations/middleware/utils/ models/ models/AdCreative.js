@@ -1,6 +1,13 @@
 const mongoose = require('mongoose');
 const Schema = mongoose.Schema;
 
+/**
+ * Uploaded files are required except on sponsored job creatives
+ */
+function requiresFile() {
+  return !this.job;
+}
+
 /**
  * Ad Creative Schema
  */
@@ -28,45 +35,102 @@ const adCreativeSchema = new Schema({
     type: String,
     maxlength: 50,
   },
+  // Advertiser name shown on native ads
+  sponsorName: {
+    type: String,
+    trim: true,
+    maxlength: 50,
+  },
   destinationUrl: {
     type: String,
     required: true,
   },
+  // Sponsored job creatives show the promoted job instead of an uploaded file
+  job: {
+    type: Schema.Types.ObjectId,
+    ref: 'Job',
+  },
   file: {
     url: {
       type: String,
-      required: true,
+      required: requiresFile,
     },
     publicId: {
       type: String,
-      required: true,
+      required: requiresFile,
     },
     format: {
       type: String,
-      required: true,
+      required: requiresFile,
     },
     width: {
       type: Number,
-      required: true,
+      required: requiresFile,
     },
     height: {
       type: Number,
-      required: true,
+      required: requiresFile,
     },
     size: {
       type: Number,
-      required: true,
+      required: requiresFile,
     },
+    // Video length in seconds
+    duration: Number,
+    // SHA-256 of the uploaded content, for dedupe
+    hash: String,
   },
+  // Image resized to each size of the ad type, in each served format
+  renditions: [{
+    _id: false,
+    width: Number,
+    height: Number,
+    format: {
+      type: String,
+      enum: ['avif', 'webp', 'jpeg', 'png', 'gif'],
+    },
+    url: String,
+    publicId: String,
+    size: Number,
+  }],
   isPrimary: {
     type: Boolean,
     default: false,
   },
   status: {
     type: String,
-    enum: ['draft', 'pending', 'active', 'paused', 'archived'],
+    enum: ['draft', 'pending', 'active', 'paused', 'rejected', 'archived'],
     default: 'active',
   },
+  // Review before the creative can serve; creatives predating moderation have none
+  moderation: {
+    status: {
+      type: String,
+      enum: ['pending', 'approved', 'rejected'],
+    },
+    checks: [{
+      _id: false,
+      name: String,
+      passed: Boolean,
+      severity: {
+        type: String,
+        enum: ['error', 'warning'],
+      },
+      reason: String,
+      detail: String,
+    }],
+    checkedAt: Date,
+    reasons: [String],
+    note: {
+      type: String,
+      maxlength: 1000,
+    },
+    reviewedBy: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    reviewedAt: Date,
+  },
   metrics: {
     impressions: {
       type: Number,
@@ -84,6 +148,33 @@ const adCreativeSchema = new Schema({
       type: Number,
       default: 0,
     },
+    // VAST playback events of video creatives
+    video: {
+      starts: {
+        type: Number,
+        default: 0,
+      },
+      firstQuartiles: {
+        type: Number,
+        default: 0,
+      },
+      midpoints: {
+        type: Number,
+        default: 0,
+      },
+      thirdQuartiles: {
+        type: Number,
+        default: 0,
+      },
+      completions: {
+        type: Number,
+        default: 0,
+      },
+      skips: {
+        type: Number,
+        default: 0,
+      },
+    },
   },
   createdBy: {
     type: Schema.Types.ObjectId,
@@ -97,7 +188,9 @@ const adCreativeSchema = new Schema({
 // Indexes
 adCreativeSchema.index({ campaign: 1, status: 1 });
 adCreativeSchema.index({ isPrimary: 1 });
+adCreativeSchema.index({ 'moderation.status': 1, createdAt: 1 });
 adCreativeSchema.index({ 'metrics.ctr': -1 });
+adCreativeSchema.index({ 'file.hash': 1 });
 
 // Calculate CTR before saving
 adCreativeSchema.pre('save', function(next) {
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const adsConfig = require('../config/ads.config');
 const Schema = mongoose.Schema;
 
 /**
@@ -19,6 +20,13 @@ const adImpressionSchema = new Schema({
     type: Schema.Types.ObjectId,
     ref: 'User',
   },
+  // Keyed hash of the user, stored instead of it for pseudonymous consent
+  userHash: String,
+  // What the viewer consented to when the event was stored
+  consent: {
+    type: String,
+    enum: ['full', 'pseudonymous', 'aggregate'],
+  },
   sessionId: String,
   pageUrl: {
     type: String,
@@ -45,6 +53,21 @@ const adImpressionSchema = new Schema({
     type: Number,
     default: 0,
   },
+  // Auction that served the ad; clearingPrice is in units of pricingModel
+  auction: {
+    id: String,
+    slot: Number,
+    pricingModel: {
+      type: String,
+      enum: ['cpm', 'cpc', 'cpa'],
+    },
+    bid: Number,
+    qualityScore: Number,
+    clearingPrice: Number,
+    // Rotation strategy that ordered the slots, and the score it gave this ad
+    strategy: String,
+    rotationScore: Number,
+  },
   ipAddress: String,
   userAgent: String,
   timestamp: {
@@ -59,6 +82,13 @@ const adImpressionSchema = new Schema({
 adImpressionSchema.index({ campaign: 1, timestamp: 1 });
 adImpressionSchema.index({ creative: 1, timestamp: 1 });
 adImpressionSchema.index({ user: 1, timestamp: 1 });
-adImpressionSchema.index({ timestamp: 1 });
+adImpressionSchema.index({ userHash: 1, timestamp: 1 });
+// Raw events expire once rolled up into AdStatHourly / AdStatDaily
+adImpressionSchema.index(
+  { timestamp: 1 },
+  { expireAfterSeconds: adsConfig.statistics.retention.raw * 24 * 60 * 60 }
+);
+adImpressionSchema.index({ 'auction.id': 1, creative: 1 });
+adImpressionSchema.index({ 'auction.strategy': 1, position: 1, timestamp: -1 });
 
 module.exports = mongoose.model('AdImpression', adImpressionSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const adsConfig = require('../config/ads.config');
 const Schema = mongoose.Schema;
 
 /**
@@ -19,6 +20,13 @@ const adClickSchema = new Schema({
     type: Schema.Types.ObjectId,
     ref: 'User',
   },
+  // Keyed hash of the user, stored instead of it for pseudonymous consent
+  userHash: String,
+  // What the viewer consented to when the event was stored
+  consent: {
+    type: String,
+    enum: ['full', 'pseudonymous', 'aggregate'],
+  },
   sessionId: String,
   pageUrl: {
     type: String,
@@ -39,6 +47,21 @@ const adClickSchema = new Schema({
     type: Number,
     default: 0,
   },
+  // Auction that served the ad; clearingPrice is in units of pricingModel
+  auction: {
+    id: String,
+    slot: Number,
+    pricingModel: {
+      type: String,
+      enum: ['cpm', 'cpc', 'cpa'],
+    },
+    bid: Number,
+    qualityScore: Number,
+    clearingPrice: Number,
+    // Rotation strategy that ordered the slots, and the score it gave this ad
+    strategy: String,
+    rotationScore: Number,
+  },
   ipAddress: String,
   userAgent: String,
   timestamp: {
@@ -53,6 +76,11 @@ const adClickSchema = new Schema({
 adClickSchema.index({ campaign: 1, timestamp: 1 });
 adClickSchema.index({ creative: 1, timestamp: 1 });
 adClickSchema.index({ user: 1, timestamp: 1 });
-adClickSchema.index({ timestamp: 1 });
+adClickSchema.index({ userHash: 1, timestamp: 1 });
+// Raw events expire once rolled up into AdStatHourly / AdStatDaily
+adClickSchema.index(
+  { timestamp: 1 },
+  { expireAfterSeconds: adsConfig.statistics.retention.raw * 24 * 60 * 60 }
+);
 
 module.exports = mongoose.model('AdClick', adClickSchema);
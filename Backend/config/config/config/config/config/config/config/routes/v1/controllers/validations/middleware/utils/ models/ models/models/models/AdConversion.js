@@ -4,7 +4,40 @@ const Schema = mongoose.Schema;
 /**
  * Ad Conversion Schema
  */
+const attributionCreditSchema = new Schema({
+  campaign: {
+    type: Schema.Types.ObjectId,
+    ref: 'AdCampaign',
+    required: true,
+  },
+  creative: {
+    type: Schema.Types.ObjectId,
+    ref: 'AdCreative',
+  },
+  touchpoint: {
+    type: String,
+    enum: ['click', 'impression'],
+  },
+  touchedAt: Date,
+  // Share of the conversion (0-1) and of its value
+  credit: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 1,
+  },
+  value: {
+    type: Number,
+    default: 0,
+  },
+  cost: {
+    type: Number,
+    default: 0,
+  },
+}, { _id: false });
+
 const adConversionSchema = new Schema({
+  // Campaign and creative of the last touchpoint
   creative: {
     type: Schema.Types.ObjectId,
     ref: 'AdCreative',
@@ -19,6 +52,13 @@ const adConversionSchema = new Schema({
     type: Schema.Types.ObjectId,
     ref: 'User',
   },
+  // Keyed hash of the user, stored instead of it for pseudonymous consent
+  userHash: String,
+  // What the viewer consented to when the event was stored
+  consent: {
+    type: String,
+    enum: ['full', 'pseudonymous', 'aggregate'],
+  },
   conversionType: {
     type: String,
     required: true,
@@ -28,6 +68,13 @@ const adConversionSchema = new Schema({
     type: Number,
     default: 0,
   },
+  attribution: {
+    model: {
+      type: String,
+      enum: ['last_click', 'first_click', 'linear', 'time_decay'],
+    },
+    credits: [attributionCreditSchema],
+  },
   metadata: Schema.Types.Mixed,
   ipAddress: String,
   timestamp: {
@@ -41,7 +88,9 @@ const adConversionSchema = new Schema({
 // Indexes for analytics queries
 adConversionSchema.index({ campaign: 1, timestamp: 1 });
 adConversionSchema.index({ creative: 1, timestamp: 1 });
+adConversionSchema.index({ 'attribution.credits.campaign': 1, timestamp: 1 });
 adConversionSchema.index({ user: 1, timestamp: 1 });
+adConversionSchema.index({ userHash: 1, timestamp: 1 });
 adConversionSchema.index({ conversionType: 1, timestamp: 1 });
 adConversionSchema.index({ timestamp: 1 });
 
@@ -56,16 +56,36 @@ const adClientSchema = new Schema({
       enum: ['net15', 'net30', 'net60', 'prepaid'],
       default: 'net30',
     },
+    currency: {
+      type: String,
+      enum: ['ETB', 'USD'],
+      default: 'ETB',
+    },
+  },
+  // Local time zone, used for campaign dayparting
+  timeZone: {
+    type: String,
+    default: 'Africa/Addis_Ababa',
   },
   status: {
     type: String,
     enum: ['active', 'inactive', 'suspended'],
     default: 'active',
   },
+  suspendedAt: Date,
+  suspensionReason: {
+    type: String,
+    enum: ['manual', 'billing_overdue'],
+  },
   notes: {
     type: String,
     maxlength: 1000,
   },
+  // Team that manages the client; clients outside an organization are managed by their creator
+  organization: {
+    type: Schema.Types.ObjectId,
+    ref: 'AdOrganization',
+  },
   createdBy: {
     type: Schema.Types.ObjectId,
     ref: 'User',
@@ -79,5 +99,6 @@ const adClientSchema = new Schema({
 adClientSchema.index({ email: 1 }, { unique: true });
 adClientSchema.index({ status: 1 });
 adClientSchema.index({ createdBy: 1 });
+adClientSchema.index({ organization: 1 });
 
 module.exports = mongoose.model('AdClient', adClientSchema);
@@ -1,6 +1,39 @@
 const mongoose = require('mongoose');
 const Schema = mongoose.Schema;
 
+/**
+ * Targeting Criteria Schema
+ * Shared by include lists and the exclude block
+ */
+const targetingCriteriaSchema = {
+  demographics: {
+    age: [String],
+    gender: [String],
+    education: [String],
+    income: [String],
+  },
+  geographic: {
+    regions: [String],
+    cities: [String],
+  },
+  interests: {
+    job_categories: [String],
+    industries: [String],
+    skills: [String],
+  },
+  behavioral: {
+    job_search_frequency: [String],
+    application_rate: [String],
+    profile_completeness: [String],
+    membership_tier: [String],
+  },
+  device: {
+    types: [String],
+    platforms: [String],
+    browsers: [String],
+  },
+};
+
 /**
  * Ad Campaign Schema
  */
@@ -14,7 +47,7 @@ const adCampaignSchema = new Schema({
   type: {
     type: String,
     required: true,
-    enum: ['banner', 'sidebar', 'interstitial', 'native', 'video'],
+    enum: ['banner', 'sidebar', 'interstitial', 'native', 'video', 'sponsored_job'],
   },
   client: {
     type: Schema.Types.ObjectId,
@@ -37,11 +70,125 @@ const adCampaignSchema = new Schema({
       default: function() { return this.budget.total; },
       min: 0,
     },
+    // Spend already debited from a prepaid client's wallet
+    settled: {
+      type: Number,
+      default: 0,
+    },
     currency: {
       type: String,
       default: 'ETB',
       enum: ['ETB', 'USD'],
     },
+    // Optional daily cap; without it the remaining budget is spread over the remaining days
+    daily: {
+      type: Number,
+      min: 0,
+    },
+    pacing: {
+      type: String,
+      enum: ['even', 'accelerated'],
+      default: 'even',
+    },
+    // Spend for the current pacing day (Africa/Addis_Ababa)
+    today: {
+      date: String,
+      spent: {
+        type: Number,
+        default: 0,
+      },
+    },
+  },
+  // Auction bid, in ETB per unit of the pricing model
+  bidding: {
+    model: {
+      type: String,
+      enum: ['cpm', 'cpc', 'cpa'],
+      default: 'cpm',
+    },
+    amount: {
+      type: Number,
+      min: 0,
+    },
+  },
+  // How conversions are credited across the touchpoints leading to them
+  attribution: {
+    model: {
+      type: String,
+      enum: ['last_click', 'first_click', 'linear', 'time_decay'],
+      default: 'last_click',
+    },
+  },
+  // Maximum impressions per viewer, per campaign or per creative
+  frequencyCaps: [{
+    _id: false,
+    scope: {
+      type: String,
+      enum: ['campaign', 'creative'],
+      default: 'campaign',
+    },
+    period: {
+      type: String,
+      enum: ['hour', 'day', 'lifetime'],
+      required: true,
+    },
+    limit: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+  }],
+  // Promoted job of a sponsored_job campaign
+  promotion: {
+    job: {
+      type: Schema.Types.ObjectId,
+      ref: 'Job',
+    },
+    tier: {
+      type: String,
+      enum: ['standard', 'featured', 'urgent'],
+    },
+    boostFactor: Number,
+    durationDays: Number,
+    // Listing details shown on the sponsored result
+    company: {
+      name: String,
+      logo: String,
+    },
+    location: String,
+    category: String,
+  },
+  // Hours and weekdays the campaign may serve; no slots serves around the clock
+  dayparting: {
+    // Defaults to the client's time zone
+    timeZone: String,
+    slots: [{
+      _id: false,
+      days: [{
+        type: Number,
+        min: 0, // Sunday
+        max: 6,
+      }],
+      startHour: {
+        type: Number,
+        required: true,
+        min: 0,
+        max: 23,
+      },
+      // Exclusive
+      endHour: {
+        type: Number,
+        required: true,
+        min: 1,
+        max: 24,
+      },
+      bidModifier: {
+        type: Number,
+        default: 1,
+        min: 0.1,
+        max: 5,
+      },
+    }],
   },
   dates: {
     start: {
@@ -60,32 +207,19 @@ const adCampaignSchema = new Schema({
     },
   },
   targeting: {
-    demographics: {
-      age: [String],
-      gender: [String],
-      education: [String],
-      income: [String],
-    },
-    geographic: {
-      regions: [String],
-      cities: [String],
-    },
-    interests: {
-      job_categories: [String],
-      industries: [String],
-      skills: [String],
-    },
-    behavioral: {
-      job_search_frequency: [String],
-      application_rate: [String],
-      profile_completeness: [String],
-      membership_tier: [String],
-    },
-    device: {
-      types: [String],
-      platforms: [String],
-      browsers: [String],
+    ...targetingCriteriaSchema,
+    exclude: {
+      ...targetingCriteriaSchema,
+      categories: [String],
+    },
+    // How categories and groups combine: all must match ('and') or any ('or')
+    operator: {
+      type: String,
+      enum: ['and', 'or'],
+      default: 'and',
     },
+    // Nested targeting blocks with their own operator, evaluated recursively
+    groups: [Schema.Types.Mixed],
     positions: [String],
     categories: [String],
   },
@@ -131,6 +265,33 @@ const adCampaignSchema = new Schema({
       type: Number,
       default: 0,
     },
+    // VAST playback events of video campaigns
+    video: {
+      starts: {
+        type: Number,
+        default: 0,
+      },
+      firstQuartiles: {
+        type: Number,
+        default: 0,
+      },
+      midpoints: {
+        type: Number,
+        default: 0,
+      },
+      thirdQuartiles: {
+        type: Number,
+        default: 0,
+      },
+      completions: {
+        type: Number,
+        default: 0,
+      },
+      skips: {
+        type: Number,
+        default: 0,
+      },
+    },
   },
   creatives: [{
     type: Schema.Types.ObjectId,
@@ -140,6 +301,24 @@ const adCampaignSchema = new Schema({
     type: Schema.Types.ObjectId,
     ref: 'AdCreative',
   },
+  // Automated optimizer settings
+  optimization: {
+    mode: {
+      type: String,
+      enum: ['off', 'suggest', 'auto'],
+      default: 'suggest',
+    },
+    // Actions the optimizer may take; empty allows all
+    actions: [{
+      type: String,
+      enum: ['adjust_bid', 'pause_poor_performing', 'increase_budget_top_performing'],
+    }],
+  },
+  // Running creative experiment, if any
+  experiment: {
+    type: Schema.Types.ObjectId,
+    ref: 'AdExperiment',
+  },
   notes: {
     type: String,
     maxlength: 1000,
@@ -151,6 +330,10 @@ const adCampaignSchema = new Schema({
   },
   activatedAt: Date,
   pausedAt: Date,
+  pauseReason: {
+    type: String,
+    enum: ['manual', 'budget_exhausted', 'billing_overdue', 'insufficient_funds'],
+  },
   completedAt: Date,
   cancelledAt: Date,
 }, {
@@ -162,6 +345,7 @@ adCampaignSchema.index({ status: 1, 'dates.start': 1, 'dates.end': 1 });
 adCampaignSchema.index({ client: 1, status: 1 });
 adCampaignSchema.index({ createdBy: 1 });
 adCampaignSchema.index({ 'budget.remaining': 1 });
+adCampaignSchema.index({ 'promotion.job': 1 }, { sparse: true });
 
 // Methods
 adCampaignSchema.methods.isActive = function() {
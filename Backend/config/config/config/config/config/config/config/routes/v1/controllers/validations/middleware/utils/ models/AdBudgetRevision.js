@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// Budget fields a revision can change; unset fields were left as they were
+const budgetFields = {
+  _id: false,
+  total: Number,
+  // null clears the daily cap
+  daily: Number,
+  pacing: {
+    type: String,
+    enum: ['even', 'accelerated'],
+  },
+};
+
+/**
+ * Ad Budget Revision Schema
+ * A change to a campaign budget, applied directly or once approved
+ */
+const adBudgetRevisionSchema = new Schema({
+  campaign: {
+    type: Schema.Types.ObjectId,
+    ref: 'AdCampaign',
+    required: true,
+  },
+  client: {
+    type: Schema.Types.ObjectId,
+    ref: 'AdClient',
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: ['applied', 'pending', 'approved', 'rejected'],
+    required: true,
+  },
+  // Budget when the change was requested
+  previous: budgetFields,
+  requested: budgetFields,
+  reason: {
+    type: String,
+    maxlength: 500,
+  },
+  // Who asked for the change: an advertiser, or the campaign optimizer
+  source: {
+    type: String,
+    enum: ['user', 'optimizer'],
+    default: 'user',
+  },
+  requestedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: function() {
+      return this.source === 'user';
+    },
+  },
+  reviewedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  reviewedAt: Date,
+  reviewNote: {
+    type: String,
+    maxlength: 500,
+  },
+}, {
+  timestamps: true,
+});
+
+// Indexes
+adBudgetRevisionSchema.index({ campaign: 1, createdAt: -1 });
+adBudgetRevisionSchema.index({ client: 1, status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('AdBudgetRevision', adBudgetRevisionSchema);
@@ -0,0 +1,110 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+/**
+ * Ad Experiment Schema
+ * A/B test between creatives of a campaign
+ */
+const variantSchema = new Schema({
+  creative: {
+    type: Schema.Types.ObjectId,
+    ref: 'AdCreative',
+    required: true,
+  },
+  // Share of the campaign's traffic, in percent
+  weight: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 100,
+  },
+  // Counted from the start of the experiment
+  metrics: {
+    impressions: {
+      type: Number,
+      default: 0,
+    },
+    clicks: {
+      type: Number,
+      default: 0,
+    },
+    conversions: {
+      type: Number,
+      default: 0,
+    },
+  },
+}, { _id: false });
+
+const adExperimentSchema = new Schema({
+  campaign: {
+    type: Schema.Types.ObjectId,
+    ref: 'AdCampaign',
+    required: true,
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100,
+  },
+  status: {
+    type: String,
+    enum: ['draft', 'running', 'completed', 'stopped'],
+    default: 'draft',
+  },
+  control: {
+    type: Schema.Types.ObjectId,
+    ref: 'AdCreative',
+    required: true,
+  },
+  variants: [variantSchema],
+  metric: {
+    type: String,
+    enum: ['ctr', 'conversion_rate'],
+    default: 'ctr',
+  },
+  confidenceLevel: {
+    type: Number,
+    default: 0.95,
+    min: 0.8,
+    max: 0.999,
+  },
+  // Trials each variant needs before a winner can be declared:
+  // impressions for CTR, clicks for conversion rate
+  minSampleSize: {
+    type: Number,
+    default: 1000,
+    min: 100,
+  },
+  // Days an experiment runs before a winner can be declared, so results
+  // cover a full traffic cycle and early checks cannot promote by chance
+  minDurationDays: {
+    type: Number,
+    default: 7,
+    min: 1,
+    max: 90,
+  },
+  autoPromote: {
+    type: Boolean,
+    default: false,
+  },
+  winner: {
+    type: Schema.Types.ObjectId,
+    ref: 'AdCreative',
+  },
+  startedAt: Date,
+  endedAt: Date,
+  createdBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+}, {
+  timestamps: true,
+});
+
+// Indexes
+adExperimentSchema.index({ campaign: 1, status: 1 });
+adExperimentSchema.index({ status: 1, autoPromote: 1 });
+
+module.exports = mongoose.model('AdExperiment', adExperimentSchema);
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+/**
+ * Ad Invalid Traffic Schema
+ * Audit trail of impressions and clicks excluded from billing and metrics
+ */
+const adInvalidTrafficSchema = new Schema({
+  eventType: {
+    type: String,
+    enum: ['impression', 'click'],
+    required: true,
+  },
+  creative: {
+    type: Schema.Types.ObjectId,
+    ref: 'AdCreative',
+    required: true,
+  },
+  campaign: {
+    type: Schema.Types.ObjectId,
+    ref: 'AdCampaign',
+    required: true,
+  },
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  auctionId: String,
+  clickId: String,
+  pageUrl: String,
+  position: String,
+  score: {
+    type: Number,
+    required: true,
+  },
+  reasons: [{
+    rule: {
+      type: String,
+      required: true,
+    },
+    weight: Number,
+    detail: String,
+  }],
+  ipAddress: String,
+  userAgent: String,
+  timestamp: {
+    type: Date,
+    default: Date.now,
+  },
+}, {
+  timestamps: true,
+});
+
+// Indexes for reporting and investigations
+adInvalidTrafficSchema.index({ campaign: 1, timestamp: 1 });
+adInvalidTrafficSchema.index({ ipAddress: 1, timestamp: 1 });
+adInvalidTrafficSchema.index({ 'reasons.rule': 1, timestamp: 1 });
+
+module.exports = mongoose.model('AdInvalidTraffic', adInvalidTrafficSchema);
@@ -0,0 +1,153 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+/**
+ * Ad Invoice Schema
+ * Advertiser spend for one billing period
+ */
+const invoiceLineSchema = new Schema({
+  campaign: {
+    type: Schema.Types.ObjectId,
+    ref: 'AdCampaign',
+  },
+  description: {
+    type: String,
+    required: true,
+  },
+  impressions: {
+    type: Number,
+    default: 0,
+  },
+  clicks: {
+    type: Number,
+    default: 0,
+  },
+  conversions: {
+    type: Number,
+    default: 0,
+  },
+  // In the invoice currency, before VAT
+  amount: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+}, { _id: false });
+
+const paymentSchema = new Schema({
+  amount: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  method: {
+    type: String,
+    enum: ['wallet', 'chapa', 'telebirr', 'cbe', 'bank_transfer', 'cash', 'other'],
+    required: true,
+  },
+  reference: String,
+  paidAt: {
+    type: Date,
+    default: Date.now,
+  },
+  recordedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+  },
+}, { _id: false });
+
+const adInvoiceSchema = new Schema({
+  number: {
+    type: String,
+    required: true,
+  },
+  client: {
+    type: Schema.Types.ObjectId,
+    ref: 'AdClient',
+    required: true,
+  },
+  period: {
+    start: {
+      type: Date,
+      required: true,
+    },
+    end: {
+      type: Date,
+      required: true,
+    },
+  },
+  currency: {
+    type: String,
+    enum: ['ETB', 'USD'],
+    default: 'ETB',
+  },
+  // Units of the base currency per unit of the invoice currency
+  exchangeRate: {
+    type: Number,
+    default: 1,
+  },
+  lines: [invoiceLineSchema],
+  subtotal: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  vat: {
+    rate: {
+      type: Number,
+      default: 0,
+    },
+    amount: {
+      type: Number,
+      default: 0,
+    },
+  },
+  total: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  amountPaid: {
+    type: Number,
+    default: 0,
+  },
+  payments: [paymentSchema],
+  status: {
+    type: String,
+    enum: ['issued', 'paid', 'overdue'],
+    default: 'issued',
+  },
+  paymentTerms: {
+    type: String,
+    enum: ['net15', 'net30', 'net60', 'prepaid'],
+    required: true,
+  },
+  issuedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  dueDate: {
+    type: Date,
+    required: true,
+  },
+  paidAt: Date,
+  // Days past due of each overdue reminder sent
+  reminders: [{
+    _id: false,
+    daysOverdue: Number,
+    sentAt: Date,
+  }],
+  notes: {
+    type: String,
+    maxlength: 1000,
+  },
+}, {
+  timestamps: true,
+});
+
+// Indexes
+adInvoiceSchema.index({ number: 1 }, { unique: true });
+adInvoiceSchema.index({ client: 1, 'period.start': 1 }, { unique: true });
+adInvoiceSchema.index({ status: 1, dueDate: 1 });
+
+module.exports = mongoose.model('AdInvoice', adInvoiceSchema);
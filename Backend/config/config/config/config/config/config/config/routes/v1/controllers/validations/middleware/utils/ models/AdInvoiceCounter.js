@@ -0,0 +1,20 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+/**
+ * Ad Invoice Counter Schema
+ * Sequence of invoice numbers per year
+ */
+const adInvoiceCounterSchema = new Schema({
+  // Invoice year
+  _id: {
+    type: Number,
+    required: true,
+  },
+  seq: {
+    type: Number,
+    default: 0,
+  },
+});
+
+module.exports = mongoose.model('AdInvoiceCounter', adInvoiceCounterSchema);
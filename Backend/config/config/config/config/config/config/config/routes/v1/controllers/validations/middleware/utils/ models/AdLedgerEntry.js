@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+/**
+ * Ad Ledger Entry Schema
+ * Double-entry journal of advertiser wallet movements; debits always equal credits
+ */
+const postingSchema = new Schema({
+  // e.g. wallet:<clientId>, gateway:chapa, revenue:advertising
+  account: {
+    type: String,
+    required: true,
+  },
+  debit: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  credit: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+}, { _id: false });
+
+const adLedgerEntrySchema = new Schema({
+  client: {
+    type: Schema.Types.ObjectId,
+    ref: 'AdClient',
+    required: true,
+  },
+  type: {
+    type: String,
+    enum: ['topup', 'spend', 'vat', 'adjustment'],
+    required: true,
+  },
+  postings: {
+    type: [postingSchema],
+    validate: {
+      validator: postings => postings.length >= 2,
+      message: 'A ledger entry needs at least two postings',
+    },
+  },
+  // Change to the wallet balance (negative for debits)
+  amount: {
+    type: Number,
+    required: true,
+  },
+  balanceAfter: {
+    type: Number,
+    required: true,
+  },
+  currency: {
+    type: String,
+    default: 'ETB',
+  },
+  description: String,
+  campaign: {
+    type: Schema.Types.ObjectId,
+    ref: 'AdCampaign',
+  },
+  invoice: {
+    type: Schema.Types.ObjectId,
+    ref: 'AdInvoice',
+  },
+  topup: {
+    type: Schema.Types.ObjectId,
+    ref: 'AdWalletTopup',
+  },
+}, {
+  timestamps: true,
+});
+
+// Reject unbalanced entries
+adLedgerEntrySchema.pre('validate', function(next) {
+  const debits = this.postings.reduce((sum, posting) => sum + posting.debit, 0);
+  const credits = this.postings.reduce((sum, posting) => sum + posting.credit, 0);
+
+  if (Math.abs(debits - credits) > 0.005) {
+    return next(new Error(`Unbalanced ledger entry: debits ${debits} != credits ${credits}`));
+  }
+  next();
+});
+
+// Indexes
+adLedgerEntrySchema.index({ client: 1, createdAt: -1 });
+adLedgerEntrySchema.index({ 'postings.account': 1, createdAt: -1 });
+
+module.exports = mongoose.model('AdLedgerEntry', adLedgerEntrySchema);
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+/**
+ * Ad Moderation Log Schema
+ * Audit trail of creative moderation events
+ */
+const adModerationLogSchema = new Schema({
+  creative: {
+    type: Schema.Types.ObjectId,
+    ref: 'AdCreative',
+    required: true,
+  },
+  campaign: {
+    type: Schema.Types.ObjectId,
+    ref: 'AdCampaign',
+    required: true,
+  },
+  action: {
+    type: String,
+    enum: ['submitted', 'checked', 'approved', 'rejected'],
+    required: true,
+  },
+  // Empty for automated actions
+  actor: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  reasons: [String],
+  note: String,
+  override: {
+    type: Boolean,
+    default: false,
+  },
+  // Automated check results at the time of the action
+  failedChecks: [String],
+  timestamp: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Indexes
+adModerationLogSchema.index({ creative: 1, timestamp: 1 });
+adModerationLogSchema.index({ actor: 1, timestamp: -1 });
+
+module.exports = mongoose.model('AdModerationLog', adModerationLogSchema);
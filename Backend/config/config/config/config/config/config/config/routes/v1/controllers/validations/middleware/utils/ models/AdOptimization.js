@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+/**
+ * Ad Optimization Schema
+ * A change proposed or made by the campaign optimizer, kept as a rollback-able log
+ */
+const adOptimizationSchema = new Schema({
+  campaign: {
+    type: Schema.Types.ObjectId,
+    ref: 'AdCampaign',
+    required: true,
+  },
+  // Set for creative-level actions
+  creative: {
+    type: Schema.Types.ObjectId,
+    ref: 'AdCreative',
+  },
+  action: {
+    type: String,
+    enum: ['adjust_bid', 'pause_poor_performing', 'increase_budget_top_performing'],
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: ['proposed', 'applied', 'dismissed', 'expired', 'rolled_back'],
+    default: 'proposed',
+  },
+  // Campaign optimization mode when the change was proposed
+  mode: {
+    type: String,
+    enum: ['suggest', 'auto'],
+    required: true,
+  },
+  change: {
+    field: {
+      type: String,
+      required: true,
+    },
+    from: Schema.Types.Mixed,
+    to: Schema.Types.Mixed,
+  },
+  // Performance over the lookback window that triggered the change
+  performance: {
+    impressions: Number,
+    clicks: Number,
+    conversions: Number,
+    metric: {
+      type: String,
+      enum: ['ctr', 'conversion_rate'],
+    },
+    value: Number, // Percentage
+    target: Number, // Percentage
+    ratio: Number, // value / target
+  },
+  reason: String,
+  // Why an automatic change could not be applied
+  failureReason: String,
+  appliedAt: Date,
+  // Empty when applied automatically
+  appliedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  dismissedAt: Date,
+  dismissedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  rolledBackAt: Date,
+  rolledBackBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+  },
+}, {
+  timestamps: true,
+});
+
+// Indexes
+adOptimizationSchema.index({ campaign: 1, createdAt: -1 });
+adOptimizationSchema.index({ campaign: 1, action: 1, status: 1 });
+
+module.exports = mongoose.model('AdOptimization', adOptimizationSchema);
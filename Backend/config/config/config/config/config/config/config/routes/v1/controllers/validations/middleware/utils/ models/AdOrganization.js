@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const TEAM_ROLES = ['owner', 'manager', 'billing', 'viewer'];
+
+/**
+ * Ad Organization Schema
+ * Advertiser or agency account whose team members manage its clients
+ */
+const adOrganizationSchema = new Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100,
+  },
+  type: {
+    type: String,
+    enum: ['advertiser', 'agency'],
+    default: 'advertiser',
+  },
+  members: [{
+    _id: false,
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    role: {
+      type: String,
+      enum: TEAM_ROLES,
+      required: true,
+    },
+    // Clients the member works on; empty covers all of the organization's clients
+    clients: [{
+      type: Schema.Types.ObjectId,
+      ref: 'AdClient',
+    }],
+    invitedBy: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    joinedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  }],
+  // Pending invitations; accepted ones become members
+  invitations: [{
+    email: {
+      type: String,
+      required: true,
+      lowercase: true,
+      trim: true,
+    },
+    role: {
+      type: String,
+      enum: TEAM_ROLES,
+      required: true,
+    },
+    clients: [{
+      type: Schema.Types.ObjectId,
+      ref: 'AdClient',
+    }],
+    // SHA-256 of the token sent in the invitation email
+    tokenHash: {
+      type: String,
+      required: true,
+    },
+    invitedBy: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  }],
+  createdBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+}, {
+  timestamps: true,
+});
+
+// Indexes
+adOrganizationSchema.index({ 'members.user': 1 });
+adOrganizationSchema.index({ 'invitations.tokenHash': 1 });
+
+module.exports = mongoose.model('AdOrganization', adOrganizationSchema);
@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+/**
+ * Ad Report Schema
+ * Saved performance report definition, optionally emailed on a schedule
+ */
+const adReportSchema = new Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200,
+  },
+  client: {
+    type: Schema.Types.ObjectId,
+    ref: 'AdClient',
+    required: true,
+  },
+  // Empty covers all of the client's campaigns
+  campaigns: [{
+    type: Schema.Types.ObjectId,
+    ref: 'AdCampaign',
+  }],
+  metrics: {
+    type: [{
+      type: String,
+      enum: [
+        'impressions',
+        'clicks',
+        'ctr',
+        'conversions',
+        'conversionRate',
+        'conversionValue',
+        'spend',
+        'cpc',
+        'cpm',
+        'averageViewability',
+      ],
+    }],
+    validate: [metrics => metrics.length > 0, 'At least one metric is required'],
+  },
+  breakdowns: [{
+    type: String,
+    enum: ['day', 'campaign', 'creative', 'position', 'device'],
+  }],
+  // Relative ranges are resolved when the report runs
+  dateRange: {
+    preset: {
+      type: String,
+      enum: ['last_7_days', 'last_30_days', 'last_week', 'last_month', 'month_to_date', 'custom'],
+      default: 'last_7_days',
+    },
+    start: Date,
+    end: Date,
+  },
+  format: {
+    type: String,
+    enum: ['csv', 'xlsx', 'pdf'],
+    default: 'csv',
+  },
+  schedule: {
+    enabled: {
+      type: Boolean,
+      default: false,
+    },
+    frequency: {
+      type: String,
+      enum: ['weekly', 'monthly'],
+    },
+    recipients: [{
+      type: String,
+      lowercase: true,
+      trim: true,
+    }],
+    nextRunAt: Date,
+    lastRunAt: Date,
+    lastError: String,
+  },
+  createdBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+}, {
+  timestamps: true,
+});
+
+// Indexes
+adReportSchema.index({ createdBy: 1, createdAt: -1 });
+adReportSchema.index({ client: 1 });
+adReportSchema.index({ 'schedule.enabled': 1, 'schedule.nextRunAt': 1 });
+
+module.exports = mongoose.model('AdReport', adReportSchema);
@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+const adsConfig = require('../config/ads.config');
+const Schema = mongoose.Schema;
+
+/**
+ * Ad Hourly Statistics Schema
+ * Ad event counts per campaign, creative, position and device, rebuilt by the rollup job
+ */
+const adStatHourlySchema = new Schema({
+  // Start of the UTC hour
+  bucket: {
+    type: Date,
+    required: true,
+  },
+  campaign: {
+    type: Schema.Types.ObjectId,
+    ref: 'AdCampaign',
+    required: true,
+  },
+  creative: {
+    type: Schema.Types.ObjectId,
+    ref: 'AdCreative',
+  },
+  // Empty for conversions, which are not tied to a placement
+  position: String,
+  device: {
+    type: String,
+    enum: ['desktop', 'mobile', 'tablet'],
+  },
+  impressions: {
+    type: Number,
+    default: 0,
+  },
+  clicks: {
+    type: Number,
+    default: 0,
+  },
+  // Attributed credit, so may be fractional
+  conversions: {
+    type: Number,
+    default: 0,
+  },
+  conversionValue: {
+    type: Number,
+    default: 0,
+  },
+  spend: {
+    type: Number,
+    default: 0,
+  },
+  // Sum of impression viewability percentages; divide by impressions for the average
+  viewability: {
+    type: Number,
+    default: 0,
+  },
+});
+
+// Indexes
+adStatHourlySchema.index({ bucket: 1, campaign: 1, creative: 1, position: 1, device: 1 }, { unique: true });
+adStatHourlySchema.index({ campaign: 1, bucket: 1 });
+adStatHourlySchema.index(
+  { bucket: 1 },
+  { expireAfterSeconds: adsConfig.statistics.retention.hourly * 24 * 60 * 60 }
+);
+
+module.exports = mongoose.model('AdStatHourly', adStatHourlySchema);
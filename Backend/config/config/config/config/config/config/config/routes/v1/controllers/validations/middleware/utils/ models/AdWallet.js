@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+/**
+ * Ad Wallet Schema
+ * Prepaid balance of an advertising client, kept in step with its ledger entries
+ */
+const adWalletSchema = new Schema({
+  client: {
+    type: Schema.Types.ObjectId,
+    ref: 'AdClient',
+    required: true,
+  },
+  currency: {
+    type: String,
+    enum: ['ETB'],
+    default: 'ETB',
+  },
+  balance: {
+    type: Number,
+    default: 0,
+  },
+  totalFunded: {
+    type: Number,
+    default: 0,
+  },
+  totalSpent: {
+    type: Number,
+    default: 0,
+  },
+  lastTopupAt: Date,
+}, {
+  timestamps: true,
+});
+
+// Indexes
+adWalletSchema.index({ client: 1 }, { unique: true });
+
+module.exports = mongoose.model('AdWallet', adWalletSchema);
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+/**
+ * Ad Wallet Top-up Schema
+ * Wallet funding paid through a payment gateway
+ */
+const adWalletTopupSchema = new Schema({
+  reference: {
+    type: String,
+    required: true,
+  },
+  client: {
+    type: Schema.Types.ObjectId,
+    ref: 'AdClient',
+    required: true,
+  },
+  gateway: {
+    type: String,
+    enum: ['chapa', 'telebirr', 'cbe'],
+    required: true,
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  currency: {
+    type: String,
+    default: 'ETB',
+  },
+  fee: {
+    type: Number,
+    default: 0,
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'completed', 'failed'],
+    default: 'pending',
+  },
+  checkoutUrl: String,
+  // Transaction ID assigned by the gateway
+  gatewayReference: String,
+  failureReason: String,
+  completedAt: Date,
+  initiatedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+}, {
+  timestamps: true,
+});
+
+// Indexes
+adWalletTopupSchema.index({ reference: 1 }, { unique: true });
+adWalletTopupSchema.index({ client: 1, createdAt: -1 });
+
+module.exports = mongoose.model('AdWalletTopup', adWalletTopupSchema);
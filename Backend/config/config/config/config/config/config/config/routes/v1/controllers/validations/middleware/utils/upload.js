@@ -38,6 +38,20 @@ const uploadToCloudinary = async (file, folder = 'general') => {
   }
 };
 
+/**
+ * Upload an in-memory file to Cloudinary
+ */
+const uploadBufferToCloudinary = (buffer, options = {}) => {
+  return new Promise((resolve, reject) => {
+    const stream = cloudinary.uploader.upload_stream(options, (error, result) => {
+      if (error) return reject(error);
+      resolve(result);
+    });
+
+    stream.end(buffer);
+  });
+};
+
 /**
  * Delete file from Cloudinary
  */
@@ -120,6 +134,7 @@ const extractPublicId = (url) => {
 
 module.exports = {
   upload: uploadToCloudinary,
+  uploadBuffer: uploadBufferToCloudinary,
   delete: deleteFromCloudinary,
   uploadMultiple: uploadMultipleToCloudinary,
   getUrl: getCloudinaryUrl,
@@ -0,0 +1,87 @@
+const Queue = require('bull');
+const billingService = require('../services/ads/billing.service');
+const walletService = require('../services/ads/wallet.service');
+const adsConfig = require('../config/ads.config');
+const envConfig = require('../config/env');
+
+const QUEUE_NAME = 'ad-billing';
+
+const CLOSE_CRON = '30 0 1 * *'; // 00:30 on the first of each month
+const OVERDUE_CRON = '0 9 * * *'; // 09:00 daily
+const SETTLE_CRON = '* * * * *'; // every minute
+
+const REPEAT_OPTIONS = {
+  removeOnComplete: true,
+  removeOnFail: 100,
+};
+
+/**
+ * Billing Scheduler
+ * Closes the previous month's spend into invoices, chases overdue ones and
+ * debits prepaid wallets for campaign spend.
+ *
+ * All jobs are safe to repeat: closing a period returns existing invoices,
+ * each reminder and suspension happens once, and spend is settled only once.
+ */
+class BillingScheduler {
+  constructor() {
+    this.queue = null;
+  }
+
+  /**
+   * Get (and lazily create) the billing queue
+   * @returns {Queue}
+   */
+  getQueue() {
+    if (!this.queue) {
+      this.queue = new Queue(QUEUE_NAME, envConfig.REDIS_URL);
+    }
+    return this.queue;
+  }
+
+  /**
+   * Start processing jobs and register the repeating schedules
+   */
+  async start() {
+    const queue = this.getQueue();
+    const tz = adsConfig.billing.timeZone;
+
+    queue.process('close', () => billingService.closePeriodForAll());
+    queue.process('overdue', () => billingService.processOverdue());
+    queue.process('settle', () => walletService.settle());
+
+    queue.on('failed', (job, error) => {
+      console.error(`Billing job ${job.id} failed:`, error);
+    });
+
+    await queue.add('close', {}, {
+      ...REPEAT_OPTIONS,
+      jobId: 'close',
+      repeat: { cron: CLOSE_CRON, tz },
+    });
+
+    await queue.add('overdue', {}, {
+      ...REPEAT_OPTIONS,
+      jobId: 'overdue',
+      repeat: { cron: OVERDUE_CRON, tz },
+    });
+
+    await queue.add('settle', {}, {
+      ...REPEAT_OPTIONS,
+      jobId: 'settle',
+      repeat: { cron: SETTLE_CRON },
+    });
+  }
+
+  /**
+   * Stop processing jobs
+   */
+  async stop() {
+    if (this.queue) {
+      await this.queue.close();
+      this.queue = null;
+    }
+  }
+}
+
+module.exports = new BillingScheduler();
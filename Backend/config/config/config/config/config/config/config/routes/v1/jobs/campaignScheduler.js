@@ -0,0 +1,348 @@
+const Queue = require('bull');
+const AdCampaign = require('../models/AdCampaign');
+const experimentService = require('../services/ads/experiment.service');
+const { cache } = require('../utils/cache');
+const envConfig = require('../config/env');
+
+const QUEUE_NAME = 'ad-campaign-scheduler';
+
+// Delayed jobs are only queued this far ahead; the sweep picks up anything later
+const SCHEDULE_HORIZON = 24 * 60 * 60 * 1000; // 1 day
+
+// Reconciliation sweep, also used to recover state on boot
+const SWEEP_CRON = '* * * * *'; // every minute
+
+const JOB_OPTIONS = {
+  attempts: 5,
+  backoff: { type: 'exponential', delay: 5000 },
+  removeOnComplete: true,
+  removeOnFail: 100,
+};
+
+/**
+ * Campaign Scheduler
+ * Durable campaign lifecycle transitions backed by Bull on Redis.
+ *
+ * Every transition is a conditional update on the campaign's current status and
+ * dates, so duplicate, stale or retried jobs are no-ops.
+ */
+class CampaignScheduler {
+  constructor() {
+    this.queue = null;
+    this.listeners = [];
+  }
+
+  /**
+   * Get (and lazily create) the scheduler queue
+   * @returns {Queue}
+   */
+  getQueue() {
+    if (!this.queue) {
+      this.queue = new Queue(QUEUE_NAME, envConfig.REDIS_URL);
+    }
+    return this.queue;
+  }
+
+  /**
+   * Register a listener called as listener(transition, campaign) after each transition
+   * @param {Function} listener - Transition listener
+   */
+  onTransition(listener) {
+    this.listeners.push(listener);
+  }
+
+  /**
+   * Start processing jobs and recover any transitions missed while down
+   */
+  async start() {
+    const queue = this.getQueue();
+
+    queue.process('activate', job => this.activate(job.data.campaignId));
+    queue.process('complete', job => this.complete(job.data.campaignId));
+    queue.process('budget', job => this.pauseIfExhausted(job.data.campaignId));
+    queue.process('sweep', () => this.sweep());
+
+    queue.on('failed', (job, error) => {
+      console.error(`Campaign scheduler job ${job.id} failed:`, error);
+    });
+
+    await queue.add('sweep', {}, {
+      jobId: 'sweep',
+      repeat: { cron: SWEEP_CRON },
+      removeOnComplete: true,
+      removeOnFail: 100,
+    });
+
+    // Catch up on anything that should have happened while the server was down
+    await this.sweep();
+  }
+
+  /**
+   * Stop processing jobs
+   */
+  async stop() {
+    if (this.queue) {
+      await this.queue.close();
+      this.queue = null;
+    }
+  }
+
+  /**
+   * Queue the next lifecycle transitions for a campaign
+   * @param {Object} campaign - Campaign document
+   */
+  async scheduleCampaign(campaign) {
+    if (campaign.status === 'pending') {
+      await this.enqueue('activate', campaign._id, new Date(campaign.dates.start));
+    }
+
+    if (['pending', 'active', 'paused'].includes(campaign.status)) {
+      await this.enqueue('complete', campaign._id, new Date(campaign.dates.end));
+    }
+  }
+
+  /**
+   * Queue a budget exhaustion check for a campaign
+   * @param {string} campaignId - Campaign ID
+   */
+  async checkBudget(campaignId) {
+    return this.getQueue().add('budget', { campaignId: String(campaignId) }, {
+      ...JOB_OPTIONS,
+      jobId: `budget:${campaignId}`,
+    });
+  }
+
+  /**
+   * Queue a delayed transition job
+   * @private
+   */
+  async enqueue(name, campaignId, runAt) {
+    const delay = Math.max(runAt.getTime() - Date.now(), 0);
+
+    // Too far ahead: a later sweep queues it once it is within the horizon
+    if (delay > SCHEDULE_HORIZON) {
+      return null;
+    }
+
+    // The job ID dedupes repeated scheduling of the same transition
+    return this.getQueue().add(name, { campaignId: String(campaignId) }, {
+      ...JOB_OPTIONS,
+      jobId: `${name}:${campaignId}:${runAt.getTime()}`,
+      delay,
+    });
+  }
+
+  /**
+   * Activate a pending campaign whose start date has arrived
+   * @param {string} campaignId - Campaign ID
+   * @returns {Promise<Object|null>} Activated campaign, or null if nothing changed
+   */
+  async activate(campaignId) {
+    const now = new Date();
+
+    const campaign = await AdCampaign.findOneAndUpdate(
+      {
+        _id: campaignId,
+        status: 'pending',
+        'dates.start': { $lte: now },
+        'dates.end': { $gt: now },
+      },
+      { $set: { status: 'active', activatedAt: now } },
+      { new: true }
+    );
+
+    if (!campaign) return null;
+
+    await this.scheduleCampaign(campaign);
+    await this.emitTransition('activated', campaign);
+
+    return campaign;
+  }
+
+  /**
+   * Complete a campaign whose end date has passed
+   * @param {string} campaignId - Campaign ID
+   * @returns {Promise<Object|null>} Completed campaign, or null if nothing changed
+   */
+  async complete(campaignId) {
+    const now = new Date();
+
+    const campaign = await AdCampaign.findOneAndUpdate(
+      {
+        _id: campaignId,
+        status: { $in: ['pending', 'active', 'paused'] },
+        'dates.end': { $lte: now },
+      },
+      { $set: { status: 'completed', completedAt: now } },
+      { new: true }
+    );
+
+    if (!campaign) return null;
+
+    await this.emitTransition('completed', campaign);
+
+    return campaign;
+  }
+
+  /**
+   * Pause an active campaign that has exhausted its budget
+   * @param {string} campaignId - Campaign ID
+   * @returns {Promise<Object|null>} Paused campaign, or null if nothing changed
+   */
+  async pauseIfExhausted(campaignId) {
+    const campaign = await AdCampaign.findOneAndUpdate(
+      {
+        _id: campaignId,
+        status: 'active',
+        'budget.remaining': { $lte: 0 },
+      },
+      { $set: { status: 'paused', pausedAt: new Date(), pauseReason: 'budget_exhausted' } },
+      { new: true }
+    );
+
+    if (!campaign) return null;
+
+    await this.emitTransition('budget_exhausted', campaign);
+
+    return campaign;
+  }
+
+  /**
+   * Pause a client's running and upcoming campaigns
+   * @param {string} clientId - Client ID
+   * @param {string} reason - Pause reason, used to resume the same campaigns later
+   * @returns {Promise<number>} Number of campaigns paused
+   */
+  async pauseClientCampaigns(clientId, reason) {
+    const campaigns = await AdCampaign.find({
+      client: clientId,
+      status: { $in: ['pending', 'active'] },
+    }).select('_id').lean();
+
+    if (campaigns.length === 0) return 0;
+
+    await AdCampaign.updateMany(
+      { _id: { $in: campaigns.map(campaign => campaign._id) }, status: { $in: ['pending', 'active'] } },
+      { $set: { status: 'paused', pausedAt: new Date(), pauseReason: reason } }
+    );
+
+    await this.clearCampaignCache(campaigns);
+
+    return campaigns.length;
+  }
+
+  /**
+   * Resume a client's campaigns paused for a reason
+   *
+   * Campaigns that have not started yet go back to pending. The sweep activates
+   * them, and completes or re-pauses any that ended or ran out of budget meanwhile.
+   *
+   * @param {string} clientId - Client ID
+   * @param {string} reason - Pause reason
+   * @param {Object} options - campaignIds: only resume these campaigns
+   * @returns {Promise<number>} Number of campaigns resumed
+   */
+  async resumeClientCampaigns(clientId, reason, { campaignIds } = {}) {
+    const now = new Date();
+    const paused = { client: clientId, status: 'paused', pauseReason: reason };
+    if (campaignIds) {
+      paused._id = { $in: campaignIds };
+    }
+
+    const campaigns = await AdCampaign.find(paused).select('_id').lean();
+
+    if (campaigns.length === 0) return 0;
+
+    await AdCampaign.updateMany(
+      { ...paused, 'dates.start': { $gt: now } },
+      { $set: { status: 'pending' }, $unset: { pausedAt: 1, pauseReason: 1 } }
+    );
+    await AdCampaign.updateMany(
+      paused,
+      { $set: { status: 'active', activatedAt: now }, $unset: { pausedAt: 1, pauseReason: 1 } }
+    );
+
+    await this.clearCampaignCache(campaigns);
+
+    return campaigns.length;
+  }
+
+  /**
+   * Reconcile campaign statuses with their dates and budgets, and promote experiment winners
+   * @returns {Promise<Object>} Number of campaigns moved per transition
+   */
+  async sweep() {
+    const now = new Date();
+    const horizon = new Date(now.getTime() + SCHEDULE_HORIZON);
+
+    const [toActivate, toComplete, exhausted, upcoming] = await Promise.all([
+      AdCampaign.find({
+        status: 'pending',
+        'dates.start': { $lte: now },
+        'dates.end': { $gt: now },
+      }).select('_id').lean(),
+      AdCampaign.find({
+        status: { $in: ['pending', 'active', 'paused'] },
+        'dates.end': { $lte: now },
+      }).select('_id').lean(),
+      AdCampaign.find({
+        status: 'active',
+        'budget.remaining': { $lte: 0 },
+      }).select('_id').lean(),
+      AdCampaign.find({
+        $or: [
+          { status: 'pending', 'dates.start': { $gt: now, $lte: horizon } },
+          { status: { $in: ['pending', 'active', 'paused'] }, 'dates.end': { $gt: now, $lte: horizon } },
+        ],
+      }).select('_id status dates').lean(),
+    ]);
+
+    const results = { activated: 0, completed: 0, paused: 0, promoted: 0 };
+
+    for (const { _id } of toComplete) {
+      if (await this.complete(_id)) results.completed += 1;
+    }
+
+    for (const { _id } of toActivate) {
+      if (await this.activate(_id)) results.activated += 1;
+    }
+
+    for (const { _id } of exhausted) {
+      if (await this.pauseIfExhausted(_id)) results.paused += 1;
+    }
+
+    await Promise.all(upcoming.map(campaign => this.scheduleCampaign(campaign)));
+
+    // Promote significant creative experiment winners that opted in
+    results.promoted = await experimentService.evaluateRunning();
+
+    return results;
+  }
+
+  /**
+   * Drop cached campaigns and served ads after status changes
+   * @private
+   */
+  async clearCampaignCache(campaigns) {
+    for (const campaign of campaigns) {
+      await cache.del(`campaign_${campaign._id}`);
+    }
+    await cache.del('active_ads');
+  }
+
+  /**
+   * Notify transition listeners
+   * @private
+   */
+  async emitTransition(transition, campaign) {
+    for (const listener of this.listeners) {
+      try {
+        await listener(transition, campaign);
+      } catch (error) {
+        console.error(`Campaign ${transition} listener failed:`, error);
+      }
+    }
+  }
+}
+
+module.exports = new CampaignScheduler();
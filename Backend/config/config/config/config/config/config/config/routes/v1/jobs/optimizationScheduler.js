@@ -0,0 +1,69 @@
+const Queue = require('bull');
+const optimizerService = require('../services/ads/optimizer.service');
+const adsConfig = require('../config/ads.config');
+const envConfig = require('../config/env');
+
+const QUEUE_NAME = 'ad-optimization';
+
+const REPEAT_OPTIONS = {
+  removeOnComplete: true,
+  removeOnFail: 100,
+};
+
+/**
+ * Optimization Scheduler
+ * Runs the campaign optimizer every optimization.checkInterval seconds.
+ *
+ * Runs are safe to repeat: open proposals are updated rather than duplicated
+ * and applied changes are not repeated within the cooldown.
+ */
+class OptimizationScheduler {
+  constructor() {
+    this.queue = null;
+  }
+
+  /**
+   * Get (and lazily create) the optimization queue
+   * @returns {Queue}
+   */
+  getQueue() {
+    if (!this.queue) {
+      this.queue = new Queue(QUEUE_NAME, envConfig.REDIS_URL);
+    }
+    return this.queue;
+  }
+
+  /**
+   * Start processing jobs and register the repeating schedule
+   */
+  async start() {
+    const { enabled, checkInterval } = adsConfig.campaign.optimization;
+    if (!enabled) return;
+
+    const queue = this.getQueue();
+
+    queue.process('optimize', () => optimizerService.optimizeAll());
+
+    queue.on('failed', (job, error) => {
+      console.error(`Optimization job ${job.id} failed:`, error);
+    });
+
+    await queue.add('optimize', {}, {
+      ...REPEAT_OPTIONS,
+      jobId: 'optimize',
+      repeat: { every: checkInterval * 1000 },
+    });
+  }
+
+  /**
+   * Stop processing jobs
+   */
+  async stop() {
+    if (this.queue) {
+      await this.queue.close();
+      this.queue = null;
+    }
+  }
+}
+
+module.exports = new OptimizationScheduler();
@@ -0,0 +1,68 @@
+const Queue = require('bull');
+const reportService = require('../services/ads/report.service');
+const adsConfig = require('../config/ads.config');
+const envConfig = require('../config/env');
+
+const QUEUE_NAME = 'ad-reports';
+
+const SEND_CRON = '5 * * * *'; // five past every hour
+
+const REPEAT_OPTIONS = {
+  removeOnComplete: true,
+  removeOnFail: 100,
+};
+
+/**
+ * Report Scheduler
+ * Emails scheduled ad reports once they are due.
+ *
+ * Each report's next run time is moved forward before it is sent, so a
+ * repeated or overlapping job never sends a report twice.
+ */
+class ReportScheduler {
+  constructor() {
+    this.queue = null;
+  }
+
+  /**
+   * Get (and lazily create) the report queue
+   * @returns {Queue}
+   */
+  getQueue() {
+    if (!this.queue) {
+      this.queue = new Queue(QUEUE_NAME, envConfig.REDIS_URL);
+    }
+    return this.queue;
+  }
+
+  /**
+   * Start processing jobs and register the repeating schedule
+   */
+  async start() {
+    const queue = this.getQueue();
+
+    queue.process('send', () => reportService.processDue());
+
+    queue.on('failed', (job, error) => {
+      console.error(`Report job ${job.id} failed:`, error);
+    });
+
+    await queue.add('send', {}, {
+      ...REPEAT_OPTIONS,
+      jobId: 'send',
+      repeat: { cron: SEND_CRON, tz: adsConfig.reports.timeZone },
+    });
+  }
+
+  /**
+   * Stop processing jobs
+   */
+  async stop() {
+    if (this.queue) {
+      await this.queue.close();
+      this.queue = null;
+    }
+  }
+}
+
+module.exports = new ReportScheduler();
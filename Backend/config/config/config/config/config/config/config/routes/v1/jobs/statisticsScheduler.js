@@ -0,0 +1,66 @@
+const Queue = require('bull');
+const statisticsService = require('../services/ads/statistics.service');
+const adsConfig = require('../config/ads.config');
+const envConfig = require('../config/env');
+
+const QUEUE_NAME = 'ad-statistics';
+
+const REPEAT_OPTIONS = {
+  removeOnComplete: true,
+  removeOnFail: 100,
+};
+
+/**
+ * Statistics Scheduler
+ * Keeps the hourly and daily statistics rollups up to date.
+ *
+ * Rollups are rebuilt from raw events rather than incremented, so overlapping
+ * or retried runs give the same result.
+ */
+class StatisticsScheduler {
+  constructor() {
+    this.queue = null;
+  }
+
+  /**
+   * Get (and lazily create) the statistics queue
+   * @returns {Queue}
+   */
+  getQueue() {
+    if (!this.queue) {
+      this.queue = new Queue(QUEUE_NAME, envConfig.REDIS_URL);
+    }
+    return this.queue;
+  }
+
+  /**
+   * Start processing jobs and register the repeating schedule
+   */
+  async start() {
+    const queue = this.getQueue();
+
+    queue.process('rollup', () => statisticsService.rollup());
+
+    queue.on('failed', (job, error) => {
+      console.error(`Statistics job ${job.id} failed:`, error);
+    });
+
+    await queue.add('rollup', {}, {
+      ...REPEAT_OPTIONS,
+      jobId: 'rollup',
+      repeat: { every: adsConfig.statistics.rollupInterval * 1000 },
+    });
+  }
+
+  /**
+   * Stop processing jobs
+   */
+  async stop() {
+    if (this.queue) {
+      await this.queue.close();
+      this.queue = null;
+    }
+  }
+}
+
+module.exports = new StatisticsScheduler();
@@ -0,0 +1,231 @@
+/**
+ * Concurrency tests for spend and impression accounting
+ *
+ * The models are in-memory fakes that apply each update atomically, the way
+ * MongoDB applies a single-document update, and yield between operations so
+ * concurrent requests interleave.
+ */
+
+const mockGetPath = (doc, path) => path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), doc);
+
+const mockSetPath = (doc, path, value) => {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((target, key) => {
+    if (target[key] == null || typeof target[key] !== 'object') target[key] = {};
+    return target[key];
+  }, doc);
+  parent[last] = value;
+};
+
+const mockOperators = {
+  $add: values => values.reduce((sum, value) => sum + value, 0),
+  $subtract: ([a, b]) => a - b,
+  $multiply: values => values.reduce((product, value) => product * value, 1),
+  $divide: ([a, b]) => a / b,
+  $min: values => Math.min(...values),
+  $max: values => Math.max(...values),
+  $ifNull: ([value, fallback]) => (value == null ? fallback : value),
+  $eq: ([a, b]) => a === b,
+  $gt: ([a, b]) => a != null && a > b,
+};
+
+/**
+ * Evaluate the aggregation expressions the accounting pipelines use
+ */
+const mockEvaluate = (expression, doc) => {
+  if (typeof expression === 'string' && expression.startsWith('$')) {
+    return mockGetPath(doc, expression.slice(1));
+  }
+  if (Array.isArray(expression)) {
+    return expression.map(item => mockEvaluate(item, doc));
+  }
+  if (expression && typeof expression === 'object' && !(expression instanceof Date)) {
+    const [key] = Object.keys(expression);
+    if (key === '$cond') {
+      const [condition, then, otherwise] = expression.$cond;
+      return mockEvaluate(condition, doc) ? mockEvaluate(then, doc) : mockEvaluate(otherwise, doc);
+    }
+    if (mockOperators[key]) {
+      return mockOperators[key](mockEvaluate(expression[key], doc));
+    }
+    return Object.fromEntries(Object.entries(expression).map(([field, value]) => [field, mockEvaluate(value, doc)]));
+  }
+  return expression;
+};
+
+const mockApplyPipeline = (doc, pipeline) => {
+  pipeline.forEach((stage) => {
+    if (stage.$set) {
+      const values = Object.entries(stage.$set).map(([path, expression]) => [path, mockEvaluate(expression, doc)]);
+      values.forEach(([path, value]) => mockSetPath(doc, path, value));
+    }
+    if (stage.$unset) {
+      [].concat(stage.$unset).forEach(path => delete doc[path]);
+    }
+  });
+};
+
+const mockMatches = (doc, filter) => Object.entries(filter).every(([path, condition]) => {
+  const value = mockGetPath(doc, path);
+  if (condition && typeof condition === 'object' && '$gt' in condition) {
+    return value > condition.$gt;
+  }
+  return String(value) === String(condition);
+});
+
+const mockTick = () => new Promise(resolve => setImmediate(resolve));
+
+const mockQuery = result => ({
+  lean: () => result,
+  then: (resolve, reject) => result.then(resolve, reject),
+});
+
+/**
+ * Minimal in-memory stand-in for a mongoose model
+ */
+const mockModel = (modelName) => {
+  const docs = new Map();
+
+  const updateOne = (filter, pipeline) => {
+    const doc = [...docs.values()].find(candidate => mockMatches(candidate, filter));
+    if (!doc) return null;
+
+    const before = structuredClone(doc);
+    mockApplyPipeline(doc, pipeline);
+    return before;
+  };
+
+  return {
+    modelName,
+    docs,
+    findOneAndUpdate: (filter, pipeline) => mockQuery(mockTick().then(() => updateOne(filter, pipeline))),
+    updateOne: async (filter, pipeline) => {
+      await mockTick();
+      updateOne(filter, pipeline);
+    },
+    bulkWrite: async (operations) => {
+      await mockTick();
+      operations.forEach(({ updateOne: { filter, update } }) => updateOne(filter, update));
+    },
+    create: async (data) => {
+      await mockTick();
+      docs.set(String(data._id), structuredClone(data));
+      return data;
+    },
+    insertMany: async (items) => {
+      await mockTick();
+      items.forEach(item => docs.set(String(item._id), structuredClone(item)));
+    },
+  };
+};
+
+jest.mock('../../../models/AdCampaign', () => mockModel('AdCampaign'), { virtual: true });
+jest.mock('../../../models/AdCreative', () => mockModel('AdCreative'), { virtual: true });
+jest.mock('../../../models/AdImpression', () => mockModel('AdImpression'), { virtual: true });
+
+jest.mock('../../../config/ads.config', () => ({
+  accounting: { batchImpressions: true, flushInterval: 5000, maxBufferSize: 500 },
+  campaign: {
+    pacing: {
+      defaultMode: 'even',
+      timeZone: 'Africa/Addis_Ababa',
+      hourlyTrafficWeights: Array(24).fill(1),
+    },
+  },
+}), { virtual: true });
+
+const AdCampaign = require('../../../models/AdCampaign');
+const AdCreative = require('../../../models/AdCreative');
+const AdImpression = require('../../../models/AdImpression');
+const accountingService = require('../accounting.service');
+
+describe('AccountingService under concurrency', () => {
+  const campaignId = 'campaign1';
+  const creativeId = 'creative1';
+
+  beforeEach(() => {
+    [AdCampaign, AdCreative, AdImpression].forEach(Model => Model.docs.clear());
+
+    AdCampaign.docs.set(campaignId, {
+      _id: campaignId,
+      status: 'active',
+      budget: { total: 10, spent: 0, remaining: 10 },
+      metrics: { impressions: 0, clicks: 0, conversions: 0 },
+    });
+    AdCreative.docs.set(creativeId, {
+      _id: creativeId,
+      campaign: campaignId,
+      status: 'active',
+      metrics: { impressions: 0, clicks: 0 },
+    });
+  });
+
+  it('never charges more than the budget', async () => {
+    const requests = 50;
+
+    const results = await Promise.all(
+      Array.from({ length: requests }, () => accountingService.chargeCampaign(campaignId, 1))
+    );
+
+    const charged = results.reduce((sum, result) => sum + result.charged, 0);
+    const campaign = AdCampaign.docs.get(campaignId);
+
+    expect(charged).toBe(10);
+    expect(results.filter(result => result.charged > 0)).toHaveLength(10);
+    expect(campaign.budget.spent).toBe(campaign.budget.total);
+    expect(campaign.budget.remaining).toBe(0);
+  });
+
+  it('charges the remaining budget when a cost exceeds it', async () => {
+    const results = await Promise.all(
+      Array.from({ length: 4 }, () => accountingService.chargeCampaign(campaignId, 3))
+    );
+
+    const campaign = AdCampaign.docs.get(campaignId);
+
+    expect(results.map(result => result.charged).sort()).toEqual([1, 3, 3, 3]);
+    expect(campaign.budget.spent).toBe(10);
+    expect(campaign.budget.remaining).toBe(0);
+  });
+
+  it('never charges more than the daily budget', async () => {
+    AdCampaign.docs.get(campaignId).budget.daily = 4;
+
+    const results = await Promise.all(
+      Array.from({ length: 3 }, () => accountingService.chargeCampaign(campaignId, 3))
+    );
+
+    const campaign = AdCampaign.docs.get(campaignId);
+
+    expect(results.map(result => result.charged).sort()).toEqual([0, 1, 3]);
+    expect(campaign.budget.today.spent).toBe(4);
+    expect(campaign.budget.spent).toBe(4);
+    expect(campaign.budget.remaining).toBe(6);
+  });
+
+  it('counts every buffered impression exactly once', async () => {
+    const impressions = 300;
+
+    // Flushes interleave with queueing, as the timer and buffer limit make them do
+    await Promise.all(Array.from({ length: impressions }, async (_, index) => {
+      await accountingService.recordImpression({
+        campaign: campaignId,
+        creative: creativeId,
+        pageUrl: 'https://zewedjobs.com/jobs',
+        position: 'home_sidebar',
+        timestamp: new Date(),
+      });
+
+      if (index % 50 === 0) {
+        await accountingService.flush();
+      }
+    }));
+
+    await accountingService.flush();
+
+    expect(AdImpression.docs.size).toBe(impressions);
+    expect(AdCampaign.docs.get(campaignId).metrics.impressions).toBe(impressions);
+    expect(AdCreative.docs.get(creativeId).metrics.impressions).toBe(impressions);
+  });
+});
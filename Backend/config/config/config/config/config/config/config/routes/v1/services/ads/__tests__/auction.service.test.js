@@ -0,0 +1,61 @@
+jest.mock('../../../config/ads.config', () => ({
+  campaign: { metrics: { ctr: { target: 2 } } },
+  getPricingModelConfig: () => ({ baseRate: 1 }),
+  calculatePerformanceScore: () => 50,
+  rotation: { defaultStrategy: 'auction' },
+  getPositionConfig: (position) => ({
+    premium: { priceMultiplier: 2, reservePrice: 0, rotation: 'auction' },
+    reserved: { priceMultiplier: 2, reservePrice: 5, rotation: 'auction' },
+  })[position],
+}), { virtual: true });
+
+jest.mock('../../../utils/cache', () => ({
+  cache: { get: jest.fn(), set: jest.fn(), del: jest.fn() },
+}), { virtual: true });
+
+const auctionService = require('../auction.service');
+
+let nextId = 0;
+const candidate = (bidding) => {
+  nextId += 1;
+  return {
+    campaign: { _id: `campaign${nextId}`, bidding, metrics: {} },
+    creative: { _id: `creative${nextId}`, metrics: {} },
+  };
+};
+
+describe('AuctionService.runAuction', () => {
+  it('charges winners in their own currency, without the position multiplier', async () => {
+    const auction = await auctionService.runAuction([
+      candidate({ model: 'cpm', amount: 10 }),
+      candidate({ model: 'cpm', amount: 6 }),
+    ], { position: 'premium', slots: 1 });
+
+    const [winner] = auction.winners;
+
+    // Keeping its rank takes the runner-up's effective eCPM of 12, which is 6 per mille before the multiplier
+    expect(winner.bid).toBe(10);
+    expect(winner.clearingEcpm).toBeCloseTo(12.01);
+    expect(winner.clearingPrice).toBeCloseTo(6.005);
+    expect(winner.clearingPrice).toBeLessThanOrEqual(winner.bid);
+  });
+
+  it('charges a lone winner the reserve price, without the position multiplier', async () => {
+    const auction = await auctionService.runAuction([
+      candidate({ model: 'cpm', amount: 10 }),
+    ], { position: 'reserved', slots: 1 });
+
+    expect(auction.winners[0].clearingPrice).toBeCloseTo(2.505);
+  });
+
+  it('never charges more than the bid', async () => {
+    const auction = await auctionService.runAuction([
+      candidate({ model: 'cpc', amount: 0.5 }),
+      candidate({ model: 'cpc', amount: 0.5 }),
+    ], { position: 'premium', slots: 2 });
+
+    auction.winners.forEach((winner) => {
+      expect(winner.clearingPrice).toBeLessThanOrEqual(winner.bid);
+    });
+  });
+});
@@ -0,0 +1,507 @@
+const crypto = require('crypto');
+const AdClient = require('../../models/AdClient');
+const AdOrganization = require('../../models/AdOrganization');
+const User = require('../../models/User');
+const adsConfig = require('../../config/ads.config');
+const { ApiError } = require('../../utils/error');
+const { sendEmail } = require('../../utils/email');
+
+const accountsConfig = adsConfig.accounts;
+
+/**
+ * Hash an invitation token for storage
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Account Service - Advertiser organizations, team roles and client access
+ *
+ * Members of an organization act on its clients with the permissions of
+ * their role (view, manage, billing, team), optionally limited to a subset
+ * of the clients. Clients outside any organization are managed only by the
+ * user who created them. Admins can act on every client.
+ */
+class AccountService {
+  /**
+   * Get the permissions a user has on a client
+   * @param {Object} user - Authenticated user
+   * @param {Object} client - Client with organization and createdBy
+   * @returns {Promise<Array<string>>}
+   */
+  async getPermissions(user, client) {
+    if (user.roles.includes('admin')) {
+      return accountsConfig.roles.owner;
+    }
+
+    if (!client.organization) {
+      const creator = String(client.createdBy?._id || client.createdBy);
+      return creator === String(user.id) ? accountsConfig.roles.owner : [];
+    }
+
+    const organization = await AdOrganization.findOne({
+      _id: client.organization?._id || client.organization,
+      'members.user': user.id,
+    }).select('members').lean();
+
+    const member = organization && this.findMember(organization, user.id);
+
+    if (!member || !this.coversClient(member, client._id)) {
+      return [];
+    }
+
+    return accountsConfig.roles[member.role] || [];
+  }
+
+  /**
+   * Check whether a user may act on a client
+   * @param {Object} user - Authenticated user
+   * @param {string|Object} clientId - Client ID or populated client
+   * @param {string} permission - view, manage, billing or team
+   * @returns {Promise<boolean>}
+   */
+  async can(user, clientId, permission = 'view') {
+    if (user.roles.includes('admin')) {
+      return true;
+    }
+
+    const client = await AdClient.findById(clientId?._id || clientId).select('organization createdBy').lean();
+
+    if (!client) {
+      return false;
+    }
+
+    const permissions = await this.getPermissions(user, client);
+    return permissions.includes(permission);
+  }
+
+  /**
+   * Load a client and check the user may act on it
+   * @param {Object} user - Authenticated user
+   * @param {string} clientId - Client ID
+   * @param {string} permission - view, manage, billing or team
+   * @returns {Promise<Object>} Client document
+   */
+  async assertClient(user, clientId, permission = 'view') {
+    const client = await AdClient.findById(clientId);
+
+    if (!client) {
+      throw new ApiError(404, 'Client not found');
+    }
+
+    const permissions = await this.getPermissions(user, client);
+
+    if (!permissions.includes('view')) {
+      throw new ApiError(403, 'You do not have access to this client');
+    }
+
+    if (!permissions.includes(permission)) {
+      throw new ApiError(403, 'Your team role does not allow this on this client');
+    }
+
+    return client;
+  }
+
+  /**
+   * Get the clients a user may act on
+   * @param {Object} user - Authenticated user
+   * @param {string} permission - view, manage, billing or team
+   * @returns {Promise<Array<string>|null>} Client IDs, or null when the user may act on every client
+   */
+  async getClientIds(user, permission = 'view') {
+    if (user.roles.includes('admin')) {
+      return null;
+    }
+
+    const [ownClients, organizations] = await Promise.all([
+      AdClient.find({ createdBy: user.id, organization: null }).select('_id').lean(),
+      AdOrganization.find({ 'members.user': user.id }).select('members').lean(),
+    ]);
+
+    const clientIds = new Set(ownClients.map(client => String(client._id)));
+
+    const memberClients = await Promise.all(organizations.map(organization => {
+      const member = this.findMember(organization, user.id);
+
+      if (!(accountsConfig.roles[member.role] || []).includes(permission)) {
+        return [];
+      }
+
+      const query = { organization: organization._id };
+      if (member.clients?.length > 0) {
+        query._id = { $in: member.clients };
+      }
+
+      return AdClient.find(query).select('_id').lean();
+    }));
+
+    memberClients.flat().forEach(client => clientIds.add(String(client._id)));
+
+    return [...clientIds];
+  }
+
+  /**
+   * Get the users who may act on a client, e.g. to notify them
+   * @param {Object} client - Client with organization and createdBy
+   * @param {string} permission - view, manage, billing or team
+   * @returns {Promise<Array<string>>} User IDs
+   */
+  async getClientMembers(client, permission = 'view') {
+    if (!client.organization) {
+      return [String(client.createdBy?._id || client.createdBy)];
+    }
+
+    const organization = await AdOrganization.findById(client.organization?._id || client.organization)
+      .select('members')
+      .lean();
+
+    return (organization?.members || [])
+      .filter(member => (accountsConfig.roles[member.role] || []).includes(permission))
+      .filter(member => this.coversClient(member, client._id))
+      .map(member => String(member.user));
+  }
+
+  /**
+   * Create an organization with the user as its owner
+   * @param {Object} data - Name and type
+   * @param {Object} user - Creating user
+   * @returns {Promise<Object>} Organization document
+   */
+  async createOrganization({ name, type = 'advertiser' }, user) {
+    return AdOrganization.create({
+      name,
+      type,
+      members: [{ user: user.id, role: 'owner' }],
+      createdBy: user.id,
+    });
+  }
+
+  /**
+   * Load an organization and check the user has a role in it allowing an action
+   * @param {Object} user - Authenticated user
+   * @param {string} organizationId - Organization ID
+   * @param {string} permission - view, manage, billing or team
+   * @returns {Promise<Object>} Organization document
+   */
+  async assertOrganization(user, organizationId, permission = 'view') {
+    const organization = await AdOrganization.findById(organizationId);
+
+    if (!organization) {
+      throw new ApiError(404, 'Organization not found');
+    }
+
+    if (user.roles.includes('admin')) {
+      return organization;
+    }
+
+    const member = this.findMember(organization, user.id);
+
+    if (!member) {
+      throw new ApiError(403, 'You are not a member of this organization');
+    }
+
+    if (!(accountsConfig.roles[member.role] || []).includes(permission)) {
+      throw new ApiError(403, 'Your team role does not allow this in this organization');
+    }
+
+    return organization;
+  }
+
+  /**
+   * Move a client into an organization
+   *
+   * The user must be able to manage the client as well as the organization's
+   * team, so clients can only be brought in by someone who already runs them.
+   *
+   * @param {Object} organization - Organization document
+   * @param {string} clientId - Client ID
+   * @param {Object} user - Authenticated user
+   * @returns {Promise<Object>} Client document
+   */
+  async addClient(organization, clientId, user) {
+    const client = await this.assertClient(user, clientId, 'manage');
+
+    if (client.organization) {
+      if (String(client.organization) === String(organization._id)) {
+        return client;
+      }
+      throw new ApiError(409, 'Client already belongs to another organization');
+    }
+
+    client.organization = organization._id;
+    await client.save();
+
+    return client;
+  }
+
+  /**
+   * Invite someone by email to join an organization's team
+   *
+   * Agencies invite their clients' staff with the clients they may see, so a
+   * client user never reaches the agency's other clients.
+   *
+   * @param {Object} organization - Organization document
+   * @param {Object} invitation - Email, role and optional client IDs
+   * @param {Object} user - Inviting user
+   * @returns {Promise<Object>} Invitation without its token
+   */
+  async invite(organization, { email, role, clientIds = [] }, user) {
+    if (!accountsConfig.roles[role]) {
+      throw new ApiError(400, `Invalid role. Allowed: ${Object.keys(accountsConfig.roles).join(', ')}`);
+    }
+
+    if (organization.members.length + organization.invitations.length >= accountsConfig.maxMembers) {
+      throw new ApiError(400, `Organizations can have at most ${accountsConfig.maxMembers} members and invitations`);
+    }
+
+    await this.assertOrganizationClients(organization, clientIds);
+    this.assertGrantableClients(organization, clientIds, user);
+
+    const normalizedEmail = email.trim().toLowerCase();
+    const existingUser = await User.findOne({ email: normalizedEmail }).select('_id').lean();
+
+    if (existingUser && this.findMember(organization, existingUser._id)) {
+      throw new ApiError(409, 'This user is already a member of the organization');
+    }
+
+    // A new invitation replaces any pending one for the same email
+    organization.invitations = organization.invitations.filter(pending => pending.email !== normalizedEmail);
+
+    const token = crypto.randomBytes(32).toString('base64url');
+    const expiresAt = new Date(Date.now() + accountsConfig.invitationTtl * 1000);
+
+    organization.invitations.push({
+      email: normalizedEmail,
+      role,
+      clients: clientIds,
+      tokenHash: hashToken(token),
+      invitedBy: user.id,
+      expiresAt,
+    });
+    await organization.save();
+
+    await this.sendInvitation(organization, { email: normalizedEmail, role, token, expiresAt }, user);
+
+    return {
+      email: normalizedEmail,
+      role,
+      clients: clientIds,
+      expiresAt,
+    };
+  }
+
+  /**
+   * Accept an invitation as the invited user
+   * @param {string} token - Token from the invitation email
+   * @param {Object} user - Authenticated user
+   * @returns {Promise<Object>} Organization document
+   */
+  async acceptInvitation(token, user) {
+    const tokenHash = hashToken(token);
+    const organization = await AdOrganization.findOne({ 'invitations.tokenHash': tokenHash });
+    const invitation = organization?.invitations.find(pending => pending.tokenHash === tokenHash);
+
+    if (!invitation || invitation.expiresAt < new Date()) {
+      throw new ApiError(400, 'Invitation is invalid or has expired');
+    }
+
+    const account = await User.findById(user.id).select('email').lean();
+
+    if (account?.email?.toLowerCase() !== invitation.email) {
+      throw new ApiError(403, 'This invitation was sent to a different email address');
+    }
+
+    organization.members = organization.members.filter(member => String(member.user) !== String(user.id));
+    organization.members.push({
+      user: user.id,
+      role: invitation.role,
+      clients: invitation.clients,
+      invitedBy: invitation.invitedBy,
+    });
+    organization.invitations.pull(invitation._id);
+    await organization.save();
+
+    // Team members use the advertiser endpoints
+    await User.updateOne({ _id: user.id }, { $addToSet: { roles: 'advertiser' } });
+
+    return organization;
+  }
+
+  /**
+   * Change a member's role or clients
+   * @param {Object} organization - Organization document
+   * @param {string} userId - Member user ID
+   * @param {Object} changes - Role and/or client IDs
+   * @param {Object} user - User making the change
+   * @returns {Promise<Object>} Member
+   */
+  async updateMember(organization, userId, { role, clientIds }, user) {
+    const member = this.findMember(organization, userId);
+
+    if (!member) {
+      throw new ApiError(404, 'Member not found');
+    }
+
+    this.assertManageableMember(organization, member, user);
+
+    if (role !== undefined) {
+      if (!accountsConfig.roles[role]) {
+        throw new ApiError(400, `Invalid role. Allowed: ${Object.keys(accountsConfig.roles).join(', ')}`);
+      }
+
+      if (member.role === 'owner' && role !== 'owner') {
+        this.assertOtherOwner(organization, userId);
+      }
+
+      member.role = role;
+    }
+
+    if (clientIds !== undefined) {
+      await this.assertOrganizationClients(organization, clientIds);
+      this.assertGrantableClients(organization, clientIds, user);
+      member.clients = clientIds;
+    }
+
+    await organization.save();
+
+    return member;
+  }
+
+  /**
+   * Remove a member from an organization
+   * @param {Object} organization - Organization document
+   * @param {string} userId - Member user ID
+   * @param {Object} user - User removing the member
+   */
+  async removeMember(organization, userId, user) {
+    const member = this.findMember(organization, userId);
+
+    if (!member) {
+      throw new ApiError(404, 'Member not found');
+    }
+
+    this.assertManageableMember(organization, member, user);
+
+    if (member.role === 'owner') {
+      this.assertOtherOwner(organization, userId);
+    }
+
+    organization.members = organization.members.filter(existing => existing !== member);
+    await organization.save();
+  }
+
+  /**
+   * Find a user's membership in an organization
+   * @private
+   */
+  findMember(organization, userId) {
+    return organization.members.find(member => String(member.user?._id || member.user) === String(userId));
+  }
+
+  /**
+   * Check whether a membership covers a client
+   * @private
+   */
+  coversClient(member, clientId) {
+    const clients = member.clients || [];
+    return clients.length === 0 || clients.some(id => String(id) === String(clientId));
+  }
+
+  /**
+   * Check that a user covers every client of a member they change or remove
+   *
+   * Members with organization-wide access can only be managed by admins
+   * and other members with organization-wide access.
+   *
+   * @private
+   */
+  assertManageableMember(organization, member, user) {
+    if (user.roles.includes('admin')) return;
+
+    const actor = this.findMember(organization, user.id);
+    if ((actor?.clients || []).length === 0) return;
+
+    const clients = member.clients || [];
+    if (clients.length === 0 || clients.some(clientId => !this.coversClient(actor, clientId))) {
+      throw new ApiError(403, 'You cannot manage members with access to clients you do not cover');
+    }
+  }
+
+  /**
+   * Check that a user only grants access to clients they cover themselves
+   *
+   * An empty client list covers every client, so only admins and members
+   * with organization-wide access can grant it.
+   *
+   * @private
+   */
+  assertGrantableClients(organization, clientIds, user) {
+    if (user.roles.includes('admin')) return;
+
+    const granter = this.findMember(organization, user.id);
+    if ((granter?.clients || []).length === 0) return;
+
+    if (clientIds.length === 0) {
+      throw new ApiError(403, 'Only members with access to every client can grant access to every client');
+    }
+
+    const uncovered = clientIds.filter(clientId => !this.coversClient(granter, clientId));
+    if (uncovered.length > 0) {
+      throw new ApiError(403, `You cannot grant access to clients you do not cover: ${uncovered.join(', ')}`);
+    }
+  }
+
+  /**
+   * Keep at least one owner in an organization
+   * @private
+   */
+  assertOtherOwner(organization, userId) {
+    const otherOwners = organization.members.filter(
+      member => member.role === 'owner' && String(member.user) !== String(userId)
+    );
+
+    if (otherOwners.length === 0) {
+      throw new ApiError(400, 'An organization must keep at least one owner');
+    }
+  }
+
+  /**
+   * Check that clients all belong to an organization
+   * @private
+   */
+  async assertOrganizationClients(organization, clientIds) {
+    if (clientIds.length === 0) return;
+
+    const count = await AdClient.countDocuments({ _id: { $in: clientIds }, organization: organization._id });
+
+    if (count !== new Set(clientIds.map(String)).size) {
+      throw new ApiError(400, 'Members can only be given clients of the organization');
+    }
+  }
+
+  /**
+   * Email an invitation
+   * @private
+   */
+  async sendInvitation(organization, { email, role, token, expiresAt }, user) {
+    try {
+      const inviter = await User.findById(user.id).select('firstName lastName').lean();
+
+      await sendEmail({
+        to: email,
+        subject: `You're invited to join ${organization.name} on Zewed Jobs Ads`,
+        template: 'ad_team_invitation',
+        data: {
+          organizationName: organization.name,
+          inviterName: inviter ? `${inviter.firstName} ${inviter.lastName}` : undefined,
+          role,
+          expiresAt,
+          acceptUrl: `${process.env.CLIENT_URL}/dashboard/ads/invitations/${token}`,
+        },
+      });
+    } catch (error) {
+      console.error('Failed to send ad team invitation:', error);
+    }
+  }
+}
+
+module.exports = new AccountService();
@@ -0,0 +1,350 @@
+const mongoose = require('mongoose');
+const AdCampaign = require('../../models/AdCampaign');
+const AdCreative = require('../../models/AdCreative');
+const AdImpression = require('../../models/AdImpression');
+const adsConfig = require('../../config/ads.config');
+const pacingService = require('./pacing.service');
+
+const accountingConfig = adsConfig.accounting;
+
+const DUPLICATE_KEY_ERROR = 11000;
+
+/**
+ * Build a pipeline stage that adds to numeric fields, treating missing fields as 0
+ */
+const incrementStage = (increments) => {
+  const fields = {};
+  Object.entries(increments).forEach(([path, amount]) => {
+    fields[path] = { $add: [{ $ifNull: [`$${path}`, 0] }, amount] };
+  });
+  return { $set: fields };
+};
+
+/**
+ * Safe division expression returning 0 when the divisor is 0
+ */
+const ratio = (numerator, denominator, scale = 1) => ({
+  $cond: [
+    { $gt: [denominator, 0] },
+    { $multiply: [{ $divide: [numerator, denominator] }, scale] },
+    0,
+  ],
+});
+
+// Recomputes derived campaign metrics from the counters in the same update
+const CAMPAIGN_DERIVED_METRICS = {
+  $set: {
+    'metrics.ctr': ratio('$metrics.clicks', '$metrics.impressions', 100),
+    'metrics.cpm': ratio('$budget.spent', '$metrics.impressions', 1000),
+    'metrics.cpc': ratio('$budget.spent', '$metrics.clicks'),
+    'metrics.roas': ratio('$metrics.conversionValue', '$budget.spent', 100),
+  },
+};
+
+const CREATIVE_DERIVED_METRICS = {
+  $set: {
+    'metrics.ctr': ratio('$metrics.clicks', '$metrics.impressions', 100),
+  },
+};
+
+/**
+ * Accounting Service - Race-free spend and metric accounting for ads
+ *
+ * Spend is charged with a single conditional update per event so concurrent
+ * requests can never overspend or drive the remaining budget below zero.
+ * Impression documents and impression counters are buffered in memory and
+ * flushed in bulk; clicks and conversions are written straight through.
+ */
+class AccountingService {
+  constructor() {
+    this.pendingImpressions = [];
+    this.campaignCounters = new Map();
+    this.creativeCounters = new Map();
+    this.flushTimer = null;
+    this.flushing = null;
+  }
+
+  /**
+   * Atomically charge a cost against a campaign budget
+   *
+   * Charges at most the remaining total budget and what is left of the daily
+   * budget, so the returned amount can be lower than the requested cost when
+   * either runs out mid-request.
+   *
+   * @param {string} campaignId - Campaign ID
+   * @param {number} cost - Cost to charge
+   * @param {Date} now - Current time, for daily pacing spend
+   * @returns {Promise<{charged: number, remaining: number, spent: number, total: number}>}
+   */
+  async chargeCampaign(campaignId, cost, now = new Date()) {
+    if (!(cost > 0)) {
+      return { charged: 0, remaining: null };
+    }
+
+    const today = pacingService.getDayKey(now);
+    const spentToday = {
+      $cond: [{ $eq: ['$budget.today.date', today] }, { $ifNull: ['$budget.today.spent', 0] }, 0],
+    };
+    const charge = {
+      $min: [
+        cost,
+        { $max: [{ $ifNull: ['$budget.remaining', 0] }, 0] },
+        { $cond: [{ $gt: ['$budget.daily', 0] }, { $max: [{ $subtract: ['$budget.daily', spentToday] }, 0] }, cost] },
+      ],
+    };
+
+    const before = await AdCampaign.findOneAndUpdate(
+      { _id: campaignId, 'budget.remaining': { $gt: 0 } },
+      [
+        { $set: { _charge: charge } },
+        {
+          $set: {
+            'budget.spent': { $add: [{ $ifNull: ['$budget.spent', 0] }, '$_charge'] },
+            'budget.remaining': { $subtract: ['$budget.remaining', '$_charge'] },
+            'budget.today': {
+              date: today,
+              spent: { $add: [spentToday, '$_charge'] },
+            },
+          },
+        },
+        CAMPAIGN_DERIVED_METRICS,
+        { $unset: '_charge' },
+      ],
+      { new: false, projection: { 'budget.remaining': 1, 'budget.spent': 1, 'budget.total': 1, 'budget.daily': 1, 'budget.today': 1 } }
+    ).lean();
+
+    if (!before) {
+      return { charged: 0, remaining: 0 };
+    }
+
+    // The same cap the update applied, from the budget it was applied to
+    const charged = Math.min(cost, pacingService.getRemainingToday(before, now));
+
+    return {
+      charged,
+      remaining: before.budget.remaining - charged,
+      spent: (before.budget.spent || 0) + charged,
+      total: before.budget.total,
+    };
+  }
+
+  /**
+   * Atomically increment campaign counters and recompute derived metrics
+   * @param {string} campaignId - Campaign ID
+   * @param {Object} increments - e.g. { impressions: 1 } or { conversions: 1, conversionValue: 250 }
+   */
+  async incrementCampaignMetrics(campaignId, increments) {
+    await AdCampaign.updateOne({ _id: campaignId }, this.buildCampaignUpdate(increments));
+  }
+
+  /**
+   * Atomically increment creative counters and recompute CTR
+   * @param {string} creativeId - Creative ID
+   * @param {Object} increments - e.g. { clicks: 1 }
+   */
+  async incrementCreativeMetrics(creativeId, increments) {
+    await AdCreative.updateOne({ _id: creativeId }, this.buildCreativeUpdate(increments));
+  }
+
+  /**
+   * Build the pipeline update for campaign counters
+   * @private
+   */
+  buildCampaignUpdate(increments) {
+    return [this.buildMetricsIncrement(increments), CAMPAIGN_DERIVED_METRICS];
+  }
+
+  /**
+   * Build the pipeline update for creative counters
+   * @private
+   */
+  buildCreativeUpdate(increments) {
+    return [this.buildMetricsIncrement(increments), CREATIVE_DERIVED_METRICS];
+  }
+
+  /**
+   * Prefix counter names with the metrics subdocument
+   * @private
+   */
+  buildMetricsIncrement(increments) {
+    const paths = {};
+    Object.entries(increments).forEach(([metric, amount]) => {
+      paths[`metrics.${metric}`] = amount;
+    });
+    return incrementStage(paths);
+  }
+
+  /**
+   * Queue an impression for the next bulk flush
+   *
+   * The document gets its ID up front, so a retried flush can never insert the
+   * same impression twice.
+   *
+   * @param {Object} data - Impression fields
+   * @returns {Object} Impression document data with its _id
+   */
+  queueImpression(data) {
+    const impression = { _id: new mongoose.Types.ObjectId(), ...data };
+
+    this.pendingImpressions.push(impression);
+    this.addCounter(this.campaignCounters, String(data.campaign), 'impressions', 1);
+    this.addCounter(this.creativeCounters, String(data.creative), 'impressions', 1);
+
+    if (this.pendingImpressions.length >= accountingConfig.maxBufferSize) {
+      this.flush();
+    } else {
+      this.scheduleFlush();
+    }
+
+    return impression;
+  }
+
+  /**
+   * Record an impression, buffered or immediately depending on configuration
+   * @param {Object} data - Impression fields
+   * @returns {Promise<Object>} Impression document data
+   */
+  async recordImpression(data) {
+    if (accountingConfig.batchImpressions) {
+      return this.queueImpression(data);
+    }
+
+    const impression = await AdImpression.create(data);
+    await Promise.all([
+      this.incrementCampaignMetrics(data.campaign, { impressions: 1 }),
+      this.incrementCreativeMetrics(data.creative, { impressions: 1 }),
+    ]);
+
+    return impression;
+  }
+
+  /**
+   * Add to an aggregated counter
+   * @private
+   */
+  addCounter(counters, id, metric, amount) {
+    const counter = counters.get(id) || {};
+    counter[metric] = (counter[metric] || 0) + amount;
+    counters.set(id, counter);
+  }
+
+  /**
+   * Schedule a flush if none is pending
+   * @private
+   */
+  scheduleFlush() {
+    if (this.flushTimer) return;
+
+    this.flushTimer = setTimeout(() => {
+      this.flushTimer = null;
+      this.flush();
+    }, accountingConfig.flushInterval);
+
+    // Never keep the process alive just for the buffer
+    this.flushTimer.unref();
+  }
+
+  /**
+   * Write buffered impressions and aggregated counters
+   *
+   * Flushes run one at a time; failed writes are put back into the buffer and
+   * retried on the next flush.
+   *
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    while (this.flushing) {
+      await this.flushing;
+    }
+
+    if (this.pendingImpressions.length === 0 && this.campaignCounters.size === 0) {
+      return;
+    }
+
+    if (this.flushTimer) {
+      clearTimeout(this.flushTimer);
+      this.flushTimer = null;
+    }
+
+    const impressions = this.pendingImpressions;
+    const campaignCounters = this.campaignCounters;
+    const creativeCounters = this.creativeCounters;
+
+    this.pendingImpressions = [];
+    this.campaignCounters = new Map();
+    this.creativeCounters = new Map();
+
+    this.flushing = (async () => {
+      await this.writeImpressions(impressions);
+      await this.writeCounters(AdCampaign, campaignCounters, this.campaignCounters, this.buildCampaignUpdate.bind(this));
+      await this.writeCounters(AdCreative, creativeCounters, this.creativeCounters, this.buildCreativeUpdate.bind(this));
+    })();
+
+    try {
+      await this.flushing;
+    } finally {
+      this.flushing = null;
+
+      if (this.pendingImpressions.length > 0 || this.campaignCounters.size > 0) {
+        this.scheduleFlush();
+      }
+    }
+  }
+
+  /**
+   * Bulk insert impressions, requeueing them on failure
+   * @private
+   */
+  async writeImpressions(impressions) {
+    if (impressions.length === 0) return;
+
+    try {
+      await AdImpression.insertMany(impressions, { ordered: false });
+    } catch (error) {
+      const writeErrors = error.writeErrors || [];
+      const onlyDuplicates = writeErrors.length > 0 &&
+        writeErrors.every(writeError => writeError.code === DUPLICATE_KEY_ERROR);
+
+      // Duplicates are impressions already written by an earlier attempt
+      if (onlyDuplicates) return;
+
+      console.error(`Failed to flush ${impressions.length} ad impressions, will retry:`, error);
+      this.pendingImpressions.unshift(...impressions);
+    }
+  }
+
+  /**
+   * Bulk apply aggregated counters, merging them back into the buffer on failure
+   * @private
+   */
+  async writeCounters(Model, counters, retryCounters, buildUpdate) {
+    if (counters.size === 0) return;
+
+    const entries = [...counters.entries()];
+    const operations = entries.map(([id, increments]) => ({
+      updateOne: {
+        filter: { _id: id },
+        update: buildUpdate(increments),
+      },
+    }));
+
+    try {
+      await Model.bulkWrite(operations, { ordered: false });
+    } catch (error) {
+      console.error(`Failed to flush ${Model.modelName} counters, will retry:`, error);
+
+      // Only retry the operations that failed, so applied increments are not counted twice
+      const failed = error.writeErrors
+        ? error.writeErrors.map(writeError => entries[writeError.index])
+        : entries;
+
+      failed.forEach(([id, increments]) => {
+        Object.entries(increments).forEach(([metric, amount]) => {
+          this.addCounter(retryCounters, id, metric, amount);
+        });
+      });
+    }
+  }
+}
+
+module.exports = new AccountingService();
@@ -0,0 +1,222 @@
+const mongoose = require('mongoose');
+const AdCampaign = require('../../models/AdCampaign');
+const AdClick = require('../../models/AdClick');
+const AdImpression = require('../../models/AdImpression');
+const AdConversion = require('../../models/AdConversion');
+const adsConfig = require('../../config/ads.config');
+const accountingService = require('./accounting.service');
+const privacyService = require('./privacy.service');
+
+const attributionConfig = adsConfig.attribution;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Attribution Service - Splits conversion credit across the ads a user interacted with
+ *
+ * Touchpoints are the user's clicks within the click lookback window, or their
+ * impressions within the (shorter) view-through window when they never clicked.
+ * Credit is split by the attribution model of the campaign touched last, which
+ * is the campaign the conversion is recorded against. Credit is stored per campaign and creative on the conversion, so campaign
+ * metrics and reports count fractional conversions and value.
+ */
+class AttributionService {
+  /**
+   * Attribute a conversion to ad touchpoints
+   * @param {Object} conversion - Conversion details
+   * @param {string} conversion.userId - Converting user
+   * @param {number} conversion.value - Conversion value
+   * @param {Date} conversion.convertedAt - Conversion time
+   * @returns {Promise<{model: string, credits: Array}>} Model used and credits per campaign and creative, oldest touchpoint first
+   */
+  async attribute({ userId, value = 0, convertedAt = new Date() }) {
+    const touchpoints = await this.getTouchpoints(userId, convertedAt);
+    const model = await this.getModel(touchpoints[touchpoints.length - 1]?.campaign);
+
+    const weights = this.getWeights(touchpoints, model, convertedAt);
+
+    // Combine repeated touches of the same creative into one credit
+    const credits = new Map();
+    touchpoints.forEach((touch, index) => {
+      const key = `${touch.campaign}_${touch.creative}`;
+      const credit = credits.get(key) || { ...touch, credit: 0 };
+
+      credit.credit += weights[index];
+      if (touch.touchedAt >= credit.touchedAt) {
+        credit.touchedAt = touch.touchedAt;
+        credit.touchpoint = touch.touchpoint;
+        credit.auction = touch.auction;
+      }
+
+      credits.set(key, credit);
+    });
+
+    return {
+      model,
+      credits: [...credits.values()]
+        .filter(credit => credit.credit > 0)
+        .sort((a, b) => a.touchedAt - b.touchedAt)
+        .map(credit => ({
+          ...credit,
+          credit: this.round(credit.credit),
+          value: this.round(value * credit.credit),
+        })),
+    };
+  }
+
+  /**
+   * Get the attribution model a campaign is set to
+   * @param {string} campaignId - Campaign ID
+   * @returns {Promise<string>}
+   */
+  async getModel(campaignId) {
+    if (!campaignId) return attributionConfig.defaultModel;
+
+    const campaign = await AdCampaign.findById(campaignId).select('attribution.model').lean();
+    const model = campaign?.attribution?.model;
+
+    return attributionConfig.models.includes(model) ? model : attributionConfig.defaultModel;
+  }
+
+  /**
+   * Find a user's ad touchpoints before a conversion, oldest first
+   * @param {string} userId - User ID
+   * @param {Date} convertedAt - Conversion time
+   * @returns {Promise<Array>}
+   */
+  async getTouchpoints(userId, convertedAt) {
+    if (!userId) return [];
+
+    const { click, impression } = attributionConfig.lookbackWindows;
+
+    const clicks = await this.findTouches(AdClick, userId, convertedAt, click);
+    if (clicks.length > 0) {
+      return clicks.map(touch => ({ ...touch, touchpoint: 'click' }));
+    }
+
+    // Recent impressions may still be buffered
+    await accountingService.flush();
+
+    const impressions = await this.findTouches(AdImpression, userId, convertedAt, impression);
+    return impressions.map(touch => ({ ...touch, touchpoint: 'impression' }));
+  }
+
+  /**
+   * Query the latest touches of a user within a lookback window
+   * @private
+   */
+  async findTouches(Model, userId, convertedAt, lookbackDays) {
+    // Touches stored under pseudonymous consent carry the user's hash instead
+    const touches = await Model.find({
+      ...privacyService.getIdentifiedQuery(userId),
+      timestamp: {
+        $gte: new Date(convertedAt.getTime() - lookbackDays * DAY_MS),
+        $lte: convertedAt,
+      },
+    })
+      .sort({ timestamp: -1 })
+      .limit(attributionConfig.maxTouchpoints)
+      .select('campaign creative timestamp auction')
+      .lean();
+
+    return touches.reverse().map(touch => ({
+      campaign: touch.campaign,
+      creative: touch.creative,
+      touchedAt: touch.timestamp,
+      auction: touch.auction?.pricingModel ? touch.auction : null,
+    }));
+  }
+
+  /**
+   * Share of credit for each touchpoint (oldest first), adding up to 1
+   * @param {Array} touchpoints - Touchpoints
+   * @param {string} model - Attribution model
+   * @param {Date} convertedAt - Conversion time
+   * @returns {Array<number>}
+   */
+  getWeights(touchpoints, model, convertedAt) {
+    const count = touchpoints.length;
+    if (count === 0) return [];
+
+    switch (model) {
+      case 'first_click':
+        return touchpoints.map((touch, index) => (index === 0 ? 1 : 0));
+
+      case 'linear':
+        return touchpoints.map(() => 1 / count);
+
+      case 'time_decay': {
+        const halfLife = attributionConfig.timeDecayHalfLife * DAY_MS;
+        const raw = touchpoints.map(touch => Math.pow(2, -(convertedAt - touch.touchedAt) / halfLife));
+        const total = raw.reduce((sum, weight) => sum + weight, 0);
+        return raw.map(weight => weight / total);
+      }
+
+      case 'last_click':
+      default:
+        return touchpoints.map((touch, index) => (index === count - 1 ? 1 : 0));
+    }
+  }
+
+  /**
+   * Credited conversions and value of a campaign
+   *
+   * Conversions recorded before attribution count fully for their campaign.
+   *
+   * @param {string} campaignId - Campaign ID
+   * @param {Object} range - Optional start and end dates
+   * @returns {Promise<{conversions: number, conversionValue: number}>}
+   */
+  async summarize(campaignId, { start, end } = {}) {
+    const id = new mongoose.Types.ObjectId(String(campaignId));
+
+    const match = {
+      $or: [{ 'attribution.credits.campaign': id }, { campaign: id }],
+    };
+
+    if (start || end) {
+      match.timestamp = {};
+      if (start) match.timestamp.$gte = start;
+      if (end) match.timestamp.$lte = end;
+    }
+
+    const [result] = await AdConversion.aggregate([
+      { $match: match },
+      {
+        $project: {
+          credits: {
+            $cond: [
+              { $gt: [{ $size: { $ifNull: ['$attribution.credits', []] } }, 0] },
+              '$attribution.credits',
+              [{ campaign: '$campaign', credit: 1, value: '$value' }],
+            ],
+          },
+        },
+      },
+      { $unwind: '$credits' },
+      { $match: { 'credits.campaign': id } },
+      {
+        $group: {
+          _id: null,
+          conversions: { $sum: '$credits.credit' },
+          conversionValue: { $sum: '$credits.value' },
+        },
+      },
+    ]);
+
+    return {
+      conversions: this.round(result?.conversions || 0),
+      conversionValue: this.round(result?.conversionValue || 0),
+    };
+  }
+
+  /**
+   * Round to 6 decimal places
+   * @private
+   */
+  round(value) {
+    return Math.round(value * 1e6) / 1e6;
+  }
+}
+
+module.exports = new AttributionService();
@@ -0,0 +1,293 @@
+const { v4: uuidv4 } = require('uuid');
+const adsConfig = require('../../config/ads.config');
+const { cache } = require('../../utils/cache');
+const daypartingService = require('./dayparting.service');
+const rotationService = require('./rotation.service');
+
+const AUCTION_MODELS = ['cpm', 'cpc', 'cpa'];
+
+// Campaigns below this many impressions use the default quality score
+const LEARNING_IMPRESSIONS = 1000;
+const DEFAULT_QUALITY = 0.5;
+const MIN_QUALITY = 0.1;
+
+// Bayesian priors for predicted rates of creatives with little data
+const PRIOR_IMPRESSIONS = 100;
+const PRIOR_CTR = adsConfig.campaign.metrics.ctr.target / 100;
+const PRIOR_CONVERSION_RATE = 0.02; // conversions per click
+
+// Minimum increment over the runner-up's price (ETB per mille)
+const PRICE_INCREMENT = 0.01;
+
+// Auction results must outlive the active ads cache so tracking can look them up
+const AUCTION_TTL = 3600; // 1 hour
+
+/**
+ * Auction Service - Generalized second-price auction for ad positions
+ */
+class AuctionService {
+  /**
+   * Run an auction for the slots of a position
+   *
+   * Candidates are ranked by effective eCPM (bid, scaled by the active dayparting
+   * slot and converted to per-mille, times the position multiplier) times quality score. Each winner pays the lowest price that
+   * would still have kept its rank, floored at the position's reserve price and
+   * capped at its own bid. The price is converted back into the campaign's own
+   * pricing model without the position multiplier and dayparting modifier,
+   * which only weigh ranking.
+   *
+   * Positions that rotate with another strategy fill their slots in the
+   * order of its scores instead, and winners pay the reserve price.
+   *
+   * @param {Array<{campaign: Object, creative: Object}>} candidates - Eligible creatives
+   * @param {Object} options - Auction options
+   * @param {string} options.position - Position ID
+   * @param {number} options.slots - Number of slots to fill
+   * @param {Date} options.now - Auction time, for dayparting bid modifiers
+   * @param {string} options.strategy - Rotation strategy, overriding the position's
+   * @returns {Promise<Object>} Auction with ID, rotation strategy and winners in slot order
+   */
+  async runAuction(candidates, { position, slots = 1, now = new Date(), strategy } = {}) {
+    const { priceMultiplier, reservePrice } = this.getPositionPricing(position);
+
+    const eligible = candidates
+      .map(({ campaign, creative }) => this.buildBid(campaign, creative, priceMultiplier, now))
+      .filter(bid => bid.effectiveEcpm > 0 && bid.effectiveEcpm >= reservePrice);
+
+    const rotation = await rotationService.score(eligible, { position, strategy });
+    const byPrice = rotation.strategy === 'auction';
+
+    // A campaign only competes once, with its best scored creative
+    const bestByCampaign = new Map();
+    rotation.bids.forEach(bid => {
+      const key = String(bid.campaign._id);
+      const current = bestByCampaign.get(key);
+      if (!current || this.compareBids(bid, current) < 0) {
+        bestByCampaign.set(key, bid);
+      }
+    });
+
+    const ranked = [...bestByCampaign.values()].sort((a, b) => this.compareBids(a, b));
+
+    const winners = ranked.slice(0, slots).map((bid, index) => {
+      const runnerUp = byPrice ? ranked[index + 1] : null;
+      const priceToKeepRank = runnerUp ? runnerUp.rank / bid.qualityScore : 0;
+      const clearingEcpm = Math.min(
+        bid.effectiveEcpm,
+        Math.max(priceToKeepRank, reservePrice) + PRICE_INCREMENT
+      );
+
+      return {
+        ...bid,
+        slot: index + 1,
+        clearingEcpm: this.round(clearingEcpm),
+        clearingPrice: this.round(Math.min(this.fromEcpm(clearingEcpm / (bid.priceMultiplier * bid.bidModifier), bid), bid.bid)),
+      };
+    });
+
+    return {
+      id: uuidv4(),
+      position,
+      strategy: rotation.strategy,
+      reservePrice,
+      priceMultiplier,
+      participants: ranked.length,
+      winners,
+    };
+  }
+
+  /**
+   * Order bids by rotation score, then by auction rank
+   * @private
+   */
+  compareBids(a, b) {
+    return (b.rotationScore - a.rotationScore) || (b.rank - a.rank);
+  }
+
+  /**
+   * Build a bid for a creative
+   * @private
+   */
+  buildBid(campaign, creative, priceMultiplier, now) {
+    const pricingModel = this.getPricingModel(campaign);
+    const bidModifier = daypartingService.getBidModifier(campaign, now);
+    const bid = this.getBidAmount(campaign, pricingModel) * bidModifier;
+    const rates = this.getPredictedRates(campaign, creative);
+    const qualityScore = this.getQualityScore(campaign);
+
+    const ecpm = this.toEcpm(bid, pricingModel, rates);
+    const effectiveEcpm = ecpm * priceMultiplier;
+
+    return {
+      campaign,
+      creative,
+      pricingModel,
+      bid,
+      bidModifier,
+      predictedCtr: rates.ctr,
+      predictedConversionRate: rates.conversionRate,
+      qualityScore,
+      priceMultiplier,
+      effectiveEcpm,
+      rank: effectiveEcpm * qualityScore,
+    };
+  }
+
+  /**
+   * Get the campaign's auction pricing model
+   * @param {Object} campaign - Campaign
+   * @returns {string} cpm, cpc or cpa
+   */
+  getPricingModel(campaign) {
+    const model = campaign.bidding?.model;
+    return AUCTION_MODELS.includes(model) ? model : 'cpm';
+  }
+
+  /**
+   * Get the campaign's bid, defaulting to the pricing model's base rate
+   * @private
+   */
+  getBidAmount(campaign, pricingModel) {
+    if (campaign.bidding?.amount > 0) {
+      return campaign.bidding.amount;
+    }
+    return adsConfig.getPricingModelConfig(pricingModel).baseRate;
+  }
+
+  /**
+   * Quality score (0-1) from campaign performance
+   * @param {Object} campaign - Campaign
+   * @returns {number}
+   */
+  getQualityScore(campaign) {
+    const metrics = campaign.metrics || {};
+
+    let quality = DEFAULT_QUALITY;
+    if ((metrics.impressions || 0) >= LEARNING_IMPRESSIONS) {
+      quality = adsConfig.calculatePerformanceScore(metrics) / 100;
+    }
+
+    // Audience relevance from targeting, when the campaign was scored for this viewer
+    quality *= campaign.targetingScore ?? 1;
+
+    return Math.min(Math.max(quality, MIN_QUALITY), 1);
+  }
+
+  /**
+   * Smoothed click-through and conversion rates for a creative
+   * @param {Object} campaign - Campaign
+   * @param {Object} creative - Creative
+   * @returns {{ctr: number, conversionRate: number}}
+   */
+  getPredictedRates(campaign, creative) {
+    const stats = creative.metrics || {};
+    const impressions = stats.impressions || 0;
+    const clicks = stats.clicks || 0;
+    const conversions = stats.conversions || 0;
+
+    const ctr = (clicks + PRIOR_CTR * PRIOR_IMPRESSIONS) / (impressions + PRIOR_IMPRESSIONS);
+    const priorClicks = PRIOR_IMPRESSIONS * PRIOR_CTR;
+    const conversionRate = (conversions + PRIOR_CONVERSION_RATE * priorClicks) / (clicks + priorClicks);
+
+    return { ctr, conversionRate };
+  }
+
+  /**
+   * Convert a bid in its pricing model into eCPM
+   * @private
+   */
+  toEcpm(amount, pricingModel, rates) {
+    switch (pricingModel) {
+      case 'cpc':
+        return amount * rates.ctr * 1000;
+      case 'cpa':
+        return amount * rates.ctr * rates.conversionRate * 1000;
+      default:
+        return amount;
+    }
+  }
+
+  /**
+   * Convert an eCPM back into the bid's pricing model
+   * @private
+   */
+  fromEcpm(ecpm, bid) {
+    switch (bid.pricingModel) {
+      case 'cpc':
+        return ecpm / (bid.predictedCtr * 1000);
+      case 'cpa':
+        return ecpm / (bid.predictedCtr * bid.predictedConversionRate * 1000);
+      default:
+        return ecpm;
+    }
+  }
+
+  /**
+   * Price multiplier and reserve price for a position
+   * @param {string} position - Position ID
+   * @returns {{priceMultiplier: number, reservePrice: number}}
+   */
+  getPositionPricing(position) {
+    const config = position ? adsConfig.getPositionConfig(position) : null;
+
+    return {
+      priceMultiplier: config?.priceMultiplier || 1,
+      reservePrice: config?.reservePrice || 0,
+    };
+  }
+
+  /**
+   * Store auction results for impression, click and conversion billing
+   * @param {Object} auction - Auction from runAuction
+   */
+  async saveResult(auction) {
+    const winners = {};
+    auction.winners.forEach(winner => {
+      winners[String(winner.creative._id)] = {
+        campaignId: String(winner.campaign._id),
+        slot: winner.slot,
+        pricingModel: winner.pricingModel,
+        bid: winner.bid,
+        bidModifier: winner.bidModifier,
+        qualityScore: winner.qualityScore,
+        rank: winner.rank,
+        clearingPrice: winner.clearingPrice,
+        clearingEcpm: winner.clearingEcpm,
+        rotationScore: winner.rotationScore,
+      };
+    });
+
+    await cache.set(
+      `auction_${auction.id}`,
+      { position: auction.position, strategy: auction.strategy, winners },
+      AUCTION_TTL
+    );
+  }
+
+  /**
+   * Look up a stored auction result for a creative
+   * @param {string} auctionId - Auction ID
+   * @param {string} creativeId - Creative ID
+   * @returns {Promise<Object|null>} Winner details including clearing price
+   */
+  async getResult(auctionId, creativeId) {
+    if (!auctionId) return null;
+
+    const auction = await cache.get(`auction_${auctionId}`);
+    const winner = auction?.winners?.[String(creativeId)];
+
+    return winner
+      ? { id: auctionId, position: auction.position, strategy: auction.strategy, ...winner }
+      : null;
+  }
+
+  /**
+   * Round a price to 4 decimal places
+   * @private
+   */
+  round(value) {
+    return Math.round(value * 10000) / 10000;
+  }
+}
+
+module.exports = new AuctionService();
@@ -0,0 +1,445 @@
+const AdInvoice = require('../../models/AdInvoice');
+const AdInvoiceCounter = require('../../models/AdInvoiceCounter');
+const AdClient = require('../../models/AdClient');
+const AdCampaign = require('../../models/AdCampaign');
+const AdImpression = require('../../models/AdImpression');
+const AdClick = require('../../models/AdClick');
+const AdConversion = require('../../models/AdConversion');
+const adsConfig = require('../../config/ads.config');
+const { sendEmail } = require('../../utils/email');
+const { ApiError } = require('../../utils/error');
+const { getZonedParts, getZonedMidnight, getDayKey } = require('../../utils/timezone');
+const accountingService = require('./accounting.service');
+const walletService = require('./wallet.service');
+const campaignScheduler = require('../../jobs/campaignScheduler');
+
+const billingConfig = adsConfig.billing;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DUPLICATE_KEY_ERROR = 11000;
+
+/**
+ * Billing Service - Invoices advertisers for their campaign spend
+ *
+ * Spend is closed per client per calendar month from the costs recorded on
+ * impressions, clicks and attributed conversions, so invoices always match
+ * what was charged against campaign budgets. One invoice is issued per client
+ * and period; closing the same period again returns the existing invoice.
+ */
+class BillingService {
+  /**
+   * Get the billing period (calendar month) before the one containing a date
+   * @param {Date} now - Reference date
+   * @returns {{start: Date, end: Date}} Period, end exclusive
+   */
+  getPreviousPeriod(now = new Date()) {
+    const { year, month } = getZonedParts(now, billingConfig.timeZone);
+    const previousYear = month === 1 ? year - 1 : year;
+    const previousMonth = month === 1 ? 12 : month - 1;
+
+    return {
+      start: getZonedMidnight(previousYear, previousMonth, 1, billingConfig.timeZone),
+      end: getZonedMidnight(year, month, 1, billingConfig.timeZone),
+    };
+  }
+
+  /**
+   * Get the due date of an invoice for a payment term
+   * @param {Date} issuedAt - Issue date
+   * @param {string} paymentTerms - Payment term
+   * @returns {Date}
+   */
+  getDueDate(issuedAt, paymentTerms) {
+    const days = billingConfig.paymentTermDays[paymentTerms] ?? billingConfig.paymentTermDays.net30;
+    return new Date(issuedAt.getTime() + days * DAY_MS);
+  }
+
+  /**
+   * Close a client's spend for a period and issue the invoice
+   * @param {string} clientId - Client ID
+   * @param {Object} period - Period start and (exclusive) end
+   * @returns {Promise<Object|null>} Invoice, or null when there was no spend
+   */
+  async closePeriod(clientId, { start, end }) {
+    const client = await AdClient.findById(clientId);
+    if (!client) {
+      throw new ApiError(404, 'Client not found');
+    }
+
+    const existing = await AdInvoice.findOne({ client: client._id, 'period.start': start });
+    if (existing) return existing;
+
+    // Recent impressions may still be buffered
+    await accountingService.flush();
+
+    const spend = await this.getSpend(client._id, start, end);
+    if (spend.length === 0) return null;
+
+    const currency = client.billing?.currency || billingConfig.baseCurrency;
+    const exchangeRate = this.getExchangeRate(currency);
+
+    const lines = spend.map(item => ({
+      campaign: item.campaign._id,
+      description: `Advertising - ${item.campaign.name}`,
+      impressions: item.impressions,
+      clicks: item.clicks,
+      conversions: this.round(item.conversions),
+      amount: this.round(item.cost / exchangeRate),
+    }));
+
+    const subtotal = this.round(lines.reduce((sum, line) => sum + line.amount, 0));
+    const vatAmount = this.round(subtotal * billingConfig.vatRate);
+    const issuedAt = new Date();
+    const paymentTerms = client.billing?.paymentTerms || 'net30';
+
+    try {
+      const invoice = await AdInvoice.create({
+        number: await this.nextInvoiceNumber(issuedAt),
+        client: client._id,
+        period: { start, end },
+        currency,
+        exchangeRate,
+        lines,
+        subtotal,
+        vat: { rate: billingConfig.vatRate, amount: vatAmount },
+        total: this.round(subtotal + vatAmount),
+        paymentTerms,
+        issuedAt,
+        dueDate: this.getDueDate(issuedAt, paymentTerms),
+      });
+
+      // Prepaid spend was already debited from the wallet; settle the invoice from it too
+      if (paymentTerms === 'prepaid') {
+        await walletService.payInvoice(invoice);
+      }
+
+      await this.notifyClient(client, invoice, 'issued');
+
+      return invoice;
+    } catch (error) {
+      // Another worker closed the same period first
+      if (error.code === DUPLICATE_KEY_ERROR) {
+        return AdInvoice.findOne({ client: client._id, 'period.start': start });
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Close a period for every client with campaigns
+   * @param {Object} period - Period start and (exclusive) end
+   * @returns {Promise<number>} Number of invoices issued or found
+   */
+  async closePeriodForAll(period = this.getPreviousPeriod()) {
+    const clientIds = await AdCampaign.distinct('client', {
+      'dates.start': { $lt: period.end },
+      'dates.end': { $gte: period.start },
+    });
+
+    let invoiced = 0;
+
+    for (const clientId of clientIds) {
+      try {
+        if (await this.closePeriod(clientId, period)) invoiced += 1;
+      } catch (error) {
+        console.error(`Failed to close billing period for client ${clientId}:`, error);
+      }
+    }
+
+    return invoiced;
+  }
+
+  /**
+   * Spend per campaign of a client within a period
+   * @private
+   */
+  async getSpend(clientId, start, end) {
+    const campaigns = await AdCampaign.find({ client: clientId }).select('name').lean();
+    if (campaigns.length === 0) return [];
+
+    const ids = campaigns.map(campaign => campaign._id);
+    const timestamp = { $gte: start, $lt: end };
+
+    const [impressions, clicks, conversions] = await Promise.all([
+      AdImpression.aggregate([
+        { $match: { campaign: { $in: ids }, timestamp } },
+        { $group: { _id: '$campaign', count: { $sum: 1 }, cost: { $sum: '$cost' } } },
+      ]),
+      AdClick.aggregate([
+        { $match: { campaign: { $in: ids }, timestamp } },
+        { $group: { _id: '$campaign', count: { $sum: 1 }, cost: { $sum: '$cost' } } },
+      ]),
+      AdConversion.aggregate([
+        {
+          $match: {
+            $or: [{ 'attribution.credits.campaign': { $in: ids } }, { campaign: { $in: ids } }],
+            timestamp,
+          },
+        },
+        {
+          $project: {
+            // Conversions recorded before attribution carry their cost on the conversion
+            credits: {
+              $cond: [
+                { $gt: [{ $size: { $ifNull: ['$attribution.credits', []] } }, 0] },
+                '$attribution.credits',
+                [{ campaign: '$campaign', credit: 1, cost: '$cost' }],
+              ],
+            },
+          },
+        },
+        { $unwind: '$credits' },
+        { $match: { 'credits.campaign': { $in: ids } } },
+        {
+          $group: {
+            _id: '$credits.campaign',
+            count: { $sum: '$credits.credit' },
+            cost: { $sum: { $ifNull: ['$credits.cost', 0] } },
+          },
+        },
+      ]),
+    ]);
+
+    const byId = (results) => new Map(results.map(result => [String(result._id), result]));
+    const impressionsById = byId(impressions);
+    const clicksById = byId(clicks);
+    const conversionsById = byId(conversions);
+
+    return campaigns
+      .map(campaign => {
+        const id = String(campaign._id);
+        const sources = [impressionsById.get(id), clicksById.get(id), conversionsById.get(id)];
+
+        return {
+          campaign,
+          impressions: sources[0]?.count || 0,
+          clicks: sources[1]?.count || 0,
+          conversions: sources[2]?.count || 0,
+          cost: sources.reduce((sum, source) => sum + (source?.cost || 0), 0),
+        };
+      })
+      .filter(item => this.round(item.cost) > 0);
+  }
+
+  /**
+   * Record a payment against an invoice
+   *
+   * Fully paid invoices reinstate clients suspended for non-payment once
+   * nothing else is past the suspension threshold.
+   *
+   * @param {Object} invoice - Invoice document
+   * @param {Object} payment - Amount, method, reference and payment date
+   * @param {string} userId - User recording the payment
+   * @returns {Promise<Object>} Updated invoice
+   */
+  async recordPayment(invoice, payment, userId) {
+    if (invoice.status === 'paid') {
+      throw new ApiError(400, 'Invoice is already paid');
+    }
+
+    const balance = this.round(invoice.total - invoice.amountPaid);
+    if (payment.amount > balance) {
+      throw new ApiError(400, `Payment exceeds the outstanding balance of ${balance} ${invoice.currency}`);
+    }
+
+    invoice.payments.push({ ...payment, recordedBy: userId });
+    invoice.amountPaid = this.round(invoice.amountPaid + payment.amount);
+
+    if (invoice.amountPaid >= invoice.total) {
+      invoice.status = 'paid';
+      invoice.paidAt = payment.paidAt || new Date();
+    }
+
+    await invoice.save();
+
+    if (invoice.status === 'paid') {
+      await this.reinstateClient(invoice.client);
+    }
+
+    return invoice;
+  }
+
+  /**
+   * Mark past-due invoices overdue, send reminders and suspend long overdue clients
+   * @param {Date} now - Current time
+   * @returns {Promise<Object>} Counts of overdue invoices, reminders and suspensions
+   */
+  async processOverdue(now = new Date()) {
+    const { modifiedCount } = await AdInvoice.updateMany(
+      { status: 'issued', dueDate: { $lt: now } },
+      { $set: { status: 'overdue' } }
+    );
+
+    const results = { overdue: modifiedCount, reminded: 0, suspended: 0 };
+
+    const invoices = await AdInvoice.find({ status: 'overdue' });
+
+    for (const invoice of invoices) {
+      try {
+        const daysOverdue = Math.floor((now - invoice.dueDate) / DAY_MS);
+
+        if (await this.sendReminder(invoice, daysOverdue, now)) {
+          results.reminded += 1;
+        }
+
+        if (daysOverdue >= billingConfig.suspendAfterDays && await this.suspendClient(invoice.client, now)) {
+          results.suspended += 1;
+        }
+      } catch (error) {
+        console.error(`Failed to process overdue invoice ${invoice.number}:`, error);
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Send the latest due reminder of an overdue invoice, once
+   * @private
+   */
+  async sendReminder(invoice, daysOverdue, now) {
+    const step = billingConfig.reminderDays.filter(days => days <= daysOverdue).pop();
+    if (step === undefined) return false;
+
+    // Claim the reminder so concurrent runs don't send it twice
+    const claimed = await AdInvoice.findOneAndUpdate(
+      { _id: invoice._id, 'reminders.daysOverdue': { $ne: step } },
+      { $push: { reminders: { daysOverdue: step, sentAt: now } } },
+      { new: true }
+    );
+    if (!claimed) return false;
+
+    const client = await AdClient.findById(invoice.client);
+    if (client) {
+      await this.notifyClient(client, claimed, 'overdue', { daysOverdue });
+    }
+
+    return true;
+  }
+
+  /**
+   * Suspend a client for non-payment and pause its running and upcoming campaigns
+   * @param {string} clientId - Client ID
+   * @param {Date} now - Current time
+   * @returns {Promise<boolean>} Whether the client was suspended
+   */
+  async suspendClient(clientId, now = new Date()) {
+    const client = await AdClient.findOneAndUpdate(
+      { _id: clientId, status: 'active' },
+      { $set: { status: 'suspended', suspendedAt: now, suspensionReason: 'billing_overdue' } },
+      { new: true }
+    );
+    if (!client) return false;
+
+    await campaignScheduler.pauseClientCampaigns(clientId, 'billing_overdue');
+    await this.notifyClient(client, null, 'suspended');
+
+    return true;
+  }
+
+  /**
+   * Reinstate a client suspended for non-payment and resume the campaigns paused with it
+   * @param {string} clientId - Client ID
+   * @returns {Promise<boolean>} Whether the client was reinstated
+   */
+  async reinstateClient(clientId) {
+    const stillOverdue = await AdInvoice.exists({
+      client: clientId,
+      status: 'overdue',
+      dueDate: { $lte: new Date(Date.now() - billingConfig.suspendAfterDays * DAY_MS) },
+    });
+    if (stillOverdue) return false;
+
+    const client = await AdClient.findOneAndUpdate(
+      { _id: clientId, status: 'suspended', suspensionReason: 'billing_overdue' },
+      { $set: { status: 'active' }, $unset: { suspendedAt: 1, suspensionReason: 1 } },
+      { new: true }
+    );
+    if (!client) return false;
+
+    await walletService.resumeCampaigns(clientId, 'billing_overdue');
+
+    return true;
+  }
+
+  /**
+   * Generate the next invoice number, e.g. INV-2026-000042
+   * @private
+   */
+  async nextInvoiceNumber(issuedAt) {
+    const { year } = getZonedParts(issuedAt, billingConfig.timeZone);
+
+    const counter = await AdInvoiceCounter.findOneAndUpdate(
+      { _id: year },
+      { $inc: { seq: 1 } },
+      { new: true, upsert: true }
+    );
+
+    return `${billingConfig.invoicePrefix}-${year}-${String(counter.seq).padStart(6, '0')}`;
+  }
+
+  /**
+   * Units of the base currency per unit of an invoice currency
+   * @private
+   */
+  getExchangeRate(currency) {
+    if (currency === billingConfig.baseCurrency) return 1;
+
+    const rate = billingConfig.exchangeRates[currency];
+    if (!(rate > 0)) {
+      throw new ApiError(500, `No exchange rate configured for ${currency}`);
+    }
+    return rate;
+  }
+
+  /**
+   * Email the client's billing contact about an invoice or suspension
+   * @private
+   */
+  async notifyClient(client, invoice, event, extra = {}) {
+    try {
+      const subjects = {
+        issued: `Invoice ${invoice?.number} for your advertising`,
+        overdue: `Payment Overdue: Invoice ${invoice?.number}`,
+        suspended: 'Advertising Suspended - Overdue Invoices',
+      };
+
+      await sendEmail({
+        to: client.billing?.billingEmail || client.email,
+        subject: subjects[event],
+        template: `ad_invoice_${event}`,
+        data: {
+          clientName: client.name,
+          company: client.company,
+          ...(invoice && {
+            invoiceNumber: invoice.number,
+            periodStart: getDayKey(invoice.period.start, billingConfig.timeZone),
+            periodEnd: getDayKey(new Date(invoice.period.end.getTime() - 1), billingConfig.timeZone),
+            subtotal: invoice.subtotal.toFixed(2),
+            vatRate: (invoice.vat.rate * 100).toFixed(0),
+            vatAmount: invoice.vat.amount.toFixed(2),
+            total: invoice.total.toFixed(2),
+            balance: (invoice.total - invoice.amountPaid).toFixed(2),
+            currency: invoice.currency,
+            dueDate: getDayKey(invoice.dueDate, billingConfig.timeZone),
+          }),
+          ...extra,
+          dashboardUrl: `${process.env.CLIENT_URL}/dashboard/ads/billing`,
+        },
+      });
+    } catch (error) {
+      console.error(`Failed to send ${event} billing notification:`, error);
+    }
+  }
+
+  /**
+   * Round to 2 decimal places
+   * @private
+   */
+  round(value) {
+    return Math.round(value * 100) / 100;
+  }
+}
+
+module.exports = new BillingService();
@@ -0,0 +1,411 @@
+const AdCampaign = require('../../models/AdCampaign');
+const AdClient = require('../../models/AdClient');
+const AdBudgetRevision = require('../../models/AdBudgetRevision');
+const User = require('../../models/User');
+const adsConfig = require('../../config/ads.config');
+const { ApiError } = require('../../utils/error');
+const { cache } = require('../../utils/cache');
+const { sendEmail } = require('../../utils/email');
+const accountService = require('./account.service');
+const walletService = require('./wallet.service');
+
+const campaignConfig = adsConfig.campaign;
+
+/**
+ * Budget Service - Campaign budget changes, their approval and spend alerts
+ *
+ * Every budget change is logged as a revision with the old and new values.
+ * Increases that move a campaign up into an approval tier wait as pending
+ * revisions until someone with billing rights on the client approves them,
+ * unless the requester has those rights. Clients are notified as spend
+ * crosses each alert threshold.
+ */
+class BudgetService {
+  /**
+   * Get the budget tier an amount falls in
+   * @param {number} amount - Budget total
+   * @returns {string} Tier name from campaign.budgetTiers
+   */
+  getTier(amount) {
+    const tiers = Object.entries(campaignConfig.budgetTiers);
+    const tier = tiers.find(([, { max }]) => amount < max) || tiers[tiers.length - 1];
+    return tier[0];
+  }
+
+  /**
+   * Check whether a budget change needs approval
+   * @param {Object} campaign - Campaign
+   * @param {Object} changes - Requested total, daily and pacing
+   * @param {Object} user - Requesting user
+   * @returns {Promise<boolean>}
+   */
+  async requiresApproval(campaign, { total }, user) {
+    if (total === undefined || total <= campaign.budget.total) {
+      return false;
+    }
+
+    const tierNames = Object.keys(campaignConfig.budgetTiers);
+    const from = this.getTier(campaign.budget.total);
+    const to = this.getTier(total);
+
+    if (tierNames.indexOf(to) <= tierNames.indexOf(from) || !campaignConfig.budgetApproval.tiers.includes(to)) {
+      return false;
+    }
+
+    return !await accountService.can(user, campaign.client, 'billing');
+  }
+
+  /**
+   * Change a campaign budget, or request approval for the change
+   * @param {Object} campaign - Campaign document
+   * @param {Object} changes - Requested total, daily and pacing; daily null clears the cap
+   * @param {Object} user - Requesting user, or the optimizer's system actor
+   * @param {string} reason - Why the budget is changed
+   * @param {Object} options - source: user or optimizer
+   * @returns {Promise<Object>} Revision, applied or pending
+   */
+  async requestChange(campaign, changes, user, reason, { source = 'user' } = {}) {
+    this.validate(campaign, changes);
+
+    const revision = new AdBudgetRevision({
+      campaign: campaign._id,
+      client: campaign.client,
+      previous: this.getSnapshot(campaign),
+      requested: changes,
+      reason,
+      source,
+      requestedBy: user.id || undefined,
+    });
+
+    if (await this.requiresApproval(campaign, changes, user)) {
+      if (await this.hasPendingChange(campaign._id)) {
+        throw new ApiError(409, 'A budget change for this campaign is already awaiting approval');
+      }
+
+      // Prepaid clients must be able to fund the increase once it is approved
+      await this.assertFunds(campaign, changes);
+
+      revision.status = 'pending';
+      await revision.save();
+      await this.notifyApprovalRequest(campaign, revision, user);
+
+      return revision;
+    }
+
+    await this.apply(campaign, changes);
+
+    revision.status = 'applied';
+    await revision.save();
+
+    return revision;
+  }
+
+  /**
+   * Check whether a campaign has a budget change awaiting approval
+   * @param {string} campaignId - Campaign ID
+   * @returns {Promise<boolean>}
+   */
+  async hasPendingChange(campaignId) {
+    return Boolean(await AdBudgetRevision.exists({ campaign: campaignId, status: 'pending' }));
+  }
+
+  /**
+   * Approve a pending budget change and apply it
+   * @param {Object} revision - Pending revision
+   * @param {Object} user - Approving user
+   * @param {string} note - Review note
+   * @returns {Promise<Object>} Revision and updated campaign
+   */
+  async approve(revision, user, note) {
+    this.assertPending(revision);
+
+    const campaign = await AdCampaign.findById(revision.campaign);
+    if (!campaign) {
+      throw new ApiError(404, 'Campaign not found');
+    }
+
+    // The request was made against the budget it replaces
+    if (campaign.budget.total !== revision.previous.total) {
+      throw new ApiError(409, 'The campaign budget has changed since this change was requested');
+    }
+
+    const changes = this.getChanges(revision);
+    this.validate(campaign, changes);
+    await this.apply(campaign, changes);
+
+    this.review(revision, 'approved', user, note);
+    await revision.save();
+    await this.notifyReviewed(campaign, revision);
+
+    return { revision, campaign };
+  }
+
+  /**
+   * Reject a pending budget change
+   * @param {Object} revision - Pending revision
+   * @param {Object} user - Reviewing user
+   * @param {string} note - Review note
+   * @returns {Promise<Object>} Revision
+   */
+  async reject(revision, user, note) {
+    this.assertPending(revision);
+
+    this.review(revision, 'rejected', user, note);
+    await revision.save();
+
+    const campaign = await AdCampaign.findById(revision.campaign).select('name').lean();
+    if (campaign) {
+      await this.notifyReviewed(campaign, revision);
+    }
+
+    return revision;
+  }
+
+  /**
+   * Get budget revisions, newest first
+   * @param {Object} filter - Campaign, client, status and the clients the user may see
+   * @param {Object} options - Page and limit
+   * @returns {Promise<{revisions: Array, total: number}>}
+   */
+  async getRevisions({ campaignId, clientId, clientIds, status }, { page = 1, limit = 20 } = {}) {
+    const query = {};
+
+    if (campaignId) query.campaign = campaignId;
+    if (clientId) query.client = clientId;
+    if (status) query.status = status;
+
+    // null means every client
+    if (clientIds) {
+      query.client = clientId && !clientIds.includes(String(clientId))
+        ? { $in: [] }
+        : clientId || { $in: clientIds };
+    }
+
+    const [revisions, total] = await Promise.all([
+      AdBudgetRevision.find(query)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('campaign', 'name status')
+        .populate('requestedBy', 'firstName lastName email')
+        .populate('reviewedBy', 'firstName lastName email')
+        .lean(),
+      AdBudgetRevision.countDocuments(query),
+    ]);
+
+    return { revisions, total };
+  }
+
+  /**
+   * Notify the client when a charge takes spend across an alert threshold
+   * @param {Object} campaign - Charged campaign
+   * @param {Object} charge - Amount charged, and spent and total budget after it
+   */
+  async checkSpendAlerts(campaign, { charged, spent, total }) {
+    if (!(charged > 0) || !(total > 0)) return;
+
+    const before = ((spent - charged) / total) * 100;
+    const after = (spent / total) * 100;
+
+    // Charges are applied one at a time, so exactly one charge crosses each threshold
+    const crossed = campaignConfig.spendAlerts.filter(threshold => before < threshold && after >= threshold);
+
+    if (crossed.length > 0) {
+      await this.notifySpend(campaign, Math.max(...crossed), { spent, total });
+    }
+  }
+
+  /**
+   * Check a budget change against the campaign's spend
+   * @private
+   */
+  validate(campaign, { total, daily }) {
+    if (total !== undefined && total <= campaign.budget.spent) {
+      throw new ApiError(400, `Budget must be greater than spent amount (${campaign.budget.spent})`);
+    }
+
+    const newTotal = total !== undefined ? total : campaign.budget.total;
+    if (daily && daily > newTotal) {
+      throw new ApiError(400, 'Daily budget cannot exceed the total budget');
+    }
+  }
+
+  /**
+   * Check that a prepaid client can fund a budget increase of a running campaign
+   * @private
+   */
+  async assertFunds(campaign, { total }) {
+    if (total !== undefined && total > campaign.budget.total && ['active', 'pending'].includes(campaign.status)) {
+      await walletService.assertFunds(campaign.client, total - campaign.budget.spent, { excludeCampaign: campaign._id });
+    }
+  }
+
+  /**
+   * Write a budget change to the campaign
+   * @private
+   */
+  async apply(campaign, changes) {
+    const { total, daily, pacing } = changes;
+
+    await this.assertFunds(campaign, changes);
+
+    if (total !== undefined) {
+      campaign.budget.total = total;
+      campaign.budget.remaining = total - campaign.budget.spent;
+    }
+
+    if (daily !== undefined) {
+      // null clears the daily cap and falls back to spreading the remaining budget
+      campaign.budget.daily = daily || undefined;
+    }
+
+    if (pacing) {
+      campaign.budget.pacing = pacing;
+    }
+
+    await campaign.save();
+    await cache.del('active_ads');
+  }
+
+  /**
+   * Budget fields of a campaign as logged in a revision
+   * @private
+   */
+  getSnapshot(campaign) {
+    return {
+      total: campaign.budget.total,
+      daily: campaign.budget.daily ?? null,
+      pacing: campaign.budget.pacing,
+    };
+  }
+
+  /**
+   * Requested changes of a stored revision, without the fields it left alone
+   * @private
+   */
+  getChanges(revision) {
+    const { total, daily, pacing } = revision.requested || {};
+    return Object.fromEntries(
+      Object.entries({ total, daily, pacing }).filter(([, value]) => value !== undefined)
+    );
+  }
+
+  /**
+   * @private
+   */
+  assertPending(revision) {
+    if (revision.status !== 'pending') {
+      throw new ApiError(409, `Budget change has already been ${revision.status}`);
+    }
+  }
+
+  /**
+   * @private
+   */
+  review(revision, status, user, note) {
+    revision.status = status;
+    revision.reviewedBy = user.id;
+    revision.reviewedAt = new Date();
+    revision.reviewNote = note;
+  }
+
+  /**
+   * Email addresses of the users with a permission on a client
+   * @private
+   */
+  async getRecipients(clientId, permission) {
+    const client = await AdClient.findById(clientId).select('organization createdBy').lean();
+    if (!client) return [];
+
+    const userIds = await accountService.getClientMembers(client, permission);
+    const users = await User.find({ _id: { $in: userIds } }).select('email').lean();
+
+    return users.map(user => user.email).filter(Boolean);
+  }
+
+  /**
+   * Ask the client's billing members to review a budget increase
+   * @private
+   */
+  async notifyApprovalRequest(campaign, revision, user) {
+    try {
+      const recipients = await this.getRecipients(campaign.client, 'billing');
+      const requester = user.id ? await User.findById(user.id).select('firstName lastName').lean() : null;
+
+      await Promise.all(recipients.map(email => sendEmail({
+        to: email,
+        subject: `Budget Approval Needed: ${campaign.name}`,
+        template: 'campaign_budget_approval',
+        data: {
+          campaignName: campaign.name,
+          requesterName: requester ? `${requester.firstName} ${requester.lastName}` : undefined,
+          source: revision.source,
+          previousBudget: revision.previous.total,
+          requestedBudget: revision.requested.total,
+          currency: campaign.budget.currency,
+          reason: revision.reason,
+          dashboardUrl: `${process.env.CLIENT_URL}/dashboard/ads/campaigns/${campaign._id}/budget`,
+        },
+      })));
+    } catch (error) {
+      console.error('Failed to send budget approval request:', error);
+    }
+  }
+
+  /**
+   * Tell the requester how their budget change was reviewed
+   * @private
+   */
+  async notifyReviewed(campaign, revision) {
+    // Optimizer requests have no requester to tell
+    if (!revision.requestedBy) return;
+
+    try {
+      const requester = await User.findById(revision.requestedBy).select('email').lean();
+      if (!requester) return;
+
+      await sendEmail({
+        to: requester.email,
+        subject: `Budget Change ${revision.status === 'approved' ? 'Approved' : 'Rejected'}: ${campaign.name}`,
+        template: 'campaign_budget_reviewed',
+        data: {
+          campaignName: campaign.name,
+          status: revision.status,
+          requestedBudget: revision.requested.total,
+          reviewNote: revision.reviewNote,
+          dashboardUrl: `${process.env.CLIENT_URL}/dashboard/ads/campaigns/${campaign._id}/budget`,
+        },
+      });
+    } catch (error) {
+      console.error('Failed to send budget review notification:', error);
+    }
+  }
+
+  /**
+   * Tell the client's billing members how much of a budget is spent
+   * @private
+   */
+  async notifySpend(campaign, threshold, { spent, total }) {
+    try {
+      const recipients = await this.getRecipients(campaign.client?._id || campaign.client, 'billing');
+
+      await Promise.all(recipients.map(email => sendEmail({
+        to: email,
+        subject: `Campaign ${threshold}% Spent: ${campaign.name}`,
+        template: 'campaign_spend_alert',
+        data: {
+          campaignName: campaign.name,
+          threshold,
+          spent: Math.round(spent * 100) / 100,
+          total,
+          currency: campaign.budget?.currency,
+          dashboardUrl: `${process.env.CLIENT_URL}/dashboard/ads/campaigns/${campaign._id}`,
+        },
+      })));
+    } catch (error) {
+      console.error('Failed to send campaign spend alert:', error);
+    }
+  }
+}
+
+module.exports = new BudgetService();
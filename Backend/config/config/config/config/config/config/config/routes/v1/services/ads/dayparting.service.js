@@ -0,0 +1,135 @@
+const adsConfig = require('../../config/ads.config');
+const { getZonedParts } = require('../../utils/timezone');
+
+const daypartingConfig = adsConfig.campaign.dayparting;
+
+/**
+ * Dayparting Service - Restricts campaign delivery to hours of the day and days of the week
+ *
+ * A campaign serves while the local time is inside any of its slots. Slots are
+ * evaluated in the campaign's time zone, falling back to the advertiser's, and
+ * may scale the campaign bid while they are active. Campaigns without slots
+ * serve around the clock at their normal bid.
+ */
+class DaypartingService {
+  /**
+   * Get a campaign's delivery schedule
+   * @param {Object} campaign - Campaign, with client populated to use the advertiser's time zone
+   * @returns {Object|null} Time zone and slots, or null when the campaign serves around the clock
+   */
+  getSchedule(campaign) {
+    const slots = campaign.dayparting?.slots || [];
+
+    if (slots.length === 0) {
+      return null;
+    }
+
+    return {
+      timeZone: this.getTimeZone(campaign),
+      slots,
+    };
+  }
+
+  /**
+   * Get the time zone a campaign's slots are evaluated in
+   * @param {Object} campaign - Campaign
+   * @returns {string}
+   */
+  getTimeZone(campaign) {
+    return campaign.dayparting?.timeZone
+      || campaign.client?.timeZone
+      || daypartingConfig.defaultTimeZone;
+  }
+
+  /**
+   * Get the slot active at a time, preferring the highest bid modifier when slots overlap
+   * @param {Object} schedule - Schedule from getSchedule
+   * @param {Date} now - Current time
+   * @returns {Object|null} Slot
+   */
+  getActiveSlot(schedule, now = new Date()) {
+    if (!schedule) return null;
+
+    const { hour, weekday } = getZonedParts(now, schedule.timeZone);
+
+    return schedule.slots
+      .filter(slot => this.coversHour(slot, weekday, hour))
+      .reduce((best, slot) => (!best || this.getModifier(slot) > this.getModifier(best) ? slot : best), null);
+  }
+
+  /**
+   * Check whether a schedule allows delivery at a time
+   * @param {Object|null} schedule - Schedule from getSchedule
+   * @param {Date} now - Current time
+   * @returns {boolean}
+   */
+  isOpen(schedule, now = new Date()) {
+    return !schedule || this.getActiveSlot(schedule, now) !== null;
+  }
+
+  /**
+   * Check whether a campaign may serve at a time
+   * @param {Object} campaign - Campaign
+   * @param {Date} now - Current time
+   * @returns {boolean}
+   */
+  isEligible(campaign, now = new Date()) {
+    return this.isOpen(this.getSchedule(campaign), now);
+  }
+
+  /**
+   * Get the bid multiplier of the slot a campaign is serving in
+   * @param {Object} campaign - Campaign
+   * @param {Date} now - Current time
+   * @returns {number}
+   */
+  getBidModifier(campaign, now = new Date()) {
+    const slot = this.getActiveSlot(this.getSchedule(campaign), now);
+    return slot ? this.getModifier(slot) : 1;
+  }
+
+  /**
+   * Describe a schedule by local hour of day, for analytics
+   * @param {Object|null} schedule - Schedule from getSchedule
+   * @returns {Array<{hour: number, days: Array<number>, bidModifier: number|null}>} 24 entries
+   */
+  getHourlyWindows(schedule) {
+    return Array.from({ length: 24 }, (_, hour) => {
+      if (!schedule) {
+        return { hour, days: [0, 1, 2, 3, 4, 5, 6], bidModifier: 1 };
+      }
+
+      const slots = schedule.slots.filter(slot => slot.startHour <= hour && hour < slot.endHour);
+      const days = [0, 1, 2, 3, 4, 5, 6].filter(
+        weekday => slots.some(slot => this.coversHour(slot, weekday, hour))
+      );
+
+      return {
+        hour,
+        days,
+        bidModifier: days.length > 0 ? Math.max(...slots.map(slot => this.getModifier(slot))) : null,
+      };
+    });
+  }
+
+  /**
+   * Check whether a slot covers a local weekday and hour; no days covers every day
+   * @private
+   */
+  coversHour(slot, weekday, hour) {
+    const days = slot.days || [];
+    return (days.length === 0 || days.includes(weekday))
+      && slot.startHour <= hour
+      && hour < slot.endHour;
+  }
+
+  /**
+   * Get a slot's bid modifier
+   * @private
+   */
+  getModifier(slot) {
+    return slot.bidModifier ?? 1;
+  }
+}
+
+module.exports = new DaypartingService();
@@ -0,0 +1,416 @@
+const crypto = require('crypto');
+const AdExperiment = require('../../models/AdExperiment');
+const AdCampaign = require('../../models/AdCampaign');
+const AdCreative = require('../../models/AdCreative');
+const { ApiError } = require('../../utils/error');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Standard normal cumulative distribution function
+ * (Abramowitz and Stegun 7.1.26, accurate to about 1e-7)
+ */
+const normalCdf = (z) => {
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * x);
+  const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  const erf = 1 - poly * Math.exp(-x * x);
+
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+};
+
+/**
+ * Experiment Service - A/B tests between creatives of a campaign
+ *
+ * Viewers are assigned to a variant by a stable hash of the experiment and
+ * viewer, so each viewer keeps seeing the same creative. Variants are compared
+ * to the control with a two-proportion z-test, Bonferroni-corrected when there
+ * is more than one challenger. Since results are checked repeatedly while
+ * data comes in, a winner is only declared once every variant has its minimum
+ * sample and the experiment has run its minimum duration.
+ */
+class ExperimentService {
+  /**
+   * Create an experiment for a campaign
+   * @param {Object} campaign - Campaign document
+   * @param {Object} data - Experiment settings
+   * @param {string} userId - Creating user
+   * @returns {Promise<Object>} Experiment
+   */
+  async create(campaign, data, userId) {
+    const {
+      name,
+      controlCreativeId,
+      variants,
+      metric,
+      confidenceLevel,
+      minSampleSize,
+      minDurationDays,
+      autoPromote,
+      start = true,
+    } = data;
+
+    const creativeIds = variants.map(variant => String(variant.creativeId));
+
+    if (new Set(creativeIds).size !== creativeIds.length) {
+      throw new ApiError(400, 'Each creative can only be one variant');
+    }
+
+    if (!creativeIds.includes(String(controlCreativeId))) {
+      throw new ApiError(400, 'The control creative must be one of the variants');
+    }
+
+    const totalWeight = variants.reduce((sum, variant) => sum + variant.weight, 0);
+    if (totalWeight !== 100) {
+      throw new ApiError(400, 'Variant weights must add up to 100');
+    }
+
+    const creatives = await AdCreative.countDocuments({
+      _id: { $in: creativeIds },
+      campaign: campaign._id,
+      status: 'active',
+    });
+
+    if (creatives !== creativeIds.length) {
+      throw new ApiError(400, 'All variants must be active creatives of this campaign');
+    }
+
+    const experiment = await AdExperiment.create({
+      campaign: campaign._id,
+      name,
+      control: controlCreativeId,
+      variants: variants.map(variant => ({ creative: variant.creativeId, weight: variant.weight })),
+      metric,
+      confidenceLevel,
+      minSampleSize,
+      minDurationDays,
+      autoPromote,
+      createdBy: userId,
+    });
+
+    return start ? this.start(experiment) : experiment;
+  }
+
+  /**
+   * Start an experiment; a campaign runs one experiment at a time
+   * @param {Object} experiment - Experiment document
+   * @returns {Promise<Object>} Experiment
+   */
+  async start(experiment) {
+    if (experiment.status !== 'draft') {
+      throw new ApiError(400, `Cannot start a ${experiment.status} experiment`);
+    }
+
+    const campaign = await AdCampaign.findOneAndUpdate(
+      { _id: experiment.campaign, experiment: { $exists: false } },
+      { $set: { experiment: experiment._id } }
+    );
+
+    if (!campaign) {
+      throw new ApiError(409, 'This campaign already has a running experiment');
+    }
+
+    experiment.status = 'running';
+    experiment.startedAt = new Date();
+    await experiment.save();
+
+    return experiment;
+  }
+
+  /**
+   * Stop a running experiment without promoting a winner
+   * @param {Object} experiment - Experiment document
+   * @returns {Promise<Object>} Experiment
+   */
+  async stop(experiment) {
+    if (experiment.status !== 'running') {
+      throw new ApiError(400, 'Only running experiments can be stopped');
+    }
+
+    experiment.status = 'stopped';
+    experiment.endedAt = new Date();
+    await experiment.save();
+
+    await AdCampaign.updateOne(
+      { _id: experiment.campaign, experiment: experiment._id },
+      { $unset: { experiment: 1 } }
+    );
+
+    return experiment;
+  }
+
+  /**
+   * End an experiment and make a creative the campaign's primary creative
+   *
+   * The other variants are paused so the winner receives all traffic.
+   *
+   * @param {Object} experiment - Experiment document
+   * @param {string} creativeId - Winning creative
+   * @returns {Promise<Object>} Experiment
+   */
+  async promote(experiment, creativeId) {
+    if (!['running', 'stopped'].includes(experiment.status)) {
+      throw new ApiError(400, `Cannot promote a winner of a ${experiment.status} experiment`);
+    }
+
+    const variantIds = experiment.variants.map(variant => String(variant.creative));
+    if (!variantIds.includes(String(creativeId))) {
+      throw new ApiError(400, 'The winner must be one of the variants');
+    }
+
+    const losers = variantIds.filter(id => id !== String(creativeId));
+
+    await Promise.all([
+      AdCreative.updateOne({ _id: creativeId }, { $set: { isPrimary: true, status: 'active' } }),
+      AdCreative.updateMany({ _id: { $in: losers } }, { $set: { isPrimary: false, status: 'paused' } }),
+      AdCampaign.updateOne(
+        { _id: experiment.campaign },
+        { $set: { primaryCreative: creativeId } }
+      ),
+      AdCampaign.updateOne(
+        { _id: experiment.campaign, experiment: experiment._id },
+        { $unset: { experiment: 1 } }
+      ),
+    ]);
+
+    experiment.status = 'completed';
+    experiment.winner = creativeId;
+    experiment.endedAt = experiment.endedAt || new Date();
+    await experiment.save();
+
+    return experiment;
+  }
+
+  /**
+   * Pick the variant a viewer sees
+   * @param {Object} experiment - Experiment
+   * @param {string} viewerKey - Viewer key
+   * @returns {string} Creative ID
+   */
+  assignVariant(experiment, viewerKey) {
+    const hash = crypto.createHash('sha256').update(`${experiment._id}:${viewerKey}`).digest();
+    const bucket = (hash.readUInt32BE(0) / 0x100000000) * 100;
+
+    let cumulative = 0;
+    const variant = experiment.variants.find(({ weight }) => {
+      cumulative += weight;
+      return bucket < cumulative;
+    }) || experiment.variants[experiment.variants.length - 1];
+
+    return String(variant.creative);
+  }
+
+  /**
+   * Restrict a campaign's creatives to the viewer's variant while an experiment runs
+   * @param {Object} campaign - Campaign with populated creatives and experiment
+   * @param {string} viewerKey - Viewer key
+   */
+  applySplit(campaign, viewerKey) {
+    const experiment = campaign.experiment;
+    if (!experiment || experiment.status !== 'running') return;
+
+    const creativeId = this.assignVariant(experiment, viewerKey);
+    campaign.creatives = campaign.creatives.filter(creative => String(creative._id) === creativeId);
+  }
+
+  /**
+   * Count an event for a variant of the campaign's running experiment
+   * @param {Object} campaign - Campaign
+   * @param {string} creativeId - Creative ID
+   * @param {string} metric - impressions, clicks or conversions
+   * @param {number} amount - Amount to count, fractional for attributed conversions
+   */
+  async recordEvent(campaign, creativeId, metric, amount = 1) {
+    if (!campaign?.experiment) return;
+
+    await AdExperiment.updateOne(
+      { _id: campaign.experiment, status: 'running', 'variants.creative': creativeId },
+      { $inc: { [`variants.$.metrics.${metric}`]: amount } }
+    );
+  }
+
+  /**
+   * Compare variants to the control
+   * @param {Object} experiment - Experiment
+   * @param {Date} now - Current time
+   * @returns {Object} Per-variant results and the winner, if any
+   */
+  analyze(experiment, now = new Date()) {
+    const useCtr = experiment.metric === 'ctr';
+    const comparisons = Math.max(experiment.variants.length - 1, 1);
+    const alpha = (1 - experiment.confidenceLevel) / comparisons;
+
+    const stats = experiment.variants.map(variant => {
+      const { impressions = 0, clicks = 0, conversions = 0 } = variant.metrics || {};
+      const trials = useCtr ? impressions : clicks;
+      const successes = useCtr ? clicks : conversions;
+
+      return {
+        creative: variant.creative,
+        isControl: String(variant.creative) === String(experiment.control),
+        weight: variant.weight,
+        impressions,
+        clicks,
+        conversions,
+        ctr: impressions > 0 ? (clicks / impressions) * 100 : 0,
+        conversionRate: clicks > 0 ? (conversions / clicks) * 100 : 0,
+        trials,
+        rate: trials > 0 ? successes / trials : 0,
+      };
+    });
+
+    const control = stats.find(variant => variant.isControl);
+
+    const variants = stats.map(({ trials, rate, ...variant }) => {
+      if (variant.isControl) {
+        return { ...variant, lift: 0, zScore: null, pValue: null, significant: false, better: false };
+      }
+
+      const { zScore, pValue } = this.zTest(control.rate, control.trials, rate, trials);
+      const significant = pValue !== null && pValue < alpha;
+
+      return {
+        ...variant,
+        lift: control.rate > 0 ? ((rate - control.rate) / control.rate) * 100 : null,
+        zScore,
+        pValue,
+        significant,
+        better: significant && rate > control.rate,
+      };
+    });
+
+    const sampleReady = stats.every(variant => variant.trials >= experiment.minSampleSize);
+
+    const runningDays = experiment.startedAt
+      ? (new Date(experiment.endedAt || now) - new Date(experiment.startedAt)) / DAY_MS
+      : 0;
+    const durationReady = runningDays >= experiment.minDurationDays;
+    const ready = sampleReady && durationReady;
+
+    let winner = null;
+    if (ready) {
+      const challengers = variants.filter(variant => !variant.isControl);
+      const better = challengers
+        .filter(variant => variant.better)
+        .sort((a, b) => (useCtr ? b.ctr - a.ctr : b.conversionRate - a.conversionRate));
+
+      if (better.length > 0) {
+        winner = better[0].creative;
+      } else if (challengers.every(variant => variant.significant && !variant.better)) {
+        winner = control.creative;
+      }
+    }
+
+    let conclusion = 'collecting_data';
+    if (winner) {
+      conclusion = 'winner_found';
+    } else if (ready) {
+      conclusion = 'no_significant_difference';
+    }
+
+    return {
+      metric: experiment.metric,
+      confidenceLevel: experiment.confidenceLevel,
+      significanceThreshold: alpha,
+      sampleReady,
+      durationReady,
+      conclusion,
+      winner,
+      variants,
+    };
+  }
+
+  /**
+   * Two-sided two-proportion z-test
+   * @private
+   */
+  zTest(rateA, trialsA, rateB, trialsB) {
+    if (trialsA === 0 || trialsB === 0) {
+      return { zScore: null, pValue: null };
+    }
+
+    const pooled = (rateA * trialsA + rateB * trialsB) / (trialsA + trialsB);
+    const standardError = Math.sqrt(pooled * (1 - pooled) * (1 / trialsA + 1 / trialsB));
+
+    if (standardError === 0) {
+      return { zScore: 0, pValue: 1 };
+    }
+
+    const zScore = (rateB - rateA) / standardError;
+    const pValue = 2 * (1 - normalCdf(Math.abs(zScore)));
+
+    return { zScore, pValue };
+  }
+
+  /**
+   * Analyze an experiment and promote its winner when auto-promotion is on
+   * @param {Object} experiment - Experiment document
+   * @returns {Promise<Object>} Analysis
+   */
+  async evaluate(experiment) {
+    const analysis = this.analyze(experiment);
+
+    if (experiment.status === 'running' && experiment.autoPromote && analysis.winner) {
+      await this.promote(experiment, analysis.winner);
+    }
+
+    return analysis;
+  }
+
+  /**
+   * Evaluate all running experiments with auto-promotion
+   * @returns {Promise<number>} Number of experiments promoted
+   */
+  async evaluateRunning() {
+    const experiments = await AdExperiment.find({ status: 'running', autoPromote: true });
+
+    let promoted = 0;
+    for (const experiment of experiments) {
+      const { winner } = await this.evaluate(experiment);
+      if (winner) promoted += 1;
+    }
+
+    return promoted;
+  }
+
+  /**
+   * Experiments of a campaign with their results
+   * @param {string} campaignId - Campaign ID
+   * @returns {Promise<Array>}
+   */
+  async getCampaignResults(campaignId) {
+    const experiments = await AdExperiment.find({ campaign: campaignId }).sort({ createdAt: -1 });
+
+    const creativeIds = experiments.flatMap(experiment => experiment.variants.map(variant => variant.creative));
+    const creatives = await AdCreative.find({ _id: { $in: creativeIds } })
+      .select('title file.url status')
+      .lean();
+    const creativesById = new Map(creatives.map(creative => [String(creative._id), creative]));
+
+    return Promise.all(experiments.map(async experiment => {
+      // Reads never promote; the scheduler does that through evaluateRunning
+      const analysis = this.analyze(experiment);
+
+      return {
+        id: experiment._id,
+        name: experiment.name,
+        status: experiment.status,
+        control: experiment.control,
+        winner: experiment.winner,
+        autoPromote: experiment.autoPromote,
+        startedAt: experiment.startedAt,
+        endedAt: experiment.endedAt,
+        results: {
+          ...analysis,
+          variants: analysis.variants.map(variant => ({
+            ...variant,
+            title: creativesById.get(String(variant.creative))?.title,
+            imageUrl: creativesById.get(String(variant.creative))?.file?.url,
+          })),
+        },
+      };
+    }));
+  }
+}
+
+module.exports = new ExperimentService();
@@ -0,0 +1,135 @@
+const adsConfig = require('../../config/ads.config');
+const { cache } = require('../../utils/cache');
+const { getDayKey } = require('../../utils/timezone');
+
+const capConfig = adsConfig.campaign.frequencyCap;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Platform default for campaigns without caps of their own
+const DEFAULT_CAPS = [
+  { scope: 'campaign', period: 'day', limit: adsConfig.campaign.quality.maxFrequency },
+];
+
+/**
+ * Frequency Service - Limits how often a viewer sees the same campaign or creative
+ *
+ * Each viewer's impression counts live in a single cache entry, so serving
+ * ads reads one key per request instead of counting impressions in MongoDB.
+ * Viewers are identified by the same key the tracking tokens are bound to:
+ * the user ID when signed in, otherwise a device fingerprint.
+ */
+class FrequencyService {
+  /**
+   * Get the caps that apply to a campaign
+   * @param {Object} campaign - Campaign
+   * @returns {Array<{scope: string, period: string, limit: number}>}
+   */
+  getCaps(campaign) {
+    return campaign.frequencyCaps?.length > 0 ? campaign.frequencyCaps : DEFAULT_CAPS;
+  }
+
+  /**
+   * Load a viewer's impression history
+   * @param {string} viewer - Viewer key
+   * @returns {Promise<Object>} History
+   */
+  async getHistory(viewer) {
+    const history = await cache.get(this.getHistoryKey(viewer));
+    return history || { campaigns: {}, creatives: {} };
+  }
+
+  /**
+   * Check whether a viewer has reached any cap for a campaign or creative
+   *
+   * Without a creative ID only campaign-level caps are checked.
+   *
+   * @param {Object} campaign - Campaign with _id and frequencyCaps
+   * @param {string} creativeId - Creative ID
+   * @param {Object} history - Viewer history from getHistory
+   * @param {Date} now - Current time
+   * @returns {boolean}
+   */
+  isCapped(campaign, creativeId, history, now = new Date()) {
+    const buckets = this.getBuckets(now);
+
+    return this.getCaps(campaign).some(cap => {
+      if (cap.scope === 'creative' && !creativeId) return false;
+
+      const id = cap.scope === 'creative' ? creativeId : campaign._id;
+      const counter = history[`${cap.scope}s`]?.[String(id)]?.[cap.period];
+      const count = counter && counter.bucket === buckets[cap.period] ? counter.count : 0;
+
+      return count >= cap.limit;
+    });
+  }
+
+  /**
+   * Count an impression against a viewer's history
+   * @param {string} viewer - Viewer key
+   * @param {string} campaignId - Campaign ID
+   * @param {string} creativeId - Creative ID
+   * @param {Date} now - Current time
+   */
+  async recordImpression(viewer, campaignId, creativeId, now = new Date()) {
+    const history = await this.getHistory(viewer);
+    const buckets = this.getBuckets(now);
+
+    [['campaigns', campaignId], ['creatives', creativeId]].forEach(([scope, id]) => {
+      const counters = history[scope][String(id)] || {};
+
+      capConfig.periods.forEach(period => {
+        const current = counters[period];
+        counters[period] = {
+          bucket: buckets[period],
+          count: current && current.bucket === buckets[period] ? current.count + 1 : 1,
+        };
+      });
+
+      counters.seenAt = now.getTime();
+      history[scope][String(id)] = counters;
+    });
+
+    this.prune(history, now);
+
+    await cache.set(this.getHistoryKey(viewer), history, capConfig.historyTtl);
+  }
+
+  /**
+   * Drop counters not seen within the history TTL
+   * @private
+   */
+  prune(history, now) {
+    const cutoff = now.getTime() - capConfig.historyTtl * 1000;
+
+    ['campaigns', 'creatives'].forEach(scope => {
+      Object.keys(history[scope]).forEach(id => {
+        if (history[scope][id].seenAt < cutoff) {
+          delete history[scope][id];
+        }
+      });
+    });
+  }
+
+  /**
+   * Current bucket for each cap period
+   * @private
+   */
+  getBuckets(now) {
+    return {
+      hour: String(Math.floor(now.getTime() / HOUR_MS)),
+      day: getDayKey(now, adsConfig.campaign.pacing.timeZone),
+      lifetime: 'all',
+    };
+  }
+
+  /**
+   * Cache key of a viewer's history
+   * @private
+   */
+  getHistoryKey(viewer) {
+    return `ad_frequency_${viewer}`;
+  }
+}
+
+module.exports = new FrequencyService();
@@ -0,0 +1,235 @@
+const AdInvalidTraffic = require('../../models/AdInvalidTraffic');
+const adsConfig = require('../../config/ads.config');
+const { cache } = require('../../utils/cache');
+
+const ivtConfig = adsConfig.invalidTraffic;
+
+const BOT_PATTERN = new RegExp(
+  ivtConfig.botSignatures.map(signature => signature.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&')).join('|'),
+  'i'
+);
+
+/**
+ * Invalid Traffic Service - Scores impressions and clicks for invalid traffic
+ *
+ * Each rule that fires adds its configured weight to the event's score; events
+ * at or above the threshold are excluded from billing and metrics and written
+ * to the audit collection instead.
+ */
+class InvalidTrafficService {
+  /**
+   * Score an impression or click
+   *
+   * Inspection also records the event in the detection state (velocity
+   * counters, seen click IDs), so call it exactly once per event.
+   *
+   * @param {Object} event - Tracking event
+   * @param {string} event.type - impression or click
+   * @param {string} event.creative - Creative ID
+   * @param {string} event.user - User ID
+   * @param {string} event.auctionId - Auction ID from the served ad
+   * @param {string} event.clickId - Client-generated click ID
+   * @param {string} event.ipAddress - Client IP
+   * @param {string} event.userAgent - Client user agent
+   * @param {Date} event.timestamp - Event time
+   * @returns {Promise<{valid: boolean, score: number, reasons: Array}>}
+   */
+  async inspect(event) {
+    if (!ivtConfig.enabled) {
+      return { valid: true, score: 0, reasons: [] };
+    }
+
+    const reasons = [];
+    const flag = (rule, detail) => {
+      reasons.push({ rule, weight: ivtConfig.weights[rule] || 0, detail });
+    };
+
+    this.checkUserAgent(event, flag);
+    await this.checkVelocity(event, flag);
+
+    if (event.type === 'click') {
+      await this.checkClickTiming(event, flag);
+      await this.checkDuplicateClick(event, flag);
+    }
+
+    const score = reasons.reduce((sum, reason) => sum + reason.weight, 0);
+
+    return { valid: score < ivtConfig.threshold, score, reasons };
+  }
+
+  /**
+   * Flag missing and known bot user agents
+   * @private
+   */
+  checkUserAgent(event, flag) {
+    if (!event.userAgent) {
+      flag('missing_user_agent', 'No user agent sent');
+      return;
+    }
+
+    const match = event.userAgent.match(BOT_PATTERN);
+    if (match) {
+      flag('bot_user_agent', `User agent matches "${match[0].toLowerCase()}"`);
+    }
+  }
+
+  /**
+   * Flag IPs and users exceeding the event rate limits
+   * @private
+   */
+  async checkVelocity(event, flag) {
+    const { window, ip, user } = ivtConfig.velocity;
+
+    // Fixed-window counters: the cache increments atomically and starts the TTL when it creates the key
+    if (event.ipAddress) {
+      const count = await cache.incr(`ivt_velocity_${event.type}_ip_${event.ipAddress}`, window);
+      if (count > ip[event.type]) {
+        flag('ip_velocity', `${count} ${event.type}s from IP in ${window}s`);
+      }
+    }
+
+    if (event.user) {
+      const count = await cache.incr(`ivt_velocity_${event.type}_user_${event.user}`, window);
+      if (count > user[event.type]) {
+        flag('user_velocity', `${count} ${event.type}s from user in ${window}s`);
+      }
+    }
+  }
+
+  /**
+   * Flag clicks with no prior impression or an impossibly short time-to-click
+   * @private
+   */
+  async checkClickTiming(event, flag) {
+    const servedAt = await cache.get(this.getImpressionKey(event));
+
+    if (!servedAt) {
+      flag('click_without_impression', 'No recorded impression for this click');
+      return;
+    }
+
+    const timeToClick = new Date(event.timestamp).getTime() - servedAt;
+    if (timeToClick < ivtConfig.minTimeToClick) {
+      flag('fast_click', `Clicked ${timeToClick}ms after impression`);
+    }
+  }
+
+  /**
+   * Flag clicks whose ID has already been seen
+   *
+   * Without a click ID, a viewer's clicks on a creative served by one auction
+   * count as one. Cached ad responses share their auction across viewers, so
+   * the auction alone would make one viewer's click a duplicate of another's.
+   *
+   * @private
+   */
+  async checkDuplicateClick(event, flag) {
+    const clickKey = event.clickId || (event.auctionId && `${event.auctionId}_${this.getViewerKey(event)}_${event.creative}`);
+    if (!clickKey) return;
+
+    // Claim the key atomically so concurrent duplicates cannot both pass
+    const first = await cache.setnx(`ivt_click_${clickKey}`, true, ivtConfig.clickWindow);
+    if (!first) {
+      flag('duplicate_click', `Click ${clickKey} already recorded`);
+    }
+  }
+
+  /**
+   * Remember a valid impression so later clicks on it can be verified
+   * @param {Object} event - Impression event
+   */
+  async markImpression(event) {
+    await cache.set(
+      this.getImpressionKey(event),
+      new Date(event.timestamp).getTime(),
+      ivtConfig.clickWindow
+    );
+  }
+
+  /**
+   * Cache key linking an impression to its clicks
+   * @private
+   */
+  getImpressionKey(event) {
+    return `ivt_impression_${event.auctionId || 'none'}_${this.getViewerKey(event)}_${event.creative}`;
+  }
+
+  /**
+   * Identify the viewer of an event by user, falling back to the client IP
+   * @private
+   */
+  getViewerKey(event) {
+    return event.user ? `user_${event.user}` : `ip_${event.ipAddress}`;
+  }
+
+  /**
+   * Write an invalid event to the audit collection
+   * @param {Object} event - Tracking event
+   * @param {Object} verdict - Result of inspect
+   * @returns {Promise<Object>} Audit record
+   */
+  async recordInvalid(event, verdict) {
+    return AdInvalidTraffic.create({
+      eventType: event.type,
+      creative: event.creative,
+      campaign: event.campaign,
+      user: event.user,
+      auctionId: event.auctionId,
+      clickId: event.clickId,
+      pageUrl: event.pageUrl,
+      position: event.position,
+      score: verdict.score,
+      reasons: verdict.reasons,
+      ipAddress: event.ipAddress,
+      userAgent: event.userAgent,
+      timestamp: event.timestamp,
+    });
+  }
+
+  /**
+   * Summarize invalid traffic per campaign
+   * @param {Array} campaignIds - Campaign IDs
+   * @param {Date} start - Period start
+   * @param {Date} end - Period end
+   * @returns {Promise<Map<string, Object>>} Campaign ID to invalid impressions, clicks and rule counts
+   */
+  async summarizeByCampaign(campaignIds, start, end) {
+    const match = {
+      campaign: { $in: campaignIds },
+      timestamp: { $gte: start, $lte: end },
+    };
+
+    const [events, rules] = await Promise.all([
+      AdInvalidTraffic.aggregate([
+        { $match: match },
+        { $group: { _id: { campaign: '$campaign', eventType: '$eventType' }, count: { $sum: 1 } } },
+      ]),
+      AdInvalidTraffic.aggregate([
+        { $match: match },
+        { $unwind: '$reasons' },
+        { $group: { _id: { campaign: '$campaign', rule: '$reasons.rule' }, count: { $sum: 1 } } },
+      ]),
+    ]);
+
+    const summary = new Map();
+    const getEntry = (campaignId) => {
+      const key = String(campaignId);
+      if (!summary.has(key)) {
+        summary.set(key, { impressions: 0, clicks: 0, reasons: {} });
+      }
+      return summary.get(key);
+    };
+
+    events.forEach(({ _id, count }) => {
+      getEntry(_id.campaign)[`${_id.eventType}s`] = count;
+    });
+
+    rules.forEach(({ _id, count }) => {
+      getEntry(_id.campaign).reasons[_id.rule] = count;
+    });
+
+    return summary;
+  }
+}
+
+module.exports = new InvalidTrafficService();
@@ -0,0 +1,456 @@
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const axios = require('axios');
+const AdCreative = require('../../models/AdCreative');
+const AdCampaign = require('../../models/AdCampaign');
+const AdClient = require('../../models/AdClient');
+const AdModerationLog = require('../../models/AdModerationLog');
+const User = require('../../models/User');
+const adsConfig = require('../../config/ads.config');
+const { cache } = require('../../utils/cache');
+const { sendEmail } = require('../../utils/email');
+const { ApiError } = require('../../utils/error');
+
+const moderationConfig = adsConfig.moderation;
+const guidelines = adsConfig.policies.creativeGuidelines;
+
+/**
+ * Escape a string for use in a regular expression
+ */
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Whole-word keyword matchers per prohibited category
+const KEYWORD_PATTERNS = Object.entries(moderationConfig.keywords)
+  .filter(([category]) => adsConfig.policies.prohibitedContent.includes(category))
+  .map(([category, keywords]) => ({
+    category,
+    pattern: new RegExp(`(?<![\\p{L}\\p{N}])(${keywords.map(escapeRegExp).join('|')})(?![\\p{L}\\p{N}])`, 'iu'),
+  }));
+
+/**
+ * Check whether an IP address is private, loopback or link-local
+ */
+const isPrivateAddress = (address) => {
+  if (net.isIPv4(address)) {
+    const [a, b] = address.split('.').map(Number);
+    return a === 10 || a === 127 || a === 0 ||
+      (a === 169 && b === 254) ||
+      (a === 172 && b >= 16 && b <= 31) ||
+      (a === 192 && b === 168) ||
+      (a === 100 && b >= 64 && b <= 127);
+  }
+
+  const normalized = address.toLowerCase();
+  if (normalized.startsWith('::ffff:')) {
+    return isPrivateAddress(normalized.slice(7));
+  }
+  return normalized === '::1' || normalized === '::' ||
+    normalized.startsWith('fc') || normalized.startsWith('fd') || normalized.startsWith('fe80');
+};
+
+/**
+ * DNS lookup for landing page requests that refuses private addresses
+ *
+ * Runs as the sockets' lookup, so the address checked is the address
+ * connected to and a host cannot rebind to a private one in between.
+ */
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    if (addresses.some(({ address }) => isPrivateAddress(address))) {
+      const refused = new Error(`${hostname} resolves to a private network`);
+      refused.code = 'EPRIVATE';
+      return callback(refused);
+    }
+
+    if (options.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+const landingPageAgents = {
+  httpAgent: new http.Agent({ lookup: publicLookup }),
+  httpsAgent: new https.Agent({ lookup: publicLookup }),
+};
+
+/**
+ * Moderation Service - Reviews ad creatives before they can serve
+ *
+ * Uploaded creatives wait as pending with the results of automated policy
+ * checks attached. A reviewer then approves or rejects them; failed checks
+ * block approval unless the reviewer explicitly overrides them. Every step
+ * is written to the moderation log and the advertiser is emailed the decision.
+ */
+class ModerationService {
+  /**
+   * Record a new pending creative and run the automated checks on it
+   * @param {Object} creative - Creative document
+   * @param {Object} campaign - Campaign document
+   * @param {Object} user - Uploading user
+   * @returns {Promise<Object>} Creative with check results
+   */
+  async submit(creative, campaign, user) {
+    await this.log(creative, 'submitted', { actor: user.id });
+
+    return this.check(creative, campaign);
+  }
+
+  /**
+   * Run the automated checks on a creative and store the results
+   * @param {Object} creative - Creative document
+   * @param {Object} campaign - Campaign document
+   * @returns {Promise<Object>} Creative with check results
+   */
+  async check(creative, campaign) {
+    const client = await AdClient.findById(campaign.client).select('name company').lean();
+
+    const checks = [
+      this.checkPolicies(creative),
+      ...this.checkGuidelines(creative, client),
+      this.checkDisclosures(creative),
+      // Sponsored jobs show the job listing instead of an uploaded file
+      ...(creative.job ? [] : [this.checkFile(creative, campaign.type)]),
+      await this.checkLandingPage(creative.destinationUrl),
+    ];
+
+    creative.moderation.checks = checks;
+    creative.moderation.checkedAt = new Date();
+    await creative.save();
+
+    await this.log(creative, 'checked', {
+      failedChecks: checks.filter(check => !check.passed).map(check => check.name),
+    });
+
+    return creative;
+  }
+
+  /**
+   * Approve or reject a pending creative
+   * @param {Object} creative - Creative document
+   * @param {Object} decision - decision (approve/reject), reasons, note and override
+   * @param {Object} user - Reviewer
+   * @returns {Promise<Object>} Reviewed creative
+   */
+  async review(creative, { decision, reasons = [], note, override = false }, user) {
+    if (creative.moderation?.status !== 'pending') {
+      throw new ApiError(400, 'Creative is not awaiting review');
+    }
+
+    const failed = (creative.moderation.checks || []).filter(check => !check.passed && check.severity === 'error');
+
+    if (decision === 'approve' && failed.length > 0 && !override) {
+      throw new ApiError(400, `Creative failed automated checks (${failed.map(check => check.name).join(', ')}); approve with override to accept it anyway`);
+    }
+
+    if (decision === 'reject' && reasons.length === 0) {
+      throw new ApiError(400, 'At least one rejection reason is required');
+    }
+
+    const approved = decision === 'approve';
+
+    // Only one reviewer can decide on a creative
+    const reviewed = await AdCreative.findOneAndUpdate(
+      { _id: creative._id, 'moderation.status': 'pending' },
+      {
+        $set: {
+          status: approved ? 'active' : 'rejected',
+          'moderation.status': approved ? 'approved' : 'rejected',
+          'moderation.reasons': approved ? [] : reasons,
+          'moderation.note': note,
+          'moderation.reviewedBy': user.id,
+          'moderation.reviewedAt': new Date(),
+        },
+      },
+      { new: true }
+    );
+
+    if (!reviewed) {
+      throw new ApiError(409, 'Creative was reviewed by someone else');
+    }
+
+    // Primary creatives only take over the campaign once approved
+    if (approved && reviewed.isPrimary) {
+      await AdCampaign.updateOne({ _id: reviewed.campaign }, { $set: { primaryCreative: reviewed._id } });
+    }
+
+    await this.log(reviewed, approved ? 'approved' : 'rejected', {
+      actor: user.id,
+      reasons: approved ? [] : reasons,
+      note,
+      override: approved && failed.length > 0,
+      failedChecks: failed.map(check => check.name),
+    });
+
+    await cache.del(`campaign_${reviewed.campaign}`);
+    await cache.del('active_ads');
+
+    await this.notify(reviewed);
+
+    return reviewed;
+  }
+
+  /**
+   * Get the moderation history of a creative, oldest first
+   * @param {string} creativeId - Creative ID
+   * @returns {Promise<Array>}
+   */
+  async getHistory(creativeId) {
+    return AdModerationLog.find({ creative: creativeId })
+      .populate('actor', 'firstName lastName email')
+      .sort({ timestamp: 1 })
+      .lean();
+  }
+
+  /**
+   * Scan creative text and the landing URL for prohibited content keywords
+   * @private
+   */
+  checkPolicies(creative) {
+    const text = [creative.title, creative.description, creative.altText, creative.callToAction, creative.destinationUrl]
+      .filter(Boolean)
+      .join(' \n ');
+
+    const matches = KEYWORD_PATTERNS
+      .map(({ category, pattern }) => ({ category, match: text.match(pattern) }))
+      .filter(({ match }) => match);
+
+    return {
+      name: 'policy_keywords',
+      passed: matches.length === 0,
+      severity: 'error',
+      reason: matches[0]?.category,
+      detail: matches.length > 0
+        ? matches.map(({ category, match }) => `${category}: "${match[1]}"`).join('; ')
+        : 'No prohibited content keywords found',
+    };
+  }
+
+  /**
+   * Check the creative guidelines: required elements and text length
+   * @private
+   */
+  checkGuidelines(creative, client) {
+    const checks = [];
+
+    if (guidelines.requiredElements.includes('brand_name')) {
+      const text = [creative.title, creative.description, creative.altText].filter(Boolean).join(' ').toLowerCase();
+      const brands = [client?.company, client?.name].filter(Boolean);
+      const found = brands.some(brand => text.includes(brand.toLowerCase()));
+
+      checks.push({
+        name: 'brand_name',
+        passed: found,
+        severity: 'error',
+        reason: 'missing_required_element',
+        detail: found ? 'Brand name present' : `Title, description or alt text must name the advertiser (${brands.join(' / ')})`,
+      });
+    }
+
+    if (guidelines.requiredElements.includes('call_to_action')) {
+      const found = Boolean(creative.callToAction?.trim());
+
+      checks.push({
+        name: 'call_to_action',
+        passed: found,
+        severity: 'error',
+        reason: 'missing_required_element',
+        detail: found ? 'Call to action present' : 'A call to action is required',
+      });
+    }
+
+    const length = (creative.description || '').length;
+    checks.push({
+      name: 'text_length',
+      passed: length <= guidelines.maxTextLength,
+      severity: 'warning',
+      reason: 'text_too_long',
+      detail: `Description is ${length} characters (guideline: ${guidelines.maxTextLength})`,
+    });
+
+    return checks;
+  }
+
+  /**
+   * Require a disclosure when the landing URL is an affiliate link
+   * @private
+   */
+  checkDisclosures(creative) {
+    let params = [];
+    try {
+      params = [...new URL(creative.destinationUrl).searchParams.keys()].map(key => key.toLowerCase());
+    } catch (error) {
+      // Malformed URLs fail the landing page check
+    }
+
+    const isAffiliate = params.some(param => moderationConfig.affiliateParams.includes(param));
+    if (!isAffiliate) {
+      return { name: 'disclosures', passed: true, severity: 'error', detail: 'No disclosures required' };
+    }
+
+    const text = [creative.title, creative.description].filter(Boolean).join(' ').toLowerCase();
+    const disclosed = moderationConfig.disclosureTerms.some(term => text.includes(term));
+
+    return {
+      name: 'disclosures',
+      passed: disclosed,
+      severity: 'error',
+      reason: 'missing_disclosure',
+      detail: disclosed
+        ? 'Affiliate link disclosed'
+        : `Affiliate links must be disclosed in the title or description (${moderationConfig.disclosureTerms.join(', ')})`,
+    };
+  }
+
+  /**
+   * Check the uploaded file's format, size and dimensions for the ad type
+   * @private
+   */
+  checkFile(creative, adType) {
+    const { valid, errors } = adsConfig.validateCreative(adType, {
+      dimensions: { width: creative.file.width, height: creative.file.height },
+      format: creative.file.format,
+      size: creative.file.size,
+    });
+
+    return {
+      name: 'file',
+      passed: valid,
+      severity: 'error',
+      reason: 'invalid_file',
+      detail: valid ? `Valid ${creative.file.format} file for ${adType} ads` : errors.join('; '),
+    };
+  }
+
+  /**
+   * Check that the landing page responds
+   *
+   * With a checker URL configured (e.g. a local stub in development) the
+   * check is delegated to it; otherwise the page is requested directly,
+   * refusing hosts that resolve to private networks. Redirects are followed
+   * by hand so every hop gets the same checks.
+   *
+   * @private
+   */
+  async checkLandingPage(url) {
+    const result = (passed, detail) => ({
+      name: 'landing_page',
+      passed,
+      severity: 'error',
+      reason: 'landing_page_unreachable',
+      detail,
+    });
+
+    let target;
+    try {
+      target = new URL(url);
+    } catch (error) {
+      return result(false, 'Landing URL is not a valid URL');
+    }
+
+    if (!['http:', 'https:'].includes(target.protocol)) {
+      return result(false, 'Landing URL must use http or https');
+    }
+
+    const { timeout, maxRedirects, checkerUrl } = moderationConfig.landingPage;
+
+    try {
+      let status;
+
+      if (checkerUrl) {
+        const { data } = await axios.get(checkerUrl, { params: { url }, timeout });
+        status = data.status;
+      } else {
+        for (let redirects = 0; ; redirects += 1) {
+          if (!['http:', 'https:'].includes(target.protocol)) {
+            return result(false, 'Landing page redirects to a URL that is not http or https');
+          }
+
+          // IP literals are connected to without a lookup
+          const host = target.hostname.replace(/^\[|\]$/g, '');
+          if (net.isIP(host) && isPrivateAddress(host)) {
+            return result(false, 'Landing URL points to a private network');
+          }
+
+          const response = await axios.get(target.href, {
+            ...landingPageAgents,
+            proxy: false,
+            timeout,
+            maxRedirects: 0,
+            maxContentLength: 1024 * 1024,
+            validateStatus: () => true,
+          });
+          status = response.status;
+
+          const location = response.headers.location;
+          if (status < 300 || status >= 400 || !location) break;
+
+          if (redirects >= maxRedirects) {
+            return result(false, `Landing page redirects more than ${maxRedirects} times`);
+          }
+
+          target = new URL(location, target);
+        }
+      }
+
+      const reachable = status >= 200 && status < 400;
+      return result(reachable, `Landing page responded with HTTP ${status}`);
+    } catch (error) {
+      if (error.code === 'EPRIVATE') {
+        return result(false, 'Landing URL points to a private network');
+      }
+      return result(false, `Landing page unreachable: ${error.code || error.message}`);
+    }
+  }
+
+  /**
+   * Write a moderation log entry
+   * @private
+   */
+  async log(creative, action, details = {}) {
+    return AdModerationLog.create({
+      creative: creative._id,
+      campaign: creative.campaign,
+      action,
+      ...details,
+    });
+  }
+
+  /**
+   * Email the creative's uploader the review decision
+   * @private
+   */
+  async notify(creative) {
+    try {
+      const [user, campaign] = await Promise.all([
+        User.findById(creative.createdBy).select('email firstName'),
+        AdCampaign.findById(creative.campaign).select('name'),
+      ]);
+      if (!user) return;
+
+      const approved = creative.moderation.status === 'approved';
+
+      await sendEmail({
+        to: user.email,
+        subject: approved
+          ? `Creative Approved: ${creative.title}`
+          : `Creative Rejected: ${creative.title}`,
+        template: approved ? 'ad_creative_approved' : 'ad_creative_rejected',
+        data: {
+          firstName: user.firstName,
+          creativeTitle: creative.title,
+          campaignName: campaign?.name,
+          reasons: creative.moderation.reasons,
+          note: creative.moderation.note,
+          dashboardUrl: `${process.env.CLIENT_URL}/dashboard/ads/campaigns/${creative.campaign}`,
+        },
+      });
+    } catch (error) {
+      console.error('Failed to send creative moderation notification:', error);
+    }
+  }
+}
+
+module.exports = new ModerationService();
@@ -0,0 +1,534 @@
+const AdOptimization = require('../../models/AdOptimization');
+const AdCampaign = require('../../models/AdCampaign');
+const AdCreative = require('../../models/AdCreative');
+const AdImpression = require('../../models/AdImpression');
+const AdClick = require('../../models/AdClick');
+const AdConversion = require('../../models/AdConversion');
+const adsConfig = require('../../config/ads.config');
+const { cache } = require('../../utils/cache');
+const { ApiError } = require('../../utils/error');
+const budgetService = require('./budget.service');
+
+const optimizationConfig = adsConfig.campaign.optimization;
+const metricTargets = adsConfig.campaign.metrics;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Requests budget changes for automatic runs; it has no rights on any client,
+// so increases into an approval tier wait for a billing member
+const SYSTEM_ACTOR = { id: null, roles: [] };
+
+/**
+ * Optimizer Service - Tunes running campaigns against the configured metric targets
+ *
+ * Each run measures campaigns and their creatives over the lookback window:
+ * CTR for CPM and CPC campaigns, conversion rate per click for CPA campaigns.
+ * Performance below (1 - poorPerformance) of target or above
+ * excellentPerformance times target produces changes. Campaigns in auto mode
+ * get them applied; in suggest mode they wait for the advertiser. Every
+ * change is logged with its previous value so it can be rolled back.
+ */
+class OptimizerService {
+  /**
+   * Evaluate every active campaign that has optimization switched on
+   * @returns {Promise<{campaigns: number, proposed: number, applied: number}>}
+   */
+  async optimizeAll() {
+    const summary = { campaigns: 0, proposed: 0, applied: 0 };
+    if (!optimizationConfig.enabled) return summary;
+
+    const campaigns = await AdCampaign.find({
+      status: 'active',
+      'optimization.mode': { $ne: 'off' },
+    }).populate('experiment', 'status');
+
+    for (const campaign of campaigns) {
+      try {
+        const changes = await this.optimize(campaign);
+        summary.campaigns += 1;
+        summary.proposed += changes.filter(change => change.status === 'proposed').length;
+        summary.applied += changes.filter(change => change.status === 'applied').length;
+      } catch (error) {
+        console.error(`Failed to optimize campaign ${campaign._id}:`, error);
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * Evaluate one campaign and record (and in auto mode apply) its changes
+   * @param {Object} campaign - Campaign document with experiment populated
+   * @param {Date} now - Evaluation time
+   * @returns {Promise<Array>} Changes proposed or applied in this run
+   */
+  async optimize(campaign, now = new Date()) {
+    const mode = this.getMode(campaign);
+    if (mode === 'off') return [];
+
+    const performance = await this.getPerformance(campaign, new Date(now - optimizationConfig.lookbackDays * DAY_MS));
+    let candidates = await this.filterCooledDown(campaign, this.evaluate(campaign, performance), now);
+
+    // No further budget increase while a budget change is awaiting approval
+    if (await budgetService.hasPendingChange(campaign._id)) {
+      candidates = candidates.filter(candidate => candidate.action !== 'increase_budget_top_performing');
+    }
+
+    // Earlier proposals the current numbers no longer support are dropped
+    const keys = new Set(candidates.map(candidate => this.getKey(candidate)));
+    const open = await AdOptimization.find({ campaign: campaign._id, status: 'proposed' });
+    const stale = open.filter(entry => !keys.has(this.getKey(entry)));
+    if (stale.length > 0) {
+      await AdOptimization.updateMany(
+        { _id: { $in: stale.map(entry => entry._id) }, status: 'proposed' },
+        { $set: { status: 'expired' } }
+      );
+    }
+
+    const changes = [];
+
+    for (const candidate of candidates) {
+      const existing = open.find(entry => this.getKey(entry) === this.getKey(candidate));
+
+      let entry;
+      if (existing) {
+        existing.set({ ...candidate, mode, failureReason: undefined });
+        entry = await existing.save();
+      } else {
+        entry = await AdOptimization.create({ ...candidate, campaign: campaign._id, mode });
+      }
+
+      if (mode === 'auto') {
+        try {
+          entry = await this.apply(entry, null);
+        } catch (error) {
+          // Left as a proposal for the advertiser to act on
+          entry.failureReason = error.message;
+          await entry.save();
+        }
+      }
+
+      changes.push(entry);
+    }
+
+    return changes;
+  }
+
+  /**
+   * Apply a proposed change
+   * @param {Object} entry - Optimization log entry
+   * @param {Object|null} user - Acting user, null when automatic
+   * @returns {Promise<Object>} Updated entry
+   */
+  async apply(entry, user) {
+    if (entry.status !== 'proposed') {
+      throw new ApiError(400, `Only proposed changes can be applied; this one is ${entry.status}`);
+    }
+
+    await this.execute(entry, entry.change.from, entry.change.to, user);
+
+    entry.status = 'applied';
+    entry.appliedAt = new Date();
+    entry.appliedBy = user?.id;
+    entry.failureReason = undefined;
+    await entry.save();
+
+    await this.clearCampaignCache(entry.campaign);
+
+    return entry;
+  }
+
+  /**
+   * Dismiss a proposed change
+   * @param {Object} entry - Optimization log entry
+   * @param {Object} user - Acting user
+   * @returns {Promise<Object>} Updated entry
+   */
+  async dismiss(entry, user) {
+    if (entry.status !== 'proposed') {
+      throw new ApiError(400, `Only proposed changes can be dismissed; this one is ${entry.status}`);
+    }
+
+    entry.status = 'dismissed';
+    entry.dismissedAt = new Date();
+    entry.dismissedBy = user.id;
+    await entry.save();
+
+    return entry;
+  }
+
+  /**
+   * Undo an applied change, provided nothing has changed the value since
+   * @param {Object} entry - Optimization log entry
+   * @param {Object} user - Acting user
+   * @returns {Promise<Object>} Updated entry
+   */
+  async rollback(entry, user) {
+    if (entry.status !== 'applied') {
+      throw new ApiError(400, `Only applied changes can be rolled back; this one is ${entry.status}`);
+    }
+
+    await this.execute(entry, entry.change.to, entry.change.from, user);
+
+    entry.status = 'rolled_back';
+    entry.rolledBackAt = new Date();
+    entry.rolledBackBy = user.id;
+    await entry.save();
+
+    await this.clearCampaignCache(entry.campaign);
+
+    return entry;
+  }
+
+  /**
+   * Get a campaign's optimization log, newest first
+   * @param {string} campaignId - Campaign ID
+   * @param {Object} options - status, page and limit
+   * @returns {Promise<{changes: Array, total: number}>}
+   */
+  async getChanges(campaignId, { status, page = 1, limit = 20 } = {}) {
+    const query = { campaign: campaignId };
+    if (status) query.status = status;
+
+    const [changes, total] = await Promise.all([
+      AdOptimization.find(query)
+        .populate('creative', 'title file.url status')
+        .populate('appliedBy rolledBackBy dismissedBy', 'firstName lastName')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      AdOptimization.countDocuments(query),
+    ]);
+
+    return { changes, total };
+  }
+
+  /**
+   * Get the campaign's optimization mode
+   * @param {Object} campaign - Campaign
+   * @returns {string} off, suggest or auto
+   */
+  getMode(campaign) {
+    return campaign.optimization?.mode || optimizationConfig.defaultMode;
+  }
+
+  /**
+   * Work out the changes the campaign's performance calls for
+   * @private
+   */
+  evaluate(campaign, performance) {
+    const allowed = campaign.optimization?.actions?.length
+      ? campaign.optimization.actions
+      : optimizationConfig.actions;
+    const candidates = [];
+
+    const overall = this.score(campaign, performance.campaign);
+
+    if (allowed.includes('adjust_bid') && overall) {
+      const bid = this.proposeBid(campaign, overall);
+      if (bid) candidates.push(bid);
+    }
+
+    if (allowed.includes('pause_poor_performing')) {
+      candidates.push(...this.proposePauses(campaign, performance.creatives));
+    }
+
+    if (allowed.includes('increase_budget_top_performing') && overall?.ratio >= optimizationConfig.thresholds.excellentPerformance) {
+      const budget = this.proposeBudget(campaign, overall);
+      if (budget) candidates.push(budget);
+    }
+
+    return candidates;
+  }
+
+  /**
+   * Raise the bid of campaigns beating their target, lower it for those missing it
+   * @private
+   */
+  proposeBid(campaign, performance) {
+    const { thresholds, bidStep, bidLimits } = optimizationConfig;
+
+    let direction = 0;
+    if (performance.ratio < 1 - thresholds.poorPerformance) direction = -1;
+    if (performance.ratio >= thresholds.excellentPerformance) direction = 1;
+    if (direction === 0) return null;
+
+    const model = campaign.bidding?.model || 'cpm';
+    const baseRate = adsConfig.getPricingModelConfig(model).baseRate;
+    const current = campaign.bidding?.amount > 0 ? campaign.bidding.amount : baseRate;
+
+    const bid = this.round(Math.min(
+      Math.max(current * (1 + direction * bidStep), baseRate * bidLimits.min),
+      baseRate * bidLimits.max
+    ));
+    if (bid === this.round(current)) return null;
+
+    return {
+      action: 'adjust_bid',
+      change: { field: 'bidding.amount', from: campaign.bidding?.amount ?? null, to: bid },
+      performance,
+      reason: `${this.describe(performance)}; ${direction > 0 ? 'raising' : 'lowering'} the ${model.toUpperCase()} bid from ${this.round(current)} to ${bid} ETB`,
+    };
+  }
+
+  /**
+   * Pause creatives well below target, always leaving the best one serving
+   * @private
+   */
+  proposePauses(campaign, creatives) {
+    // Experiments decide their own winner
+    if (campaign.experiment?.status === 'running') return [];
+
+    const scored = creatives
+      .map(creative => ({ creative, performance: this.score(campaign, creative) }))
+      .filter(({ performance }) => performance)
+      .sort((a, b) => b.performance.ratio - a.performance.ratio);
+
+    const poor = scored
+      .slice(1)
+      .filter(({ performance }) => performance.ratio < 1 - optimizationConfig.thresholds.poorPerformance);
+
+    return poor.map(({ creative, performance }) => ({
+      action: 'pause_poor_performing',
+      creative: creative._id,
+      change: { field: 'status', from: 'active', to: 'paused' },
+      performance,
+      reason: `${this.describe(performance)}; pausing creative "${creative.title}"`,
+    }));
+  }
+
+  /**
+   * Grow the budget of top performers that are close to running out
+   * @private
+   */
+  proposeBudget(campaign, performance) {
+    const { total, spent } = campaign.budget;
+    if (total <= 0 || spent / total < optimizationConfig.budgetUtilization) return null;
+
+    const to = this.round(total * (1 + optimizationConfig.budgetStep));
+
+    return {
+      action: 'increase_budget_top_performing',
+      change: { field: 'budget.total', from: total, to },
+      performance,
+      reason: `${this.describe(performance)} with ${Math.round((spent / total) * 100)}% of the budget spent; increasing the budget from ${total} to ${to} ${campaign.budget.currency}`,
+    };
+  }
+
+  /**
+   * Drop candidates for changes made (or rejected) too recently
+   * @private
+   */
+  async filterCooledDown(campaign, candidates, now) {
+    const recent = await AdOptimization.find({
+      campaign: campaign._id,
+      $or: [
+        { status: 'applied', appliedAt: { $gte: new Date(now - optimizationConfig.cooldown * 1000) } },
+        { status: 'rolled_back', rolledBackAt: { $gte: new Date(now - optimizationConfig.cooldown * 1000) } },
+        { status: 'dismissed', dismissedAt: { $gte: new Date(now - optimizationConfig.cooldown * 1000) } },
+      ],
+    }).select('action creative').lean();
+
+    const keys = new Set(recent.map(entry => this.getKey(entry)));
+    return candidates.filter(candidate => !keys.has(this.getKey(candidate)));
+  }
+
+  /**
+   * Make a change, moving the field from one value to another
+   *
+   * Every change is a conditional update on the expected current value, so a
+   * change applied twice, or rolled back after someone edited the field, fails
+   * instead of overwriting. Budget changes go through the budget service, so
+   * they are logged, funded and approved like the advertiser's own.
+   *
+   * @private
+   */
+  async execute(entry, from, to, user) {
+    let result;
+
+    switch (entry.action) {
+      case 'adjust_bid': {
+        const update = to === null || to === undefined
+          ? { $unset: { 'bidding.amount': 1 } }
+          : { $set: { 'bidding.amount': to } };
+        const current = from === null || from === undefined
+          ? { $in: [null, 0] }
+          : from;
+        result = await AdCampaign.updateOne({ _id: entry.campaign, 'bidding.amount': current }, update);
+        break;
+      }
+
+      case 'pause_poor_performing':
+        result = await AdCreative.updateOne(
+          { _id: entry.creative, campaign: entry.campaign, status: from },
+          { $set: { status: to } }
+        );
+        break;
+
+      case 'increase_budget_top_performing': {
+        const campaign = await AdCampaign.findById(entry.campaign);
+
+        if (campaign?.budget.total !== from) {
+          result = { matchedCount: 0 };
+          break;
+        }
+
+        const revision = await budgetService.requestChange(
+          campaign,
+          { total: to },
+          user || SYSTEM_ACTOR,
+          entry.reason,
+          { source: 'optimizer' }
+        );
+
+        if (revision.status === 'pending') {
+          throw new ApiError(409, 'The budget change needs approval and is awaiting review by a billing member');
+        }
+
+        result = { matchedCount: 1 };
+        break;
+      }
+
+      default:
+        throw new ApiError(400, `Unknown optimization action: ${entry.action}`);
+    }
+
+    if (result.matchedCount === 0) {
+      throw new ApiError(409, `The ${entry.change.field} has changed since this change was proposed`);
+    }
+  }
+
+  /**
+   * Aggregate impressions, clicks and attributed conversions per creative
+   * @private
+   */
+  async getPerformance(campaign, since) {
+    const timestamp = { $gte: since };
+
+    const [creatives, impressions, clicks, conversions] = await Promise.all([
+      AdCreative.find({ campaign: campaign._id, status: 'active' }).select('title').lean(),
+      AdImpression.aggregate([
+        { $match: { campaign: campaign._id, timestamp } },
+        { $group: { _id: '$creative', count: { $sum: 1 } } },
+      ]),
+      AdClick.aggregate([
+        { $match: { campaign: campaign._id, timestamp } },
+        { $group: { _id: '$creative', count: { $sum: 1 } } },
+      ]),
+      AdConversion.aggregate([
+        {
+          $match: {
+            $or: [{ 'attribution.credits.campaign': campaign._id }, { campaign: campaign._id }],
+            timestamp,
+          },
+        },
+        {
+          $project: {
+            // Conversions recorded before attribution count fully for their last touch
+            credits: {
+              $cond: [
+                { $gt: [{ $size: { $ifNull: ['$attribution.credits', []] } }, 0] },
+                '$attribution.credits',
+                [{ campaign: '$campaign', creative: '$creative', credit: 1 }],
+              ],
+            },
+          },
+        },
+        { $unwind: '$credits' },
+        { $match: { 'credits.campaign': campaign._id } },
+        { $group: { _id: '$credits.creative', count: { $sum: '$credits.credit' } } },
+      ]),
+    ]);
+
+    const byId = (results) => new Map(results.map(result => [String(result._id), result.count]));
+    const impressionsById = byId(impressions);
+    const clicksById = byId(clicks);
+    const conversionsById = byId(conversions);
+
+    const sum = (results) => results.reduce((total, result) => total + result.count, 0);
+
+    return {
+      campaign: {
+        impressions: sum(impressions),
+        clicks: sum(clicks),
+        conversions: sum(conversions),
+      },
+      creatives: creatives.map(creative => ({
+        ...creative,
+        impressions: impressionsById.get(String(creative._id)) || 0,
+        clicks: clicksById.get(String(creative._id)) || 0,
+        conversions: conversionsById.get(String(creative._id)) || 0,
+      })),
+    };
+  }
+
+  /**
+   * Compare counts against the campaign's metric target
+   * @private
+   * @returns {Object|null} Performance, or null without enough data to judge
+   */
+  score(campaign, { impressions, clicks, conversions }) {
+    let metric;
+    let value;
+    let target;
+
+    if (campaign.bidding?.model === 'cpa') {
+      if (clicks < optimizationConfig.minClicks) return null;
+      metric = 'conversion_rate';
+      value = (conversions / clicks) * 100;
+      target = (metricTargets.conversions.target / metricTargets.clicks.target) * 100;
+    } else {
+      if (impressions < optimizationConfig.minImpressions) return null;
+      metric = 'ctr';
+      value = (clicks / impressions) * 100;
+      target = metricTargets.ctr.target;
+    }
+
+    return {
+      impressions,
+      clicks,
+      conversions: this.round(conversions),
+      metric,
+      value: this.round(value),
+      target,
+      ratio: this.round(value / target),
+    };
+  }
+
+  /**
+   * Describe performance against target
+   * @private
+   */
+  describe(performance) {
+    const label = performance.metric === 'ctr' ? 'CTR' : 'Conversion rate';
+    return `${label} ${performance.value}% vs. ${performance.target}% target over the last ${optimizationConfig.lookbackDays} days`;
+  }
+
+  /**
+   * Identify a change by action and creative
+   * @private
+   */
+  getKey(entry) {
+    return `${entry.action}:${entry.creative || ''}`;
+  }
+
+  /**
+   * Clear cached campaign data after a change
+   * @private
+   */
+  async clearCampaignCache(campaignId) {
+    await cache.del(`campaign_${campaignId}`);
+    await cache.del('active_ads');
+  }
+
+  /**
+   * Round to 2 decimal places
+   * @private
+   */
+  round(value) {
+    return Math.round(value * 100) / 100;
+  }
+}
+
+module.exports = new OptimizerService();
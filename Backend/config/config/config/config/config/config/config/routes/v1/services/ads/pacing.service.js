@@ -0,0 +1,207 @@
+const adsConfig = require('../../config/ads.config');
+const { getZonedParts, getDayKey } = require('../../utils/timezone');
+
+const pacingConfig = adsConfig.campaign.pacing;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Cumulative share of daily traffic at the start of each local hour (25 entries, 0 to 1)
+const CUMULATIVE_TRAFFIC = (() => {
+  const total = pacingConfig.hourlyTrafficWeights.reduce((sum, weight) => sum + weight, 0);
+  const cumulative = [0];
+  pacingConfig.hourlyTrafficWeights.forEach((weight, hour) => {
+    cumulative.push(cumulative[hour] + weight / total);
+  });
+  return cumulative;
+})();
+
+/**
+ * Pacing Service - Spreads campaign spend over the day and campaign flight
+ */
+class PacingService {
+  /**
+   * Get the pacing mode of a campaign
+   * @param {Object} campaign - Campaign
+   * @returns {string} even or accelerated
+   */
+  getMode(campaign) {
+    return campaign.budget?.pacing || pacingConfig.defaultMode;
+  }
+
+  /**
+   * Get the local day key used for daily spend tracking
+   * @param {Date} now - Current time
+   * @returns {string} YYYY-MM-DD in the pacing time zone
+   */
+  getDayKey(now = new Date()) {
+    return getDayKey(now, pacingConfig.timeZone);
+  }
+
+  /**
+   * Get the amount already spent today
+   * @param {Object} campaign - Campaign
+   * @param {Date} now - Current time
+   * @returns {number}
+   */
+  getSpentToday(campaign, now = new Date()) {
+    const today = campaign.budget?.today;
+    return today && today.date === this.getDayKey(now) ? today.spent || 0 : 0;
+  }
+
+  /**
+   * Get the budget available for today
+   *
+   * Uses the campaign's daily budget when set. Otherwise the remaining budget
+   * (plus what was already spent today) is spread evenly over the remaining days.
+   *
+   * @param {Object} campaign - Campaign
+   * @param {Date} now - Current time
+   * @returns {number}
+   */
+  getDailyBudget(campaign, now = new Date()) {
+    const { daily, remaining = 0 } = campaign.budget || {};
+    const availableToday = remaining + this.getSpentToday(campaign, now);
+
+    if (daily > 0) {
+      return Math.min(daily, availableToday);
+    }
+
+    const daysRemaining = Math.max(Math.ceil((new Date(campaign.dates.end) - now) / DAY_MS), 1);
+    return availableToday / daysRemaining;
+  }
+
+  /**
+   * Get how much more the campaign may be charged today
+   *
+   * A daily budget is a hard cap on the day's charges; without one, only the
+   * remaining total budget limits them.
+   *
+   * @param {Object} campaign - Campaign
+   * @param {Date} now - Current time
+   * @returns {number}
+   */
+  getRemainingToday(campaign, now = new Date()) {
+    const { daily, remaining = 0 } = campaign.budget || {};
+
+    if (daily > 0) {
+      return Math.max(Math.min(daily - this.getSpentToday(campaign, now), remaining), 0);
+    }
+
+    return Math.max(remaining, 0);
+  }
+
+  /**
+   * Get the fraction of the day's traffic that has already passed
+   * @param {Date} now - Current time
+   * @returns {number} 0 to 1
+   */
+  getDayProgress(now = new Date()) {
+    const { hour, minute } = getZonedParts(now, pacingConfig.timeZone);
+    const hourStart = CUMULATIVE_TRAFFIC[hour];
+    const hourEnd = CUMULATIVE_TRAFFIC[hour + 1];
+
+    return hourStart + (hourEnd - hourStart) * (minute / 60);
+  }
+
+  /**
+   * Get the spend target for the current time of day
+   * @param {Object} campaign - Campaign
+   * @param {Date} now - Current time
+   * @returns {number}
+   */
+  getSpendTarget(campaign, now = new Date()) {
+    const dailyBudget = this.getDailyBudget(campaign, now);
+
+    if (this.getMode(campaign) === 'accelerated') {
+      return dailyBudget;
+    }
+
+    return dailyBudget * this.getDayProgress(now);
+  }
+
+  /**
+   * Decide whether a campaign may serve right now
+   *
+   * Accelerated campaigns serve until the daily budget is spent. Even campaigns
+   * serve freely while under their time-of-day target and are throttled
+   * progressively once they overshoot it by up to the configured tolerance.
+   *
+   * @param {Object} campaign - Campaign
+   * @param {Date} now - Current time
+   * @param {Function} random - Random source (0-1)
+   * @returns {boolean}
+   */
+  isEligible(campaign, now = new Date(), random = Math.random) {
+    const dailyBudget = this.getDailyBudget(campaign, now);
+    const spentToday = this.getSpentToday(campaign, now);
+
+    if (dailyBudget <= 0 || spentToday >= dailyBudget) {
+      return false;
+    }
+
+    if (this.getMode(campaign) === 'accelerated') {
+      return true;
+    }
+
+    const target = this.getSpendTarget(campaign, now);
+    const allowance = dailyBudget * pacingConfig.tolerance;
+
+    if (spentToday <= target) {
+      return true;
+    }
+
+    const overshoot = spentToday - target;
+    if (overshoot >= allowance) {
+      return false;
+    }
+
+    // Serve probability drops linearly from 1 to 0 across the tolerance band
+    return random() < 1 - overshoot / allowance;
+  }
+
+  /**
+   * Build the pacing health indicator for campaign statistics
+   * @param {Object} campaign - Campaign
+   * @param {Date} now - Current time
+   * @returns {Object} Pacing health
+   */
+  getPacingHealth(campaign, now = new Date()) {
+    const mode = this.getMode(campaign);
+    const dailyBudget = this.getDailyBudget(campaign, now);
+    const spentToday = this.getSpentToday(campaign, now);
+    const target = this.getSpendTarget(campaign, now);
+    const dayProgress = this.getDayProgress(now);
+    const ratio = target > 0 ? spentToday / target : 0;
+
+    let status = 'on_track';
+    if (dailyBudget > 0 && spentToday >= dailyBudget) {
+      status = 'capped';
+    } else if (mode === 'even' && ratio > 1 + pacingConfig.tolerance) {
+      status = 'overpacing';
+    } else if (mode === 'even' && target > 0 && ratio < pacingConfig.underpacingThreshold) {
+      status = 'underpacing';
+    }
+
+    return {
+      mode,
+      status,
+      dailyBudget: this.round(dailyBudget),
+      spentToday: this.round(spentToday),
+      targetToDate: this.round(target),
+      pacingRatio: this.round(ratio),
+      dayProgress: Math.round(dayProgress * 100),
+      projectedDailySpend: this.round(dayProgress > 0 ? spentToday / dayProgress : 0),
+      timeZone: pacingConfig.timeZone,
+    };
+  }
+
+  /**
+   * Round to 2 decimal places
+   * @private
+   */
+  round(value) {
+    return Math.round(value * 100) / 100;
+  }
+}
+
+module.exports = new PacingService();
@@ -0,0 +1,204 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const paymentConfig = require('../../config/payment.config');
+const { ApiError } = require('../../utils/error');
+
+/**
+ * Payment Service - Starts and verifies advertiser payments on the Ethiopian gateways
+ *
+ * Gateway callbacks only tell us which payment to look at; whether it was paid
+ * is always confirmed by asking the gateway directly.
+ */
+class PaymentService {
+  /**
+   * Start a payment and get the page the payer completes it on
+   * @param {string} gateway - chapa, telebirr or cbe
+   * @param {Object} payment - Reference, amount, currency, payer, description and URLs
+   * @returns {Promise<{checkoutUrl: string, gatewayReference: string}>}
+   */
+  async initialize(gateway, payment) {
+    const config = this.getEnabledGateway(gateway);
+
+    try {
+      switch (gateway) {
+        case 'chapa': {
+          const { data } = await this.request(config, 'post', config.endpoints.initialize, {
+            amount: String(payment.amount),
+            currency: payment.currency,
+            email: payment.email,
+            first_name: payment.firstName,
+            last_name: payment.lastName,
+            tx_ref: payment.reference,
+            callback_url: payment.callbackUrl,
+            return_url: payment.returnUrl,
+            customization: { title: 'Zewed Jobs Ads', description: payment.description },
+          }, { Authorization: `Bearer ${config.secretKey}` });
+
+          return { checkoutUrl: data.data.checkout_url, gatewayReference: payment.reference };
+        }
+
+        case 'telebirr': {
+          const body = this.signBody({
+            appKey: config.apiKey,
+            outTradeNo: payment.reference,
+            subject: payment.description,
+            totalAmount: payment.amount.toFixed(2),
+            notifyUrl: payment.callbackUrl,
+            returnUrl: payment.returnUrl,
+          }, config.apiSecret);
+          const { data } = await this.request(config, 'post', config.endpoints.payment, body);
+
+          return { checkoutUrl: data.data.toPayUrl, gatewayReference: data.data.transactionNo };
+        }
+
+        case 'cbe': {
+          const body = this.signBody({
+            merchantId: config.merchantId,
+            reference: payment.reference,
+            amount: payment.amount.toFixed(2),
+            currency: payment.currency,
+            description: payment.description,
+            callbackUrl: payment.callbackUrl,
+            returnUrl: payment.returnUrl,
+          }, config.merchantKey);
+          const { data } = await this.request(config, 'post', config.endpoints.payment, body);
+
+          return { checkoutUrl: data.data.paymentUrl, gatewayReference: data.data.transactionId };
+        }
+
+        default:
+          throw new ApiError(400, `Unsupported payment gateway: ${gateway}`);
+      }
+    } catch (error) {
+      throw this.toApiError(gateway, error);
+    }
+  }
+
+  /**
+   * Ask the gateway whether a payment was completed
+   * @param {string} gateway - chapa, telebirr or cbe
+   * @param {string} reference - Our payment reference
+   * @returns {Promise<{status: string, amount: number, currency: string, gatewayReference: string}>}
+   *   status is completed, pending or failed
+   */
+  async verify(gateway, reference) {
+    const config = this.getEnabledGateway(gateway);
+
+    try {
+      switch (gateway) {
+        case 'chapa': {
+          const { data } = await this.request(
+            config,
+            'get',
+            `${config.endpoints.verify}/${encodeURIComponent(reference)}`,
+            null,
+            { Authorization: `Bearer ${config.secretKey}` }
+          );
+
+          return {
+            status: this.normalizeStatus(data.data?.status, { success: 'completed', failed: 'failed' }),
+            amount: parseFloat(data.data?.amount),
+            currency: data.data?.currency,
+            gatewayReference: data.data?.reference,
+          };
+        }
+
+        case 'telebirr': {
+          const body = this.signBody({ appKey: config.apiKey, outTradeNo: reference }, config.apiSecret);
+          const { data } = await this.request(config, 'post', config.endpoints.inquiry, body);
+
+          return {
+            status: this.normalizeStatus(data.data?.tradeStatus, { success: 'completed', failed: 'failed', closed: 'failed' }),
+            amount: parseFloat(data.data?.totalAmount),
+            currency: 'ETB',
+            gatewayReference: data.data?.transactionNo,
+          };
+        }
+
+        case 'cbe': {
+          const body = this.signBody({ merchantId: config.merchantId, reference }, config.merchantKey);
+          const { data } = await this.request(config, 'post', config.endpoints.verify, body);
+
+          return {
+            status: this.normalizeStatus(data.data?.status, { completed: 'completed', failed: 'failed', cancelled: 'failed' }),
+            amount: parseFloat(data.data?.amount),
+            currency: data.data?.currency || 'ETB',
+            gatewayReference: data.data?.transactionId,
+          };
+        }
+
+        default:
+          throw new ApiError(400, `Unsupported payment gateway: ${gateway}`);
+      }
+    } catch (error) {
+      throw this.toApiError(gateway, error);
+    }
+  }
+
+  /**
+   * Get the configuration of a gateway that is set up
+   * @private
+   */
+  getEnabledGateway(gateway) {
+    if (!paymentConfig.getActiveGateways().includes(gateway)) {
+      throw new ApiError(400, `Payment gateway ${gateway} is not available`);
+    }
+    return paymentConfig.getGatewayConfig(gateway);
+  }
+
+  /**
+   * Send a request to a gateway API
+   * @private
+   */
+  request(config, method, endpoint, body, headers = {}) {
+    return axios({
+      method,
+      url: `${config.baseUrl}${endpoint}`,
+      data: body || undefined,
+      headers: { 'Content-Type': 'application/json', ...headers },
+      timeout: config.timeout,
+    });
+  }
+
+  /**
+   * Add a timestamp, nonce and HMAC-SHA256 signature over the sorted fields
+   * @private
+   */
+  signBody(fields, secret) {
+    const body = {
+      ...fields,
+      timestamp: String(Date.now()),
+      nonce: crypto.randomBytes(16).toString('hex'),
+    };
+
+    const payload = Object.keys(body)
+      .sort()
+      .map(key => `${key}=${body[key]}`)
+      .join('&');
+
+    body.sign = crypto.createHmac('sha256', secret).update(payload).digest('hex').toUpperCase();
+
+    return body;
+  }
+
+  /**
+   * Map a gateway payment status to completed, pending or failed
+   * @private
+   */
+  normalizeStatus(status, mapping) {
+    return mapping[String(status || '').toLowerCase()] || 'pending';
+  }
+
+  /**
+   * Wrap gateway failures in an API error
+   * @private
+   */
+  toApiError(gateway, error) {
+    if (error instanceof ApiError) return error;
+
+    const message = error.response?.data?.message || error.message;
+    return new ApiError(502, `Payment gateway ${gateway} error: ${message}`);
+  }
+}
+
+module.exports = new PaymentService();
@@ -0,0 +1,265 @@
+const crypto = require('crypto');
+const net = require('net');
+const AdImpression = require('../../models/AdImpression');
+const AdClick = require('../../models/AdClick');
+const AdConversion = require('../../models/AdConversion');
+const AdInvalidTraffic = require('../../models/AdInvalidTraffic');
+const adsConfig = require('../../config/ads.config');
+const { cache } = require('../../utils/cache');
+const accountingService = require('./accounting.service');
+const frequencyService = require('./frequency.service');
+const trackingService = require('./tracking.service');
+
+const privacyConfig = adsConfig.privacy;
+
+// Identifiers removed from events when they are stored without full consent
+const IDENTIFIERS = ['user', 'userHash', 'sessionId', 'ipAddress', 'userAgent'];
+
+/**
+ * Privacy Service - Consent-aware storage of ad events and data subject requests
+ *
+ * Viewers choose a consent mode, which is signed into the tracking token of
+ * every ad they are served. Events are stored in full, pseudonymized (user
+ * replaced by a keyed hash, IP truncated, user agent dropped) or with no
+ * identifiers at all. Aggregate-only events still count in the statistics
+ * rollups, which are built from raw events.
+ */
+class PrivacyService {
+  /**
+   * Resolve the consent mode to apply from the modes given for an event
+   *
+   * The most restrictive valid mode wins, so a viewer who withdraws consent
+   * after an ad was served is tracked under the new mode.
+   *
+   * @param {...string} modes - Consent modes, e.g. from the token and the request
+   * @returns {string} Consent mode
+   */
+  resolveMode(...modes) {
+    const valid = modes.filter(mode => privacyConfig.consentModes.includes(mode));
+
+    if (valid.length === 0) {
+      return privacyConfig.defaultMode;
+    }
+
+    return valid.reduce((strictest, mode) => (
+      privacyConfig.consentModes.indexOf(mode) > privacyConfig.consentModes.indexOf(strictest) ? mode : strictest
+    ));
+  }
+
+  /**
+   * Prepare an event record for storage under a consent mode
+   * @param {Object} record - Event record with user, IP address and user agent
+   * @param {string} mode - Consent mode
+   * @returns {Object} Record to store, tagged with its consent mode
+   */
+  applyConsent(record, mode) {
+    if (mode === 'full') {
+      return { ...record, consent: mode };
+    }
+
+    const stored = { ...record, consent: mode };
+    IDENTIFIERS.forEach(field => delete stored[field]);
+
+    if (record.pageUrl) {
+      stored.pageUrl = this.stripUrl(record.pageUrl);
+    }
+
+    if (mode === 'pseudonymous') {
+      stored.userHash = record.user ? this.hashUser(record.user) : undefined;
+      stored.ipAddress = this.truncateIp(record.ipAddress);
+      return stored;
+    }
+
+    // Aggregate-only events keep just what the rollups count by
+    stored.device = record.device?.type ? { type: record.device.type } : undefined;
+    delete stored.metadata;
+
+    return stored;
+  }
+
+  /**
+   * Pseudonym of a user in stored events
+   * @param {string} userId - User ID
+   * @returns {string} Keyed hash
+   */
+  hashUser(userId) {
+    return crypto
+      .createHmac('sha256', privacyConfig.pseudonymSecret)
+      .update(String(userId))
+      .digest('base64url');
+  }
+
+  /**
+   * Zero the host part of an IP address
+   * @param {string} ipAddress - IPv4 or IPv6 address
+   * @returns {string|undefined} Truncated address
+   */
+  truncateIp(ipAddress) {
+    if (!ipAddress) return undefined;
+
+    // IPv4 clients seen through an IPv6 socket
+    const mapped = ipAddress.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+    if (mapped) {
+      return this.truncateIp(mapped[1]);
+    }
+
+    if (net.isIPv4(ipAddress)) {
+      return this.maskGroups(ipAddress.split('.').map(Number), 8, privacyConfig.truncateIp.ipv4).join('.');
+    }
+
+    if (net.isIPv6(ipAddress)) {
+      return this.maskGroups(this.expandIpv6(ipAddress), 16, privacyConfig.truncateIp.ipv6)
+        .map(group => group.toString(16))
+        .join(':');
+    }
+
+    return undefined;
+  }
+
+  /**
+   * Collect everything stored about a user's ad interactions
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Impressions, clicks, conversions and invalid traffic records
+   */
+  async exportHistory(userId) {
+    // Buffered impressions are not in the database yet
+    await accountingService.flush();
+
+    const identified = this.getIdentifiedQuery(userId);
+    const limit = privacyConfig.exportLimit;
+    const eventFields = 'campaign creative position pageUrl device consent ipAddress userAgent timestamp';
+
+    const [impressions, clicks, conversions, invalidTraffic] = await Promise.all([
+      AdImpression.find(identified)
+        .select(`${eventFields} viewability`)
+        .populate('campaign', 'name')
+        .sort({ timestamp: -1 })
+        .limit(limit)
+        .lean(),
+      AdClick.find(identified)
+        .select(eventFields)
+        .populate('campaign', 'name')
+        .sort({ timestamp: -1 })
+        .limit(limit)
+        .lean(),
+      AdConversion.find(identified)
+        .select('campaign creative conversionType value metadata consent ipAddress timestamp')
+        .populate('campaign', 'name')
+        .sort({ timestamp: -1 })
+        .limit(limit)
+        .lean(),
+      AdInvalidTraffic.find({ user: userId })
+        .select('eventType campaign creative position pageUrl reasons ipAddress userAgent timestamp')
+        .sort({ timestamp: -1 })
+        .limit(limit)
+        .lean(),
+    ]);
+
+    return {
+      user: userId,
+      exportedAt: new Date(),
+      impressions,
+      clicks,
+      conversions,
+      invalidTraffic,
+    };
+  }
+
+  /**
+   * Erase a user's ad interaction history
+   *
+   * Events lose every identifier rather than being deleted, so campaign
+   * statistics, invoices and billed costs stay as they were.
+   *
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Number of records erased of each kind
+   */
+  async eraseHistory(userId) {
+    await accountingService.flush();
+
+    const identified = this.getIdentifiedQuery(userId);
+    const anonymize = (fields) => ({
+      $unset: Object.fromEntries(fields.map(field => [field, 1])),
+      $set: { consent: 'aggregate' },
+    });
+
+    const [impressions, clicks, conversions, invalidTraffic] = await Promise.all([
+      AdImpression.updateMany(identified, anonymize(IDENTIFIERS)),
+      AdClick.updateMany(identified, anonymize(IDENTIFIERS)),
+      AdConversion.updateMany(identified, anonymize([...IDENTIFIERS, 'metadata'])),
+      AdInvalidTraffic.updateMany({ user: userId }, { $unset: { user: 1, ipAddress: 1, userAgent: 1 } }),
+      // Frequency cap history of the signed-in viewer
+      cache.del(frequencyService.getHistoryKey(trackingService.getViewerKey({ userId }))),
+    ]);
+
+    return {
+      impressions: impressions.modifiedCount,
+      clicks: clicks.modifiedCount,
+      conversions: conversions.modifiedCount,
+      invalidTraffic: invalidTraffic.modifiedCount,
+    };
+  }
+
+  /**
+   * Query events stored with a user or their pseudonym
+   * @param {string} userId - User ID
+   * @returns {Object} MongoDB filter
+   */
+  getIdentifiedQuery(userId) {
+    return { $or: [{ user: userId }, { userHash: this.hashUser(userId) }] };
+  }
+
+  /**
+   * Drop the query string and fragment of a page URL
+   * @private
+   */
+  stripUrl(url) {
+    try {
+      const parsed = new URL(url);
+      return `${parsed.origin}${parsed.pathname}`;
+    } catch (error) {
+      return String(url).split(/[?#]/)[0];
+    }
+  }
+
+  /**
+   * Keep the first bits of an address split into fixed-width groups
+   * @private
+   */
+  maskGroups(groups, groupBits, keepBits) {
+    return groups.map((group, index) => {
+      const bits = Math.max(0, Math.min(groupBits, keepBits - index * groupBits));
+      const mask = ((1 << groupBits) - 1) ^ ((1 << (groupBits - bits)) - 1);
+      return group & mask;
+    });
+  }
+
+  /**
+   * Expand an IPv6 address into its eight 16-bit groups
+   * @private
+   */
+  expandIpv6(ipAddress) {
+    const [address] = ipAddress.split('%');
+    const [head, tail = ''] = address.split('::');
+
+    const toGroups = (part) => part.split(':').filter(Boolean).flatMap(group => {
+      // Embedded IPv4 address in the last 32 bits
+      if (group.includes('.')) {
+        const [a, b, c, d] = group.split('.').map(Number);
+        return [(a << 8) | b, (c << 8) | d];
+      }
+      return [parseInt(group, 16)];
+    });
+
+    const headGroups = toGroups(head);
+    const tailGroups = address.includes('::') ? toGroups(tail) : [];
+
+    return [
+      ...headGroups,
+      ...new Array(8 - headGroups.length - tailGroups.length).fill(0),
+      ...tailGroups,
+    ];
+  }
+}
+
+module.exports = new PrivacyService();
@@ -0,0 +1,219 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const sharp = require('sharp');
+const adsConfig = require('../../config/ads.config');
+const { ApiError } = require('../../utils/error');
+const { uploadBuffer } = require('../../utils/upload');
+
+const renditionConfig = adsConfig.renditions;
+
+const MIME_TYPES = {
+  avif: 'image/avif',
+  webp: 'image/webp',
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  gif: 'image/gif',
+};
+
+/**
+ * Rendition Service - Renders image creatives for every size they can serve in
+ *
+ * An uploaded image is cropped to each size allowed for its ad type and
+ * encoded in the modern formats plus a fallback. Renditions are stored under
+ * the upload's content hash, so identical uploads share them and their URLs
+ * change whenever the image does.
+ */
+class RenditionService {
+  /**
+   * Hash a file's content
+   * @param {string} path - File path
+   * @returns {Promise<string>} SHA-256 hex digest
+   */
+  async hashFile(path) {
+    const buffer = await fs.promises.readFile(path);
+    return crypto.createHash('sha256').update(buffer).digest('hex');
+  }
+
+  /**
+   * Read an uploaded image's dimensions, format and animation
+   * @param {string} path - File path
+   * @returns {Promise<Object>}
+   */
+  async inspect(path) {
+    const metadata = await sharp(path, { animated: true }).metadata();
+    const animated = (metadata.pages || 1) > 1;
+
+    return {
+      width: metadata.width,
+      // Animated images report the height of all frames stacked
+      height: metadata.pageHeight || metadata.height,
+      format: metadata.format === 'jpeg' ? 'jpg' : metadata.format,
+      hasAlpha: metadata.hasAlpha,
+      animated,
+      animationDuration: animated ? (metadata.delay || []).reduce((sum, delay) => sum + delay, 0) / 1000 : 0,
+    };
+  }
+
+  /**
+   * Bring an oversized GIF under its ad type's size limit
+   *
+   * GIFs over the limit are transcoded to WebP in place when the ad type
+   * accepts it. They are rejected when it does not, or when the WebP is
+   * still too large.
+   *
+   * @param {Object} file - Uploaded file
+   * @param {Object} image - Image details from inspect
+   * @param {string} adType - Ad type ID
+   * @returns {Promise<Object>} Image details, updated when transcoded
+   */
+  async fitGif(file, image, adType) {
+    const typeConfig = adsConfig.getAdTypeConfig(adType);
+    const limit = typeConfig.maxSize * 1024;
+
+    if (image.format !== 'gif' || file.size <= limit) {
+      return image;
+    }
+
+    if (!typeConfig.formats.includes('webp')) {
+      throw new ApiError(400, `GIF exceeds the ${typeConfig.maxSize}KB limit`);
+    }
+
+    const buffer = await sharp(file.path, { animated: true })
+      .webp({ quality: renditionConfig.quality.webp })
+      .toBuffer();
+
+    if (buffer.length > limit) {
+      throw new ApiError(400, `GIF exceeds the ${typeConfig.maxSize}KB limit, even when converted to WebP`);
+    }
+
+    await fs.promises.writeFile(file.path, buffer);
+    file.size = buffer.length;
+    file.mimetype = MIME_TYPES.webp;
+
+    return { ...image, format: 'webp' };
+  }
+
+  /**
+   * Get the sizes an ad type's images are rendered in
+   * @param {string} adType - Ad type ID
+   * @returns {Array<{width: number, height: number}>}
+   */
+  getSizes(adType) {
+    const typeConfig = adsConfig.getAdTypeConfig(adType);
+
+    // The image of a native ad is its advertiser logo
+    if (adType === 'native') {
+      return typeConfig.assets.logo.dimensions;
+    }
+
+    return typeConfig?.dimensions || [];
+  }
+
+  /**
+   * Render and store an image in every size of its ad type
+   * @param {string} path - Image path
+   * @param {Object} image - Image details from inspect
+   * @param {string} adType - Ad type ID
+   * @param {string} hash - Content hash of the upload
+   * @returns {Promise<Array<Object>>} Renditions, each size's fallback last
+   */
+  async render(path, image, adType, hash) {
+    const fallback = this.getFallbackFormat(image);
+    const formats = [...new Set([
+      // AVIF encoding does not support animation
+      ...renditionConfig.formats.filter(format => !(image.animated && format === 'avif')),
+      fallback,
+    ])];
+
+    const renditions = [];
+
+    // Sizes are rendered one at a time to bound memory use on large uploads
+    for (const { width, height } of this.getSizes(adType)) {
+      const sizeRenditions = await Promise.all(formats.map(async format => {
+        const buffer = await sharp(path, { animated: image.animated })
+          .resize(width, height, {
+            fit: 'cover',
+            position: image.animated ? 'centre' : sharp.strategy.attention,
+          })
+          .toFormat(format, { quality: renditionConfig.quality[format] })
+          .toBuffer();
+
+        // Identical uploads map to the same assets, which are kept rather than re-uploaded
+        const result = await uploadBuffer(buffer, {
+          public_id: `zewed-jobs/${renditionConfig.folder}/${hash}/${width}x${height}-${format}`,
+          resource_type: 'image',
+          overwrite: false,
+        });
+
+        return {
+          width,
+          height,
+          format,
+          url: result.secure_url,
+          publicId: result.public_id,
+          size: result.bytes,
+        };
+      }));
+
+      renditions.push(...sizeRenditions);
+    }
+
+    return renditions;
+  }
+
+  /**
+   * Pick a creative's image for a position and device
+   *
+   * Uses the first of the position's preferred sizes for the device that the
+   * creative has, falling back to the uploaded size.
+   *
+   * @param {Object} creative - Creative
+   * @param {Object} context - Position ID and device type
+   * @returns {Object|null} Size, fallback URL and modern format sources, or null without renditions
+   */
+  selectImage(creative, { position, deviceType }) {
+    const renditions = creative.renditions || [];
+
+    if (renditions.length === 0) {
+      return null;
+    }
+
+    const sizeKey = ({ width, height }) => `${width}x${height}`;
+    const available = new Set(renditions.map(sizeKey));
+
+    const positionConfig = position && adsConfig.getPositionConfig(position);
+    const preferred = positionConfig?.sizes?.[deviceType === 'mobile' ? 'mobile' : 'desktop'] || [];
+    const size = preferred.find(key => available.has(key))
+      || (available.has(sizeKey(creative.file)) ? sizeKey(creative.file) : sizeKey(renditions[0]));
+
+    const matching = renditions.filter(rendition => sizeKey(rendition) === size);
+    const fallback = matching[matching.length - 1];
+
+    return {
+      width: fallback.width,
+      height: fallback.height,
+      url: fallback.url,
+      sources: matching.slice(0, -1).map(rendition => ({
+        type: MIME_TYPES[rendition.format],
+        url: rendition.url,
+      })),
+    };
+  }
+
+  /**
+   * Get the format every browser can show an image in
+   * @private
+   */
+  getFallbackFormat(image) {
+    if (image.format === 'jpg') return 'jpeg';
+
+    // Still WebP uploads fall back to the classic format that keeps their transparency
+    if (image.format === 'webp' && !image.animated) {
+      return image.hasAlpha ? 'png' : 'jpeg';
+    }
+
+    return image.format;
+  }
+}
+
+module.exports = new RenditionService();
@@ -0,0 +1,448 @@
+const ExcelJS = require('exceljs');
+const PDFDocument = require('pdfkit');
+const AdReport = require('../../models/AdReport');
+const AdCampaign = require('../../models/AdCampaign');
+const AdCreative = require('../../models/AdCreative');
+const AdClient = require('../../models/AdClient');
+const adsConfig = require('../../config/ads.config');
+const { sendEmail } = require('../../utils/email');
+const { ApiError } = require('../../utils/error');
+const { getZonedParts, getZonedMidnight, getDayKey } = require('../../utils/timezone');
+const statisticsService = require('./statistics.service');
+
+const reportsConfig = adsConfig.reports;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const CONTENT_TYPES = {
+  csv: 'text/csv',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  pdf: 'application/pdf',
+};
+
+const LABELS = {
+  day: 'Day',
+  campaign: 'Campaign',
+  creative: 'Creative',
+  position: 'Position',
+  device: 'Device',
+  impressions: 'Impressions',
+  clicks: 'Clicks',
+  ctr: 'CTR (%)',
+  conversions: 'Conversions',
+  conversionRate: 'Conversion Rate (%)',
+  conversionValue: 'Conversion Value (ETB)',
+  spend: 'Spend (ETB)',
+  cpc: 'CPC (ETB)',
+  cpm: 'CPM (ETB)',
+  averageViewability: 'Avg. Viewability (%)',
+};
+
+/**
+ * Report Service - Runs saved ad performance reports and delivers them
+ *
+ * Reports read the statistics rollups for the report client's campaigns over
+ * a date range resolved at run time, broken down by the chosen dimensions,
+ * and render to CSV, XLSX or PDF. Scheduled reports are emailed weekly or
+ * monthly to their recipients.
+ */
+class ReportService {
+  /**
+   * Run a report definition
+   * @param {Object} report - Report document
+   * @param {Date} now - Time the relative date range is resolved against
+   * @returns {Promise<Object>} Period, columns, rows and totals
+   */
+  async run(report, now = new Date()) {
+    const period = this.resolveRange(report.dateRange, now);
+
+    const campaigns = await AdCampaign.find({
+      client: report.client,
+      ...(report.campaigns?.length ? { _id: { $in: report.campaigns } } : {}),
+    }).select('name').lean();
+
+    const filter = { campaign: campaigns.map(campaign => campaign._id) };
+    const breakdowns = report.breakdowns || [];
+
+    const [rows, totals] = await Promise.all([
+      statisticsService.getBreakdown(filter, period.start, period.end, breakdowns),
+      statisticsService.getTotals(filter, period.start, period.end),
+    ]);
+
+    if (rows.length > reportsConfig.maxRows) {
+      throw new ApiError(400, `Report has ${rows.length} rows; narrow the date range or breakdowns (max ${reportsConfig.maxRows})`);
+    }
+
+    const labels = await this.getLabels(campaigns, rows, breakdowns);
+
+    return {
+      name: report.name,
+      period,
+      columns: [...breakdowns, ...report.metrics],
+      rows: rows.map(row => ({
+        ...Object.fromEntries(breakdowns.map(dimension => [dimension, labels(dimension, row[dimension])])),
+        ...this.pickMetrics(row, report.metrics),
+      })),
+      totals: this.pickMetrics(totals, report.metrics),
+    };
+  }
+
+  /**
+   * Render a report result to a file
+   * @param {Object} result - Result of run()
+   * @param {string} format - csv, xlsx or pdf
+   * @returns {Promise<{content: Buffer, contentType: string, filename: string}>}
+   */
+  async render(result, format) {
+    let content;
+
+    switch (format) {
+      case 'csv':
+        content = this.renderCsv(result);
+        break;
+      case 'xlsx':
+        content = await this.renderXlsx(result);
+        break;
+      case 'pdf':
+        content = await this.renderPdf(result);
+        break;
+      default:
+        throw new ApiError(400, `Unsupported report format: ${format}`);
+    }
+
+    return {
+      content,
+      contentType: CONTENT_TYPES[format],
+      filename: `${this.slugify(result.name)}_${result.period.label}.${format}`,
+    };
+  }
+
+  /**
+   * Run a report and email it to its recipients
+   * @param {Object} report - Report document
+   * @param {Date} now - Run time
+   */
+  async deliver(report, now = new Date()) {
+    const result = await this.run(report, now);
+    const file = await this.render(result, report.format);
+    const client = await AdClient.findById(report.client).select('name').lean();
+
+    await sendEmail({
+      to: report.schedule.recipients,
+      subject: `Ad Report: ${report.name} (${result.period.label})`,
+      template: 'ad_report',
+      data: {
+        reportName: report.name,
+        clientName: client?.name,
+        period: result.period.label,
+        totals: result.totals,
+        dashboardUrl: `${process.env.CLIENT_URL}/dashboard/ads/reports/${report._id}`,
+      },
+      attachments: [{
+        filename: file.filename,
+        content: file.content,
+        contentType: file.contentType,
+      }],
+    });
+  }
+
+  /**
+   * Email every scheduled report that is due
+   *
+   * Each report is claimed by moving its next run time forward before it is
+   * sent, so overlapping runs never send the same report twice.
+   *
+   * @param {Date} now - Current time
+   * @returns {Promise<{sent: number, failed: number}>}
+   */
+  async processDue(now = new Date()) {
+    const summary = { sent: 0, failed: 0 };
+
+    const due = await AdReport.find({
+      'schedule.enabled': true,
+      'schedule.nextRunAt': { $lte: now },
+    });
+
+    for (const report of due) {
+      const claimed = await AdReport.findOneAndUpdate(
+        { _id: report._id, 'schedule.nextRunAt': report.schedule.nextRunAt },
+        { $set: { 'schedule.nextRunAt': this.getNextRun(report.schedule.frequency, now) } },
+        { new: true }
+      );
+      if (!claimed) continue;
+
+      try {
+        await this.deliver(claimed, now);
+        await AdReport.updateOne(
+          { _id: claimed._id },
+          { $set: { 'schedule.lastRunAt': now }, $unset: { 'schedule.lastError': 1 } }
+        );
+        summary.sent += 1;
+      } catch (error) {
+        console.error(`Failed to send scheduled report ${claimed._id}:`, error);
+        await AdReport.updateOne(
+          { _id: claimed._id },
+          { $set: { 'schedule.lastRunAt': now, 'schedule.lastError': error.message } }
+        );
+        summary.failed += 1;
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * Update a report's schedule, working out when it next sends
+   * @param {Object} report - Report document
+   * @param {Object} schedule - enabled, frequency and recipients
+   */
+  setSchedule(report, { enabled, frequency, recipients } = {}) {
+    const current = report.schedule || {};
+    const next = {
+      enabled: enabled ?? current.enabled ?? true,
+      frequency: frequency || current.frequency,
+      recipients: recipients || current.recipients || [],
+    };
+
+    if (next.enabled && (!next.frequency || next.recipients.length === 0)) {
+      throw new ApiError(400, 'Scheduled reports need a frequency and at least one recipient');
+    }
+
+    const restart = next.enabled && (!current.enabled || next.frequency !== current.frequency || !current.nextRunAt);
+
+    report.set('schedule', {
+      ...next,
+      nextRunAt: next.enabled ? (restart ? this.getNextRun(next.frequency) : current.nextRunAt) : undefined,
+      lastRunAt: current.lastRunAt,
+      lastError: current.lastError,
+    });
+  }
+
+  /**
+   * Get the next time a schedule sends, strictly after a date
+   * @param {string} frequency - weekly or monthly
+   * @param {Date} after - Date to start from
+   * @returns {Date}
+   */
+  getNextRun(frequency, after = new Date()) {
+    const { timeZone, sendHour, weeklyDay } = reportsConfig;
+    const { year, month, day, weekday } = getZonedParts(after, timeZone);
+    const at = (y, m, d) => new Date(getZonedMidnight(y, m, d, timeZone).getTime() + sendHour * HOUR_MS);
+
+    if (frequency === 'monthly') {
+      const thisMonth = at(year, month, 1);
+      return thisMonth > after ? thisMonth : at(year, month + 1, 1);
+    }
+
+    const next = at(year, month, day + ((weeklyDay - weekday + 7) % 7));
+    return next > after ? next : at(year, month, day + ((weeklyDay - weekday + 7) % 7) + 7);
+  }
+
+  /**
+   * Resolve a report date range to concrete dates
+   * @param {Object} dateRange - preset, and start and end for custom ranges
+   * @param {Date} now - Current time
+   * @returns {{start: Date, end: Date, label: string}} end is exclusive
+   */
+  resolveRange({ preset, start, end } = {}, now = new Date()) {
+    const { timeZone } = reportsConfig;
+    const { year, month, day, weekday } = getZonedParts(now, timeZone);
+    const midnight = (y, m, d) => getZonedMidnight(y, m, d, timeZone);
+
+    let range;
+
+    switch (preset) {
+      case 'custom':
+        range = { start: new Date(start), end: new Date(end) };
+        break;
+      case 'last_30_days':
+        range = { start: midnight(year, month, day - 30), end: midnight(year, month, day) };
+        break;
+      case 'last_week': {
+        const monday = day - ((weekday + 6) % 7);
+        range = { start: midnight(year, month, monday - 7), end: midnight(year, month, monday) };
+        break;
+      }
+      case 'last_month':
+        range = { start: midnight(year, month - 1, 1), end: midnight(year, month, 1) };
+        break;
+      case 'month_to_date':
+        range = { start: midnight(year, month, 1), end: now };
+        break;
+      default:
+        range = { start: midnight(year, month, day - 7), end: midnight(year, month, day) };
+    }
+
+    // Label with inclusive local dates
+    const last = new Date(Math.max(range.end.getTime() - 1, range.start.getTime()));
+    range.label = `${getDayKey(range.start, timeZone)}_to_${getDayKey(last, timeZone)}`;
+
+    return range;
+  }
+
+  /**
+   * Build a lookup from breakdown values to display labels
+   * @private
+   */
+  async getLabels(campaigns, rows, breakdowns) {
+    const campaignNames = new Map(campaigns.map(campaign => [String(campaign._id), campaign.name]));
+
+    const creativeTitles = new Map();
+    if (breakdowns.includes('creative')) {
+      const ids = [...new Set(rows.map(row => row.creative).filter(Boolean).map(String))];
+      const creatives = await AdCreative.find({ _id: { $in: ids } }).select('title').lean();
+      creatives.forEach(creative => creativeTitles.set(String(creative._id), creative.title));
+    }
+
+    const positionNames = new Map(
+      Object.values(adsConfig.positions).map(position => [position.id, position.name])
+    );
+
+    return (dimension, value) => {
+      if (value === null || value === undefined) return '(none)';
+
+      switch (dimension) {
+        case 'day':
+          return getDayKey(value, reportsConfig.timeZone);
+        case 'campaign':
+          return campaignNames.get(String(value)) || String(value);
+        case 'creative':
+          return creativeTitles.get(String(value)) || String(value);
+        case 'position':
+          return positionNames.get(value) || value;
+        default:
+          return value;
+      }
+    };
+  }
+
+  /**
+   * Pick the requested metrics, deriving rates from the summed counts
+   * @private
+   */
+  pickMetrics(stats, metrics) {
+    const { impressions = 0, clicks = 0, conversions = 0, spend = 0 } = stats;
+
+    const derived = {
+      ...stats,
+      conversionRate: clicks > 0 ? (conversions / clicks) * 100 : 0,
+      cpc: clicks > 0 ? spend / clicks : 0,
+      cpm: impressions > 0 ? (spend / impressions) * 1000 : 0,
+    };
+
+    return Object.fromEntries(metrics.map(metric => [metric, this.round(derived[metric] || 0)]));
+  }
+
+  /**
+   * Render as CSV
+   * @private
+   */
+  renderCsv({ columns, rows, totals }) {
+    const escape = (value) => {
+      const text = String(value ?? '');
+      return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const lines = [
+      columns.map(column => escape(LABELS[column])).join(','),
+      ...rows.map(row => columns.map(column => escape(row[column])).join(',')),
+      columns.map((column, index) => escape(column in totals ? totals[column] : (index === 0 ? 'Total' : ''))).join(','),
+    ];
+
+    return Buffer.from(`${lines.join('\r\n')}\r\n`, 'utf8');
+  }
+
+  /**
+   * Render as an Excel workbook
+   * @private
+   */
+  async renderXlsx({ name, period, columns, rows, totals }) {
+    const workbook = new ExcelJS.Workbook();
+    workbook.creator = 'Zewed Jobs Ads';
+    workbook.created = new Date();
+
+    const sheet = workbook.addWorksheet('Report');
+    sheet.columns = columns.map(column => ({
+      header: LABELS[column],
+      key: column,
+      width: Math.max(LABELS[column].length + 2, 14),
+    }));
+    sheet.getRow(1).font = { bold: true };
+    sheet.views = [{ state: 'frozen', ySplit: 1 }];
+
+    rows.forEach(row => sheet.addRow(row));
+
+    const totalRow = sheet.addRow(Object.fromEntries(
+      columns.map((column, index) => [column, column in totals ? totals[column] : (index === 0 ? 'Total' : null)])
+    ));
+    totalRow.font = { bold: true };
+
+    workbook.title = `${name} (${period.label})`;
+
+    return Buffer.from(await workbook.xlsx.writeBuffer());
+  }
+
+  /**
+   * Render as a PDF table
+   * @private
+   */
+  renderPdf({ name, period, columns, rows, totals }) {
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument({
+        size: 'A4',
+        layout: columns.length > 6 ? 'landscape' : 'portrait',
+        margin: 40,
+      });
+      const chunks = [];
+
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      doc.fontSize(16).text(name);
+      doc.fontSize(10).fillColor('#555555').text(period.label.replace('_to_', ' to '));
+      doc.moveDown();
+
+      const left = doc.page.margins.left;
+      const width = (doc.page.width - left - doc.page.margins.right) / columns.length;
+
+      const drawRow = (values, bold = false) => {
+        if (doc.y > doc.page.height - doc.page.margins.bottom - 20) {
+          doc.addPage();
+        }
+
+        const y = doc.y;
+        doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(8).fillColor('#000000');
+        values.forEach((value, index) => {
+          doc.text(String(value ?? ''), left + index * width, y, { width: width - 4, lineBreak: false, ellipsis: true });
+        });
+        doc.moveDown(0.6);
+        doc.x = left;
+      };
+
+      drawRow(columns.map(column => LABELS[column]), true);
+      rows.forEach(row => drawRow(columns.map(column => row[column])));
+      drawRow(columns.map((column, index) => (column in totals ? totals[column] : (index === 0 ? 'Total' : ''))), true);
+
+      doc.end();
+    });
+  }
+
+  /**
+   * Make a name safe for a filename
+   * @private
+   */
+  slugify(name) {
+    return name.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '') || 'ad_report';
+  }
+
+  /**
+   * Round to 2 decimal places
+   * @private
+   */
+  round(value) {
+    return Math.round(value * 100) / 100;
+  }
+}
+
+module.exports = new ReportService();
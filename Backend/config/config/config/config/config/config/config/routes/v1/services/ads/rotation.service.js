@@ -0,0 +1,188 @@
+const adsConfig = require('../../config/ads.config');
+const { cache } = require('../../utils/cache');
+
+const rotationConfig = adsConfig.rotation;
+
+// Prior CTR for creatives with little data, as for the auction's predicted rates
+const PRIOR_CTR = adsConfig.campaign.metrics.ctr.target / 100;
+
+/**
+ * Sample a standard normal variable (Box-Muller)
+ */
+const sampleNormal = () => {
+  const u = 1 - Math.random();
+  const v = Math.random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+};
+
+/**
+ * Sample a gamma variable with unit scale (Marsaglia-Tsang)
+ */
+const sampleGamma = (shape) => {
+  if (shape < 1) {
+    return sampleGamma(shape + 1) * Math.pow(Math.random(), 1 / shape);
+  }
+
+  const d = shape - 1 / 3;
+  const c = 1 / Math.sqrt(9 * d);
+
+  for (;;) {
+    let x;
+    let v;
+    do {
+      x = sampleNormal();
+      v = 1 + c * x;
+    } while (v <= 0);
+
+    v = v * v * v;
+    const u = Math.random();
+
+    if (u < 1 - 0.0331 * x * x * x * x || Math.log(u) < 0.5 * x * x + d * (1 - v + Math.log(v))) {
+      return d * v;
+    }
+  }
+};
+
+/**
+ * Sample a beta variable
+ */
+const sampleBeta = (alpha, beta) => {
+  const x = sampleGamma(alpha);
+  return x / (x + sampleGamma(beta));
+};
+
+/**
+ * Rotation Service - Pluggable strategies for ordering bids into ad slots
+ *
+ * A strategy scores each eligible bid, and the auction fills the position's
+ * slots in descending score order, one creative per campaign. Strategies
+ * that need shared state, like round-robin turns, load it in `prepare`,
+ * which runs once per request and returns the state passed to `score`.
+ */
+class RotationService {
+  constructor() {
+    this.strategies = new Map();
+
+    this.register('auction', {
+      score: (bid) => bid.rank,
+    });
+
+    this.register('round_robin', {
+      prepare: (bids, { position }) => this.nextTurn(bids, position),
+      score: (bid, { order, turn }) => {
+        const index = order.indexOf(String(bid.campaign._id));
+        return -((index - turn + order.length) % order.length);
+      },
+    });
+
+    // Efraimidis-Spirakis keys give a random order weighted by remaining budget
+    this.register('weighted_random', {
+      score: (bid) => {
+        const weight = Math.max(bid.campaign.budget?.remaining || 0, 0);
+        return weight > 0 ? Math.pow(Math.random(), 1 / weight) : 0;
+      },
+    });
+
+    this.register('performance_based', {
+      score: (bid) => adsConfig.calculatePerformanceScore(bid.campaign.metrics || {}),
+    });
+
+    this.register('thompson_sampling', {
+      score: (bid) => {
+        const { clicks, impressions } = this.getClickStats(bid.creative);
+        const priorClicks = PRIOR_CTR * rotationConfig.priorImpressions;
+        const priorMisses = rotationConfig.priorImpressions - priorClicks;
+
+        return sampleBeta(clicks + priorClicks, Math.max(impressions - clicks, 0) + priorMisses);
+      },
+    });
+
+    // The whole request either explores or exploits, so its slots stay consistent
+    this.register('epsilon_greedy', {
+      prepare: () => ({ explore: Math.random() < rotationConfig.epsilon }),
+      score: (bid, { explore }) => (explore ? Math.random() : bid.predictedCtr),
+    });
+  }
+
+  /**
+   * Register a rotation strategy
+   * @param {string} name - Strategy name, as set on positions
+   * @param {Object} strategy - Strategy
+   * @param {Function} strategy.score - (bid, state) => number; higher scores fill earlier slots
+   * @param {Function} [strategy.prepare] - (bids, context) => state, may be async
+   */
+  register(name, strategy) {
+    if (typeof strategy?.score !== 'function') {
+      throw new Error(`Rotation strategy ${name} must have a score function`);
+    }
+
+    this.strategies.set(name, strategy);
+  }
+
+  /**
+   * Get the strategy a position rotates its ads with
+   * @param {string} position - Position ID
+   * @returns {string} Strategy name
+   */
+  getStrategy(position) {
+    const configured = position ? adsConfig.getPositionConfig(position)?.rotation : null;
+
+    if (configured && this.strategies.has(configured)) {
+      return configured;
+    }
+
+    return rotationConfig.defaultStrategy;
+  }
+
+  /**
+   * Score bids with a position's rotation strategy
+   * @param {Array<Object>} bids - Bids from the auction
+   * @param {Object} context - Position and strategy override
+   * @returns {Promise<{strategy: string, bids: Array<Object>}>} Bids with rotationScore set
+   */
+  async score(bids, { position, strategy: name } = {}) {
+    const strategyName = name && this.strategies.has(name) ? name : this.getStrategy(position);
+    const strategy = this.strategies.get(strategyName);
+
+    const state = bids.length > 0 && strategy.prepare
+      ? await strategy.prepare(bids, { position })
+      : {};
+
+    return {
+      strategy: strategyName,
+      bids: bids.map(bid => ({ ...bid, rotationScore: strategy.score(bid, state) })),
+    };
+  }
+
+  /**
+   * Advance a position's round-robin turn
+   *
+   * Turns are counted per position rather than per viewer, and a concurrent
+   * request may reuse a turn; both only shift whose turn comes next.
+   *
+   * @private
+   */
+  async nextTurn(bids, position) {
+    const order = [...new Set(bids.map(bid => String(bid.campaign._id)))].sort();
+    const key = `rotation_turn_${position || 'any'}`;
+
+    const turn = (await cache.get(key)) || 0;
+    await cache.set(key, turn + 1, rotationConfig.roundRobinTtl);
+
+    return { order, turn: turn % order.length };
+  }
+
+  /**
+   * Observed clicks and impressions of a creative
+   * @private
+   */
+  getClickStats(creative) {
+    const metrics = creative.metrics || {};
+    return {
+      clicks: metrics.clicks || 0,
+      impressions: metrics.impressions || 0,
+    };
+  }
+}
+
+module.exports = new RotationService();
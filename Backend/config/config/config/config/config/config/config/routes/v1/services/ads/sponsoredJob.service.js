@@ -0,0 +1,314 @@
+const AdCampaign = require('../../models/AdCampaign');
+const AdCreative = require('../../models/AdCreative');
+const Job = require('../../models/Job');
+const adsConfig = require('../../config/ads.config');
+const features = require('../../config/features');
+const { ApiError } = require('../../utils/error');
+const moderationService = require('./moderation.service');
+const walletService = require('./wallet.service');
+const campaignScheduler = require('../../jobs/campaignScheduler');
+
+const sponsoredConfig = adsConfig.sponsoredJobs;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Shortest search term matched against sponsored listings
+const MIN_TERM_LENGTH = 2;
+
+/**
+ * Sponsored Job Service - Paid promotion of job listings in job search
+ *
+ * A promotion is a sponsored_job campaign whose single creative is the
+ * promoted job. It competes for the sponsored slots of a results page in
+ * the regular auction, bidding the base CPC times its tier's boost factor,
+ * and is tracked and billed per click through the ads pipeline.
+ */
+class SponsoredJobService {
+  /**
+   * Get the promotion tiers, durations and prices on offer
+   * @returns {{tiers: Array<Object>, durationOptions: Array<number>, pricingModel: string, minBudget: number}}
+   */
+  getOptions() {
+    const { promotionTiers, boostFactors, durationOptions } = features.getConfig('job_promotions').settings;
+    const baseRate = adsConfig.getPricingModelConfig(sponsoredConfig.pricingModel).baseRate;
+
+    return {
+      tiers: promotionTiers.map((tier, index) => ({
+        id: tier,
+        boostFactor: boostFactors[index],
+        bid: this.round(baseRate * boostFactors[index]),
+      })),
+      durationOptions,
+      pricingModel: sponsoredConfig.pricingModel,
+      minBudget: sponsoredConfig.minBudget,
+    };
+  }
+
+  /**
+   * Purchase a promotion for a job
+   *
+   * The job must be an active listing posted by the client's owner; the
+   * promoted listing is taken from it. It goes through creative moderation
+   * like any other ad and starts serving once approved.
+   *
+   * @param {Object} client - Client document
+   * @param {Object} promotion - Job ID, tier, duration, budget and start date
+   * @param {Object} user - Purchasing user
+   * @returns {Promise<{campaign: Object, creative: Object}>}
+   */
+  async purchase(client, { jobId, tier, durationDays, budget, startDate }, user) {
+    if (!features.isEnabled('job_promotions')) {
+      throw new ApiError(403, 'Job promotions are not available');
+    }
+
+    const options = this.getOptions();
+    const tierOption = options.tiers.find(option => option.id === tier);
+
+    if (!tierOption) {
+      throw new ApiError(400, `Invalid promotion tier. Allowed: ${options.tiers.map(option => option.id).join(', ')}`);
+    }
+
+    if (!options.durationOptions.includes(durationDays)) {
+      throw new ApiError(400, `Invalid promotion duration. Allowed: ${options.durationOptions.join(', ')} days`);
+    }
+
+    if (budget < sponsoredConfig.minBudget) {
+      throw new ApiError(400, `Minimum promotion budget is ${sponsoredConfig.minBudget} ETB`);
+    }
+
+    const job = await this.getClientJob(client, jobId);
+    const listing = this.getListing(job);
+
+    const existing = await AdCampaign.exists({
+      'promotion.job': job._id,
+      status: { $in: ['pending', 'active', 'paused'] },
+    });
+
+    if (existing) {
+      throw new ApiError(409, 'This job already has a running promotion');
+    }
+
+    // Same gate as any other campaign: not suspended, and prepaid clients must fund the budget
+    await walletService.assertCanRun(client._id, budget);
+
+    const now = new Date();
+    const start = startDate ? new Date(startDate) : now;
+    const end = new Date(start.getTime() + durationDays * DAY_MS);
+    const starting = start <= now;
+
+    const campaign = await AdCampaign.create({
+      name: `Sponsored job: ${listing.title}`.slice(0, 200),
+      type: 'sponsored_job',
+      client: client._id,
+      budget: {
+        total: budget,
+        spent: 0,
+        remaining: budget,
+        currency: 'ETB',
+        pacing: adsConfig.campaign.pacing.defaultMode,
+      },
+      dates: {
+        start,
+        end,
+        duration: durationDays,
+      },
+      targeting: listing.category ? { interests: { job_categories: [listing.category] } } : {},
+      bidding: {
+        model: sponsoredConfig.pricingModel,
+        amount: tierOption.bid,
+      },
+      promotion: {
+        job: job._id,
+        tier,
+        boostFactor: tierOption.boostFactor,
+        durationDays,
+        company: listing.company,
+        location: listing.location,
+        category: listing.category,
+      },
+      status: starting ? 'active' : 'pending',
+      activatedAt: starting ? now : undefined,
+      createdBy: user.id,
+    });
+
+    const creative = await AdCreative.create({
+      campaign: campaign._id,
+      job: job._id,
+      title: listing.title,
+      description: listing.description,
+      // Names the employer on the listing's logo, which brand checks also look for
+      altText: listing.company?.name,
+      callToAction: 'Apply Now',
+      destinationUrl: listing.url,
+      isPrimary: true,
+      status: 'pending',
+      moderation: { status: 'pending' },
+      createdBy: user.id,
+    });
+
+    campaign.creatives.push(creative._id);
+    await campaign.save();
+
+    await campaignScheduler.scheduleCampaign(campaign);
+    await moderationService.submit(creative, campaign, user);
+
+    return { campaign, creative };
+  }
+
+  /**
+   * Load a job the client may promote
+   * @param {Object} client - Client document
+   * @param {string} jobId - Job ID
+   * @returns {Promise<Object>} Job with its company populated
+   */
+  async getClientJob(client, jobId) {
+    const job = await Job.findById(jobId).populate('company', 'name logo').lean();
+
+    if (!job) {
+      throw new ApiError(404, 'Job not found');
+    }
+
+    // A client can only promote jobs posted by the account that owns it
+    if (String(job.postedBy) !== String(client.createdBy)) {
+      throw new ApiError(403, 'This job does not belong to the client');
+    }
+
+    if (job.status !== 'active') {
+      throw new ApiError(400, 'Only active jobs can be promoted');
+    }
+
+    return job;
+  }
+
+  /**
+   * Build the promoted listing from a job
+   * @param {Object} job - Job with its company populated
+   * @returns {{title: string, description: string, company: Object, location: string, category: string, url: string}}
+   */
+  getListing(job) {
+    const location = typeof job.location === 'string'
+      ? job.location
+      : [job.location?.city, job.location?.country].filter(Boolean).join(', ');
+
+    return {
+      title: job.title.slice(0, 100),
+      description: job.description?.slice(0, 500),
+      company: job.company && { name: job.company.name, logo: job.company.logo },
+      location: location || undefined,
+      category: job.category,
+      url: `${process.env.CLIENT_URL}/jobs/${job._id}`,
+    };
+  }
+
+  /**
+   * Check whether a sponsored listing is relevant to a search
+   *
+   * Without search terms every listing is relevant; otherwise at least one
+   * term must appear in the title, description, company or location.
+   *
+   * @param {Object} campaign - Sponsored job campaign with creatives populated
+   * @param {string} query - Search text
+   * @returns {boolean}
+   */
+  matchesSearch(campaign, query) {
+    const terms = (query || '')
+      .toLowerCase()
+      .split(/\s+/)
+      .filter(term => term.length >= MIN_TERM_LENGTH);
+
+    if (terms.length === 0) return true;
+
+    const { company, location } = campaign.promotion || {};
+    const text = [
+      ...campaign.creatives.map(creative => `${creative.title} ${creative.description || ''}`),
+      company?.name,
+      location,
+    ].filter(Boolean).join(' ').toLowerCase();
+
+    return terms.some(term => text.includes(term));
+  }
+
+  /**
+   * Get the sponsored slots of a results page
+   *
+   * Search results only carry one sponsored job per organicPerSponsored
+   * organic results, so short pages get fewer sponsored jobs.
+   *
+   * @param {number} organicCount - Organic results on the page
+   * @returns {Array<{position: string, slots: number}>}
+   */
+  getPageSlots(organicCount) {
+    const { slots, organicPerSponsored } = sponsoredConfig;
+
+    return [
+      { position: 'job_listing_top', slots: organicCount > 0 ? slots.job_listing_top : 0 },
+      {
+        position: 'search_results',
+        slots: Math.min(slots.search_results, Math.floor(organicCount / organicPerSponsored)),
+      },
+    ].filter(page => page.slots > 0);
+  }
+
+  /**
+   * Get where a sponsored job goes in the merged results list
+   * @param {string} position - Position ID
+   * @param {number} slot - 1-based slot within the position
+   * @returns {number} Index among the page's results
+   */
+  getResultIndex(position, slot) {
+    if (position === 'job_listing_top') {
+      return slot - 1;
+    }
+
+    // After every organicPerSponsored organic results, below the top slots
+    const top = sponsoredConfig.slots.job_listing_top;
+    return top + slot * sponsoredConfig.organicPerSponsored + (slot - 1);
+  }
+
+  /**
+   * Format a sponsored job for the results list
+   * @param {Object} winner - Auction winner with campaign and creative
+   * @param {string} position - Position ID
+   * @param {string} auctionId - Auction ID
+   * @returns {Object}
+   */
+  formatResult(winner, position, auctionId) {
+    const { campaign, creative } = winner;
+    const { job, tier, company, location } = campaign.promotion || {};
+
+    return {
+      id: creative._id,
+      campaignId: campaign._id,
+      jobId: job,
+      type: 'sponsored_job',
+      sponsored: true,
+      label: sponsoredConfig.label,
+      tier,
+      position,
+      index: this.getResultIndex(position, winner.slot),
+      title: creative.title,
+      description: creative.description,
+      company,
+      location,
+      callToAction: creative.callToAction,
+      destinationUrl: creative.destinationUrl,
+      tracking: {
+        impressionUrl: `${process.env.SERVER_URL}/api/v1/ads/impression`,
+        clickTrackingUrl: `${process.env.SERVER_URL}/api/v1/ads/click`,
+        adId: creative._id,
+        campaignId: campaign._id,
+        auctionId,
+      },
+    };
+  }
+
+  /**
+   * Round to 2 decimal places
+   * @private
+   */
+  round(value) {
+    return Math.round(value * 100) / 100;
+  }
+}
+
+module.exports = new SponsoredJobService();
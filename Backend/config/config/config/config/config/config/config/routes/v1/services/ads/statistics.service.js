@@ -0,0 +1,420 @@
+const mongoose = require('mongoose');
+const AdStatHourly = require('../../models/AdStatHourly');
+const AdStatDaily = require('../../models/AdStatDaily');
+const AdImpression = require('../../models/AdImpression');
+const AdClick = require('../../models/AdClick');
+const AdConversion = require('../../models/AdConversion');
+const adsConfig = require('../../config/ads.config');
+const { getZonedParts, getZonedMidnight } = require('../../utils/timezone');
+
+const statisticsConfig = adsConfig.statistics;
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const METRICS = ['impressions', 'clicks', 'conversions', 'conversionValue', 'spend', 'viewability'];
+
+// Rollup rows are keyed by these fields within a bucket
+const KEY_FIELDS = ['campaign', 'creative', 'position', 'device'];
+
+/**
+ * Statistics Service - Maintains and queries pre-aggregated ad statistics
+ *
+ * Raw impressions and clicks expire after statistics.retention.raw days, so
+ * analytics read from rollups: hourly rows per campaign, creative, position
+ * and device rebuilt from raw events, and daily rows summed from the hourly
+ * ones. Each run recomputes the last few hours, so rows can be rebuilt any
+ * number of times and late events are picked up. Figures lag raw events by
+ * at most the rollup interval.
+ */
+class StatisticsService {
+  /**
+   * Bring the rollups up to date
+   *
+   * Recomputes the last lookbackHours, or everything since the newest hourly
+   * rollup when the job has been down longer. The first run backfills from the
+   * oldest raw event still kept.
+   *
+   * @param {Date} now - Current time
+   * @returns {Promise<{hours: number, days: number}>} Buckets rebuilt
+   */
+  async rollup(now = new Date()) {
+    const currentHour = this.floorHour(now);
+    let from = currentHour - statisticsConfig.lookbackHours * HOUR_MS;
+
+    const latest = await AdStatHourly.findOne().sort({ bucket: -1 }).select('bucket').lean();
+    if (latest) {
+      from = Math.min(from, latest.bucket.getTime());
+    } else {
+      const oldest = await AdImpression.findOne().sort({ timestamp: 1 }).select('timestamp').lean();
+      if (oldest) from = Math.min(from, this.floorHour(oldest.timestamp));
+    }
+
+    const days = new Map();
+
+    for (let hour = from; hour <= currentHour; hour += HOUR_MS) {
+      await this.rollupHour(new Date(hour));
+
+      const day = this.getDayStart(new Date(hour));
+      days.set(day.getTime(), day);
+    }
+
+    for (const day of days.values()) {
+      await this.rollupDay(day);
+    }
+
+    return { hours: (currentHour - from) / HOUR_MS + 1, days: days.size };
+  }
+
+  /**
+   * Rebuild the hourly rollup for one hour from raw events
+   * @param {Date} hourStart - Start of the UTC hour
+   */
+  async rollupHour(hourStart) {
+    const timestamp = { $gte: hourStart, $lt: new Date(hourStart.getTime() + HOUR_MS) };
+    const placementKey = {
+      campaign: '$campaign',
+      creative: '$creative',
+      position: { $ifNull: ['$position', null] },
+      device: { $ifNull: ['$device.type', null] },
+    };
+
+    const [impressions, clicks, conversions] = await Promise.all([
+      AdImpression.aggregate([
+        { $match: { timestamp } },
+        {
+          $group: {
+            _id: placementKey,
+            impressions: { $sum: 1 },
+            spend: { $sum: '$cost' },
+            viewability: { $sum: { $ifNull: ['$viewability', 100] } },
+          },
+        },
+      ]),
+      AdClick.aggregate([
+        { $match: { timestamp } },
+        { $group: { _id: placementKey, clicks: { $sum: 1 }, spend: { $sum: '$cost' } } },
+      ]),
+      AdConversion.aggregate([
+        { $match: { timestamp } },
+        {
+          $project: {
+            // Conversions recorded before attribution count fully for their last touch
+            credits: {
+              $cond: [
+                { $gt: [{ $size: { $ifNull: ['$attribution.credits', []] } }, 0] },
+                '$attribution.credits',
+                [{ campaign: '$campaign', creative: '$creative', credit: 1, value: '$value', cost: '$cost' }],
+              ],
+            },
+          },
+        },
+        { $unwind: '$credits' },
+        {
+          $group: {
+            _id: {
+              campaign: '$credits.campaign',
+              creative: { $ifNull: ['$credits.creative', null] },
+              position: null,
+              device: null,
+            },
+            conversions: { $sum: '$credits.credit' },
+            conversionValue: { $sum: { $ifNull: ['$credits.value', 0] } },
+            spend: { $sum: { $ifNull: ['$credits.cost', 0] } },
+          },
+        },
+      ]),
+    ]);
+
+    const rows = new Map();
+    [impressions, clicks, conversions].forEach(results => {
+      results.forEach(({ _id, ...counts }) => {
+        const id = KEY_FIELDS.map(field => String(_id[field] ?? '')).join(':');
+        const row = rows.get(id) || { key: _id };
+
+        Object.entries(counts).forEach(([metric, value]) => {
+          row[metric] = (row[metric] || 0) + value;
+        });
+
+        rows.set(id, row);
+      });
+    });
+
+    await this.writeRows(AdStatHourly, hourStart, [...rows.values()]);
+  }
+
+  /**
+   * Rebuild the daily rollup for one local day from the hourly rollup
+   * @param {Date} dayStart - Local midnight starting the day
+   */
+  async rollupDay(dayStart) {
+    const dayEnd = this.getDayStart(new Date(dayStart.getTime() + DAY_MS + HOUR_MS));
+
+    const results = await AdStatHourly.aggregate([
+      { $match: { bucket: { $gte: dayStart, $lt: dayEnd } } },
+      {
+        $group: {
+          _id: {
+            campaign: '$campaign',
+            creative: '$creative',
+            position: '$position',
+            device: '$device',
+          },
+          ...this.sumMetrics(),
+        },
+      },
+    ]);
+
+    await this.writeRows(AdStatDaily, dayStart, results.map(({ _id, ...counts }) => ({ key: _id, ...counts })));
+  }
+
+  /**
+   * Get statistics per interval, including empty intervals
+   * @param {Object} filter - campaign (ID or array of IDs), creative, position or device
+   * @param {Date} start - Range start
+   * @param {Date} end - Range end
+   * @param {string} interval - hourly, daily, weekly or monthly
+   * @returns {Promise<Array>}
+   */
+  async getSeries(filter, start, end, interval = 'daily') {
+    const hourly = interval === 'hourly';
+    const Model = hourly ? AdStatHourly : AdStatDaily;
+    const first = hourly ? new Date(this.floorHour(start)) : this.getDayStart(start);
+
+    const rows = await Model.aggregate([
+      { $match: { ...this.buildMatch(filter), bucket: { $gte: first, $lte: end } } },
+      { $group: { _id: '$bucket', ...this.sumMetrics() } },
+    ]);
+
+    const intervals = this.getIntervals(first, end, interval);
+    const totals = intervals.map(() => this.emptyMetrics());
+
+    rows.forEach(({ _id, ...counts }) => {
+      // Last interval starting at or before the bucket
+      let index = intervals.length - 1;
+      while (index > 0 && intervals[index] > _id) index -= 1;
+
+      METRICS.forEach(metric => {
+        totals[index][metric] += counts[metric] || 0;
+      });
+    });
+
+    return intervals.map((date, index) => ({ date, ...this.withRates(totals[index]) }));
+  }
+
+  /**
+   * Get statistics totals over a range, optionally grouped
+   * @param {Object} filter - campaign (ID or array of IDs), creative, position or device
+   * @param {Date} start - Range start
+   * @param {Date} end - Range end
+   * @param {string} groupBy - Optional campaign, creative, position or device
+   * @returns {Promise<Array|Object>} Rows with _id per group, or a single total
+   */
+  async getTotals(filter, start, end, groupBy = null) {
+    if (!groupBy) {
+      const [total] = await this.getBreakdown(filter, start, end);
+      return total || this.withRates(this.emptyMetrics());
+    }
+
+    const rows = await this.getBreakdown(filter, start, end, [groupBy]);
+    return rows.map(({ [groupBy]: _id, ...metrics }) => ({ ...metrics, _id }));
+  }
+
+  /**
+   * Get statistics over a range broken down by one or more dimensions
+   *
+   * Ranges starting within the hourly retention are read at hourly precision,
+   * older ones and breakdowns by day from whole days.
+   *
+   * @param {Object} filter - campaign (ID or array of IDs), creative, position or device
+   * @param {Date} start - Range start
+   * @param {Date} end - Range end
+   * @param {Array<string>} dimensions - day, campaign, creative, position or device
+   * @returns {Promise<Array>} Rows with a field per dimension, sorted by them
+   */
+  async getBreakdown(filter, start, end, dimensions = []) {
+    const hourlyFrom = Date.now() - statisticsConfig.retention.hourly * DAY_MS;
+    const hourly = !dimensions.includes('day') && start.getTime() >= hourlyFrom;
+    const Model = hourly ? AdStatHourly : AdStatDaily;
+    const first = hourly ? new Date(this.floorHour(start)) : this.getDayStart(start);
+
+    const group = dimensions.length > 0
+      ? Object.fromEntries(dimensions.map(dimension => [dimension, dimension === 'day' ? '$bucket' : `$${dimension}`]))
+      : null;
+
+    const rows = await Model.aggregate([
+      { $match: { ...this.buildMatch(filter), bucket: { $gte: first, $lt: end } } },
+      { $group: { _id: group, ...this.sumMetrics() } },
+      { $sort: { _id: 1 } },
+    ]);
+
+    return rows.map(row => ({ ...(row._id || {}), ...this.withRates(row) }));
+  }
+
+  /**
+   * Get impressions, clicks and spend by local hour of day, from the hourly rollup
+   * @param {Object} filter - campaign (ID or array of IDs), creative, position or device
+   * @param {string} timeZone - Time zone the hours are local to
+   * @returns {Promise<Array>} Rows with _id 0-23
+   */
+  async getHourOfDay(filter, timeZone = statisticsConfig.timeZone) {
+    return AdStatHourly.aggregate([
+      { $match: this.buildMatch(filter) },
+      {
+        $group: {
+          _id: { $hour: { date: '$bucket', timezone: timeZone } },
+          impressions: { $sum: '$impressions' },
+          clicks: { $sum: '$clicks' },
+          spend: { $sum: '$spend' },
+        },
+      },
+      { $sort: { _id: 1 } },
+    ]);
+  }
+
+  /**
+   * Delete a campaign's rollups
+   * @param {string} campaignId - Campaign ID
+   */
+  async removeCampaign(campaignId) {
+    const match = this.buildMatch({ campaign: campaignId });
+
+    await Promise.all([
+      AdStatHourly.deleteMany(match),
+      AdStatDaily.deleteMany(match),
+    ]);
+  }
+
+  /**
+   * Upsert rollup rows for a bucket
+   * @private
+   */
+  async writeRows(Model, bucket, rows) {
+    if (rows.length === 0) return;
+
+    await Model.bulkWrite(rows.map(({ key, ...counts }) => ({
+      updateOne: {
+        filter: {
+          bucket,
+          campaign: key.campaign,
+          creative: key.creative ?? null,
+          position: key.position ?? null,
+          device: key.device ?? null,
+        },
+        update: { $set: { ...this.emptyMetrics(), ...counts } },
+        upsert: true,
+      },
+    })), { ordered: false });
+  }
+
+  /**
+   * Build a rollup match from a filter
+   * @private
+   */
+  buildMatch(filter = {}) {
+    const match = {};
+
+    KEY_FIELDS.forEach(field => {
+      const value = filter[field];
+      if (value === undefined) return;
+
+      const cast = (item) => (['campaign', 'creative'].includes(field) && item
+        ? new mongoose.Types.ObjectId(String(item))
+        : item);
+
+      match[field] = Array.isArray(value) ? { $in: value.map(cast) } : cast(value);
+    });
+
+    return match;
+  }
+
+  /**
+   * $group accumulators summing every metric
+   * @private
+   */
+  sumMetrics() {
+    return Object.fromEntries(METRICS.map(metric => [metric, { $sum: `$${metric}` }]));
+  }
+
+  /**
+   * Zeroed metrics
+   * @private
+   */
+  emptyMetrics() {
+    return Object.fromEntries(METRICS.map(metric => [metric, 0]));
+  }
+
+  /**
+   * Add CTR and average viewability to summed metrics
+   * @private
+   */
+  withRates({ impressions = 0, clicks = 0, conversions = 0, conversionValue = 0, spend = 0, viewability = 0 }) {
+    return {
+      impressions,
+      clicks,
+      conversions: this.round(conversions),
+      conversionValue: this.round(conversionValue),
+      spend: this.round(spend),
+      ctr: impressions > 0 ? (clicks / impressions) * 100 : 0,
+      averageViewability: impressions > 0 ? this.round(viewability / impressions) : 0,
+    };
+  }
+
+  /**
+   * Get the start of each interval in a range
+   * @private
+   */
+  getIntervals(first, end, interval) {
+    const intervals = [];
+    let current = first;
+
+    while (current <= end) {
+      intervals.push(current);
+
+      switch (interval) {
+        case 'hourly':
+          current = new Date(current.getTime() + HOUR_MS);
+          break;
+        case 'weekly':
+          current = this.getDayStart(new Date(current.getTime() + 7 * DAY_MS + HOUR_MS));
+          break;
+        case 'monthly': {
+          const { year, month } = getZonedParts(current, statisticsConfig.timeZone);
+          current = getZonedMidnight(month === 12 ? year + 1 : year, month === 12 ? 1 : month + 1, 1, statisticsConfig.timeZone);
+          break;
+        }
+        default:
+          current = this.getDayStart(new Date(current.getTime() + DAY_MS + HOUR_MS));
+      }
+    }
+
+    return intervals;
+  }
+
+  /**
+   * Get local midnight starting the day of a date
+   * @private
+   */
+  getDayStart(date) {
+    const { year, month, day } = getZonedParts(date, statisticsConfig.timeZone);
+    return getZonedMidnight(year, month, day, statisticsConfig.timeZone);
+  }
+
+  /**
+   * Get the start of the UTC hour of a date, in milliseconds
+   * @private
+   */
+  floorHour(date) {
+    return Math.floor(new Date(date).getTime() / HOUR_MS) * HOUR_MS;
+  }
+
+  /**
+   * Round to 6 decimal places
+   * @private
+   */
+  round(value) {
+    return Math.round(value * 1e6) / 1e6;
+  }
+}
+
+module.exports = new StatisticsService();
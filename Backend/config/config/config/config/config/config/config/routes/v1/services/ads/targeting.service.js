@@ -0,0 +1,350 @@
+const User = require('../../models/User');
+const adsConfig = require('../../config/ads.config');
+const { cache } = require('../../utils/cache');
+
+// Targeting categories evaluated against the viewer profile, in config order
+const TARGETING_CATEGORIES = ['demographics', 'geographic', 'interests', 'behavioral', 'device'];
+
+// Maps a targeting attribute to the key it is stored under on the viewer profile
+const PROFILE_KEYS = {
+  'demographics.age': 'age',
+  'demographics.gender': 'gender',
+  'demographics.education': 'education',
+  'demographics.income': 'income',
+  'geographic.regions': 'region',
+  'geographic.cities': 'city',
+  'interests.job_categories': 'jobCategories',
+  'interests.industries': 'industries',
+  'interests.skills': 'skills',
+  'behavioral.job_search_frequency': 'jobSearchFrequency',
+  'behavioral.application_rate': 'applicationRate',
+  'behavioral.profile_completeness': 'profileCompleteness',
+  'behavioral.membership_tier': 'membershipTier',
+  'device.types': 'deviceType',
+  'device.platforms': 'platform',
+  'device.browsers': 'browser',
+};
+
+const PROFILE_CACHE_TTL = 600; // 10 minutes
+const REACH_SAMPLE_SIZE = 5000;
+
+/**
+ * Targeting Service - Resolves viewer profiles and evaluates campaign targeting
+ */
+class TargetingService {
+  /**
+   * Build the viewer profile used for targeting
+   * @param {Object} context - Request context (userId, category, region, city, device, userAgent)
+   * @returns {Promise<Object>} Normalized viewer profile
+   */
+  async resolveViewerProfile(context = {}) {
+    const { userId, category, region, city, device = {}, userAgent } = context;
+
+    let profile = {};
+
+    if (userId) {
+      const cacheKey = `viewer_profile_${userId}`;
+      profile = await cache.get(cacheKey);
+
+      if (!profile) {
+        const user = await User.findById(userId)
+          .select('dateOfBirth gender education location preferences skills industry subscription membership profileCompleteness activity')
+          .lean();
+
+        profile = user ? this.buildProfileFromUser(user) : {};
+        await cache.set(cacheKey, profile, PROFILE_CACHE_TTL);
+      }
+    }
+
+    const detected = this.detectDevice(userAgent);
+
+    return {
+      ...profile,
+      // Request-level location overrides the stored one (e.g. when the user is travelling)
+      region: this.normalize(region) || profile.region,
+      city: this.normalize(city) || profile.city,
+      deviceType: this.normalize(device.type) || detected.type,
+      platform: this.normalize(device.platform) || detected.platform,
+      browser: this.normalize(device.browser) || detected.browser,
+      category: this.normalize(category),
+    };
+  }
+
+  /**
+   * Map a user document onto the targeting taxonomy
+   * @param {Object} user - Lean user document
+   * @returns {Object} Viewer profile
+   */
+  buildProfileFromUser(user) {
+    const education = user.education;
+    const highestEducation = Array.isArray(education)
+      ? education.map(e => e.level).filter(Boolean).pop()
+      : education?.level;
+
+    return {
+      age: this.getAgeRange(user.dateOfBirth),
+      gender: this.normalize(user.gender),
+      education: this.normalize(highestEducation),
+      income: this.normalize(user.preferences?.salaryRange),
+      region: this.normalize(user.location?.region),
+      city: this.normalize(user.location?.city),
+      jobCategories: this.normalizeList(user.preferences?.jobCategories),
+      industries: this.normalizeList(user.preferences?.industries || user.industry),
+      skills: this.normalizeList((user.skills || []).map(skill => skill?.name || skill)),
+      jobSearchFrequency: this.normalize(user.activity?.searchFrequency),
+      applicationRate: this.normalize(user.activity?.applicationRate),
+      profileCompleteness: this.getCompletenessBucket(user.profileCompleteness),
+      membershipTier: this.normalize(user.subscription?.plan || user.membership?.tier) || 'free',
+    };
+  }
+
+  /**
+   * Check whether a viewer matches campaign targeting
+   * @param {Object} targeting - Campaign targeting
+   * @param {Object} profile - Viewer profile
+   * @returns {boolean}
+   */
+  matches(targeting, profile) {
+    return this.evaluate(targeting, profile).matched;
+  }
+
+  /**
+   * Evaluate targeting against a viewer profile
+   *
+   * Each category holds include lists (`targeting.geographic.cities`) and an optional
+   * `exclude` block with the same shape. Categories are combined with `operator`
+   * ('and' by default, or 'or'), and `groups` nest further targeting blocks that are
+   * evaluated recursively and combined with the same operator.
+   *
+   * @param {Object} targeting - Campaign targeting
+   * @param {Object} profile - Viewer profile
+   * @returns {{matched: boolean, score: number}} Match result with a 0-1 relevance score
+   */
+  evaluate(targeting, profile = {}) {
+    if (!targeting || Object.keys(targeting).length === 0) {
+      return { matched: true, score: 1 };
+    }
+
+    // Exclusions always win, whatever the operator
+    if (this.isExcluded(targeting.exclude, profile)) {
+      return { matched: false, score: 0 };
+    }
+
+    const results = [];
+
+    TARGETING_CATEGORIES.forEach(category => {
+      const criteria = this.getCriteria(targeting[category], category);
+      if (criteria.length === 0) return;
+
+      const satisfied = criteria.filter(({ attribute, values }) =>
+        this.valueMatches(profile[PROFILE_KEYS[attribute]], values)
+      ).length;
+
+      // Every attribute inside a category must match
+      results.push({ matched: satisfied === criteria.length, score: satisfied / criteria.length });
+    });
+
+    if (targeting.categories?.length > 0) {
+      const matched = this.valueMatches(profile.category, targeting.categories);
+      results.push({ matched, score: matched ? 1 : 0 });
+    }
+
+    (targeting.groups || []).forEach(group => {
+      results.push(this.evaluate(group, profile));
+    });
+
+    if (results.length === 0) {
+      return { matched: true, score: 1 };
+    }
+
+    const operator = (targeting.operator || 'and').toLowerCase();
+    const matched = operator === 'or'
+      ? results.some(result => result.matched)
+      : results.every(result => result.matched);
+    const score = results.reduce((sum, result) => sum + result.score, 0) / results.length;
+
+    return { matched, score: matched ? score : 0 };
+  }
+
+  /**
+   * Check a profile against exclusion lists
+   * @private
+   */
+  isExcluded(exclude, profile) {
+    if (!exclude) return false;
+
+    return TARGETING_CATEGORIES.some(category =>
+      this.getCriteria(exclude[category], category).some(({ attribute, values }) => {
+        const value = profile[PROFILE_KEYS[attribute]];
+        // Unknown attributes cannot be excluded
+        return value !== undefined && value !== null && this.valueMatches(value, values);
+      })
+    ) || (exclude.categories?.length > 0 && this.valueMatches(profile.category, exclude.categories));
+  }
+
+  /**
+   * Flatten a targeting category into non-empty attribute criteria
+   * @private
+   */
+  getCriteria(categoryTargeting, category) {
+    if (!categoryTargeting) return [];
+
+    return Object.entries(categoryTargeting)
+      .filter(([key, values]) => PROFILE_KEYS[`${category}.${key}`] && Array.isArray(values) && values.length > 0)
+      .map(([key, values]) => ({ attribute: `${category}.${key}`, values: this.normalizeList(values) }));
+  }
+
+  /**
+   * Check a profile value (scalar or list) against allowed values
+   * @private
+   */
+  valueMatches(value, allowed) {
+    if (value === undefined || value === null) return false;
+
+    const normalizedAllowed = this.normalizeList(allowed);
+    const values = Array.isArray(value) ? value : [value];
+
+    return values.some(v => normalizedAllowed.includes(this.normalize(v)));
+  }
+
+  /**
+   * Estimate campaign reach before launch
+   *
+   * Evaluates targeting on a random sample of active users and extrapolates
+   * to the full user base, so the estimate stays cheap on large collections.
+   *
+   * @param {Object} targeting - Campaign targeting
+   * @returns {Promise<Object>} Reach estimate
+   */
+  async previewReach(targeting) {
+    const totalUsers = await User.countDocuments({ isActive: { $ne: false } });
+
+    if (totalUsers === 0) {
+      return { totalUsers: 0, sampleSize: 0, matchedInSample: 0, estimatedReach: 0, reachPercentage: 0, breakdown: {} };
+    }
+
+    const sampleSize = Math.min(totalUsers, REACH_SAMPLE_SIZE);
+    const sample = await User.aggregate([
+      { $match: { isActive: { $ne: false } } },
+      { $sample: { size: sampleSize } },
+      {
+        $project: {
+          dateOfBirth: 1,
+          gender: 1,
+          education: 1,
+          location: 1,
+          preferences: 1,
+          skills: 1,
+          industry: 1,
+          subscription: 1,
+          membership: 1,
+          profileCompleteness: 1,
+          activity: 1,
+        },
+      },
+    ]);
+
+    const breakdown = { regions: {}, age: {} };
+    let matchedInSample = 0;
+
+    sample.forEach(user => {
+      const profile = this.buildProfileFromUser(user);
+      if (!this.matches(targeting, profile)) return;
+
+      matchedInSample += 1;
+      const region = profile.region || 'unknown';
+      const age = profile.age || 'unknown';
+      breakdown.regions[region] = (breakdown.regions[region] || 0) + 1;
+      breakdown.age[age] = (breakdown.age[age] || 0) + 1;
+    });
+
+    const ratio = sample.length > 0 ? matchedInSample / sample.length : 0;
+
+    return {
+      totalUsers,
+      sampleSize: sample.length,
+      matchedInSample,
+      estimatedReach: Math.round(ratio * totalUsers),
+      reachPercentage: Math.round(ratio * 10000) / 100,
+      breakdown,
+    };
+  }
+
+  /**
+   * Convert a date of birth into a configured age range
+   * @private
+   */
+  getAgeRange(dateOfBirth) {
+    if (!dateOfBirth) return undefined;
+
+    const birth = new Date(dateOfBirth);
+    if (isNaN(birth)) return undefined;
+
+    const age = Math.floor((Date.now() - birth.getTime()) / (365.25 * 24 * 60 * 60 * 1000));
+
+    return adsConfig.targeting.demographics.age.ranges.find(range => {
+      if (range.endsWith('+')) {
+        return age >= parseInt(range, 10);
+      }
+      const [min, max] = range.split('-').map(Number);
+      return age >= min && age <= max;
+    });
+  }
+
+  /**
+   * Bucket a completeness percentage into the behavioral taxonomy
+   * @private
+   */
+  getCompletenessBucket(completeness) {
+    if (completeness === undefined || completeness === null) return undefined;
+    if (completeness >= 90) return 'complete';
+    if (completeness >= 50) return 'partial';
+    return 'basic';
+  }
+
+  /**
+   * Detect device type, platform and browser from a User-Agent string
+   * @param {string} userAgent - User-Agent header
+   * @returns {Object} Device info
+   */
+  detectDevice(userAgent = '') {
+    const ua = (userAgent || '').toLowerCase();
+
+    let type = 'desktop';
+    if (/ipad|tablet|playbook|silk|(android(?!.*mobile))/.test(ua)) type = 'tablet';
+    else if (/mobi|iphone|ipod|android/.test(ua)) type = 'mobile';
+
+    let platform = 'web';
+    if (/zewedjobs-android/.test(ua)) platform = 'android';
+    else if (/zewedjobs-ios/.test(ua)) platform = 'ios';
+
+    let browser;
+    if (/edg\//.test(ua)) browser = 'edge';
+    else if (/firefox|fxios/.test(ua)) browser = 'firefox';
+    else if (/chrome|crios/.test(ua)) browser = 'chrome';
+    else if (/safari/.test(ua)) browser = 'safari';
+
+    return { type, platform, browser };
+  }
+
+  /**
+   * Normalize a taxonomy value ("Addis Ababa" -> "addis_ababa")
+   * @private
+   */
+  normalize(value) {
+    if (value === undefined || value === null || value === '') return undefined;
+    return String(value).trim().toLowerCase().replace(/[\s-]+/g, '_');
+  }
+
+  /**
+   * Normalize a list of taxonomy values
+   * @private
+   */
+  normalizeList(values) {
+    if (!values) return [];
+    const list = Array.isArray(values) ? values : [values];
+    return list.map(value => this.normalize(value)).filter(Boolean);
+  }
+}
+
+module.exports = new TargetingService();
@@ -0,0 +1,153 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const adsConfig = require('../../config/ads.config');
+const { ApiError } = require('../../utils/error');
+const { cache } = require('../../utils/cache');
+
+const trackingConfig = adsConfig.tracking;
+
+/**
+ * Encode a buffer or string as base64url
+ */
+const base64url = (value) => Buffer.from(value).toString('base64url');
+
+/**
+ * Tracking Service - Signed, single-use tokens for impression and click tracking
+ *
+ * A token binds the served creative, campaign, position, auction, viewer and
+ * the viewer's consent mode to the time it was issued. Tracking requests must
+ * present a valid, unexpired token, and each token can be used once per event
+ * type.
+ */
+class TrackingService {
+  /**
+   * Issue a tracking token for a served ad
+   * @param {Object} ad - Served ad
+   * @param {string} ad.creative - Creative ID
+   * @param {string} ad.campaign - Campaign ID
+   * @param {string} ad.position - Position ID
+   * @param {string} ad.auctionId - Auction ID
+   * @param {string} ad.viewer - Viewer key from getViewerKey
+   * @param {string} ad.consent - Viewer's consent mode when the ad was served
+   * @returns {string} Token
+   */
+  sign({ creative, campaign, position, auctionId, viewer, consent }) {
+    const payload = base64url(JSON.stringify({
+      creative: String(creative),
+      campaign: String(campaign),
+      position,
+      auctionId,
+      viewer,
+      consent,
+      iat: Math.floor(Date.now() / 1000),
+      nonce: uuidv4(),
+    }));
+
+    return `${payload}.${this.createSignature(payload)}`;
+  }
+
+  /**
+   * Check a token's signature and return its payload
+   * @param {string} token - Token
+   * @returns {Object} Payload
+   */
+  decode(token) {
+    const [payload, signature] = String(token || '').split('.');
+
+    if (!payload || !signature) {
+      throw new ApiError(400, 'Invalid tracking token');
+    }
+
+    const expected = Buffer.from(this.createSignature(payload));
+    const actual = Buffer.from(signature);
+
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      throw new ApiError(400, 'Invalid tracking token');
+    }
+
+    try {
+      return JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    } catch (error) {
+      throw new ApiError(400, 'Invalid tracking token');
+    }
+  }
+
+  /**
+   * Verify a token for a tracking request
+   * @param {string} token - Token
+   * @param {Object} context - Tracking request
+   * @param {string} context.userId - User ID sent with the request
+   * @param {string} context.ipAddress - Client IP
+   * @param {string} context.userAgent - Client user agent
+   * @param {boolean} context.trustSignedUser - Accept the user bound in the token (signed links)
+   * @returns {Object} Payload
+   */
+  verify(token, context = {}) {
+    const payload = this.decode(token);
+
+    if (Date.now() / 1000 - payload.iat > trackingConfig.tokenTtl) {
+      throw new ApiError(400, 'Tracking token expired');
+    }
+
+    const signedForUser = payload.viewer?.startsWith('user:');
+    const viewer = signedForUser && context.trustSignedUser
+      ? payload.viewer
+      : this.getViewerKey(context);
+
+    if (payload.viewer !== viewer) {
+      throw new ApiError(403, 'Tracking token was issued to a different viewer');
+    }
+
+    return payload;
+  }
+
+  /**
+   * Mark a token as used for an event type, rejecting replays
+   * @param {Object} payload - Verified token payload
+   * @param {string} eventType - impression or click
+   */
+  async consume(payload, eventType) {
+    // Claimed atomically, so concurrent replays of a token cannot both pass
+    const claimed = await cache.setnx(`ad_token_${eventType}_${payload.nonce}`, true, trackingConfig.tokenTtl);
+
+    if (!claimed) {
+      throw new ApiError(409, `Tracking token already used for this ${eventType}`);
+    }
+  }
+
+  /**
+   * Identify the viewer a token is bound to
+   *
+   * Signed-in viewers are bound by user ID; anonymous viewers by a hash of
+   * their IP address and user agent.
+   *
+   * @param {Object} context - Request context
+   * @returns {string} Viewer key
+   */
+  getViewerKey({ userId, ipAddress, userAgent } = {}) {
+    if (userId) {
+      return `user:${userId}`;
+    }
+
+    const fingerprint = crypto
+      .createHash('sha256')
+      .update(`${ipAddress || ''}|${userAgent || ''}`)
+      .digest('base64url')
+      .slice(0, 22);
+
+    return `anon:${fingerprint}`;
+  }
+
+  /**
+   * HMAC signature of an encoded payload
+   * @private
+   */
+  createSignature(payload) {
+    return crypto
+      .createHmac('sha256', trackingConfig.secret)
+      .update(payload)
+      .digest('base64url');
+  }
+}
+
+module.exports = new TrackingService();
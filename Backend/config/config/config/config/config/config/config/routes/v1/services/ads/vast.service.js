@@ -0,0 +1,161 @@
+const adsConfig = require('../../config/ads.config');
+const { ApiError } = require('../../utils/error');
+const accountingService = require('./accounting.service');
+
+const videoConfig = adsConfig.adTypes.VIDEO;
+const vastConfig = videoConfig.vast;
+
+// Metrics counter incremented by each tracked playback event
+const EVENT_METRICS = {
+  start: 'starts',
+  firstQuartile: 'firstQuartiles',
+  midpoint: 'midpoints',
+  thirdQuartile: 'thirdQuartiles',
+  complete: 'completions',
+  skip: 'skips',
+};
+
+const XML_ENTITIES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&apos;',
+};
+
+/**
+ * Escape text for XML content and attributes
+ */
+const escapeXml = (value) => String(value ?? '').replace(/[&<>"']/g, char => XML_ENTITIES[char]);
+
+/**
+ * VAST Service - VAST 3.0/4.0 documents for video ads
+ *
+ * Each served video ad is one InLine linear creative. Its impression,
+ * playback and click URLs carry the ad's signed tracking token, so player
+ * pixels are verified and billed like any other ad event.
+ */
+class VastService {
+  /**
+   * Resolve the requested VAST version
+   * @param {string} version - Requested version
+   * @returns {string}
+   */
+  getVersion(version) {
+    if (!version) {
+      return vastConfig.defaultVersion;
+    }
+
+    if (!vastConfig.versions.includes(version)) {
+      throw new ApiError(400, `Unsupported VAST version. Allowed: ${vastConfig.versions.join(', ')}`);
+    }
+
+    return version;
+  }
+
+  /**
+   * Build a VAST document for a served video ad
+   * @param {Object} ad - Served ad with creative, campaign, client and signed tracking
+   * @param {string} version - VAST version
+   * @returns {string} XML
+   */
+  buildDocument(ad, version) {
+    const { creative, campaign, client, tracking } = ad;
+    const vast4 = version.startsWith('4');
+    const format = (creative.file.format || 'mp4').toLowerCase();
+
+    const trackingEvents = vastConfig.trackingEvents
+      .map(event => `              <Tracking event="${event}">${escapeXml(this.getEventUrl(event, tracking.token))}</Tracking>`)
+      .join('\n');
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      `<VAST version="${version}">`,
+      `  <Ad id="${escapeXml(creative._id)}">`,
+      '    <InLine>',
+      `      <AdSystem>${escapeXml(vastConfig.adSystem)}</AdSystem>`,
+      vast4 && `      <AdServingId>${escapeXml(tracking.auctionId)}</AdServingId>`,
+      `      <AdTitle>${escapeXml(creative.title)}</AdTitle>`,
+      creative.description && `      <Description>${escapeXml(creative.description)}</Description>`,
+      vast4 && client && `      <Advertiser>${escapeXml(client.company || client.name)}</Advertiser>`,
+      `      <Impression>${escapeXml(this.getEventUrl('impression', tracking.token))}</Impression>`,
+      '      <Creatives>',
+      `        <Creative id="${escapeXml(creative._id)}" adId="${escapeXml(campaign._id)}">`,
+      vast4 && `          <UniversalAdId idRegistry="${escapeXml(vastConfig.idRegistry)}">${escapeXml(creative._id)}</UniversalAdId>`,
+      `          <Linear skipoffset="${this.formatTime(videoConfig.skipableAfter)}">`,
+      `            <Duration>${this.formatTime(creative.file.duration || videoConfig.durationLimit)}</Duration>`,
+      '            <TrackingEvents>',
+      trackingEvents,
+      '            </TrackingEvents>',
+      '            <VideoClicks>',
+      `              <ClickThrough>${escapeXml(tracking.clickUrl)}</ClickThrough>`,
+      '            </VideoClicks>',
+      '            <MediaFiles>',
+      `              <MediaFile delivery="progressive" type="video/${escapeXml(format)}" width="${creative.file.width || ''}" height="${creative.file.height || ''}">${escapeXml(creative.file.url)}</MediaFile>`,
+      '            </MediaFiles>',
+      '          </Linear>',
+      '        </Creative>',
+      '      </Creatives>',
+      '    </InLine>',
+      '  </Ad>',
+      '</VAST>',
+    ].filter(Boolean).join('\n');
+  }
+
+  /**
+   * Build the empty VAST document players expect when there is no ad to show
+   * @param {string} version - VAST version
+   * @returns {string} XML
+   */
+  buildEmptyDocument(version) {
+    return `<?xml version="1.0" encoding="UTF-8"?>\n<VAST version="${version}"/>`;
+  }
+
+  /**
+   * Get the pixel URL a player calls for a playback event
+   * @param {string} event - impression or a VAST tracking event
+   * @param {string} token - Signed tracking token
+   * @returns {string}
+   */
+  getEventUrl(event, token) {
+    return `${process.env.SERVER_URL}/api/v1/ads/vast/events/${event}/${token}`;
+  }
+
+  /**
+   * Count a playback event against the campaign and creative
+   * @param {string} event - VAST tracking event
+   * @param {string} campaignId - Campaign ID
+   * @param {string} creativeId - Creative ID
+   */
+  async recordEvent(event, campaignId, creativeId) {
+    const metric = EVENT_METRICS[event];
+
+    if (!metric) {
+      throw new ApiError(400, `Unknown video event: ${event}`);
+    }
+
+    const increments = { [`video.${metric}`]: 1 };
+
+    await Promise.all([
+      accountingService.incrementCampaignMetrics(campaignId, increments),
+      accountingService.incrementCreativeMetrics(creativeId, increments),
+    ]);
+  }
+
+  /**
+   * Format seconds as a VAST time offset (HH:MM:SS.mmm)
+   * @private
+   */
+  formatTime(seconds) {
+    const totalMs = Math.round(seconds * 1000);
+    const hours = Math.floor(totalMs / 3600000);
+    const minutes = Math.floor((totalMs % 3600000) / 60000);
+    const secs = Math.floor((totalMs % 60000) / 1000);
+    const ms = totalMs % 1000;
+    const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+    return `${pad(hours)}:${pad(minutes)}:${pad(secs)}.${pad(ms, 3)}`;
+  }
+}
+
+module.exports = new VastService();
@@ -0,0 +1,476 @@
+const mongoose = require('mongoose');
+const AdWallet = require('../../models/AdWallet');
+const AdWalletTopup = require('../../models/AdWalletTopup');
+const AdLedgerEntry = require('../../models/AdLedgerEntry');
+const AdClient = require('../../models/AdClient');
+const AdCampaign = require('../../models/AdCampaign');
+const adsConfig = require('../../config/ads.config');
+const paymentConfig = require('../../config/payment.config');
+const { dbUtils } = require('../../config/db');
+const { ApiError } = require('../../utils/error');
+const paymentService = require('./payment.service');
+const campaignScheduler = require('../../jobs/campaignScheduler');
+
+const walletConfig = adsConfig.wallet;
+
+// Ledger accounts
+const ACCOUNTS = {
+  wallet: clientId => `wallet:${clientId}`,
+  gateway: gateway => `gateway:${gateway}`,
+  gatewayFees: gateway => `fees:${gateway}`,
+  revenue: 'revenue:advertising',
+  vat: 'tax:vat_payable',
+};
+
+/**
+ * Wallet Service - Prepaid balances for advertising clients
+ *
+ * Every balance change is posted to the double-entry ledger in the same
+ * transaction as the wallet update. Campaign charges stay on the campaign
+ * budget while serving; settle() later debits the wallet for the spend
+ * recorded since the last settlement.
+ */
+class WalletService {
+  /**
+   * Get a client's wallet, creating an empty one on first use
+   * @param {string} clientId - Client ID
+   * @returns {Promise<Object>} Wallet
+   */
+  async getWallet(clientId) {
+    return AdWallet.findOneAndUpdate(
+      { client: clientId },
+      { $setOnInsert: { client: clientId, currency: walletConfig.currency } },
+      { new: true, upsert: true }
+    );
+  }
+
+  /**
+   * Start a wallet top-up through a payment gateway
+   * @param {Object} client - Client document
+   * @param {Object} topup - Amount and gateway
+   * @param {Object} user - User paying
+   * @returns {Promise<Object>} Pending top-up with the gateway checkout URL
+   */
+  async initiateTopup(client, { amount, gateway }, user) {
+    if (!walletConfig.gateways.includes(gateway)) {
+      throw new ApiError(400, `Wallets cannot be funded through ${gateway}`);
+    }
+
+    if (amount < walletConfig.minTopup) {
+      throw new ApiError(400, `Minimum top-up is ${walletConfig.minTopup} ${walletConfig.currency}`);
+    }
+
+    const amountCheck = paymentConfig.validateAmount(amount, gateway);
+    if (!amountCheck.valid) {
+      throw new ApiError(400, amountCheck.error);
+    }
+
+    const topup = await AdWalletTopup.create({
+      reference: paymentConfig.generateReference(walletConfig.referencePrefix),
+      client: client._id,
+      gateway,
+      amount,
+      currency: walletConfig.currency,
+      fee: paymentConfig.calculateFee(amount, gateway).fee,
+      initiatedBy: user.id,
+    });
+
+    try {
+      const { checkoutUrl, gatewayReference } = await paymentService.initialize(gateway, {
+        reference: topup.reference,
+        amount,
+        currency: topup.currency,
+        email: client.billing?.billingEmail || client.email,
+        firstName: client.contactPerson?.name || client.name,
+        lastName: client.company,
+        description: `Ad wallet top-up for ${client.company}`,
+        callbackUrl: `${process.env.SERVER_URL}/api/v1/ads/wallet/callback/${gateway}`,
+        returnUrl: `${process.env.CLIENT_URL}/dashboard/ads/wallet?reference=${topup.reference}`,
+      });
+
+      topup.checkoutUrl = checkoutUrl;
+      topup.gatewayReference = gatewayReference;
+    } catch (error) {
+      topup.status = 'failed';
+      topup.failureReason = error.message;
+      await topup.save();
+      throw error;
+    }
+
+    await topup.save();
+
+    return topup;
+  }
+
+  /**
+   * Confirm a top-up with its gateway and credit the wallet once paid
+   * @param {string} reference - Top-up reference
+   * @param {string} gateway - Gateway reporting the payment, if known
+   * @returns {Promise<Object>} Top-up
+   */
+  async confirmTopup(reference, gateway) {
+    const topup = await AdWalletTopup.findOne({ reference });
+    if (!topup || (gateway && topup.gateway !== gateway)) {
+      throw new ApiError(404, 'Top-up not found');
+    }
+
+    if (topup.status !== 'pending') return topup;
+
+    const payment = await paymentService.verify(topup.gateway, reference);
+
+    if (payment.status === 'pending') return topup;
+
+    if (payment.status === 'failed' || payment.amount < topup.amount || payment.currency !== topup.currency) {
+      return AdWalletTopup.findOneAndUpdate(
+        { _id: topup._id, status: 'pending' },
+        {
+          $set: {
+            status: 'failed',
+            failureReason: payment.status === 'failed' ? 'Payment failed' : 'Paid amount does not match',
+          },
+        },
+        { new: true }
+      );
+    }
+
+    const completed = await dbUtils.transaction(async (session) => {
+      // Claim the top-up so a repeated callback can't credit it twice
+      const claimed = await AdWalletTopup.findOneAndUpdate(
+        { _id: topup._id, status: 'pending' },
+        { $set: { status: 'completed', completedAt: new Date(), gatewayReference: payment.gatewayReference || topup.gatewayReference } },
+        { new: true, session }
+      );
+      if (!claimed) return null;
+
+      const postings = [
+        { account: ACCOUNTS.gateway(claimed.gateway), debit: claimed.amount },
+        { account: ACCOUNTS.wallet(claimed.client), credit: claimed.amount },
+      ];
+
+      // The platform absorbs gateway fees
+      if (claimed.fee > 0) {
+        postings.push(
+          { account: ACCOUNTS.gatewayFees(claimed.gateway), debit: claimed.fee },
+          { account: ACCOUNTS.gateway(claimed.gateway), credit: claimed.fee }
+        );
+      }
+
+      await this.post(session, {
+        client: claimed.client,
+        type: 'topup',
+        amount: claimed.amount,
+        postings,
+        description: `Top-up via ${claimed.gateway} (${claimed.reference})`,
+        topup: claimed._id,
+        walletUpdate: { totalFunded: claimed.amount },
+        walletSet: { lastTopupAt: claimed.completedAt },
+      });
+
+      return claimed;
+    });
+
+    if (!completed) {
+      return AdWalletTopup.findById(topup._id);
+    }
+
+    // Resume campaigns paused when the wallet ran dry, as far as the top-up covers them
+    await this.resumeCampaigns(completed.client, 'insufficient_funds');
+
+    return completed;
+  }
+
+  /**
+   * Debit prepaid wallets for campaign spend not yet settled
+   *
+   * Clients whose wallet runs out have their campaigns paused until they top up.
+   *
+   * @returns {Promise<Object>} Number of campaigns settled and clients paused
+   */
+  async settle() {
+    const prepaidClients = await AdClient.find({ 'billing.paymentTerms': 'prepaid' }).distinct('_id');
+    if (prepaidClients.length === 0) return { settled: 0, paused: 0 };
+
+    const campaigns = await AdCampaign.find({
+      client: { $in: prepaidClients },
+      $expr: { $gt: ['$budget.spent', { $ifNull: ['$budget.settled', 0] }] },
+    }).select('_id client').lean();
+
+    const results = { settled: 0, paused: 0 };
+    const depleted = new Set();
+
+    for (const { _id, client } of campaigns) {
+      try {
+        const wallet = await this.settleCampaign(_id);
+        if (!wallet) continue;
+
+        results.settled += 1;
+        if (wallet.balance <= 0) depleted.add(String(client));
+      } catch (error) {
+        // Write conflicts with concurrent charges are retried on the next run
+        console.error(`Failed to settle wallet spend for campaign ${_id}:`, error);
+      }
+    }
+
+    for (const clientId of depleted) {
+      if (await campaignScheduler.pauseClientCampaigns(clientId, 'insufficient_funds')) {
+        results.paused += 1;
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Debit a campaign's unsettled spend from its client's wallet
+   * @param {string} campaignId - Campaign ID
+   * @returns {Promise<Object|null>} Updated wallet, or null if nothing was due
+   */
+  async settleCampaign(campaignId) {
+    return dbUtils.transaction(async (session) => {
+      const campaign = await AdCampaign.findById(campaignId)
+        .select('name client budget.spent budget.settled')
+        .session(session)
+        .lean();
+
+      const settled = campaign?.budget.settled || 0;
+      const amount = this.round((campaign?.budget.spent || 0) - settled);
+      if (amount <= 0) return null;
+
+      // Campaigns created before wallets have no settled amount yet
+      const unchanged = campaign.budget.settled === undefined ? { $exists: false } : campaign.budget.settled;
+      const updated = await AdCampaign.updateOne(
+        { _id: campaignId, 'budget.settled': unchanged },
+        { $set: { 'budget.settled': campaign.budget.spent } },
+        { session }
+      );
+      if (updated.modifiedCount === 0) return null;
+
+      return this.post(session, {
+        client: campaign.client,
+        type: 'spend',
+        amount: -amount,
+        postings: [
+          { account: ACCOUNTS.wallet(campaign.client), debit: amount },
+          { account: ACCOUNTS.revenue, credit: amount },
+        ],
+        description: `Ad spend: ${campaign.name}`,
+        campaign: campaign._id,
+        walletUpdate: { totalSpent: amount },
+      });
+    });
+  }
+
+  /**
+   * Pay a prepaid client's invoice from its wallet
+   *
+   * Spend was already debited as it settled, so only the VAT is charged here.
+   *
+   * @param {Object} invoice - Invoice document
+   * @returns {Promise<boolean>} Whether the invoice was paid
+   */
+  async payInvoice(invoice) {
+    const vat = this.round(invoice.vat.amount * invoice.exchangeRate);
+
+    return dbUtils.transaction(async (session) => {
+      if (vat > 0) {
+        const wallet = await AdWallet.findOne({ client: invoice.client }).session(session);
+        if (!wallet || wallet.balance < vat) return false;
+
+        await this.post(session, {
+          client: invoice.client,
+          type: 'vat',
+          amount: -vat,
+          postings: [
+            { account: ACCOUNTS.wallet(invoice.client), debit: vat },
+            { account: ACCOUNTS.vat, credit: vat },
+          ],
+          description: `VAT on invoice ${invoice.number}`,
+          invoice: invoice._id,
+        });
+      }
+
+      invoice.payments.push({ amount: invoice.total, method: 'wallet', reference: invoice.number });
+      invoice.amountPaid = invoice.total;
+      invoice.status = 'paid';
+      invoice.paidAt = new Date();
+      await invoice.save({ session });
+
+      return true;
+    });
+  }
+
+  /**
+   * Check whether a prepaid client can fund a campaign budget
+   *
+   * Available funds are the wallet balance less unsettled spend and the
+   * remaining budgets of the client's other pending and active campaigns.
+   * Clients on credit terms are invoiced instead and always pass.
+   *
+   * @param {string} clientId - Client ID
+   * @param {number} amount - Budget to fund
+   * @param {Object} options - excludeCampaign: campaign whose budget is being funded
+   * @returns {Promise<{sufficient: boolean, available: number, required: number}>}
+   */
+  async checkFunds(clientId, amount, { excludeCampaign } = {}) {
+    const client = await AdClient.findById(clientId).select('billing.paymentTerms').lean();
+    if (client?.billing?.paymentTerms !== 'prepaid') {
+      return { sufficient: true, available: null, required: amount };
+    }
+
+    const wallet = await this.getWallet(clientId);
+
+    const match = { client: new mongoose.Types.ObjectId(String(clientId)) };
+    if (excludeCampaign) {
+      match._id = { $ne: new mongoose.Types.ObjectId(String(excludeCampaign)) };
+    }
+
+    const [committed] = await AdCampaign.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: null,
+          unsettled: {
+            $sum: { $max: [{ $subtract: ['$budget.spent', { $ifNull: ['$budget.settled', 0] }] }, 0] },
+          },
+          reserved: {
+            $sum: { $cond: [{ $in: ['$status', ['pending', 'active']] }, { $max: ['$budget.remaining', 0] }, 0] },
+          },
+        },
+      },
+    ]);
+
+    const available = this.round(wallet.balance - (committed?.unsettled || 0) - (committed?.reserved || 0));
+
+    return { sufficient: available >= amount, available, required: amount };
+  }
+
+  /**
+   * Resume a client's campaigns paused for a reason, as far as its funds cover them
+   *
+   * Suspended clients stay paused. Otherwise campaigns are resumed soonest-ending
+   * first while the available funds cover their remaining budgets; the rest
+   * stay paused until the next top-up.
+   *
+   * @param {string} clientId - Client ID
+   * @param {string} reason - Pause reason
+   * @returns {Promise<number>} Number of campaigns resumed
+   */
+  async resumeCampaigns(clientId, reason) {
+    const client = await AdClient.findById(clientId).select('status').lean();
+    if (!client || client.status === 'suspended') return 0;
+
+    const campaigns = await AdCampaign.find({ client: clientId, status: 'paused', pauseReason: reason })
+      .sort({ 'dates.end': 1 })
+      .select('budget.remaining')
+      .lean();
+
+    if (campaigns.length === 0) return 0;
+
+    // Paused campaigns reserve nothing, so this is what the resumed ones can share
+    const { available } = await this.checkFunds(clientId, 0);
+
+    let reserved = 0;
+    const fundable = campaigns.filter(campaign => {
+      const remaining = Math.max(campaign.budget?.remaining || 0, 0);
+      if (available !== null && reserved + remaining > available) return false;
+
+      reserved += remaining;
+      return true;
+    });
+
+    if (fundable.length === 0) return 0;
+
+    return campaignScheduler.resumeClientCampaigns(clientId, reason, {
+      campaignIds: fundable.map(campaign => campaign._id),
+    });
+  }
+
+  /**
+   * Throw unless a prepaid client can fund a campaign budget
+   * @see checkFunds
+   */
+  async assertFunds(clientId, amount, options) {
+    const { sufficient, available } = await this.checkFunds(clientId, amount, options);
+
+    if (!sufficient) {
+      throw new ApiError(402, `Insufficient wallet balance: ${Math.max(available, 0)} ${walletConfig.currency} available, ${amount} ${walletConfig.currency} required`);
+    }
+  }
+
+  /**
+   * Throw unless a client may start a campaign: it must not be suspended and,
+   * when prepaid, must be able to fund the budget
+   * @param {string} clientId - Client ID
+   * @param {number} amount - Budget the campaign can still spend
+   * @param {Object} options - excludeCampaign: campaign whose budget is being funded
+   */
+  async assertCanRun(clientId, amount, options) {
+    // Suspended clients can't run campaigns until their overdue invoices are paid
+    const client = await AdClient.findById(clientId).select('status').lean();
+    if (client?.status === 'suspended') {
+      throw new ApiError(403, 'Client is suspended; campaigns cannot run until overdue invoices are paid');
+    }
+
+    await this.assertFunds(clientId, amount, options);
+  }
+
+  /**
+   * Get a client's ledger entries, newest first
+   * @param {string} clientId - Client ID
+   * @param {Object} options - Page and limit
+   * @returns {Promise<{transactions: Array, total: number}>}
+   */
+  async getTransactions(clientId, { page = 1, limit = 20 } = {}) {
+    const [transactions, total] = await Promise.all([
+      AdLedgerEntry.find({ client: clientId })
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('campaign', 'name')
+        .populate('invoice', 'number')
+        .populate('topup', 'reference gateway')
+        .lean(),
+      AdLedgerEntry.countDocuments({ client: clientId }),
+    ]);
+
+    return { transactions, total };
+  }
+
+  /**
+   * Apply a balance change to the wallet and record its ledger entry
+   * @private
+   */
+  async post(session, { walletUpdate = {}, walletSet = {}, ...entry }) {
+    const update = {
+      $inc: { balance: entry.amount, ...walletUpdate },
+      $setOnInsert: { currency: walletConfig.currency },
+    };
+    if (Object.keys(walletSet).length > 0) {
+      update.$set = walletSet;
+    }
+
+    const wallet = await AdWallet.findOneAndUpdate(
+      { client: entry.client },
+      update,
+      { new: true, upsert: true, session }
+    );
+
+    await AdLedgerEntry.create([{
+      ...entry,
+      currency: wallet.currency,
+      balanceAfter: this.round(wallet.balance),
+    }], { session });
+
+    return wallet;
+  }
+
+  /**
+   * Round to 2 decimal places
+   * @private
+   */
+  round(value) {
+    return Math.round(value * 100) / 100;
+  }
+}
+
+module.exports = new WalletService();
@@ -0,0 +1,83 @@
+const DEFAULT_TIME_ZONE = 'Africa/Addis_Ababa';
+
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const formatters = new Map();
+
+/**
+ * Get a cached Intl formatter for a time zone
+ */
+const getFormatter = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      weekday: 'short',
+    }));
+  }
+  return formatters.get(timeZone);
+};
+
+/**
+ * Check if a time zone name is valid
+ */
+const isValidTimeZone = (timeZone) => {
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Get local calendar parts of a date in a time zone
+ */
+const getZonedParts = (date = new Date(), timeZone = DEFAULT_TIME_ZONE) => {
+  const parts = {};
+  getFormatter(timeZone).formatToParts(date).forEach(({ type, value }) => {
+    parts[type] = value;
+  });
+
+  return {
+    year: parseInt(parts.year, 10),
+    month: parseInt(parts.month, 10),
+    day: parseInt(parts.day, 10),
+    hour: parseInt(parts.hour, 10),
+    minute: parseInt(parts.minute, 10),
+    weekday: WEEKDAYS.indexOf(parts.weekday.toLowerCase().slice(0, 3)),
+    dayKey: `${parts.year}-${parts.month}-${parts.day}`,
+  };
+};
+
+/**
+ * Get the local day key (YYYY-MM-DD) of a date in a time zone
+ */
+const getDayKey = (date = new Date(), timeZone = DEFAULT_TIME_ZONE) => {
+  return getZonedParts(date, timeZone).dayKey;
+};
+
+/**
+ * Get the UTC instant of local midnight on a calendar date in a time zone
+ */
+const getZonedMidnight = (year, month, day, timeZone = DEFAULT_TIME_ZONE) => {
+  const guess = Date.UTC(year, month - 1, day);
+  const parts = getZonedParts(new Date(guess), timeZone);
+  const offset = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute) - guess;
+
+  return new Date(guess - offset);
+};
+
+module.exports = {
+  DEFAULT_TIME_ZONE,
+  WEEKDAYS,
+  isValidTimeZone,
+  getZonedParts,
+  getDayKey,
+  getZonedMidnight,
+};
@@ -71,6 +71,11 @@ const envConfig = {
   AD_MAX_IMPRESSIONS: parseInt(process.env.AD_MAX_IMPRESSIONS, 10) || 100000,
   AD_CPC_RATE: parseFloat(process.env.AD_CPC_RATE) || 0.5,
   AD_CPM_RATE: parseFloat(process.env.AD_CPM_RATE) || 5,
+  AD_TRACKING_SECRET: process.env.AD_TRACKING_SECRET,
+  AD_PSEUDONYM_SECRET: process.env.AD_PSEUDONYM_SECRET,
+  AD_VAT_RATE: parseFloat(process.env.AD_VAT_RATE) || 0.15,
+  AD_USD_EXCHANGE_RATE: parseFloat(process.env.AD_USD_EXCHANGE_RATE) || 57,
+  AD_LANDING_CHECK_URL: process.env.AD_LANDING_CHECK_URL,
   
   // Security
   BCRYPT_SALT_ROUNDS: parseInt(process.env.BCRYPT_SALT_ROUNDS, 10) || 12,
@@ -100,7 +105,9 @@ const validateEnv = () => {
       'MONGODB_URI_PROD',
       'SMTP_HOST',
       'SMTP_USER',
-      'SMTP_PASSWORD'
+      'SMTP_PASSWORD',
+      'AD_TRACKING_SECRET',
+      'AD_PSEUDONYM_SECRET'
     );
   }
   
@@ -48,6 +48,14 @@ const analyticsRoutes = require('./routes/analytics.routes');
 const errorHandler = require('./middleware/errorHandler');
 const { authenticate, authorize } = require('./middleware/auth');
 
+// Import background jobs
+const campaignScheduler = require('./jobs/campaignScheduler');
+const billingScheduler = require('./jobs/billingScheduler');
+const optimizationScheduler = require('./jobs/optimizationScheduler');
+const statisticsScheduler = require('./jobs/statisticsScheduler');
+const reportScheduler = require('./jobs/reportScheduler');
+const accountingService = require('./services/ads/accounting.service');
+
 // Initialize Express app
 const app = express();
 const server = http.createServer(app);
@@ -225,6 +233,21 @@ const startServer = async () => {
   try {
     await connectDB();
     
+    // Start the ad campaign scheduler (recovers missed transitions on boot)
+    await campaignScheduler.start();
+    
+    // Start monthly invoicing, overdue invoice checks and prepaid wallet settlement
+    await billingScheduler.start();
+    
+    // Start the periodic campaign optimizer
+    await optimizationScheduler.start();
+    
+    // Start the statistics rollups used by analytics and reports
+    await statisticsScheduler.start();
+    
+    // Start emailing scheduled ad reports
+    await reportScheduler.start();
+    
     const PORT = envConfig.PORT || 5000;
     
     server.listen(PORT, () => {
@@ -248,7 +271,9 @@ const startServer = async () => {
     // Handle SIGTERM
     process.on('SIGTERM', () => {
       logger.info('👋 SIGTERM RECEIVED. Shutting down gracefully');
-      server.close(() => {
+      server.close(async () => {
+        // Write out buffered ad impressions before exiting
+        await accountingService.flush();
         logger.info('💥 Process terminated!');
       });
     });
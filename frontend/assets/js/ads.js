@@ -1,4 +1,16 @@
 // ads.js
+
+// Consent mode sent with ad requests so the backend stores only what the visitor allowed
+export function getAdConsent() {
+    const consent = localStorage.getItem('ad-consent');
+    
+    // Choices made before consent modes existed
+    if (consent === 'accepted') return 'full';
+    if (consent === 'denied') return 'aggregate';
+    
+    return ['full', 'pseudonymous', 'aggregate'].includes(consent) ? consent : 'aggregate';
+}
+
 export default {
     init() {
         this.loadAds();
@@ -98,11 +110,10 @@ export default {
     
     setupAdConsent() {
         // GDPR/CCPA compliance
-        const consent = localStorage.getItem('ad-consent');
-        if (consent === 'denied') {
-            this.disableAds();
-        } else if (!consent) {
+        if (!localStorage.getItem('ad-consent')) {
             this.showConsentDialog();
+        } else if (getAdConsent() === 'aggregate') {
+            this.disableAds();
         }
     },
     
@@ -113,21 +124,21 @@ export default {
         dialog.innerHTML = `
             <div class="consent-content">
                 <p>We use ads to support our service. Do you accept personalized ads?</p>
-                <button class="btn-accept">Accept</button>
-                <button class="btn-deny">Deny</button>
+                <button class="btn-accept" data-consent="full">Accept</button>
+                <button class="btn-measure" data-consent="pseudonymous">Measurement only</button>
+                <button class="btn-deny" data-consent="aggregate">Deny</button>
             </div>
         `;
         document.body.appendChild(dialog);
         
-        dialog.querySelector('.btn-accept').addEventListener('click', () => {
-            localStorage.setItem('ad-consent', 'accepted');
-            dialog.remove();
-        });
-        
-        dialog.querySelector('.btn-deny').addEventListener('click', () => {
-            localStorage.setItem('ad-consent', 'denied');
-            this.disableAds();
-            dialog.remove();
+        dialog.querySelectorAll('[data-consent]').forEach(button => {
+            button.addEventListener('click', () => {
+                localStorage.setItem('ad-consent', button.dataset.consent);
+                if (button.dataset.consent === 'aggregate') {
+                    this.disableAds();
+                }
+                dialog.remove();
+            });
         });
     }
 };
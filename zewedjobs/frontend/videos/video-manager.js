@@ -1,4 +1,6 @@
 // video-manager.js - Video handling with YouTube/Vimeo integration
+import { getAdConsent } from '../../../frontend/assets/js/ads.js';
+
 class VideoManager {
   constructor() {
     this.players = new Map();
@@ -127,7 +129,8 @@ class VideoManager {
       controls = true,
       playsinline = true,
       className = '',
-      id = ''
+      id = '',
+      preroll = null
     } = config;
 
     const video = document.createElement('video');
@@ -171,6 +174,15 @@ class VideoManager {
       this.showVideoError(video);
     });
     
+    // Hold the first play until the pre-roll ad has finished
+    if (preroll) {
+      video.addEventListener('play', () => {
+        video.pause();
+        this.playPreroll(video, preroll === true ? {} : preroll)
+          .then(() => video.play().catch(() => {}));
+      }, { once: true });
+    }
+    
     return video;
   }
 
@@ -301,7 +313,151 @@ class VideoManager {
     }).catch(() => {});
   }
 
+  // Pre-roll ads
+  async loadPrerollAd(options = {}) {
+    const params = new URLSearchParams({ position: 'course_preroll', consent: getAdConsent(), ...options });
+    const response = await fetch(`/api/v1/ads/vast?${params}`);
+    
+    if (!response.ok) return null;
+    
+    const xml = new DOMParser().parseFromString(await response.text(), 'application/xml');
+    const linear = xml.querySelector('Ad Linear');
+    
+    // An empty VAST document means there is no ad to show
+    if (!linear) return null;
+    
+    const probe = document.createElement('video');
+    const mediaFile = Array.from(linear.querySelectorAll('MediaFile'))
+      .find(file => probe.canPlayType(file.getAttribute('type')));
+    
+    if (!mediaFile) return null;
+    
+    const tracking = {};
+    linear.querySelectorAll('TrackingEvents Tracking').forEach(node => {
+      tracking[node.getAttribute('event')] = node.textContent.trim();
+    });
+    
+    return {
+      src: mediaFile.textContent.trim(),
+      type: mediaFile.getAttribute('type'),
+      impressionUrl: xml.querySelector('Ad Impression')?.textContent.trim(),
+      clickThrough: linear.querySelector('ClickThrough')?.textContent.trim(),
+      skipOffset: this.parseVastTime(linear.getAttribute('skipoffset')),
+      tracking
+    };
+  }
+
+  // Play a VAST pre-roll in place of the video; resolves once the video can start
+  async playPreroll(video, options = {}) {
+    let ad = null;
+    
+    try {
+      ad = await this.loadPrerollAd(options);
+    } catch (error) {
+      console.warn('Failed to load pre-roll ad:', error);
+    }
+    
+    if (!ad) return false;
+    
+    return new Promise((resolve) => {
+      const container = document.createElement('div');
+      container.className = 'video-ad';
+      
+      const adVideo = document.createElement('video');
+      adVideo.src = ad.src;
+      adVideo.playsInline = true;
+      
+      const label = document.createElement('span');
+      label.className = 'video-ad-label';
+      label.textContent = 'Ad';
+      
+      const skipButton = document.createElement('button');
+      skipButton.type = 'button';
+      skipButton.className = 'video-ad-skip';
+      skipButton.disabled = true;
+      skipButton.hidden = ad.skipOffset === null;
+      
+      container.append(adVideo, label, skipButton);
+      video.parentNode.insertBefore(container, video);
+      video.hidden = true;
+      
+      const fired = new Set();
+      const track = (event) => {
+        if (fired.has(event)) return;
+        fired.add(event);
+        
+        const url = event === 'impression' ? ad.impressionUrl : ad.tracking[event];
+        if (url) {
+          fetch(url, { mode: 'no-cors', keepalive: true }).catch(() => {});
+        }
+      };
+      
+      let finished = false;
+      const finish = () => {
+        if (finished) return;
+        finished = true;
+        container.remove();
+        video.hidden = false;
+        resolve(true);
+      };
+      
+      adVideo.addEventListener('playing', () => {
+        track('impression');
+        track('start');
+      });
+      
+      adVideo.addEventListener('timeupdate', () => {
+        const progress = adVideo.duration ? adVideo.currentTime / adVideo.duration : 0;
+        
+        if (progress >= 0.25) track('firstQuartile');
+        if (progress >= 0.5) track('midpoint');
+        if (progress >= 0.75) track('thirdQuartile');
+        
+        if (ad.skipOffset !== null) {
+          const remaining = Math.ceil(ad.skipOffset - adVideo.currentTime);
+          skipButton.disabled = remaining > 0;
+          skipButton.textContent = remaining > 0 ? `Skip in ${remaining}s` : 'Skip ad';
+        }
+      });
+      
+      adVideo.addEventListener('ended', () => {
+        track('complete');
+        finish();
+      });
+      
+      // A broken ad never holds up the video
+      adVideo.addEventListener('error', finish);
+      
+      adVideo.addEventListener('click', () => {
+        if (ad.clickThrough) {
+          window.open(ad.clickThrough, '_blank', 'noopener');
+        }
+      });
+      
+      skipButton.addEventListener('click', (event) => {
+        event.stopPropagation();
+        track('skip');
+        adVideo.pause();
+        finish();
+      });
+      
+      // Retry muted when the browser blocks playback with sound
+      adVideo.play().catch(() => {
+        adVideo.muted = true;
+        adVideo.play().catch(finish);
+      });
+    });
+  }
+
   // Utility methods
+  parseVastTime(offset) {
+    const match = /^(\d+):(\d{2}):(\d{2}(?:\.\d+)?)$/.exec(offset || '');
+    
+    if (!match) return null;
+    
+    return Number(match[1]) * 3600 + Number(match[2]) * 60 + Number(match[3]);
+  }
+
   formatDuration(seconds) {
     const hrs = Math.floor(seconds / 3600);
     const mins = Math.floor((seconds % 3600) / 60);
@@ -456,4 +612,44 @@ export const videoStyles = `
     color: #666;
     font-size: 12px;
   }
+  
+  .video-ad {
+    position: relative;
+    background: #000;
+  }
+  
+  .video-ad video {
+    width: 100%;
+    height: auto;
+    display: block;
+    cursor: pointer;
+  }
+  
+  .video-ad-label {
+    position: absolute;
+    top: 10px;
+    left: 10px;
+    background: rgba(0, 0, 0, 0.6);
+    color: white;
+    padding: 2px 8px;
+    border-radius: 3px;
+    font-size: 12px;
+  }
+  
+  .video-ad-skip {
+    position: absolute;
+    right: 0;
+    bottom: 20px;
+    background: rgba(0, 0, 0, 0.7);
+    color: white;
+    border: 1px solid rgba(255, 255, 255, 0.5);
+    border-right: none;
+    padding: 8px 16px;
+    cursor: pointer;
+  }
+  
+  .video-ad-skip:disabled {
+    cursor: default;
+    opacity: 0.8;
+  }
 `;
@@ -3,6 +3,8 @@
  * Dynamic job listing, search, filtering, and application management
  */
 
+import { getAdConsent } from '../../../../../../../../../../../../../../../../../../../../../../../../../../../../../../../../../../../../../frontend/assets/js/ads.js';
+
 class JobSearchManager {
     constructor() {
         this.jobs = [];
@@ -21,6 +23,10 @@ class JobSearchManager {
         this.sortBy = 'recent';
         this.savedJobs = new Set();
         this.appliedJobs = new Set();
+        this.sponsoredJobs = [];
+        this.nativeAds = [];
+        this.nativeAdInterval = 5; // Organic results before a native ad
+        this.sponsoredObserver = null;
         this.initialize();
     }
 
@@ -76,6 +82,10 @@ class JobSearchManager {
                 this.totalJobs = data.total || 0;
                 this.totalPages = data.pages || 1;
                 
+                // Sponsored jobs depend on the page's organic results
+                await this.loadSponsoredJobs();
+                await this.loadNativeAds();
+                
                 // Display jobs
                 this.displayJobs();
                 this.updatePagination();
@@ -111,10 +121,195 @@ class JobSearchManager {
             return;
         }
         
-        this.jobs.forEach(job => {
-            const jobCard = this.createJobCard(job);
+        this.getPageResults().forEach(job => {
+            let jobCard;
+            if (job.sponsored) {
+                jobCard = this.createSponsoredJobCard(job);
+            } else if (job.native) {
+                jobCard = this.createNativeAdCard(job);
+            } else {
+                jobCard = this.createJobCard(job);
+            }
             jobsGrid.appendChild(jobCard);
         });
+        
+        this.observeSponsoredJobs(jobsGrid);
+    }
+
+    // Sponsored Jobs
+    async loadSponsoredJobs() {
+        this.sponsoredJobs = [];
+        
+        if (this.jobs.length === 0) return;
+        
+        try {
+            const params = new URLSearchParams();
+            if (this.currentFilters.search) params.append('query', this.currentFilters.search);
+            if (this.currentFilters.category.length > 0) params.append('category', this.currentFilters.category[0]);
+            params.append('organicCount', this.jobs.length);
+            params.append('consent', getAdConsent());
+            
+            const response = await fetch(`/api/v1/ads/sponsored-jobs?${params.toString()}`);
+            
+            if (response.ok) {
+                const result = await response.json();
+                this.sponsoredJobs = result.data?.jobs || [];
+            }
+        } catch (error) {
+            // The page is shown with organic results only
+            console.error('Error loading sponsored jobs:', error);
+        }
+    }
+
+    async loadNativeAds() {
+        this.nativeAds = [];
+        
+        // Native ads only fill search results when no sponsored job took the slot
+        const hasSponsoredResult = this.sponsoredJobs.some(job => job.position === 'search_results');
+        if (this.jobs.length < this.nativeAdInterval || hasSponsoredResult) return;
+        
+        try {
+            const params = new URLSearchParams({ position: 'search_results', type: 'native', limit: 1, consent: getAdConsent() });
+            if (this.currentFilters.category.length > 0) params.append('category', this.currentFilters.category[0]);
+            
+            const response = await fetch(`/api/v1/ads/active?${params.toString()}`);
+            
+            if (response.ok) {
+                const result = await response.json();
+                this.nativeAds = (result.data?.ads || []).filter(ad => ad.native);
+            }
+        } catch (error) {
+            console.error('Error loading native ads:', error);
+        }
+    }
+
+    getPageResults() {
+        // A sponsored job replaces its organic listing on the same page
+        const sponsoredIds = new Set(this.sponsoredJobs.map(job => String(job.jobId)));
+        const results = this.jobs.filter(job => !sponsoredIds.has(String(job.id)));
+        
+        [...this.sponsoredJobs]
+            .sort((a, b) => a.index - b.index)
+            .forEach(job => {
+                results.splice(Math.min(job.index, results.length), 0, job);
+            });
+        
+        // Native ads go after the first run of organic results, below any top sponsored job
+        const topCount = this.sponsoredJobs.filter(job => job.position === 'job_listing_top').length;
+        this.nativeAds.forEach((ad, index) => {
+            const position = topCount + (index + 1) * this.nativeAdInterval + index;
+            results.splice(Math.min(position, results.length), 0, ad);
+        });
+        
+        return results;
+    }
+
+    createNativeAdCard(ad) {
+        // Native ads share the sponsored job card layout
+        return this.createSponsoredJobCard({
+            title: ad.native.headline,
+            description: ad.native.body,
+            company: ad.native.company,
+            callToAction: ad.native.callToAction,
+            label: ad.native.sponsorLabel,
+            tracking: ad.tracking,
+        });
+    }
+
+    createSponsoredJobCard(job) {
+        const card = document.createElement('div');
+        card.className = 'job-card sponsored';
+        if (job.tier === 'featured') card.classList.add('featured');
+        if (job.tier === 'urgent') card.classList.add('urgent');
+        card.dataset.adToken = job.tracking.token;
+        
+        const company = job.company || {};
+        
+        card.innerHTML = `
+            <div class="job-card-header">
+                <div class="job-company">
+                    <div class="company-logo">
+                        <img src="${company.logo || '/assets/images/default-company.png'}" 
+                             alt="${company.name || ''}" 
+                             loading="lazy">
+                    </div>
+                    <div class="company-info">
+                        <h4>${company.name || ''}</h4>
+                    </div>
+                </div>
+                <div class="job-meta">
+                    <span class="sponsored-badge">${job.label}</span>
+                    ${job.tier === 'urgent' ? '<span class="urgent-badge">Urgent</span>' : ''}
+                </div>
+            </div>
+            
+            <h3 class="job-title">${job.title}</h3>
+            
+            <p class="job-description">${this.truncateText(job.description || '', 120)}</p>
+            
+            <div class="job-details">
+                <div class="detail-left">
+                    ${job.location ? `
+                    <div class="job-location">
+                        <i class="fas fa-map-marker-alt"></i>
+                        <span>${job.location}</span>
+                    </div>` : ''}
+                </div>
+                <div class="job-actions">
+                    <a class="btn-apply" href="${job.tracking.clickUrl}" rel="sponsored">
+                        ${job.callToAction || 'Apply Now'}
+                    </a>
+                </div>
+            </div>
+            
+            <div class="job-footer">
+                <a href="${job.tracking.clickUrl}" class="view-details" rel="sponsored">
+                    View Details <i class="fas fa-arrow-right"></i>
+                </a>
+            </div>
+        `;
+        
+        return card;
+    }
+
+    observeSponsoredJobs(container) {
+        if (this.sponsoredObserver) {
+            this.sponsoredObserver.disconnect();
+        }
+        
+        const cards = container.querySelectorAll('.job-card.sponsored');
+        if (cards.length === 0 || typeof IntersectionObserver === 'undefined') return;
+        
+        // Count an impression once at least half of the card is on screen
+        this.sponsoredObserver = new IntersectionObserver((entries) => {
+            entries.forEach(entry => {
+                if (entry.isIntersecting) {
+                    this.sponsoredObserver.unobserve(entry.target);
+                    this.trackSponsoredImpression(entry.target.dataset.adToken);
+                }
+            });
+        }, { threshold: 0.5 });
+        
+        cards.forEach(card => this.sponsoredObserver.observe(card));
+    }
+
+    async trackSponsoredImpression(token) {
+        try {
+            await fetch('/api/v1/ads/impression', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    token,
+                    pageUrl: window.location.href,
+                    viewability: 100,
+                    consent: getAdConsent()
+                })
+            });
+        } catch (error) {
+            console.error('Error tracking sponsored job impression:', error);
+        }
     }
 
     createJobCard(job) {
@@ -900,6 +1095,8 @@ class JobSearchManager {
         ];
         
         this.jobs = sampleJobs;
+        this.sponsoredJobs = [];
+        this.nativeAds = [];
         this.displayJobs();
     }
 
@@ -1001,6 +1198,4 @@ window.applyToJob = function(jobId) {
 };
 
 // Export for module usage
-if (typeof module !== 'undefined' && module.exports) {
-    module.exports = JobSearchManager;
-}
+export default JobSearchManager;